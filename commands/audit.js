@@ -0,0 +1,73 @@
+import { loadAuditLog } from "../lib/audit-log.js";
+
+/**
+ * Format an audit entry as one line of text
+ * @param {Object} entry - Audit log entry
+ * @returns {string} Human-readable line
+ */
+function formatEntry(entry) {
+  const resources = Object.entries(entry.resources || {})
+    .map(([key, value]) => `${key}=${value}`)
+    .join(" ");
+  const outcome = entry.status === "error"
+    ? `error: ${entry.error}${entry.trackingId ? ` (trackingId ${entry.trackingId})` : ""}`
+    : entry.status;
+  return [
+    entry.timestamp,
+    entry.principal || "-",
+    entry.tool,
+    outcome,
+    entry.durationMs !== null && entry.durationMs !== undefined ? `${entry.durationMs}ms` : null,
+    resources || null,
+    entry.sessionId ? `session=${entry.sessionId}` : null,
+  ].filter(Boolean).join("  ");
+}
+
+export function registerAuditCommand(program) {
+  program
+    .command("audit")
+    .description("Query the audit log of tool calls")
+    .option("-t, --tool <name>", "Tool name or glob (e.g. delete_*)")
+    .option("-r, --room <roomId>", "Only calls that touched this room")
+    .option("-p, --principal <name>", "Only calls made by this caller")
+    .option("--since <time>", "Start time: ISO date/time or duration ago (30m, 12h, 7d)")
+    .option("--until <time>", "End time: ISO date/time or duration ago")
+    .option("-n, --limit <count>", "Show only the most recent N entries", (value) => parseInt(value, 10))
+    .option("--json", "Print entries as JSON lines")
+    .action(async (options) => {
+      const auditLog = loadAuditLog();
+      if (!auditLog) {
+        console.error("Error: the audit log is disabled (WEBEX_AUDIT_LOG=off)");
+        process.exitCode = 1;
+        return;
+      }
+
+      let entries;
+      try {
+        entries = await auditLog.query({
+          tool: options.tool,
+          roomId: options.room,
+          principal: options.principal,
+          since: options.since,
+          until: options.until,
+          limit: options.limit,
+        });
+      } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+        return;
+      }
+
+      if (options.json) {
+        entries.forEach((entry) => console.log(JSON.stringify(entry)));
+        return;
+      }
+
+      if (entries.length === 0) {
+        console.log(`No matching tool calls in ${auditLog.filePath}`);
+        return;
+      }
+      entries.forEach((entry) => console.log(formatEntry(entry)));
+      console.log(`\n${entries.length} matching tool call${entries.length === 1 ? "" : "s"}`);
+    });
+}
@@ -0,0 +1,50 @@
+import path from "path";
+import { exportRoom, resolveExportDir, EXPORT_FORMATS } from "../lib/room-export.js";
+
+export function registerExportCommand(program) {
+  program
+    .command("export <roomId>")
+    .description("Export a room's history to Markdown, HTML, JSON Lines and mbox files")
+    .option("-o, --out <dir>", "Folder to write the export to (default: under WEBEX_EXPORT_DIR)")
+    .option("-f, --format <formats>", `Formats to write (comma-separated: ${EXPORT_FORMATS.join(", ")})`)
+    .option("--attachments", "Download attachments into the export folder")
+    .option("--restart", "Start over instead of resuming an earlier export")
+    .option("--json", "Print the result as JSON")
+    .action(async (roomId, options) => {
+      let result;
+      try {
+        const dir = options.out ? path.resolve(options.out) : await resolveExportDir(roomId);
+        result = await exportRoom({
+          roomId,
+          dir,
+          formats: options.format ? options.format.split(",").map((format) => format.trim()).filter(Boolean) : EXPORT_FORMATS,
+          attachments: Boolean(options.attachments),
+          restart: Boolean(options.restart),
+          onProgress: options.json ? undefined : ({ phase, fetched, downloaded, total }) => {
+            process.stderr.write(phase === "messages" ? `\rFetched ${fetched} messages` : `\rDownloaded ${downloaded}/${total} attachments`);
+          },
+        });
+      } catch (error) {
+        if (!options.json) process.stderr.write("\n");
+        console.error(`Error: ${error.message}`);
+        if (error.retryable !== false) {
+          console.error("Run the same command again to resume the export.");
+        }
+        process.exitCode = 1;
+        return;
+      }
+
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+        return;
+      }
+
+      process.stderr.write("\n");
+      console.log(`Exported ${result.messages} message${result.messages === 1 ? "" : "s"} from ${result.roomTitle || roomId}${result.resumed ? " (resumed)" : ""}`);
+      if (result.attachments) {
+        const { downloaded, tooLarge, failed } = result.attachments;
+        console.log(`Attachments: ${downloaded} downloaded${tooLarge > 0 ? `, ${tooLarge} too large` : ""}${failed > 0 ? `, ${failed} failed` : ""}`);
+      }
+      result.files.forEach((file) => console.log(`  ${file}`));
+    });
+}
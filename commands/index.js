@@ -0,0 +1,45 @@
+import { loadMessageIndex, DEFAULT_MAX_MESSAGES_PER_ROOM } from "../lib/message-index.js";
+
+export function registerIndexCommand(program) {
+  program
+    .command("reindex")
+    .description("Rebuild the local message index used by search_index")
+    .option("-r, --room <roomIds>", "Only rebuild these rooms (comma-separated IDs)")
+    .option("--max-per-room <count>", `Messages read per room (default ${DEFAULT_MAX_MESSAGES_PER_ROOM})`, (value) => parseInt(value, 10))
+    .option("--json", "Print the result as JSON")
+    .action(async (options) => {
+      const index = loadMessageIndex();
+      if (!index) {
+        console.error("Error: the message index is off (set WEBEX_INDEX_ROOMS to the rooms to index)");
+        process.exitCode = 1;
+        return;
+      }
+
+      let result;
+      try {
+        result = await index.rebuild({
+          roomIds: options.room ? options.room.split(",").map((id) => id.trim()).filter(Boolean) : undefined,
+          ...(options.maxPerRoom > 0 && { maxMessagesPerRoom: options.maxPerRoom }),
+        });
+      } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+        return;
+      }
+
+      if (result.errors) {
+        process.exitCode = 1;
+      }
+      if (options.json) {
+        console.log(JSON.stringify({ ...result, index: await index.stats() }, null, 2));
+        return;
+      }
+
+      (result.errors || []).forEach((entry) => console.error(`  ${entry.roomTitle || entry.roomId}: ${entry.error.message}`));
+      console.log(`Indexed ${result.added} message${result.added === 1 ? "" : "s"} from ${result.rooms} room${result.rooms === 1 ? "" : "s"} into ${index.filePath}`);
+      console.log(`The index holds ${result.messages} message${result.messages === 1 ? "" : "s"}${result.removed > 0 ? ` (${result.removed} past retention removed)` : ""}`);
+      if (result.errors) {
+        console.log(`${result.errors.length} room${result.errors.length === 1 ? "" : "s"} could not be indexed`);
+      }
+    });
+}
@@ -1,17 +1,54 @@
 import { discoverTools } from "../lib/tools.js";
+import { loadToolPolicy } from "../lib/tool-policy.js";
+
+/**
+ * Print the active tool policy and the tools it disables
+ * @param {Object} policy - Tool policy from loadToolPolicy()
+ * @param {Array} tools - All discovered tools
+ */
+function printPolicy(policy, tools) {
+  const summary = policy.describe(tools);
+  const rules = [
+    summary.readOnly && "read-only (list_*, get_* and search_* only)",
+    summary.allow.length > 0 && `allow ${summary.allow.join(", ")}`,
+    summary.deny.length > 0 && `deny ${summary.deny.join(", ")}`,
+    summary.categories.length > 0 && `categories ${summary.categories.join(", ")}`,
+    summary.excludeCategories.length > 0 && `excluding categories ${summary.excludeCategories.join(", ")}`,
+  ].filter(Boolean);
+
+  console.log(`\nTool Policy: ${rules.length > 0 ? rules.join("; ") : "all tools enabled"}`);
+  console.log(`  Enabled: ${summary.enabledCount} of ${tools.length}`);
+  if (summary.disabled.length > 0) {
+    console.log("  Disabled:");
+    summary.disabled.forEach((name) => {
+      console.log(`    - ${name} (${policy.disabledReason(name)})`);
+    });
+  }
+}
 
 export function registerToolsCommand(program) {
   program
     .command("tools")
-    .description("List all available API tools")
+    .description("List the API tools enabled by the active tool policy")
     .action(async () => {
-      const tools = await discoverTools();
-      if (tools.length === 0) {
+      const allTools = await discoverTools();
+      if (allTools.length === 0) {
         console.log("No tools found. Tools should be organized as:");
         console.log("tools/workspace/collection/request.js\n");
         return;
       }
 
+      let policy;
+      try {
+        policy = loadToolPolicy();
+      } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+        return;
+      }
+      printPolicy(policy, allTools);
+      const tools = policy.filter(allTools);
+
       console.log("\nAvailable Tools:\n");
 
       // Group tools by workspace/collection
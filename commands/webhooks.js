@@ -0,0 +1,79 @@
+import { loadWebhookSpec, syncWebhooks } from "../lib/webhook-sync.js";
+
+// Marker shown before each plan entry
+const ACTION_MARKERS = {
+  create: "+",
+  update: "~",
+  replace: "±",
+  delete: "-",
+  unchanged: "=",
+  unmanaged: "?",
+};
+
+/**
+ * Format a plan entry as one line of text
+ * @param {Object} entry - Plan entry from syncWebhooks
+ * @returns {string} Human-readable line
+ */
+function formatEntry(entry) {
+  const target = entry.desired || entry.current;
+  const details = [
+    target && `${target.resource}:${target.event}${target.filter ? ` [${target.filter}]` : ""} -> ${target.targetUrl}`,
+    entry.reason,
+    entry.outcome === "failed" && `FAILED: ${entry.error.message}`,
+  ].filter(Boolean).join("  ");
+  return `  ${ACTION_MARKERS[entry.action]} ${entry.action.padEnd(9)} ${entry.name}  ${details}`.trimEnd();
+}
+
+export function registerWebhooksCommand(program) {
+  program
+    .command("sync-webhooks <spec>")
+    .description("Converge Webex webhooks with a JSON spec of declared webhooks")
+    .option("--apply", "Create, update and delete webhooks (default: only show the plan)")
+    .option("--prune", "Also delete webhooks that are not in the spec")
+    .option("--org", "Sync organization-wide webhooks instead of your own")
+    .option("--json", "Print the plan as JSON")
+    .action(async (specPath, options) => {
+      let result;
+      try {
+        const webhooks = await loadWebhookSpec(specPath);
+        result = await syncWebhooks({
+          webhooks,
+          apply: !!options.apply,
+          prune: !!options.prune,
+          ownedBy: options.org ? "org" : undefined,
+        });
+      } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = 1;
+        return;
+      }
+
+      if (result.error) {
+        console.error(`Error: could not list webhooks: ${result.error.message}`);
+        process.exitCode = 1;
+        return;
+      }
+      if (result.failed) {
+        process.exitCode = 1;
+      }
+
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+        return;
+      }
+
+      result.plan.forEach((entry) => console.log(formatEntry(entry)));
+      const { summary } = result;
+      console.log(
+        `\n${result.applied ? "Applied" : "Plan"}: ${summary.create} to create, ${summary.update} to update, ` +
+        `${summary.replace} to replace, ${summary.delete} to delete, ${summary.unchanged} unchanged` +
+        (summary.unmanaged > 0 ? `, ${summary.unmanaged} not managed by the spec` : "")
+      );
+      if (result.failed) {
+        console.log(`${result.failed} change${result.failed === 1 ? "" : "s"} failed`);
+      } else if (!result.applied && summary.create + summary.update + summary.replace + summary.delete > 0) {
+        console.log("Run again with --apply to make these changes.");
+      }
+    });
+}
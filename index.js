@@ -1,9 +1,17 @@
 import { Command } from "commander";
 import { registerToolsCommand } from "./commands/tools.js";
+import { registerAuditCommand } from "./commands/audit.js";
+import { registerWebhooksCommand } from "./commands/webhooks.js";
+import { registerIndexCommand } from "./commands/index.js";
+import { registerExportCommand } from "./commands/export.js";
 
 const program = new Command();
 
 // Register commands
 registerToolsCommand(program);
+registerAuditCommand(program);
+registerWebhooksCommand(program);
+registerIndexCommand(program);
+registerExportCommand(program);
 
 program.parse(process.argv);
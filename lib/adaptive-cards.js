@@ -0,0 +1,517 @@
+/**
+ * Adaptive Cards Module
+ * Builds Adaptive Cards from a short description (title, text, facts,
+ * inputs, actions) and validates cards against the Adaptive Card 1.3 schema
+ * that Webex renders, reporting each problem with its JSON path
+ * (e.g. $.body[2].columns[0].items[1].size) instead of Webex's bare 400.
+ */
+
+// MIME type Webex expects on card attachments
+export const CARD_CONTENT_TYPE = 'application/vnd.microsoft.card.adaptive';
+
+// Newest Adaptive Card version Webex renders
+export const CARD_VERSION = '1.3';
+
+const SUPPORTED_VERSIONS = ['1.0', '1.1', '1.2', '1.3'];
+
+const SPACING = ['default', 'none', 'small', 'medium', 'large', 'extraLarge', 'padding'];
+const ALIGNMENT = ['left', 'center', 'right'];
+const VERTICAL_ALIGNMENT = ['top', 'center', 'bottom'];
+const CONTAINER_STYLE = ['default', 'emphasis', 'good', 'attention', 'warning', 'accent'];
+
+// Property checks: 'string', 'boolean', 'number', 'any', an enum array, or
+// { list: kind } / { one: kind } for nested elements, actions and objects
+const TEXT_PROPERTIES = {
+  color: ['default', 'dark', 'light', 'accent', 'good', 'warning', 'attention'],
+  fontType: ['default', 'monospace'],
+  isSubtle: 'boolean',
+  size: ['default', 'small', 'medium', 'large', 'extraLarge'],
+  weight: ['default', 'lighter', 'bolder']
+};
+
+const ELEMENT_COMMON = {
+  id: 'string',
+  spacing: SPACING,
+  separator: 'boolean',
+  isVisible: 'boolean',
+  height: ['auto', 'stretch'],
+  fallback: 'any',
+  requires: 'any'
+};
+
+const INPUT_COMMON = {
+  ...ELEMENT_COMMON,
+  label: 'string',
+  isRequired: 'boolean',
+  errorMessage: 'string'
+};
+
+const ACTION_COMMON = {
+  id: 'string',
+  title: 'string',
+  iconUrl: 'string',
+  style: ['default', 'positive', 'destructive'],
+  fallback: 'any',
+  requires: 'any'
+};
+
+/**
+ * Adaptive Card 1.3 element and action definitions supported by Webex
+ * Each entry lists required properties and the checks for every allowed property.
+ */
+export const CARD_TYPES = {
+  elements: {
+    TextBlock: {
+      required: ['text'],
+      properties: { ...ELEMENT_COMMON, ...TEXT_PROPERTIES, text: 'string', horizontalAlignment: ALIGNMENT, maxLines: 'number', wrap: 'boolean' }
+    },
+    RichTextBlock: {
+      required: ['inlines'],
+      properties: { ...ELEMENT_COMMON, inlines: { list: 'inline' }, horizontalAlignment: ALIGNMENT }
+    },
+    Image: {
+      required: ['url'],
+      properties: {
+        ...ELEMENT_COMMON,
+        url: 'string',
+        altText: 'string',
+        backgroundColor: 'string',
+        horizontalAlignment: ALIGNMENT,
+        selectAction: { one: 'action' },
+        size: ['auto', 'stretch', 'small', 'medium', 'large'],
+        style: ['default', 'person'],
+        width: 'string',
+        height: 'string'
+      }
+    },
+    ImageSet: {
+      required: ['images'],
+      properties: { ...ELEMENT_COMMON, images: { list: 'image' }, imageSize: ['auto', 'stretch', 'small', 'medium', 'large'] }
+    },
+    FactSet: {
+      required: ['facts'],
+      properties: { ...ELEMENT_COMMON, facts: { list: 'fact' } }
+    },
+    Container: {
+      required: ['items'],
+      properties: {
+        ...ELEMENT_COMMON,
+        items: { list: 'element' },
+        selectAction: { one: 'action' },
+        style: CONTAINER_STYLE,
+        verticalContentAlignment: VERTICAL_ALIGNMENT,
+        bleed: 'boolean',
+        backgroundImage: 'any',
+        minHeight: 'string'
+      }
+    },
+    ColumnSet: {
+      required: [],
+      properties: {
+        ...ELEMENT_COMMON,
+        columns: { list: 'column' },
+        selectAction: { one: 'action' },
+        style: CONTAINER_STYLE,
+        bleed: 'boolean',
+        minHeight: 'string',
+        horizontalAlignment: ALIGNMENT
+      }
+    },
+    ActionSet: {
+      required: ['actions'],
+      properties: { ...ELEMENT_COMMON, actions: { list: 'action' } }
+    },
+    'Input.Text': {
+      required: ['id'],
+      properties: {
+        ...INPUT_COMMON,
+        isMultiline: 'boolean',
+        maxLength: 'number',
+        placeholder: 'string',
+        regex: 'string',
+        style: ['text', 'tel', 'url', 'email'],
+        inlineAction: { one: 'action' },
+        value: 'string'
+      }
+    },
+    'Input.Number': {
+      required: ['id'],
+      properties: { ...INPUT_COMMON, max: 'number', min: 'number', placeholder: 'string', value: 'number' }
+    },
+    'Input.Date': {
+      required: ['id'],
+      properties: { ...INPUT_COMMON, max: 'string', min: 'string', placeholder: 'string', value: 'string' }
+    },
+    'Input.Time': {
+      required: ['id'],
+      properties: { ...INPUT_COMMON, max: 'string', min: 'string', placeholder: 'string', value: 'string' }
+    },
+    'Input.Toggle': {
+      required: ['id', 'title'],
+      properties: { ...INPUT_COMMON, title: 'string', value: 'string', valueOff: 'string', valueOn: 'string', wrap: 'boolean' }
+    },
+    'Input.ChoiceSet': {
+      required: ['id', 'choices'],
+      properties: {
+        ...INPUT_COMMON,
+        choices: { list: 'choice' },
+        isMultiSelect: 'boolean',
+        style: ['compact', 'expanded'],
+        value: 'string',
+        placeholder: 'string',
+        wrap: 'boolean'
+      }
+    }
+  },
+  actions: {
+    'Action.Submit': {
+      required: [],
+      properties: { ...ACTION_COMMON, data: 'any' }
+    },
+    'Action.OpenUrl': {
+      required: ['url'],
+      properties: { ...ACTION_COMMON, url: 'string' }
+    },
+    'Action.ShowCard': {
+      required: ['card'],
+      properties: { ...ACTION_COMMON, card: { one: 'card' } }
+    },
+    'Action.ToggleVisibility': {
+      required: ['targetElements'],
+      properties: { ...ACTION_COMMON, targetElements: 'any' }
+    }
+  },
+  // Typed objects that only appear in one place
+  objects: {
+    inline: { type: 'TextRun', required: ['text'], properties: { ...TEXT_PROPERTIES, text: 'string', highlight: 'boolean', italic: 'boolean', strikethrough: 'boolean', selectAction: { one: 'action' } } },
+    image: { type: 'Image', ref: 'Image' },
+    column: {
+      type: 'Column',
+      required: [],
+      properties: {
+        ...ELEMENT_COMMON,
+        items: { list: 'element' },
+        width: 'any',
+        style: CONTAINER_STYLE,
+        verticalContentAlignment: VERTICAL_ALIGNMENT,
+        selectAction: { one: 'action' },
+        bleed: 'boolean',
+        backgroundImage: 'any',
+        minHeight: 'string'
+      }
+    },
+    fact: { required: ['title', 'value'], properties: { title: 'string', value: 'string' } },
+    choice: { required: ['title', 'value'], properties: { title: 'string', value: 'string' } }
+  }
+};
+
+// Types from newer Adaptive Card versions, which Webex does not render
+const UNSUPPORTED_TYPES = {
+  'Action.Execute': 'Adaptive Cards 1.4',
+  Table: 'Adaptive Cards 1.5',
+  Media: 'Webex',
+  'Input.Rating': 'Adaptive Cards 1.6'
+};
+
+const CARD_PROPERTIES = {
+  type: 'string',
+  version: 'string',
+  $schema: 'string',
+  body: { list: 'element' },
+  actions: { list: 'action' },
+  fallbackText: 'string',
+  speak: 'string',
+  lang: 'string',
+  minHeight: 'string',
+  backgroundImage: 'any',
+  selectAction: { one: 'action' },
+  verticalContentAlignment: VERTICAL_ALIGNMENT
+};
+
+/**
+ * Error thrown when a card does not validate
+ */
+export class CardValidationError extends Error {
+  /**
+   * @param {Array} errors - Problems as { path, message }
+   */
+  constructor(errors) {
+    const shown = errors.slice(0, 3).map(error => `${error.path}: ${error.message}`).join('; ');
+    const more = errors.length > 3 ? ` (and ${errors.length - 3} more)` : '';
+    super(`Invalid Adaptive Card: ${shown}${more}`);
+    this.name = 'CardValidationError';
+    this.errors = errors;
+  }
+
+  /**
+   * Serialize to the error envelope returned to MCP clients
+   * @returns {Object} { message, retryable, validationErrors }
+   */
+  toJSON() {
+    return { message: this.message, retryable: false, validationErrors: this.errors };
+  }
+}
+
+/**
+ * Check a value against a simple property rule
+ * @private
+ */
+function checkValue(rule, value) {
+  if (rule === 'any') return null;
+  if (Array.isArray(rule)) {
+    return rule.some(option => option.toLowerCase() === String(value).toLowerCase()) ? null : `must be one of ${rule.join(', ')}`;
+  }
+  if (rule === 'number') {
+    return typeof value === 'number' && Number.isFinite(value) ? null : 'must be a number';
+  }
+  return typeof value === rule ? null : `must be a ${rule}`;
+}
+
+/**
+ * Validate an Adaptive Card
+ * @param {Object} card - Adaptive Card JSON (type AdaptiveCard)
+ * @returns {Object} { valid, errors, warnings } where each problem is { path, message }
+ */
+export function validateCard(card) {
+  const errors = [];
+  const warnings = [];
+  const inputIds = new Map();
+
+  const fail = (path, message) => errors.push({ path, message });
+
+  function checkObject(value, definition, path) {
+    for (const property of definition.required || []) {
+      if (value[property] === undefined || value[property] === null || value[property] === '') {
+        fail(`${path}.${property}`, 'is required');
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (key === 'type' || child === undefined) continue;
+      const rule = definition.properties[key];
+      const childPath = `${path}.${key}`;
+      if (!rule) {
+        warnings.push({ path: childPath, message: 'is not an Adaptive Card 1.3 property and will be ignored' });
+      } else if (rule.list) {
+        if (!Array.isArray(child)) {
+          fail(childPath, 'must be an array');
+        } else {
+          child.forEach((item, i) => checkNode(rule.list, item, `${childPath}[${i}]`));
+        }
+      } else if (rule.one) {
+        checkNode(rule.one, child, childPath);
+      } else {
+        const problem = checkValue(rule, child);
+        if (problem) fail(childPath, problem);
+      }
+    }
+  }
+
+  function checkTyped(kind, value, path) {
+    const definitions = CARD_TYPES[kind === 'element' ? 'elements' : 'actions'];
+    const definition = definitions[value.type];
+    if (!value.type) {
+      fail(`${path}.type`, 'is required');
+      return;
+    }
+    if (!definition) {
+      const source = UNSUPPORTED_TYPES[value.type];
+      fail(`${path}.type`, source
+        ? `${value.type} is from ${source} and is not supported by Webex`
+        : `unknown ${kind} type "${value.type}"; expected one of ${Object.keys(definitions).join(', ')}`);
+      return;
+    }
+    if (value.type.startsWith('Input.') && value.id) {
+      if (inputIds.has(value.id)) {
+        fail(`${path}.id`, `duplicates the id of ${inputIds.get(value.id)}`);
+      } else {
+        inputIds.set(value.id, path);
+      }
+    }
+    checkObject(value, definition, path);
+  }
+
+  function checkNode(kind, value, path) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      fail(path, 'must be an object');
+      return;
+    }
+    if (kind === 'element' || kind === 'action') {
+      checkTyped(kind, value, path);
+    } else if (kind === 'card') {
+      checkCard(value, path);
+    } else {
+      const object = CARD_TYPES.objects[kind];
+      const definition = object.ref ? CARD_TYPES.elements[object.ref] : object;
+      if (object.type && value.type !== undefined && value.type !== object.type) {
+        fail(`${path}.type`, `must be ${object.type}`);
+        return;
+      }
+      checkObject(value, definition, path);
+    }
+  }
+
+  function checkCard(value, path) {
+    if (value.type !== 'AdaptiveCard') {
+      fail(`${path}.type`, 'must be AdaptiveCard');
+    }
+    if (path === '$') {
+      if (!value.version) {
+        fail('$.version', 'is required');
+      } else if (!SUPPORTED_VERSIONS.includes(String(value.version))) {
+        fail('$.version', `must be ${SUPPORTED_VERSIONS.join(', ')}; Webex renders Adaptive Cards up to ${CARD_VERSION}`);
+      }
+    }
+    checkObject(value, { properties: CARD_PROPERTIES }, path);
+  }
+
+  if (!card || typeof card !== 'object' || Array.isArray(card)) {
+    fail('$', 'must be an object');
+  } else {
+    checkCard(card, '$');
+  }
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Build an input element from its short description
+ * @private
+ */
+function buildInput(input) {
+  const common = {
+    id: input.id,
+    ...(input.label && { label: input.label }),
+    ...(input.required && { isRequired: true, ...(input.errorMessage && { errorMessage: input.errorMessage }) })
+  };
+
+  switch (input.type || 'text') {
+    case 'text':
+      return {
+        type: 'Input.Text',
+        ...common,
+        ...(input.placeholder && { placeholder: input.placeholder }),
+        ...(input.multiline && { isMultiline: true }),
+        ...(input.value !== undefined && { value: String(input.value) })
+      };
+    case 'number':
+      return { type: 'Input.Number', ...common, ...(input.placeholder && { placeholder: input.placeholder }), ...(input.value !== undefined && { value: Number(input.value) }) };
+    case 'date':
+      return { type: 'Input.Date', ...common, ...(input.value !== undefined && { value: String(input.value) }) };
+    case 'time':
+      return { type: 'Input.Time', ...common, ...(input.value !== undefined && { value: String(input.value) }) };
+    case 'toggle':
+      return { type: 'Input.Toggle', ...common, title: input.title || input.label || input.id, ...(input.value !== undefined && { value: String(input.value) }) };
+    case 'choice':
+      return {
+        type: 'Input.ChoiceSet',
+        ...common,
+        choices: (input.choices || []).map(choice => (typeof choice === 'object' ? choice : { title: String(choice), value: String(choice) })),
+        ...(input.multiSelect && { isMultiSelect: true }),
+        style: input.expanded ? 'expanded' : 'compact',
+        ...(input.value !== undefined && { value: String(input.value) })
+      };
+    default:
+      // Left for validation to report with its path
+      return { type: `Input.${input.type}`, ...common };
+  }
+}
+
+/**
+ * Build an action from its short description
+ * @private
+ */
+function buildAction(action) {
+  switch (action.type || (action.url ? 'openUrl' : 'submit')) {
+    case 'submit':
+      return { type: 'Action.Submit', title: action.title, ...(action.data !== undefined && { data: action.data }), ...(action.style && { style: action.style }) };
+    case 'openUrl':
+      return { type: 'Action.OpenUrl', title: action.title, url: action.url };
+    default:
+      return { type: `Action.${action.type}`, title: action.title };
+  }
+}
+
+/**
+ * Build an Adaptive Card from a short description
+ * @param {Object} description
+ * @param {string} [description.title] - Bold heading
+ * @param {string} [description.subtitle] - Subtle line under the title
+ * @param {string|string[]} [description.text] - Paragraphs (Markdown allowed)
+ * @param {Array|Object} [description.facts] - [{ title, value }] or { title: value }
+ * @param {string} [description.imageUrl] - Image shown after the text
+ * @param {Array} [description.inputs] - [{ id, type: text|number|date|time|toggle|choice, label, placeholder, required, multiline, choices, multiSelect, value }]
+ * @param {Array} [description.actions] - [{ title, type: submit|openUrl, data, url, style }]
+ * @returns {Object} Adaptive Card 1.3 JSON
+ */
+export function buildCard({ title, subtitle, text, facts, imageUrl, inputs = [], actions = [] } = {}) {
+  const body = [];
+  if (title) {
+    body.push({ type: 'TextBlock', text: title, size: 'large', weight: 'bolder', wrap: true });
+  }
+  if (subtitle) {
+    body.push({ type: 'TextBlock', text: subtitle, isSubtle: true, spacing: 'none', wrap: true });
+  }
+  for (const paragraph of [].concat(text || [])) {
+    body.push({ type: 'TextBlock', text: paragraph, wrap: true });
+  }
+  if (facts) {
+    const list = Array.isArray(facts) ? facts : Object.entries(facts).map(([factTitle, value]) => ({ title: factTitle, value }));
+    body.push({ type: 'FactSet', facts: list.map(fact => ({ title: String(fact.title), value: String(fact.value) })) });
+  }
+  if (imageUrl) {
+    body.push({ type: 'Image', url: imageUrl, size: 'stretch' });
+  }
+  body.push(...inputs.map(buildInput));
+
+  return {
+    type: 'AdaptiveCard',
+    $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+    version: CARD_VERSION,
+    body,
+    ...(actions.length > 0 && { actions: actions.map(buildAction) })
+  };
+}
+
+/**
+ * Derive plain-text fallback for clients that cannot render cards
+ * @param {Object} card - Adaptive Card JSON
+ * @returns {string} Text of the card's text blocks and facts
+ */
+export function cardFallbackText(card) {
+  const lines = [];
+  const visit = (elements = []) => {
+    for (const element of elements) {
+      if (element.type === 'TextBlock' && element.text) lines.push(element.text);
+      if (element.type === 'RichTextBlock') lines.push((element.inlines || []).map(inline => inline.text || '').join(''));
+      if (element.type === 'FactSet') lines.push(...(element.facts || []).map(fact => `${fact.title}: ${fact.value}`));
+      if (element.type === 'Container') visit(element.items);
+      if (element.type === 'ColumnSet') (element.columns || []).forEach(column => visit(column.items));
+    }
+  };
+  visit(card.body);
+  return card.fallbackText || lines.filter(Boolean).join('\n') || 'This message contains a card that your client cannot display.';
+}
+
+/**
+ * Unwrap a card given as an attachment ({ contentType, content }) or as card JSON
+ * @param {Object} card - Card or attachment
+ * @returns {Object} Card JSON
+ * @throws {CardValidationError} If an attachment has another content type
+ */
+export function unwrapCard(card) {
+  if (card && card.contentType !== undefined) {
+    if (card.contentType !== CARD_CONTENT_TYPE) {
+      throw new CardValidationError([{ path: '$.contentType', message: `must be ${CARD_CONTENT_TYPE}` }]);
+    }
+    return card.content;
+  }
+  return card;
+}
+
+/**
+ * Wrap a card as a Webex message attachment
+ * @param {Object} card - Adaptive Card JSON
+ * @returns {Object} { contentType, content }
+ */
+export function toAttachment(card) {
+  return { contentType: CARD_CONTENT_TYPE, content: card };
+}
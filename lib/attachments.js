@@ -0,0 +1,200 @@
+/**
+ * Attachments Module
+ * Downloads message files from their Webex content URLs. The Webex token is
+ * only ever sent to Webex hosts, downloads stop at a size cap (checked
+ * against Content-Length before reading, and while reading), and the file
+ * name comes from Content-Disposition. Text files are decoded for the
+ * caller; binaries can be saved to the download directory.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { getWebexBaseUrl, getWebexHeaders } from './webex-config.js';
+import { webexFetch } from './webex-client.js';
+import { WebexApiError } from './errors.js';
+
+// Largest file downloaded unless WEBEX_ATTACHMENT_MAX_BYTES says otherwise
+const DEFAULT_MAX_BYTES = 20 * 1024 * 1024;
+
+const DEFAULT_DOWNLOAD_DIR = path.join(os.homedir(), '.webex-mcp', 'downloads');
+
+// Hosts that serve Webex content URLs, in addition to the configured API host
+const CONTENT_HOSTS = new Set(['webexapis.com', 'api.ciscospark.com']);
+
+// Content types returned as text
+const TEXT_TYPES = new Set(['application/json', 'application/xml', 'application/x-yaml', 'application/yaml', 'application/csv']);
+
+// Extensions returned as text when the server sends a generic content type
+const TEXT_EXTENSIONS = new Set(['.txt', '.log', '.md', '.markdown', '.csv', '.tsv', '.json', '.xml', '.yaml', '.yml', '.html']);
+
+/**
+ * Parse a Content-Disposition header
+ * Handles quoted, unquoted and RFC 5987 (filename*=UTF-8''...) file names.
+ * @param {string|null} header - Header value
+ * @returns {Object} { filename } (undefined if the header has none)
+ */
+export function parseContentDisposition(header) {
+  if (!header) {
+    return {};
+  }
+
+  const extended = /filename\*\s*=\s*([^']*)'[^']*'([^;]+)/i.exec(header);
+  if (extended) {
+    try {
+      return { filename: decodeURIComponent(extended[2].trim()) };
+    } catch (e) {
+      // Malformed encoding; fall back to the plain filename parameter
+    }
+  }
+
+  const plain = /filename\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]+))/i.exec(header);
+  const filename = plain && (plain[1] !== undefined ? plain[1].replace(/\\(.)/g, '$1') : plain[2].trim());
+  return filename ? { filename } : {};
+}
+
+/**
+ * Check that a URL is a Webex content URL the token may be sent to
+ * @param {string} contentUrl - URL from a message's files array
+ * @returns {boolean} True for https /contents/ URLs on a Webex API host
+ */
+export function isContentUrl(contentUrl) {
+  let url;
+  try {
+    url = new URL(contentUrl);
+  } catch (e) {
+    return false;
+  }
+  const apiHost = new URL(getWebexBaseUrl()).host;
+  return url.protocol === 'https:' &&
+    (url.host === apiHost || CONTENT_HOSTS.has(url.host)) &&
+    /\/contents\/[^/]+$/.test(url.pathname);
+}
+
+/**
+ * Decide whether a file should be returned as text
+ * @param {string} contentType - Content-Type header (parameters allowed)
+ * @param {string} [filename] - File name
+ * @returns {boolean} True for text/*, JSON, XML, YAML and CSV content
+ */
+export function isTextContent(contentType, filename) {
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (type.startsWith('text/') || TEXT_TYPES.has(type) || type.endsWith('+json') || type.endsWith('+xml')) {
+    return true;
+  }
+  const generic = !type || type === 'application/octet-stream';
+  return generic && !!filename && TEXT_EXTENSIONS.has(path.extname(filename).toLowerCase());
+}
+
+/**
+ * Read a response body, stopping once it exceeds a size
+ * @private
+ */
+async function readBody(response, maxBytes) {
+  if (!response.body) {
+    const content = Buffer.from(await response.arrayBuffer());
+    return content.length > maxBytes ? null : content;
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      await response.body.cancel?.().catch(() => {});
+      return null;
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks.map(chunk => Buffer.from(chunk)));
+}
+
+/**
+ * Download a file from a Webex content URL
+ * A 423 (file still being scanned) is retried by the Webex client using Retry-After.
+ * @param {string} contentUrl - Content URL from a message's files array
+ * @param {Object} [options]
+ * @param {number} [options.maxBytes] - Size cap
+ * @returns {Promise<Object>} { filename, contentType, size, content? } where content is
+ *   missing (and tooLarge set) if the file exceeds the cap
+ * @throws {WebexApiError} If the URL is not a Webex content URL or the download fails
+ */
+export async function downloadAttachment(contentUrl, { maxBytes = DEFAULT_MAX_BYTES } = {}) {
+  if (!isContentUrl(contentUrl)) {
+    throw new WebexApiError(`${contentUrl} is not a Webex content URL. Use a URL from a message's files array.`, { retryable: false });
+  }
+
+  const response = await webexFetch(contentUrl, {
+    method: 'GET',
+    headers: await getWebexHeaders({ 'Accept': '*/*' })
+  });
+  if (!response.ok) {
+    throw await WebexApiError.fromResponse(response);
+  }
+
+  const { filename = decodeURIComponent(new URL(contentUrl).pathname.split('/').pop()) } =
+    parseContentDisposition(response.headers.get('content-disposition'));
+  const contentType = response.headers.get('content-type') || 'application/octet-stream';
+  const declaredSize = parseInt(response.headers.get('content-length'), 10);
+
+  if (declaredSize > maxBytes) {
+    await response.body?.cancel?.().catch(() => {});
+    return { filename, contentType, size: declaredSize, tooLarge: true };
+  }
+
+  const content = await readBody(response, maxBytes);
+  if (!content) {
+    return { filename, contentType, size: Number.isNaN(declaredSize) ? undefined : declaredSize, tooLarge: true };
+  }
+  return { filename, contentType, size: content.length, content };
+}
+
+/**
+ * Turn a server-supplied file name into a safe local one
+ * @private
+ */
+function safeFilename(filename) {
+  const cleaned = path.basename(String(filename || ''))
+    .replace(/[^\w.\- ()]/g, '_')
+    .replace(/^[.\s]+/, '')
+    .slice(0, 200);
+  return cleaned || 'attachment';
+}
+
+/**
+ * Save downloaded content to the download directory
+ * An existing file is never overwritten; a numeric suffix is added instead.
+ * @param {string} filename - File name from the download
+ * @param {Buffer} content - File content
+ * @param {string} [dir] - Download directory
+ * @returns {Promise<string>} Absolute path of the saved file
+ */
+export async function saveAttachment(filename, content, dir = DEFAULT_DOWNLOAD_DIR) {
+  await fs.mkdir(dir, { recursive: true });
+  const name = safeFilename(filename);
+  const extension = path.extname(name);
+  const stem = name.slice(0, name.length - extension.length);
+
+  for (let copy = 0; ; copy++) {
+    const filePath = path.resolve(dir, copy === 0 ? name : `${stem}-${copy}${extension}`);
+    try {
+      await fs.writeFile(filePath, content, { flag: 'wx' });
+      return filePath;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+  }
+}
+
+/**
+ * Read attachment settings from environment variables
+ * WEBEX_ATTACHMENT_MAX_BYTES caps downloads; WEBEX_DOWNLOAD_DIR is where saved files go.
+ * @returns {Object} { maxBytes, downloadDir }
+ */
+export function loadAttachmentSettings() {
+  const maxBytes = parseInt(process.env.WEBEX_ATTACHMENT_MAX_BYTES, 10);
+  return {
+    maxBytes: maxBytes > 0 ? maxBytes : DEFAULT_MAX_BYTES,
+    downloadDir: process.env.WEBEX_DOWNLOAD_DIR || DEFAULT_DOWNLOAD_DIR
+  };
+}
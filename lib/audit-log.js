@@ -0,0 +1,277 @@
+/**
+ * Audit Log Module
+ * Append-only JSON-lines record of every tool call: when, which session and
+ * caller, which tool with which (redacted) arguments, the Webex resources it
+ * touched, and how it ended. Stored at ~/.webex-mcp/audit.log by default and
+ * rotated to audit.log.1, audit.log.2, ... when it grows past a size limit.
+ */
+
+import { promises as fs, createReadStream } from 'fs';
+import path from 'path';
+import os from 'os';
+import readline from 'readline';
+import { globToRegExp } from './tool-policy.js';
+
+const DEFAULT_AUDIT_FILE = path.join(os.homedir(), '.webex-mcp', 'audit.log');
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+
+/**
+ * Caller identity for STDIO sessions, which have no authenticated principal
+ */
+export const LOCAL_PRINCIPAL = (() => {
+  try {
+    return `local:${os.userInfo().username}`;
+  } catch (e) {
+    return 'local';
+  }
+})();
+
+// Arguments whose values are never written to the log
+const SECRET_ARGUMENT = /token|secret|password|authorization|apikey|api_key/i;
+
+// Message content is logged as its length only
+const CONTENT_ARGUMENTS = new Set(['text', 'markdown', 'html', 'attachments', 'files', 'fileContent']);
+
+/**
+ * Redact tool arguments for the audit log
+ * Secrets are replaced and message content is reduced to its size.
+ * @param {Object} args - Tool arguments
+ * @returns {Object} Redacted copy
+ */
+export function redactArguments(args = {}) {
+  return Object.fromEntries(Object.entries(args || {}).map(([key, value]) => {
+    if (SECRET_ARGUMENT.test(key)) {
+      return [key, '[REDACTED]'];
+    }
+    if (CONTENT_ARGUMENTS.has(key) && value !== undefined && value !== null) {
+      const size = typeof value === 'string' ? `${value.length} chars` : `${JSON.stringify(value).length} bytes`;
+      return [key, `[${size}]`];
+    }
+    return [key, value];
+  }));
+}
+
+/**
+ * Collect the Webex resource IDs a call touched
+ * Reads *Id arguments (roomId, messageId, ...) and the matching fields of the result.
+ * @param {string} toolName - Tool name
+ * @param {Object} args - Tool arguments
+ * @param {*} result - Tool result
+ * @returns {Object} Map of field name to ID
+ */
+export function collectResourceIds(toolName, args = {}, result) {
+  const resources = {};
+  const take = (source) => {
+    for (const [key, value] of Object.entries(source || {})) {
+      if (/Id$/.test(key) && typeof value === 'string' && value && resources[key] === undefined) {
+        resources[key] = value;
+      }
+    }
+  };
+  take(args);
+
+  if (result && typeof result === 'object' && !Array.isArray(result) && !result.dryRun) {
+    take(result);
+    // The ID of a created/updated resource is named after the tool's noun (create_room -> roomId)
+    const noun = toolName.match(/^(?:create|update|get)_(room|message|team|membership|webhook|person)/)?.[1];
+    if (noun && typeof result.id === 'string' && resources[`${noun}Id`] === undefined) {
+      resources[`${noun}Id`] = result.id;
+    }
+  }
+  return resources;
+}
+
+/**
+ * Classify a tool result for the audit log
+ * @param {*} result - Tool result
+ * @returns {string} success, error, dry_run, confirmation_required or not_confirmed
+ */
+export function resultStatus(result) {
+  if (result && typeof result === 'object' && !Array.isArray(result)) {
+    if (result.error !== undefined && result.error !== null) return 'error';
+    if (result.dryRun === true) return 'dry_run';
+    if (result.confirmationRequired === true) return 'confirmation_required';
+    if (result.confirmed === false) return 'not_confirmed';
+  }
+  return 'success';
+}
+
+/**
+ * Parse a time filter: an ISO date/time or a relative duration such as 30m, 12h or 7d
+ * @param {string} value - Time filter
+ * @param {number} [now] - Reference time for relative durations
+ * @returns {number} Epoch milliseconds
+ */
+export function parseTime(value, now = Date.now()) {
+  const relative = String(value).trim().match(/^(\d+)\s*([mhdw])$/i);
+  if (relative) {
+    const unit = { m: 60e3, h: 3600e3, d: 86400e3, w: 7 * 86400e3 }[relative[2].toLowerCase()];
+    return now - Number(relative[1]) * unit;
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid time "${value}". Use an ISO date (2025-01-31, 2025-01-31T09:00:00Z) or a duration (30m, 12h, 7d).`);
+  }
+  return time;
+}
+
+/**
+ * Create an audit log writing to a given file
+ * @param {Object} [options]
+ * @param {string} [options.filePath] - Log file path
+ * @param {number} [options.maxBytes] - Rotate once the file would grow past this size
+ * @param {number} [options.maxFiles] - Rotated files to keep (audit.log.1 ... audit.log.N)
+ * @param {Function} [options.now] - Clock override for testing
+ * @returns {Object} Audit log with record, query and files
+ */
+export function createAuditLog({
+  filePath = DEFAULT_AUDIT_FILE,
+  maxBytes = DEFAULT_MAX_BYTES,
+  maxFiles = DEFAULT_MAX_FILES,
+  now = Date.now
+} = {}) {
+  // Appends are chained so concurrent tool calls never interleave or race a rotation
+  let queue = Promise.resolve();
+
+  async function rotate() {
+    await fs.rm(`${filePath}.${maxFiles}`, { force: true });
+    for (let i = maxFiles - 1; i >= 1; i--) {
+      await fs.rename(`${filePath}.${i}`, `${filePath}.${i + 1}`).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+    await fs.rename(filePath, `${filePath}.1`);
+  }
+
+  async function append(line) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true, mode: 0o700 });
+    const size = await fs.stat(filePath).then(stats => stats.size, () => 0);
+    if (size > 0 && size + Buffer.byteLength(line) > maxBytes) {
+      await rotate();
+    }
+    await fs.appendFile(filePath, line, { mode: 0o600 });
+  }
+
+  /**
+   * List log files, oldest first
+   * @returns {Promise<string[]>} Existing log file paths
+   */
+  async function files() {
+    const candidates = [];
+    for (let i = maxFiles; i >= 1; i--) {
+      candidates.push(`${filePath}.${i}`);
+    }
+    candidates.push(filePath);
+
+    const existing = [];
+    for (const candidate of candidates) {
+      if (await fs.access(candidate).then(() => true, () => false)) {
+        existing.push(candidate);
+      }
+    }
+    return existing;
+  }
+
+  return {
+    filePath,
+    files,
+
+    /**
+     * Append an entry for a finished tool call
+     * @param {Object} call
+     * @param {string} call.tool - Tool name
+     * @param {Object} [call.args] - Tool arguments (redacted before writing)
+     * @param {*} [call.result] - Tool result or error envelope
+     * @param {number} [call.startedAt] - Epoch ms the call started (the entry's timestamp)
+     * @param {string} [call.sessionId] - MCP session ID
+     * @param {string} [call.principal] - Authenticated caller
+     * @returns {Promise<Object>} The entry written
+     */
+    async record({ tool, args = {}, result, startedAt, sessionId, principal }) {
+      const finishedAt = now();
+      const entry = {
+        timestamp: new Date(startedAt ?? finishedAt).toISOString(),
+        sessionId: sessionId || null,
+        principal: principal || null,
+        tool,
+        args: redactArguments(args),
+        resources: collectResourceIds(tool, args, result),
+        status: resultStatus(result),
+        durationMs: startedAt !== undefined ? finishedAt - startedAt : null
+      };
+      if (entry.status === 'error') {
+        entry.error = result.error.message;
+        entry.trackingId = result.error.trackingId || null;
+      }
+
+      const line = `${JSON.stringify(entry)}\n`;
+      const write = queue.then(() => append(line));
+      queue = write.catch(() => {});
+      await write;
+      return entry;
+    },
+
+    /**
+     * Read entries matching every given filter, oldest first
+     * @param {Object} [filters]
+     * @param {string} [filters.tool] - Tool name or glob (e.g. delete_*)
+     * @param {string} [filters.roomId] - Room the call touched
+     * @param {string} [filters.principal] - Caller identity
+     * @param {string|number} [filters.since] - Earliest time (ISO, duration or epoch ms)
+     * @param {string|number} [filters.until] - Latest time (ISO, duration or epoch ms)
+     * @param {number} [filters.limit] - Keep only the most recent N matches
+     * @returns {Promise<Object[]>} Matching entries
+     */
+    async query({ tool, roomId, principal, since, until, limit } = {}) {
+      await queue;
+      const toolMatcher = tool ? globToRegExp(tool) : null;
+      const from = since !== undefined ? (typeof since === 'number' ? since : parseTime(since, now())) : -Infinity;
+      const to = until !== undefined ? (typeof until === 'number' ? until : parseTime(until, now())) : Infinity;
+
+      const matches = [];
+      for (const file of await files()) {
+        const lines = readline.createInterface({ input: createReadStream(file, 'utf-8'), crlfDelay: Infinity });
+        for await (const line of lines) {
+          if (!line.trim()) continue;
+          let entry;
+          try {
+            entry = JSON.parse(line);
+          } catch (e) {
+            continue;
+          }
+          const time = Date.parse(entry.timestamp);
+          if (time < from || time > to) continue;
+          if (toolMatcher && !toolMatcher.test(entry.tool)) continue;
+          if (roomId && entry.resources?.roomId !== roomId) continue;
+          if (principal && entry.principal !== principal) continue;
+          matches.push(entry);
+          if (limit && matches.length > limit) {
+            matches.shift();
+          }
+        }
+      }
+      return matches;
+    }
+  };
+}
+
+/**
+ * Create the audit log from environment variables
+ * WEBEX_AUDIT_LOG sets the file path ("off" disables the log);
+ * WEBEX_AUDIT_LOG_MAX_BYTES and WEBEX_AUDIT_LOG_MAX_FILES control rotation.
+ * @returns {Object|null} Audit log, or null when disabled
+ */
+export function loadAuditLog() {
+  const setting = process.env.WEBEX_AUDIT_LOG?.trim();
+  if (setting && ['off', 'false', 'none'].includes(setting.toLowerCase())) {
+    return null;
+  }
+  const maxBytes = parseInt(process.env.WEBEX_AUDIT_LOG_MAX_BYTES, 10);
+  const maxFiles = parseInt(process.env.WEBEX_AUDIT_LOG_MAX_FILES, 10);
+  return createAuditLog({
+    filePath: setting || DEFAULT_AUDIT_FILE,
+    maxBytes: maxBytes > 0 ? maxBytes : DEFAULT_MAX_BYTES,
+    maxFiles: maxFiles > 0 ? maxFiles : DEFAULT_MAX_FILES
+  });
+}
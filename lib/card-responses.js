@@ -0,0 +1,145 @@
+/**
+ * Card Responses Module
+ * Waits for people to submit an Adaptive Card. Submissions (attachment
+ * actions) arrive on the event bus when an attachmentActions webhook points
+ * at the webhook receiver, and are polled from the events API when the token
+ * can read it (compliance officers). Both sources feed the same result, so
+ * whichever sees a submission first wins.
+ */
+
+import { AsyncResource } from 'async_hooks';
+import defaultBus from './event-bus.js';
+import { getWebexUrl, getWebexHeaders } from './webex-config.js';
+import { fetchPages } from './pagination.js';
+import { isErrorResult } from './errors.js';
+import { apiTool as getAttachmentActionDetails } from '../tools/webex-public-workspace/webex-messaging/get-attachment-action-details.js';
+
+// How long to wait when no timeout is given
+export const DEFAULT_TIMEOUT_MS = 60 * 1000;
+
+// Delay between events API polls
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+
+// Upper bound on events read per poll
+const MAX_EVENTS_PER_POLL = 1000;
+
+/**
+ * Convert an attachment action into the response returned for its person
+ * @param {Object} action - Attachment action ({ id, personId, inputs, created, ... })
+ * @returns {Object} { actionId, personEmail?, inputs, submittedAt }
+ */
+export function toCardResponse(action) {
+  return {
+    actionId: action.id,
+    ...(action.personEmail && { personEmail: action.personEmail }),
+    inputs: action.inputs || {},
+    submittedAt: action.created
+  };
+}
+
+/**
+ * Wait for submissions to a card
+ * A person who submits more than once is reported with their latest submission.
+ * @param {Object} options
+ * @param {string} options.messageId - The message carrying the card
+ * @param {string} [options.since] - Only poll submissions from this time (ISO 8601), usually the message's creation time
+ * @param {number} [options.count=1] - Stop once this many people responded
+ * @param {number} [options.timeoutMs] - Stop waiting after this long
+ * @param {Object} [options.bus] - Event bus the webhook receiver publishes to
+ * @param {boolean} [options.poll=true] - Poll the events API
+ * @param {number} [options.pollIntervalMs] - Delay between polls
+ * @returns {Promise<Object>} { responses, received, complete, timedOut, eventsApi } where responses
+ *   maps personId to { actionId, personEmail?, inputs, submittedAt } and eventsApi is
+ *   'polled', 'unavailable' or 'disabled'
+ */
+export function awaitCardResponses({
+  messageId,
+  since = new Date().toISOString(),
+  count = 1,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  bus = defaultBus,
+  poll = true,
+  pollIntervalMs = DEFAULT_POLL_INTERVAL_MS
+}) {
+  return new Promise(resolve => {
+    const responses = new Map();
+    const seenActions = new Set();
+    let eventsApi = poll ? 'polled' : 'disabled';
+    let eventsError;
+    let finished = false;
+    let pollTimer;
+    let timeoutTimer;
+    let from = since;
+
+    function finish(timedOut) {
+      if (finished) return;
+      finished = true;
+      unsubscribe();
+      clearTimeout(timeoutTimer);
+      clearTimeout(pollTimer);
+      resolve({
+        responses: Object.fromEntries(responses),
+        received: responses.size,
+        complete: responses.size >= count,
+        timedOut,
+        eventsApi,
+        ...(eventsError && { eventsError })
+      });
+    }
+
+    function record(action) {
+      if (finished || !action || action.messageId !== messageId || seenActions.has(action.id)) return;
+      seenActions.add(action.id);
+      const previous = responses.get(action.personId);
+      if (previous && previous.submittedAt > action.created) return;
+      responses.set(action.personId, toCardResponse(action));
+      if (responses.size >= count) finish(false);
+    }
+
+    // Bound to the caller's context, so lookups use the caller's token rather than the webhook's
+    const unsubscribe = bus.subscribe({ resource: 'attachmentActions', event: 'created' }, AsyncResource.bind(async event => {
+      if (event.data?.messageId !== messageId) return;
+      let action = event.resourceData;
+      if (!action) {
+        action = await getAttachmentActionDetails.function({ id: event.data.id });
+        if (isErrorResult(action)) {
+          console.error(`[Cards] Could not read submission ${event.data.id}:`, action.error.message);
+          return;
+        }
+      }
+      record(action);
+    }));
+
+    async function pollEvents() {
+      try {
+        const url = new URL(getWebexUrl('/events'));
+        url.searchParams.set('resource', 'attachmentActions');
+        url.searchParams.set('type', 'created');
+        url.searchParams.set('from', from);
+        url.searchParams.set('max', '100');
+
+        const { items } = await fetchPages(url, { headers: await getWebexHeaders(), all: true, maxItems: MAX_EVENTS_PER_POLL });
+        for (const item of items) {
+          record(item.data);
+          if (item.created > from) from = item.created;
+        }
+      } catch (error) {
+        if (error.status === 403) {
+          // Only compliance officers can read events; rely on webhooks alone
+          eventsApi = 'unavailable';
+          eventsError = error.message;
+          return;
+        }
+        console.error('[Cards] Polling events failed:', error.message);
+      }
+      if (!finished) {
+        pollTimer = setTimeout(pollEvents, pollIntervalMs);
+      }
+    }
+
+    timeoutTimer = setTimeout(() => finish(true), timeoutMs);
+    if (poll) {
+      pollEvents();
+    }
+  });
+}
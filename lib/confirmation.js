@@ -0,0 +1,356 @@
+/**
+ * Confirmation Module
+ * Requires a human to confirm destructive tool calls. Before running, the
+ * target is fetched (room title, member count, message text, ...) and shown
+ * to the user through MCP elicitation. Clients without elicitation support
+ * get a two-phase flow: the first call returns the target and a single-use
+ * confirmToken, and the tool only runs when called again with that token.
+ */
+
+import { randomBytes, createHash } from 'crypto';
+import { getWebexUrl, getWebexHeaders } from './webex-config.js';
+import { webexFetch } from './webex-client.js';
+import { WebexApiError, isErrorResult } from './errors.js';
+import { fetchPages } from './pagination.js';
+import { globToRegExp, parseList } from './tool-policy.js';
+import { syncWebhooks } from './webhook-sync.js';
+import messageGroups from './message-chunks.js';
+
+// Tools that require confirmation unless WEBEX_CONFIRM_TOOLS says otherwise
+export const DEFAULT_CONFIRM_TOOLS = [
+  'delete_message',
+  'delete_room',
+  'delete_team',
+  'delete_membership',
+  'delete_person',
+  'delete_webhook',
+  'sync_webhooks'
+];
+
+// Tools that only need confirmation for some calls
+export const CONFIRM_CONDITIONS = {
+  // Without apply, sync_webhooks only returns its plan
+  sync_webhooks: ({ apply }) => apply === true
+};
+
+// How long a fallback confirmToken stays valid
+const CONFIRM_TOKEN_TTL_MS = 5 * 60 * 1000;
+
+// Member counts above this are reported as "N+"
+const MEMBER_COUNT_LIMIT = 1000;
+
+/**
+ * GET a Webex resource as JSON
+ * @private
+ */
+async function getResource(endpoint) {
+  const response = await webexFetch(getWebexUrl(endpoint), {
+    method: 'GET',
+    headers: await getWebexHeaders()
+  });
+  if (!response.ok) {
+    throw await WebexApiError.fromResponse(response);
+  }
+  return response.json();
+}
+
+/**
+ * Count members of a room or team, stopping after one large page
+ * @private
+ */
+async function countMembers(endpoint) {
+  const page = await fetchPages(getWebexUrl(`${endpoint}&max=${MEMBER_COUNT_LIMIT}`), {
+    headers: await getWebexHeaders()
+  });
+  return page.nextCursor ? `${page.items.length}+` : page.items.length;
+}
+
+/**
+ * Fetch the context shown to the user for each destructive tool
+ * Each describer returns a plain object of labelled fields.
+ */
+export const TARGET_DESCRIBERS = {
+  async delete_message({ messageId, allParts = true }) {
+    const message = await getResource(`/messages/${encodeURIComponent(messageId)}`);
+    // A long message split into parts is deleted as a whole
+    const group = allParts ? await messageGroups.find(messageId) : null;
+    return {
+      'Message': message.text || message.markdown || '(no text)',
+      'Sent by': message.personEmail,
+      'Sent at': message.created,
+      'Attachments': message.files?.length || undefined,
+      'Parts': group ? group.messageIds.length : undefined
+    };
+  },
+
+  async delete_room({ roomId }) {
+    const room = await getResource(`/rooms/${encodeURIComponent(roomId)}`);
+    return {
+      'Room': room.title,
+      'Type': room.type,
+      'Members': await countMembers(`/memberships?roomId=${encodeURIComponent(roomId)}`),
+      'Last activity': room.lastActivity
+    };
+  },
+
+  async delete_team({ teamId }) {
+    const team = await getResource(`/teams/${encodeURIComponent(teamId)}`);
+    return {
+      'Team': team.name,
+      'Members': await countMembers(`/team/memberships?teamId=${encodeURIComponent(teamId)}`),
+      'Created': team.created
+    };
+  },
+
+  async delete_membership({ membershipId }) {
+    const membership = await getResource(`/memberships/${encodeURIComponent(membershipId)}`);
+    const room = await getResource(`/rooms/${encodeURIComponent(membership.roomId)}`).catch(() => null);
+    return {
+      'Person': membership.personDisplayName,
+      'Email': membership.personEmail,
+      'Room': room?.title || membership.roomId,
+      'Moderator': membership.isModerator
+    };
+  },
+
+  async delete_person({ personId }) {
+    const person = await getResource(`/people/${encodeURIComponent(personId)}`);
+    return {
+      'Person': person.displayName,
+      'Emails': person.emails?.join(', '),
+      'Status': person.status
+    };
+  },
+
+  async delete_webhook({ webhookId }) {
+    const webhook = await getResource(`/webhooks/${encodeURIComponent(webhookId)}`);
+    return {
+      'Webhook': webhook.name,
+      'Target URL': webhook.targetUrl,
+      'Resource': webhook.resource,
+      'Event': webhook.event,
+      'Status': webhook.status
+    };
+  },
+
+  async sync_webhooks({ webhooks, prune, ownedBy }) {
+    const result = await syncWebhooks({ webhooks, prune, ownedBy });
+    if (isErrorResult(result)) {
+      throw new WebexApiError(result.error.message);
+    }
+    const planned = action => result.plan
+      .filter(entry => entry.action === action)
+      .map(entry => `${entry.name} (${entry.reason})`)
+      .join(', ');
+    return {
+      'Delete': planned('delete'),
+      'Re-create': planned('replace'),
+      'Update': planned('update'),
+      'Create': planned('create')
+    };
+  }
+};
+
+/**
+ * Hash the tool name and arguments a confirmToken is bound to
+ * @private
+ */
+function fingerprint(name, args) {
+  const { confirmToken, ...rest } = args || {};
+  const canonical = JSON.stringify(Object.keys(rest).sort().map(key => [key, rest[key]]));
+  return createHash('sha256').update(`${name}\n${canonical}`).digest('hex');
+}
+
+/**
+ * Render target details as "Label: value" lines
+ * @private
+ */
+function formatTarget(target) {
+  return Object.entries(target)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([label, value]) => `${label}: ${value}`)
+    .join('\n');
+}
+
+/**
+ * Create a confirmation gate
+ * @param {Object} [options]
+ * @param {string[]} [options.tools] - Globs of tools that require confirmation
+ * @param {Object} [options.describers] - Map of tool name to async target describer
+ * @param {Object} [options.conditions] - Map of tool name to a predicate on its arguments; false skips confirmation
+ * @param {number} [options.ttlMs] - Lifetime of fallback confirmTokens
+ * @param {Function} [options.now] - Clock override for testing
+ * @returns {Object} Gate with requires, withConfirmParameter and check
+ */
+export function createConfirmationGate({
+  tools = DEFAULT_CONFIRM_TOOLS,
+  describers = TARGET_DESCRIBERS,
+  conditions = CONFIRM_CONDITIONS,
+  ttlMs = CONFIRM_TOKEN_TTL_MS,
+  now = Date.now
+} = {}) {
+  const matchers = tools.map(globToRegExp);
+  const pending = new Map();
+
+  function requires(name) {
+    return matchers.some(matcher => matcher.test(name));
+  }
+
+  /**
+   * Load the target context, falling back to the raw arguments on failure
+   */
+  async function describeTarget(name, args) {
+    const { confirmToken, ...rest } = args || {};
+    const describer = describers[name];
+    if (!describer) {
+      return { ...rest };
+    }
+    try {
+      return await describer(rest);
+    } catch (error) {
+      return { ...rest, 'Warning': `Could not load the target (${error.message})` };
+    }
+  }
+
+  function issueToken(name, args) {
+    for (const [token, entry] of pending) {
+      if (entry.expiresAt <= now()) {
+        pending.delete(token);
+      }
+    }
+    const token = randomBytes(16).toString('base64url');
+    const expiresAt = now() + ttlMs;
+    pending.set(token, { fingerprint: fingerprint(name, args), expiresAt });
+    return { token, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  function redeemToken(name, args) {
+    const entry = pending.get(args.confirmToken);
+    if (!entry || entry.expiresAt <= now() || entry.fingerprint !== fingerprint(name, args)) {
+      return false;
+    }
+    pending.delete(args.confirmToken);
+    return true;
+  }
+
+  return {
+    requires,
+
+    /**
+     * Add the confirmToken parameter to a tool definition that requires confirmation
+     * @param {Object} definition - Tool definition.function
+     * @returns {Object} Definition (a copy if the parameter was added)
+     */
+    withConfirmParameter(definition) {
+      if (!requires(definition.name)) {
+        return definition;
+      }
+      return {
+        ...definition,
+        parameters: {
+          ...definition.parameters,
+          properties: {
+            ...definition.parameters?.properties,
+            confirmToken: {
+              type: 'string',
+              description: 'Token returned by a previous call to confirm this action. Only pass it after the user has approved the action shown in that response.'
+            }
+          }
+        }
+      };
+    },
+
+    /**
+     * Decide whether a tool call may proceed
+     * @param {string} name - Tool name
+     * @param {Object} args - Tool arguments (may include confirmToken)
+     * @param {Object} [client]
+     * @param {Function} [client.elicit] - Sends an elicitation/create request; omit if the client lacks elicitation support
+     * @returns {Promise<Object>} { proceed: true, args } or { proceed: false, result }
+     */
+    async check(name, args = {}, { elicit } = {}) {
+      if (!requires(name)) {
+        return { proceed: true, args };
+      }
+
+      const { confirmToken, ...toolArgs } = args;
+      if (conditions[name] && !conditions[name](toolArgs)) {
+        return { proceed: true, args: toolArgs };
+      }
+
+      if (!elicit && confirmToken) {
+        if (redeemToken(name, args)) {
+          return { proceed: true, args: toolArgs };
+        }
+        return {
+          proceed: false,
+          result: {
+            error: {
+              message: 'Invalid or expired confirmToken. Call the tool again without confirmToken to get a new one.',
+              retryable: false
+            }
+          }
+        };
+      }
+
+      const target = await describeTarget(name, toolArgs);
+
+      if (elicit) {
+        const response = await elicit({
+          message: `Confirm ${name.replace(/_/g, ' ')}?\n\n${formatTarget(target)}\n\nThis cannot be undone.`,
+          requestedSchema: {
+            type: 'object',
+            properties: {
+              confirm: {
+                type: 'boolean',
+                title: 'Confirm',
+                description: `Run ${name}`
+              }
+            },
+            required: ['confirm']
+          }
+        });
+
+        if (response.action === 'accept' && response.content?.confirm === true) {
+          return { proceed: true, args: toolArgs };
+        }
+        return {
+          proceed: false,
+          result: {
+            confirmed: false,
+            action: response.action,
+            message: `${name} was not run: the user did not confirm.`,
+            target
+          }
+        };
+      }
+
+      const { token, expiresAt } = issueToken(name, toolArgs);
+      return {
+        proceed: false,
+        result: {
+          confirmationRequired: true,
+          message: `${name} needs the user's confirmation. Show them the target below and, only if they approve, call ${name} again with the same arguments and this confirmToken.`,
+          target,
+          confirmToken: token,
+          expiresAt
+        }
+      };
+    }
+  };
+}
+
+/**
+ * Create the confirmation gate from environment variables
+ * WEBEX_CONFIRM_TOOLS is a comma-separated list of globs; "none" disables confirmation.
+ * @returns {Object} Confirmation gate
+ */
+export function loadConfirmationGate() {
+  const setting = process.env.WEBEX_CONFIRM_TOOLS;
+  if (setting === undefined || setting.trim() === '') {
+    return createConfirmationGate();
+  }
+  return createConfirmationGate({
+    tools: setting.trim().toLowerCase() === 'none' ? [] : parseList(setting)
+  });
+}
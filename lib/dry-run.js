@@ -0,0 +1,186 @@
+/**
+ * Dry-Run Module
+ * Lets mutating tools run without side effects. Inside a dry run, the Webex
+ * client records POST/PUT/PATCH/DELETE requests instead of sending them
+ * (GETs still go through so references can be resolved), and the state
+ * manager records writes instead of saving them.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { globToRegExp } from './tool-policy.js';
+import { resolveReferences } from './references.js';
+import { isErrorResult } from './errors.js';
+
+// Tools that accept dryRun
+const DRY_RUN_PATTERNS = ['create_*', 'update_*', 'delete_*', 'mark_*', 'unlink_*', 'sync_*', 'send_*'];
+
+// HTTP methods that are safe to perform during a dry run
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+const _dryRunContext = new AsyncLocalStorage();
+const _matchers = DRY_RUN_PATTERNS.map(globToRegExp);
+
+/**
+ * Check whether a tool supports dry runs
+ * @param {string} name - Tool name
+ * @returns {boolean} True for create_*, update_*, delete_*, mark_*, unlink_*, sync_* and send_* tools
+ */
+export function supportsDryRun(name) {
+  return _matchers.some(matcher => matcher.test(name));
+}
+
+/**
+ * Check whether dry-run mode is enabled server-wide (WEBEX_DRY_RUN=true)
+ * @returns {boolean} True if every mutating call should be a dry run
+ */
+export function isDryRunEnabled() {
+  return process.env.WEBEX_DRY_RUN === 'true';
+}
+
+/**
+ * Add the dryRun parameter to a tool definition that supports it
+ * @param {Object} definition - Tool definition.function
+ * @returns {Object} Definition (a copy if the parameter was added)
+ */
+export function withDryRunParameter(definition) {
+  if (!supportsDryRun(definition.name)) {
+    return definition;
+  }
+  return {
+    ...definition,
+    parameters: {
+      ...definition.parameters,
+      properties: {
+        ...definition.parameters?.properties,
+        dryRun: {
+          type: 'boolean',
+          description: 'Validate the call and return the HTTP request it would send, without changing anything in Webex or local state.'
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Get the active dry-run recorder, if any
+ * @returns {Object|undefined} Recorder with requests and stateWrites arrays
+ */
+export function getDryRunContext() {
+  return _dryRunContext.getStore();
+}
+
+/**
+ * Check whether a request would be intercepted in the current dry run
+ * @param {string} [method] - HTTP method
+ * @returns {boolean} True if inside a dry run and the method mutates
+ */
+export function shouldInterceptRequest(method = 'GET') {
+  return !!getDryRunContext() && !SAFE_METHODS.has(method.toUpperCase());
+}
+
+/**
+ * Describe a request body for the dry-run report
+ * @private
+ */
+function describeBody(body) {
+  if (body === undefined || body === null) {
+    return undefined;
+  }
+  if (typeof body === 'string') {
+    try {
+      return JSON.parse(body);
+    } catch (e) {
+      return body;
+    }
+  }
+  if (body instanceof URLSearchParams) {
+    return Object.fromEntries(body);
+  }
+  if (typeof FormData !== 'undefined' && body instanceof FormData) {
+    return Object.fromEntries([...body.entries()].map(([key, value]) =>
+      [key, typeof value === 'string' ? value : `[file ${value.name || 'blob'}, ${value.size} bytes]`]
+    ));
+  }
+  return `[${body.constructor?.name || typeof body} body]`;
+}
+
+/**
+ * Record an intercepted request and build the response a tool will see
+ * @param {string|URL} url - Request URL
+ * @param {Object} init - fetch options
+ * @returns {Response} Synthetic success response
+ */
+export function recordDryRunRequest(url, init = {}) {
+  const context = getDryRunContext();
+  const method = (init.method || 'GET').toUpperCase();
+  const headers = Object.fromEntries(
+    [...(init.headers instanceof Headers ? init.headers.entries() : Object.entries(init.headers || {}))]
+      .filter(([name]) => name.toLowerCase() !== 'authorization')
+  );
+  const body = describeBody(init.body);
+
+  context.requests.push({ method, url: String(url), headers, ...(body !== undefined && { body }) });
+
+  if (method === 'DELETE') {
+    return new Response(null, { status: 204 });
+  }
+  // Echo the body back as the "created" resource so chained calls keep working
+  const echoed = body && typeof body === 'object' ? body : {};
+  return new Response(JSON.stringify({ id: `dry-run-${context.requests.length}`, ...echoed }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * Record a state write that was skipped because of a dry run
+ * @param {string} operation - State manager operation (e.g. markChecked)
+ * @param {Object} details - Operation arguments
+ * @returns {boolean} True if the write was recorded (and must be skipped)
+ */
+export function recordDryRunStateWrite(operation, details) {
+  const context = getDryRunContext();
+  if (!context) {
+    return false;
+  }
+  context.stateWrites.push({ operation, ...details });
+  return true;
+}
+
+/**
+ * Run a function as a dry run
+ * @param {Function} fn - Function performing the tool call
+ * @returns {Promise<Object>} { result, requests, stateWrites }
+ */
+export async function runDryRun(fn) {
+  const context = { requests: [], stateWrites: [] };
+  const result = await _dryRunContext.run(context, fn);
+  return { result, requests: context.requests, stateWrites: context.stateWrites };
+}
+
+/**
+ * Dry-run a tool call and describe what it would do
+ * References in the arguments are resolved first, then the tool runs with
+ * mutating requests and state writes recorded instead of performed.
+ * @param {string} name - Tool name
+ * @param {Object} args - Tool arguments (without dryRun)
+ * @param {Function} toolFunction - The tool's implementation
+ * @returns {Promise<Object>} { dryRun, tool, valid, references, requests, stateWrites, error? }
+ */
+export async function dryRunTool(name, args, toolFunction) {
+  const references = await resolveReferences(name, args);
+  const { result, requests, stateWrites } = await runDryRun(() => toolFunction(args));
+
+  const report = {
+    dryRun: true,
+    tool: name,
+    valid: Object.values(references).every(reference => reference.found) && !isErrorResult(result),
+    references,
+    requests,
+    stateWrites
+  };
+  if (isErrorResult(result)) {
+    report.error = result.error;
+  }
+  return report;
+}
@@ -0,0 +1,167 @@
+/**
+ * Error Module
+ * Normalized error type for Webex API failures and the structured error
+ * envelope every tool returns, so callers always see status, trackingId,
+ * error code and whether the request is worth retrying.
+ */
+
+const RETRYABLE_STATUSES = new Set([423, 429, 500, 502, 503, 504]);
+
+// Scopes required by each top-level Webex resource, used for 403 hints
+const RESOURCE_SCOPES = {
+  messages: ['spark:messages_read', 'spark:messages_write'],
+  rooms: ['spark:rooms_read', 'spark:rooms_write'],
+  memberships: ['spark:memberships_read', 'spark:memberships_write'],
+  teams: ['spark:teams_read', 'spark:teams_write'],
+  team: ['spark:team_memberships_read', 'spark:team_memberships_write'],
+  people: ['spark:people_read', 'spark-admin:people_write'],
+  events: ['spark-compliance:events_read'],
+  attachment: ['spark:messages_write'],
+  room: ['spark:rooms_read', 'spark:rooms_write']
+};
+
+/**
+ * Structured error for failed Webex API requests
+ */
+export class WebexApiError extends Error {
+  /**
+   * @param {string} message - Human-readable error message
+   * @param {Object} [details]
+   * @param {number} [details.status] - HTTP status code
+   * @param {string} [details.trackingId] - Webex trackingId for support tickets
+   * @param {string|number} [details.code] - Webex error code, if provided
+   * @param {boolean} [details.retryable] - Whether retrying may succeed
+   * @param {string} [details.hint] - Suggested fix (e.g. missing scope)
+   */
+  constructor(message, { status, trackingId, code, retryable, hint } = {}) {
+    super(message);
+    this.name = 'WebexApiError';
+    this.status = status;
+    this.trackingId = trackingId;
+    this.code = code;
+    this.retryable = retryable ?? RETRYABLE_STATUSES.has(status);
+    this.hint = hint;
+  }
+
+  /**
+   * Build an error from a non-OK fetch Response
+   * @param {Response} response - The failed response (body not yet read)
+   * @returns {Promise<WebexApiError>} The normalized error
+   */
+  static async fromResponse(response) {
+    const body = await readErrorBody(response);
+    const data = body && typeof body === 'object' ? body : {};
+    const firstError = Array.isArray(data.errors) ? data.errors[0] : undefined;
+
+    const message = data.message
+      || firstError?.description
+      || (typeof data.error === 'string' ? data.error : undefined)
+      || (typeof body === 'string' && body ? body : undefined)
+      || `HTTP ${response.status}${response.statusText ? `: ${response.statusText}` : ''}`;
+
+    return new WebexApiError(message, {
+      status: response.status,
+      trackingId: data.trackingId || response.headers?.get?.('trackingid') || undefined,
+      code: data.errorCode ?? firstError?.errorCode,
+      hint: buildHint(response.status, response.url)
+    });
+  }
+
+  /**
+   * Serialize to the error envelope returned to MCP clients
+   * @returns {Object} Plain error object with undefined fields omitted
+   */
+  toJSON() {
+    return Object.fromEntries(Object.entries({
+      message: this.message,
+      status: this.status,
+      trackingId: this.trackingId,
+      code: this.code,
+      retryable: this.retryable,
+      hint: this.hint
+    }).filter(([, value]) => value !== undefined));
+  }
+}
+
+/**
+ * Read an error body as JSON if possible, falling back to text
+ * @private
+ */
+async function readErrorBody(response) {
+  try {
+    if (typeof response.text === 'function') {
+      const text = await response.text();
+      try {
+        return JSON.parse(text);
+      } catch (e) {
+        return text;
+      }
+    }
+    return await response.json();
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Suggest a likely fix for auth-related statuses
+ * @private
+ */
+function buildHint(status, url) {
+  if (status === 401) {
+    return 'The Webex access token is missing, invalid or expired. Re-authenticate with /webex:authenticate or update WEBEX_PUBLIC_WORKSPACE_API_KEY.';
+  }
+
+  if (status === 403) {
+    let segments = [];
+    try {
+      segments = new URL(url).pathname.split('/');
+    } catch (e) {
+      // Mocked or relative responses carry no URL; fall back to a generic hint
+    }
+    const resource = segments.find(segment => Object.hasOwn(RESOURCE_SCOPES, segment));
+    const scopes = resource && RESOURCE_SCOPES[resource];
+    return scopes
+      ? `The token may be missing a required scope (${scopes.join(' or ')}), or the user lacks permission for this resource.`
+      : 'The token may be missing a required scope, or the user lacks permission for this resource.';
+  }
+
+  if (status === 429) {
+    return 'Webex rate limit exceeded. Wait before retrying.';
+  }
+
+  if (status === 423) {
+    return 'Webex is still scanning the file for malware. Wait a few seconds before retrying.';
+  }
+
+  return undefined;
+}
+
+/**
+ * Convert any error into the envelope tools return on failure
+ * Errors with a toJSON method (WebexApiError, validation errors) serialize themselves.
+ * @param {Error} error - The caught error
+ * @param {string} fallbackMessage - Message to use if the error has none
+ * @returns {Object} { error: { message, status?, trackingId?, code?, retryable, hint? } }
+ */
+export function toErrorResult(error, fallbackMessage) {
+  if (typeof error?.toJSON === 'function') {
+    return { error: error.toJSON() };
+  }
+
+  return {
+    error: {
+      message: error?.message || fallbackMessage,
+      retryable: false
+    }
+  };
+}
+
+/**
+ * Check whether a tool result is an error envelope
+ * @param {*} result - Value returned by a tool function
+ * @returns {boolean} True if the result carries an error
+ */
+export function isErrorResult(result) {
+  return !!result && typeof result === 'object' && !Array.isArray(result) && result.error !== undefined && result.error !== null;
+}
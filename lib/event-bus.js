@@ -0,0 +1,70 @@
+/**
+ * Event Bus Module
+ * In-process publish/subscribe for Webex events received by the webhook
+ * receiver. Consumers (resource subscriptions, unread tracking, bots, ...)
+ * subscribe with an optional filter and get every matching event.
+ */
+
+/**
+ * Check whether an event matches a subscription filter
+ * @private
+ */
+function matches(filter, event) {
+  return Object.entries(filter).every(([key, expected]) =>
+    expected === undefined || (Array.isArray(expected) ? expected.includes(event[key]) : event[key] === expected)
+  );
+}
+
+/**
+ * Create an event bus
+ * @returns {Object} Bus with publish, subscribe and size
+ */
+export function createEventBus() {
+  const handlers = new Set();
+
+  return {
+    /**
+     * Deliver an event to every matching subscriber
+     * Handler errors are logged and do not affect other subscribers.
+     * @param {Object} event - Event ({ resource, event, roomId, webhookId, data, ... })
+     * @returns {Promise<number>} Number of handlers the event was delivered to
+     */
+    async publish(event) {
+      const targets = [...handlers].filter(entry => matches(entry.filter, event));
+      await Promise.all(targets.map(async ({ handler }) => {
+        try {
+          await handler(event);
+        } catch (error) {
+          console.error(`[Events] Handler failed for ${event.resource}:${event.event}:`, error.message);
+        }
+      }));
+      return targets.length;
+    },
+
+    /**
+     * Subscribe to events
+     * @param {Object} [filter] - Fields an event must match, e.g. { resource: 'messages', event: ['created', 'updated'], roomId }
+     * @param {Function} handler - Called with each matching event (may be async)
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(filter, handler) {
+      if (typeof filter === 'function') {
+        [filter, handler] = [{}, filter];
+      }
+      const entry = { filter: filter || {}, handler };
+      handlers.add(entry);
+      return () => handlers.delete(entry);
+    },
+
+    /**
+     * Number of active subscribers
+     * @returns {number}
+     */
+    size() {
+      return handlers.size;
+    }
+  };
+}
+
+// Default instance shared by the webhook receiver and its consumers
+export default createEventBus();
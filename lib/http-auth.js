@@ -0,0 +1,223 @@
+/**
+ * HTTP Authentication Module
+ * Verifies inbound bearer tokens on the HTTP transport, using either a static
+ * list of API keys or JWTs signed by a key from a configured JWKS file.
+ * Plugs into the MCP SDK's requireBearerAuth middleware as a token verifier.
+ */
+
+import fs from 'fs';
+import { constants, createPublicKey, timingSafeEqual, createHash, verify as verifySignature } from 'crypto';
+import { InvalidTokenError } from '@modelcontextprotocol/sdk/server/auth/errors.js';
+
+// Allowed clock skew when checking exp/nbf (seconds)
+const CLOCK_SKEW_SECONDS = 60;
+
+// API keys never expire; report a short rolling lifetime to satisfy the SDK middleware
+const API_KEY_LIFETIME_SECONDS = 3600;
+
+// JWS algorithms accepted for JWTs, mapped to Node digest and signature options
+const JWT_ALGORITHMS = {
+  RS256: { digest: 'sha256' },
+  RS384: { digest: 'sha384' },
+  RS512: { digest: 'sha512' },
+  PS256: { digest: 'sha256', pssSaltLength: 32 },
+  PS384: { digest: 'sha384', pssSaltLength: 48 },
+  PS512: { digest: 'sha512', pssSaltLength: 64 },
+  ES256: { digest: 'sha256', ecdsa: true },
+  ES384: { digest: 'sha384', ecdsa: true },
+  ES512: { digest: 'sha512', ecdsa: true },
+  EdDSA: { digest: null }
+};
+
+/**
+ * Parse MCP_HTTP_API_KEYS entries of the form "name:key" or "key"
+ * @param {string} value - Comma-separated list of keys
+ * @returns {Array<{principal: string, key: string}>} Parsed keys
+ */
+export function parseApiKeys(value) {
+  if (!value) {
+    return [];
+  }
+
+  return value.split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map((entry, index) => {
+      const separator = entry.indexOf(':');
+      return separator > 0
+        ? { principal: entry.slice(0, separator), key: entry.slice(separator + 1) }
+        : { principal: `api-key-${index + 1}`, key: entry };
+    });
+}
+
+/**
+ * Read HTTP authentication settings from the environment
+ * @returns {Object} { apiKeys, jwks, issuer, audience, enabled }
+ * @throws {Error} If the JWKS file cannot be read or parsed
+ */
+export function loadHttpAuthConfig() {
+  const apiKeys = parseApiKeys(process.env.MCP_HTTP_API_KEYS);
+  const jwksFile = process.env.MCP_HTTP_JWKS_FILE;
+  let jwks = null;
+
+  if (jwksFile) {
+    try {
+      jwks = JSON.parse(fs.readFileSync(jwksFile, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to load JWKS file ${jwksFile}: ${error.message}`);
+    }
+    if (!Array.isArray(jwks?.keys)) {
+      throw new Error(`JWKS file ${jwksFile} has no "keys" array`);
+    }
+  }
+
+  return {
+    apiKeys,
+    jwks,
+    issuer: process.env.MCP_HTTP_JWT_ISSUER || undefined,
+    audience: process.env.MCP_HTTP_JWT_AUDIENCE || undefined,
+    enabled: apiKeys.length > 0 || !!jwks
+  };
+}
+
+/**
+ * Compare two secrets in constant time
+ * @private
+ */
+function secretsEqual(a, b) {
+  // Hash first so differing lengths do not leak through timingSafeEqual
+  const hashA = createHash('sha256').update(a).digest();
+  const hashB = createHash('sha256').update(b).digest();
+  return timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Decode a base64url JWT segment as JSON
+ * @private
+ */
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (e) {
+    throw new InvalidTokenError('Malformed JWT');
+  }
+}
+
+/**
+ * Verify a JWT against the JWKS and return its claims
+ * @param {string} token - Compact-serialized JWT
+ * @param {Object} options - { jwks, issuer, audience, now }
+ * @returns {Object} Verified JWT payload
+ * @throws {InvalidTokenError} If the token is malformed, unsigned by a known key or invalid
+ */
+export function verifyJwt(token, { jwks, issuer, audience, now = Date.now() }) {
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    throw new InvalidTokenError('Malformed JWT');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+  const header = decodeSegment(encodedHeader);
+  const payload = decodeSegment(encodedPayload);
+
+  const algorithm = JWT_ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw new InvalidTokenError(`Unsupported JWT algorithm: ${header.alg}`);
+  }
+
+  const candidates = jwks.keys.filter(jwk =>
+    (!header.kid || jwk.kid === header.kid) && (!jwk.alg || jwk.alg === header.alg) && jwk.use !== 'enc'
+  );
+  if (candidates.length === 0) {
+    throw new InvalidTokenError('No matching key for JWT');
+  }
+
+  const data = Buffer.from(`${encodedHeader}.${encodedPayload}`);
+  const signature = Buffer.from(encodedSignature, 'base64url');
+  const verified = candidates.some(jwk => {
+    try {
+      const key = createPublicKey({ key: jwk, format: 'jwk' });
+      const options = { key };
+      if (algorithm.pssSaltLength) {
+        options.padding = constants.RSA_PKCS1_PSS_PADDING;
+        options.saltLength = algorithm.pssSaltLength;
+      }
+      if (algorithm.ecdsa) {
+        options.dsaEncoding = 'ieee-p1363';
+      }
+      return verifySignature(algorithm.digest, data, options, signature);
+    } catch (e) {
+      return false;
+    }
+  });
+  if (!verified) {
+    throw new InvalidTokenError('Invalid JWT signature');
+  }
+
+  const nowSeconds = Math.floor(now / 1000);
+  if (typeof payload.exp !== 'number') {
+    throw new InvalidTokenError('JWT has no expiration time');
+  }
+  if (payload.exp + CLOCK_SKEW_SECONDS < nowSeconds) {
+    throw new InvalidTokenError('JWT has expired');
+  }
+  if (typeof payload.nbf === 'number' && payload.nbf - CLOCK_SKEW_SECONDS > nowSeconds) {
+    throw new InvalidTokenError('JWT is not yet valid');
+  }
+  if (issuer && payload.iss !== issuer) {
+    throw new InvalidTokenError('JWT issuer mismatch');
+  }
+  if (audience) {
+    const audiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!audiences.includes(audience)) {
+      throw new InvalidTokenError('JWT audience mismatch');
+    }
+  }
+
+  return payload;
+}
+
+/**
+ * Create a token verifier for the SDK's requireBearerAuth middleware
+ * API keys are checked first; anything else is treated as a JWT if a JWKS is configured.
+ * @param {Object} config - Result of loadHttpAuthConfig()
+ * @param {Object} [options]
+ * @param {Function} [options.now] - Clock override for testing
+ * @returns {{verifyAccessToken: function(string): Promise<Object>}} Verifier returning SDK AuthInfo
+ */
+export function createTokenVerifier({ apiKeys = [], jwks = null, issuer, audience }, { now = Date.now } = {}) {
+  return {
+    async verifyAccessToken(token) {
+      const apiKey = apiKeys.find(entry => secretsEqual(entry.key, token));
+      if (apiKey) {
+        return {
+          token,
+          clientId: apiKey.principal,
+          scopes: [],
+          expiresAt: Math.floor(now() / 1000) + API_KEY_LIFETIME_SECONDS,
+          extra: { principal: apiKey.principal, method: 'api_key' }
+        };
+      }
+
+      if (jwks) {
+        const claims = verifyJwt(token, { jwks, issuer, audience, now: now() });
+        const scopes = typeof claims.scope === 'string'
+          ? claims.scope.split(' ').filter(Boolean)
+          : Array.isArray(claims.scp) ? claims.scp : [];
+        const principal = claims.sub || claims.client_id || claims.azp;
+        if (!principal) {
+          throw new InvalidTokenError('JWT has no subject');
+        }
+        return {
+          token,
+          clientId: claims.client_id || claims.azp || principal,
+          scopes,
+          expiresAt: claims.exp,
+          extra: { principal, method: 'jwt' }
+        };
+      }
+
+      throw new InvalidTokenError('Invalid API key');
+    }
+  };
+}
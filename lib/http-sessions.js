@@ -0,0 +1,226 @@
+/**
+ * HTTP Session Credentials Module
+ * Binds each HTTP MCP session to the caller that created it and to that
+ * caller's own Webex token, supplied via the X-Webex-Token header or a
+ * per-session OAuth sign-in, instead of the server-wide credentials.
+ */
+
+import { WebexApiError } from './errors.js';
+import {
+  getOAuthConfig,
+  hasOAuthCredentials,
+  exchangeCodeForTokens,
+  refreshAccessToken,
+  isTokenExpiringSoon,
+  generateCodeVerifier,
+  generateCodeChallenge,
+  generateState,
+  WEBEX_AUTHORIZE_URL
+} from './oauth/index.js';
+
+// Request header carrying the caller's Webex access token
+export const WEBEX_TOKEN_HEADER = 'x-webex-token';
+
+// How long a per-session sign-in link stays valid
+const LOGIN_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Extract a Webex token from request headers
+ * @param {Object} headers - Incoming request headers (lower-cased keys)
+ * @returns {string|null} Token without Bearer prefix, or null if absent
+ */
+export function getWebexTokenFromHeaders(headers = {}) {
+  const value = headers[WEBEX_TOKEN_HEADER];
+  const token = Array.isArray(value) ? value[0] : value;
+  return token ? token.replace(/^Bearer\s+/i, '').trim() || null : null;
+}
+
+/**
+ * Create a session registry
+ * @param {Object} [options]
+ * @param {boolean} [options.allowServerToken=false] - Fall back to the server-wide Webex credentials for sessions without their own token
+ * @param {string} [options.oauthRedirectUri] - Callback URL for per-session OAuth sign-in (e.g. https://mcp.example.com/oauth/callback)
+ * @param {Function} [options.now] - Clock override for testing
+ * @returns {Object} Session registry
+ */
+export function createSessionRegistry({ allowServerToken = false, oauthRedirectUri, now = Date.now } = {}) {
+  const sessions = new Map();
+  const pendingLogins = new Map();
+
+  function prunePendingLogins() {
+    for (const [state, login] of pendingLogins) {
+      if (login.expiresAt <= now()) {
+        pendingLogins.delete(state);
+      }
+    }
+  }
+
+  /**
+   * Build the error returned to tools when a session has no Webex token
+   */
+  function missingTokenError(sessionId) {
+    const loginUrl = canSignIn() ? createLoginUrl(sessionId) : null;
+    return new WebexApiError('No Webex credentials are bound to this MCP session', {
+      status: 401,
+      retryable: false,
+      hint: loginUrl
+        ? `Sign in to Webex at ${loginUrl} and retry, or reconnect with an X-Webex-Token header.`
+        : 'Reconnect with your Webex access token in the X-Webex-Token header.'
+    });
+  }
+
+  function canSignIn() {
+    return !!oauthRedirectUri && hasOAuthCredentials();
+  }
+
+  /**
+   * Start a per-session OAuth sign-in
+   * @param {string} sessionId - Session to bind the resulting token to
+   * @returns {string} Webex authorization URL
+   */
+  function createLoginUrl(sessionId) {
+    if (!canSignIn()) {
+      throw new Error('Per-session OAuth requires WEBEX_OAUTH_CLIENT_ID, WEBEX_OAUTH_CLIENT_SECRET and MCP_HTTP_PUBLIC_URL');
+    }
+
+    prunePendingLogins();
+    const config = getOAuthConfig();
+    const state = generateState();
+    const codeVerifier = generateCodeVerifier();
+    pendingLogins.set(state, { sessionId, codeVerifier, expiresAt: now() + LOGIN_TIMEOUT_MS });
+
+    const url = new URL(WEBEX_AUTHORIZE_URL);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', config.clientId);
+    url.searchParams.set('redirect_uri', oauthRedirectUri);
+    url.searchParams.set('scope', config.scope);
+    url.searchParams.set('state', state);
+    url.searchParams.set('code_challenge', generateCodeChallenge(codeVerifier));
+    url.searchParams.set('code_challenge_method', 'S256');
+    return url.toString();
+  }
+
+  return {
+    /**
+     * Record a new session
+     * @param {string} sessionId - MCP session ID
+     * @param {Object} details
+     * @param {string} [details.principal] - Authenticated caller, if HTTP auth is enabled
+     * @param {string} [details.webexToken] - Caller's Webex token, if supplied
+     */
+    register(sessionId, { principal, webexToken } = {}) {
+      sessions.set(sessionId, {
+        principal,
+        tokens: webexToken ? { accessToken: webexToken, expiresAt: Infinity } : null
+      });
+    },
+
+    /**
+     * Check whether a session exists and belongs to the given caller
+     * @param {string} sessionId - MCP session ID
+     * @param {string} [principal] - Authenticated caller making the request
+     * @returns {boolean} True if the caller may use the session
+     */
+    isOwnedBy(sessionId, principal) {
+      const session = sessions.get(sessionId);
+      return !!session && session.principal === principal;
+    },
+
+    /**
+     * Replace a session's Webex token (e.g. a refreshed X-Webex-Token header)
+     * @param {string} sessionId - MCP session ID
+     * @param {Object|null} tokens - { accessToken, refreshToken?, expiresAt? }, or null to sign out
+     */
+    setTokens(sessionId, tokens) {
+      const session = sessions.get(sessionId);
+      if (session) {
+        session.tokens = tokens ? { expiresAt: Infinity, ...tokens } : null;
+      }
+    },
+
+    /**
+     * Forget a session and any pending sign-ins for it
+     * @param {string} sessionId - MCP session ID
+     */
+    remove(sessionId) {
+      sessions.delete(sessionId);
+      for (const [state, login] of pendingLogins) {
+        if (login.sessionId === sessionId) {
+          pendingLogins.delete(state);
+        }
+      }
+    },
+
+    /**
+     * Resolve the Webex token for a session, refreshing OAuth tokens near expiry
+     * @param {string} sessionId - MCP session ID
+     * @returns {Promise<string|null>} Session token, or null to use the server-wide credentials
+     * @throws {WebexApiError} 401 if the session has no token and fallback is disabled
+     */
+    async resolveWebexToken(sessionId) {
+      const session = sessions.get(sessionId);
+      const tokens = session?.tokens;
+
+      if (!tokens) {
+        if (allowServerToken) {
+          return null;
+        }
+        throw missingTokenError(sessionId);
+      }
+
+      if (tokens.expiresAt !== Infinity && isTokenExpiringSoon(tokens)) {
+        if (!tokens.refreshToken) {
+          session.tokens = null;
+          throw missingTokenError(sessionId);
+        }
+        session.tokens = await refreshAccessToken(tokens.refreshToken);
+      }
+
+      return session.tokens.accessToken;
+    },
+
+    canSignIn,
+    createLoginUrl,
+
+    /**
+     * Complete a per-session OAuth sign-in from the callback query
+     * @param {Object} query - { code, state, error, error_description }
+     * @returns {Promise<string>} The session the token was bound to
+     * @throws {Error} If the state is unknown or expired, or the exchange fails
+     */
+    async completeLogin({ code, state, error, error_description: errorDescription }) {
+      prunePendingLogins();
+      const login = pendingLogins.get(state);
+      if (!login) {
+        throw new Error('Unknown or expired sign-in request');
+      }
+      pendingLogins.delete(state);
+
+      if (error) {
+        throw new Error(`OAuth error: ${errorDescription || error}`);
+      }
+      if (!sessions.has(login.sessionId)) {
+        throw new Error('The MCP session for this sign-in has ended');
+      }
+
+      const config = getOAuthConfig();
+      const tokens = await exchangeCodeForTokens({
+        code,
+        codeVerifier: login.codeVerifier,
+        clientId: config.clientId,
+        clientSecret: config.clientSecret,
+        redirectUri: oauthRedirectUri
+      });
+      sessions.get(login.sessionId).tokens = tokens;
+      return login.sessionId;
+    },
+
+    /**
+     * Number of active sessions
+     * @returns {number} Session count
+     */
+    get size() {
+      return sessions.size;
+    }
+  };
+}
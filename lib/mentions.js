@@ -0,0 +1,262 @@
+/**
+ * Mentions Module
+ * Turns a list of emails, display names and "@all" into Webex mention
+ * markup (<@personId:ID|Name>, <@all>). Names are matched against the
+ * room's members first and the people directory second; names that match
+ * nobody, or more than one person, are reported instead of guessed.
+ */
+
+import { getWebexUrl, getWebexHeaders } from './webex-config.js';
+import { webexFetch } from './webex-client.js';
+import { fetchPages } from './pagination.js';
+import { WebexApiError } from './errors.js';
+
+// Mention markup for everyone in a group space
+export const ALL_MENTION = '<@all>';
+
+// Largest room whose members are matched locally
+const MAX_ROOM_MEMBERS = 5000;
+
+// Candidates listed for an ambiguous name
+const MAX_CANDIDATES = 10;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Error for mentions that could not be resolved to exactly one person
+ */
+export class MentionError extends Error {
+  /**
+   * @param {Array} unresolved - [{ mention, reason }]
+   * @param {Array} ambiguous - [{ mention, candidates: [{ personId, personEmail, displayName }] }]
+   */
+  constructor(unresolved, ambiguous) {
+    const problems = [
+      ...unresolved.map(({ mention, reason }) => `"${mention}" (${reason})`),
+      ...ambiguous.map(({ mention, candidates }) => `"${mention}" (matches ${candidates.length} people)`)
+    ];
+    super(`Could not resolve mentions: ${problems.join(', ')}. Use an email address to pick one person.`);
+    this.name = 'MentionError';
+    this.unresolved = unresolved;
+    this.ambiguous = ambiguous;
+  }
+
+  /**
+   * Serialize to the error envelope returned to MCP clients
+   * @returns {Object} { message, retryable, unresolvedMentions?, ambiguousMentions? }
+   */
+  toJSON() {
+    return {
+      message: this.message,
+      retryable: false,
+      ...(this.unresolved.length > 0 && { unresolvedMentions: this.unresolved }),
+      ...(this.ambiguous.length > 0 && { ambiguousMentions: this.ambiguous })
+    };
+  }
+}
+
+/**
+ * Build mention markup for a person
+ * @param {Object} person - { personId, displayName }
+ * @returns {string} <@personId:ID|Name>
+ */
+export function mentionMarkup({ personId, displayName }) {
+  const name = String(displayName || '').replace(/[<>|]/g, '').trim();
+  return name ? `<@personId:${personId}|${name}>` : `<@personId:${personId}>`;
+}
+
+/**
+ * Find people whose display name matches a name
+ * A full-name match wins; otherwise the name may be the start of any word
+ * in the display name ("Alice" or "Smith" for "Alice Smith").
+ * @param {string} name - Name to look for
+ * @param {Array} people - [{ personId, personEmail, displayName }]
+ * @returns {Array} Matching people
+ */
+export function matchByName(name, people) {
+  const wanted = name.trim().toLowerCase();
+  const named = people.filter(person => person.displayName);
+  const exact = named.filter(person => person.displayName.toLowerCase() === wanted);
+  if (exact.length > 0) {
+    return exact;
+  }
+  return named.filter(person => {
+    const displayName = person.displayName.toLowerCase();
+    return displayName.startsWith(wanted) || displayName.split(/\s+/).some(word => word.startsWith(wanted));
+  });
+}
+
+/**
+ * List a room's members as people
+ * @private
+ */
+async function listRoomMembers(roomId, headers) {
+  const url = new URL(getWebexUrl('/memberships'));
+  url.searchParams.set('roomId', roomId);
+  url.searchParams.set('max', '1000');
+  const { items } = await fetchPages(url, { headers, all: true, maxItems: MAX_ROOM_MEMBERS });
+  return items.map(membership => ({
+    personId: membership.personId,
+    personEmail: membership.personEmail,
+    displayName: membership.personDisplayName
+  }));
+}
+
+/**
+ * Search the people directory
+ * @private
+ */
+async function searchPeople(params, headers) {
+  const url = new URL(getWebexUrl('/people'));
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  url.searchParams.set('max', '50');
+  const { items } = await fetchPages(url, { headers });
+  return items.map(person => ({
+    personId: person.id,
+    personEmail: person.emails?.[0],
+    displayName: person.displayName
+  }));
+}
+
+/**
+ * Read a room's type
+ * @private
+ */
+async function getRoomType(roomId, headers) {
+  const response = await webexFetch(getWebexUrl(`/rooms/${encodeURIComponent(roomId)}`), { method: 'GET', headers });
+  if (!response.ok) {
+    throw await WebexApiError.fromResponse(response);
+  }
+  return (await response.json()).type;
+}
+
+/**
+ * Resolve mentions to people
+ * @param {string[]} mentions - Emails, display names and "@all" (a leading @ is ignored)
+ * @param {Object} [options]
+ * @param {string} [options.roomId] - Room the message goes to; its members are matched first
+ * @returns {Promise<Object>} { resolved, unresolved, ambiguous } where resolved is
+ *   [{ mention, personId?, personEmail?, displayName?, markup }]
+ * @throws {WebexApiError} If Webex cannot be queried
+ */
+export async function resolveMentions(mentions, { roomId } = {}) {
+  const headers = await getWebexHeaders();
+  const resolved = [];
+  const unresolved = [];
+  const ambiguous = [];
+  let members;
+
+  const roomMembers = async () => {
+    members = members || (roomId ? await listRoomMembers(roomId, headers) : []);
+    return members;
+  };
+
+  for (const mention of [...new Set(mentions.map(value => String(value).trim()).filter(Boolean))]) {
+    const query = mention.replace(/^@/, '');
+
+    if (query.toLowerCase() === 'all') {
+      if (!roomId) {
+        unresolved.push({ mention, reason: '@all needs a roomId' });
+      } else if (await getRoomType(roomId, headers) !== 'group') {
+        unresolved.push({ mention, reason: '@all only works in group spaces' });
+      } else {
+        resolved.push({ mention, markup: ALL_MENTION });
+      }
+      continue;
+    }
+
+    let matches;
+    if (EMAIL_PATTERN.test(query)) {
+      const email = query.toLowerCase();
+      matches = (await roomMembers()).filter(person => person.personEmail?.toLowerCase() === email);
+      if (matches.length === 0) {
+        matches = await searchPeople({ email: query }, headers);
+      }
+    } else {
+      matches = matchByName(query, await roomMembers());
+      if (matches.length === 0) {
+        matches = matchByName(query, await searchPeople({ displayName: query }, headers));
+      }
+    }
+
+    if (matches.length === 1) {
+      resolved.push({ mention, ...matches[0], markup: mentionMarkup(matches[0]) });
+    } else if (matches.length === 0) {
+      unresolved.push({ mention, reason: roomId ? 'no room member or person matches' : 'no person matches' });
+    } else {
+      ambiguous.push({ mention, candidates: matches.slice(0, MAX_CANDIDATES) });
+    }
+  }
+
+  return { resolved, unresolved, ambiguous };
+}
+
+/**
+ * Escape the characters that plain text would otherwise turn into formatting
+ * @private
+ */
+function escapeMarkdown(text) {
+  return text
+    .replace(/[\\`*_~[\]<>]/g, '\\$&')
+    .replace(/^(\s*)([#>+-]|\d+[.)])(?=\s|$)/gm, (line, indent, marker) => `${indent}\\${marker}`);
+}
+
+/**
+ * Put mention markup into a message
+ * "@Name" or "@email" in the message is replaced by the mention; mentions
+ * the message does not refer to are added at the start.
+ * @param {string} message - Message markdown, or plain text with plainText set
+ * @param {Array} resolved - Resolved mentions from resolveMentions
+ * @param {Object} [options]
+ * @param {boolean} [options.plainText=false] - Escape Markdown around the mentions, so the text reads as written
+ * @returns {string} Markdown with mention markup
+ */
+export function applyMentions(message, resolved, { plainText = false } = {}) {
+  const source = message || '';
+  const placed = [];
+  const leading = [];
+
+  for (const { mention, markup } of resolved) {
+    const query = mention.replace(/^@/, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`@${query}(?![\\w@-]|\\.\\w)`, 'gi');
+    // The first reference not already taken by another mention
+    const match = [...source.matchAll(pattern)]
+      .find(found => !placed.some(other => found.index < other.end && other.index < found.index + found[0].length));
+    if (match) {
+      placed.push({ index: match.index, end: match.index + match[0].length, markup });
+    } else {
+      leading.push(markup);
+    }
+  }
+
+  const escape = plainText ? escapeMarkdown : part => part;
+  let result = '';
+  let at = 0;
+  for (const { index, end, markup } of placed.sort((a, b) => a.index - b.index)) {
+    result += escape(source.slice(at, index)) + markup;
+    at = end;
+  }
+  result += escape(source.slice(at));
+
+  return leading.length > 0 ? `${leading.join(' ')} ${result}`.trim() : result;
+}
+
+/**
+ * Resolve mentions and add them to a message
+ * @param {Object} message - { roomId, text, markdown, mentions }
+ * @returns {Promise<Object>} { markdown, mentions } with the resolved people
+ * @throws {MentionError} If any mention matches nobody or more than one person
+ */
+export async function composeMentions({ roomId, text, markdown, mentions }) {
+  const { resolved, unresolved, ambiguous } = await resolveMentions(mentions, { roomId });
+  if (unresolved.length > 0 || ambiguous.length > 0) {
+    throw new MentionError(unresolved, ambiguous);
+  }
+  return {
+    // Plain text is escaped, so it is not read as Markdown now that it is sent as markdown
+    markdown: markdown ? applyMentions(markdown, resolved) : applyMentions(text, resolved, { plainText: true }),
+    mentions: resolved.map(({ markup, ...person }) => person)
+  };
+}
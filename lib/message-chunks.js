@@ -0,0 +1,296 @@
+/**
+ * Message Chunks Module
+ * Splits messages longer than Webex's size limit into chunks that each
+ * render on their own: paragraphs, list items and code fences are kept
+ * whole where possible, and a code block that must be split is closed and
+ * reopened with the same fence. The messages a long message was split into
+ * are remembered as a group, so it can be edited and deleted as one.
+ * Groups are stored at ~/.webex-mcp/message-groups.json by default.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { recordDryRunStateWrite } from './dry-run.js';
+
+// Largest message text or markdown Webex accepts, in bytes
+export const MAX_MESSAGE_BYTES = 7439;
+
+// Groups remembered before the oldest are forgotten
+const MAX_GROUPS = 500;
+
+const DEFAULT_GROUPS_FILE = path.join(os.homedir(), '.webex-mcp', 'message-groups.json');
+
+const FENCE_PATTERN = /^\s*(`{3,}|~{3,})/;
+const LIST_ITEM_PATTERN = /^\s*(?:[-*+]|\d+[.)])\s/;
+
+// Words, keeping mention markup (<@personId:...|First Last>) in one piece
+const WORD_PATTERN = /<@[^>]*>\s*|\S+\s*|\s+/g;
+
+const byteLength = text => Buffer.byteLength(text, 'utf8');
+
+/**
+ * Split markdown into paragraphs and fenced code blocks
+ * @private
+ */
+function parseBlocks(markdown) {
+  const blocks = [];
+  let lines = [];
+  let fence = null;
+
+  const flush = () => {
+    if (lines.length > 0) {
+      blocks.push({ type: fence ? 'code' : 'text', lines });
+      lines = [];
+    }
+  };
+
+  for (const line of markdown.split('\n')) {
+    if (fence) {
+      lines.push(line);
+      const close = FENCE_PATTERN.exec(line);
+      if (close && close[1][0] === fence[0] && close[1].length >= fence.length && line.trim() === close[1]) {
+        flush();
+        fence = null;
+      }
+    } else if (FENCE_PATTERN.test(line)) {
+      flush();
+      fence = FENCE_PATTERN.exec(line)[1];
+      lines.push(line);
+    } else if (line.trim() === '') {
+      flush();
+    } else {
+      lines.push(line);
+    }
+  }
+  flush();
+  return blocks;
+}
+
+/**
+ * Greedily join pieces into chunks no larger than maxBytes
+ * @private
+ */
+function pack(pieces, maxBytes, separator) {
+  const chunks = [];
+  let current = null;
+  for (const piece of pieces) {
+    const joined = current === null ? piece : current + separator + piece;
+    if (byteLength(joined) <= maxBytes) {
+      current = joined;
+    } else {
+      if (current !== null) chunks.push(current);
+      current = piece;
+    }
+  }
+  if (current !== null) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Split text at character boundaries into pieces no larger than maxBytes
+ * @private
+ */
+function splitCharacters(text, maxBytes) {
+  const pieces = [];
+  let current = '';
+  for (const character of text) {
+    if (byteLength(current + character) > maxBytes) {
+      pieces.push(current);
+      current = '';
+    }
+    current += character;
+  }
+  return current ? [...pieces, current] : pieces;
+}
+
+/**
+ * Split a single line into pieces no larger than maxBytes, between words if possible
+ * @private
+ */
+function splitLine(line, maxBytes) {
+  if (byteLength(line) <= maxBytes) {
+    return [line];
+  }
+  const words = (line.match(WORD_PATTERN) || []).flatMap(word =>
+    byteLength(word) > maxBytes ? splitCharacters(word, maxBytes) : [word]
+  );
+  return pack(words, maxBytes, '').map(piece => piece.trimEnd());
+}
+
+/**
+ * Split a paragraph or list between items, then lines, then words
+ * @private
+ */
+function splitText(lines, maxBytes) {
+  const items = [];
+  for (const line of lines) {
+    if (items.length === 0 || LIST_ITEM_PATTERN.test(line) || !LIST_ITEM_PATTERN.test(items[0][0])) {
+      items.push([line]);
+    } else {
+      items[items.length - 1].push(line);
+    }
+  }
+
+  const pieces = items.flatMap(item => {
+    const text = item.join('\n');
+    return byteLength(text) <= maxBytes ? [text] : item.flatMap(line => splitLine(line, maxBytes));
+  });
+  return pack(pieces, maxBytes, '\n');
+}
+
+/**
+ * Split a fenced code block into complete fenced blocks
+ * @private
+ */
+function splitCode(lines, maxBytes) {
+  const open = lines[0];
+  const fence = FENCE_PATTERN.exec(open)[1];
+  const closed = lines.length > 1 && lines[lines.length - 1].trim() === FENCE_PATTERN.exec(lines[lines.length - 1])?.[1];
+  const body = lines.slice(1, closed ? -1 : undefined);
+  const budget = maxBytes - byteLength(open) - byteLength(fence) - 2;
+  if (budget <= 0) {
+    return splitText(lines, maxBytes);
+  }
+
+  const pieces = body.flatMap(line => (byteLength(line) <= budget ? [line] : splitCharacters(line, budget)));
+  return pack(pieces, budget, '\n').map(piece => `${open}\n${piece}\n${fence}`);
+}
+
+/**
+ * Check whether a message is within the Webex size limit
+ * @param {string} text - Message text or markdown
+ * @param {number} [maxBytes=7439] - Limit in bytes (UTF-8)
+ * @returns {boolean} True if Webex accepts it as one message
+ */
+export function fitsInMessage(text, maxBytes = MAX_MESSAGE_BYTES) {
+  return byteLength(text) <= maxBytes;
+}
+
+/**
+ * Split a message into chunks Webex accepts
+ * Messages within the limit are returned unchanged as a single chunk.
+ * @param {string} markdown - Message text or markdown
+ * @param {number} [maxBytes=7439] - Largest chunk in bytes (UTF-8)
+ * @returns {string[]} Chunks, in order
+ */
+export function splitMessage(markdown, maxBytes = MAX_MESSAGE_BYTES) {
+  if (fitsInMessage(markdown, maxBytes)) {
+    return [markdown];
+  }
+
+  const pieces = parseBlocks(markdown).flatMap(block => {
+    const text = block.lines.join('\n');
+    if (byteLength(text) <= maxBytes) {
+      return [text];
+    }
+    return block.type === 'code' ? splitCode(block.lines, maxBytes) : splitText(block.lines, maxBytes);
+  });
+  return pack(pieces, maxBytes, '\n\n');
+}
+
+/**
+ * Create a store of message groups (the messages a long message was split into)
+ * The file is read on every call, so several server processes stay in step;
+ * within a process, saves and removals run one at a time.
+ * @param {string|Function} [groupsPath] - Path of the JSON file, or a function returning it
+ * @returns {Object} Store with find, save and remove
+ */
+export function createMessageGroupStore(groupsPath = () => process.env.WEBEX_MESSAGE_GROUPS_FILE || DEFAULT_GROUPS_FILE) {
+  const resolvePath = typeof groupsPath === 'function' ? groupsPath : () => groupsPath;
+  let pending = Promise.resolve();
+
+  // Changes run one at a time, so concurrent saves never lose each other's groups
+  const serialize = fn => {
+    const result = pending.then(fn);
+    pending = result.catch(() => {});
+    return result;
+  };
+
+  async function load() {
+    try {
+      return JSON.parse(await fs.readFile(resolvePath(), 'utf-8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return {};
+      }
+      if (err instanceof SyntaxError) {
+        console.warn(`[Chunks] Corrupt message group file at ${resolvePath()}, resetting`);
+        return {};
+      }
+      throw err;
+    }
+  }
+
+  // Written to a temp file and renamed into place, so readers never see half a file
+  async function write(groups) {
+    const file = resolvePath();
+    await fs.mkdir(path.dirname(file), { recursive: true, mode: 0o700 });
+    const tempPath = `${file}.${process.pid}.tmp`;
+    try {
+      await fs.writeFile(tempPath, JSON.stringify(groups, null, 2), { mode: 0o600 });
+      await fs.rename(tempPath, file);
+    } catch (err) {
+      await fs.rm(tempPath, { force: true });
+      throw err;
+    }
+  }
+
+  return {
+    /**
+     * Find the group a message belongs to
+     * @param {string} messageId - Any message of the group
+     * @returns {Promise<Object|null>} { id, roomId, messageIds, field, threaded, parentId? } or null
+     */
+    async find(messageId) {
+      const groups = await load();
+      return Object.values(groups).find(group => group.messageIds.includes(messageId)) || null;
+    },
+
+    /**
+     * Save a group, keyed by its first message
+     * @param {Object} group - { roomId, messageIds, field, threaded, parentId? }
+     * @returns {Promise<Object>} The saved group
+     */
+    async save(group) {
+      const saved = { ...group, id: group.messageIds[0], updatedAt: new Date().toISOString() };
+      if (recordDryRunStateWrite('saveMessageGroup', saved)) {
+        return saved;
+      }
+      return serialize(async () => {
+        const groups = await load();
+        delete groups[saved.id];
+        groups[saved.id] = saved;
+        const ids = Object.keys(groups);
+        for (const id of ids.slice(0, Math.max(0, ids.length - MAX_GROUPS))) {
+          delete groups[id];
+        }
+        await write(groups);
+        return saved;
+      });
+    },
+
+    /**
+     * Forget a group
+     * @param {string} id - ID of the group's first message
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+      if (recordDryRunStateWrite('removeMessageGroup', { id })) {
+        return;
+      }
+      return serialize(async () => {
+        const groups = await load();
+        if (groups[id]) {
+          delete groups[id];
+          await write(groups);
+        }
+      });
+    }
+  };
+}
+
+// Default singleton for production use
+const defaultMessageGroups = createMessageGroupStore();
+
+export default defaultMessageGroups;
@@ -0,0 +1,622 @@
+/**
+ * Message Index Module
+ * Opt-in local full-text index of the messages in selected rooms, so
+ * searches do not have to page through Webex. Messages are pulled in
+ * incrementally (each room is read back to the newest message already
+ * indexed), kept current by messages webhook events, and ranked with BM25.
+ * The index is a JSON file at ~/.webex-mcp/message-index.json by default,
+ * and belongs to the Webex user who built it.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { getWebexUrl, getWebexHeaders } from './webex-config.js';
+import { webexFetch } from './webex-client.js';
+import { fetchPages } from './pagination.js';
+import { WebexApiError, toErrorResult } from './errors.js';
+import { parseList, globToRegExp } from './tool-policy.js';
+import { makeSnippet, spaceLink } from './text-match.js';
+
+const DEFAULT_INDEX_FILE = path.join(os.homedir(), '.webex-mcp', 'message-index.json');
+
+// Messages older than this are dropped when no retention is configured
+export const DEFAULT_RETENTION_DAYS = 90;
+
+// Messages read from a room the first time it is indexed
+export const DEFAULT_MAX_MESSAGES_PER_ROOM = 5000;
+
+// Rooms listed when looking for rooms to index
+const MAX_ROOMS = 1000;
+
+// Messages per page (API maximum)
+const PAGE_SIZE = 100;
+
+// Webhook events within this long are saved together
+const SAVE_DELAY_MS = 1000;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const emptyIndex = () => ({ version: 1, ownerId: null, syncedAt: null, rooms: {}, messages: {} });
+
+/**
+ * Split text into lowercase terms, without accents
+ * @param {string} text - Text to split
+ * @returns {string[]} Terms
+ */
+export function tokenize(text) {
+  return String(text || '').normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Find a term in text the way tokenize sees it, without case or accents
+ * @private
+ * @returns {Object|null} { index, length } of the match in the original text
+ */
+function findTerm(text, term) {
+  let folded = '';
+  const origins = [];
+  for (let i = 0; i < text.length;) {
+    const char = String.fromCodePoint(text.codePointAt(i));
+    const plain = char.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+    folded += plain;
+    for (let k = 0; k < plain.length; k++) origins.push(i);
+    i += char.length;
+  }
+  const at = folded.indexOf(term);
+  if (at === -1) {
+    return null;
+  }
+  const last = origins[at + term.length - 1];
+  return { index: origins[at], length: last + String.fromCodePoint(text.codePointAt(last)).length - origins[at] };
+}
+
+/**
+ * Build a room filter from inclusion rules
+ * Rules are room IDs, or globs matched against room titles (`*` for every room).
+ * @param {Object} rules
+ * @param {string[]} rules.include - Rooms to index
+ * @param {string[]} [rules.exclude] - Rooms never to index, even if included
+ * @param {string[]} [rules.roomTypes] - Only rooms of these types ('direct', 'group')
+ * @returns {Function} room => boolean
+ */
+export function createRoomFilter({ include, exclude = [], roomTypes = [] }) {
+  const toMatcher = rules => {
+    const patterns = rules.map(rule => new RegExp(globToRegExp(rule).source, 'i'));
+    return room => rules.includes(room.id) || patterns.some(pattern => pattern.test(room.title || ''));
+  };
+  const included = toMatcher(include);
+  const excluded = toMatcher(exclude);
+  return room => included(room) && !excluded(room) && (roomTypes.length === 0 || roomTypes.includes(room.type));
+}
+
+/**
+ * Reduce a message to the fields the index keeps
+ * @private
+ */
+function toEntry(msg) {
+  return {
+    id: msg.id,
+    roomId: msg.roomId,
+    personId: msg.personId,
+    personEmail: msg.personEmail,
+    created: msg.created,
+    ...(msg.updated && { updated: msg.updated }),
+    ...(msg.parentId && { parentId: msg.parentId }),
+    text: msg.text || ''
+  };
+}
+
+/**
+ * Create a message index
+ * @param {Object} options
+ * @param {string} options.filePath - JSON file holding the index
+ * @param {string[]} options.include - Rooms to index, by ID or title glob
+ * @param {string[]} [options.exclude] - Rooms never to index
+ * @param {string[]} [options.roomTypes] - Only rooms of these types
+ * @param {number} [options.retentionDays=90] - Drop messages older than this; 0 keeps everything
+ * @param {number} [options.saveDelayMs=1000] - How long changes from webhook events wait to be saved together
+ * @param {Function} [options.now] - Clock override for testing
+ * @returns {Object} Index with sync, rebuild, search, roomMessages, handleEvent, flush, stats and filePath
+ */
+export function createMessageIndex({
+  filePath,
+  include,
+  exclude = [],
+  roomTypes = [],
+  retentionDays = DEFAULT_RETENTION_DAYS,
+  saveDelayMs = SAVE_DELAY_MS,
+  now = Date.now
+}) {
+  const includesRoom = createRoomFilter({ include, exclude, roomTypes });
+  let data = null;
+  let postings = null;
+  let pending = Promise.resolve();
+  let saveTimer = null;
+
+  // Changes run one at a time, so saves never interleave
+  const serialize = fn => {
+    const result = pending.then(fn);
+    pending = result.catch(() => {});
+    return result;
+  };
+
+  async function load() {
+    if (data) return data;
+    try {
+      data = { ...emptyIndex(), ...JSON.parse(await fs.readFile(filePath, 'utf-8')) };
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        data = emptyIndex();
+      } else if (err instanceof SyntaxError) {
+        console.warn(`[Index] Corrupt message index at ${filePath}, starting over`);
+        data = emptyIndex();
+      } else {
+        throw err;
+      }
+    }
+    return data;
+  }
+
+  // Written to a temp file and renamed into place, so a crash never leaves half an index
+  async function save() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    await fs.mkdir(path.dirname(filePath), { recursive: true, mode: 0o700 });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    try {
+      await fs.writeFile(tempPath, JSON.stringify(data), { mode: 0o600 });
+      await fs.rename(tempPath, filePath);
+    } catch (err) {
+      await fs.rm(tempPath, { force: true });
+      throw err;
+    }
+  }
+
+  // A burst of webhook events rewrites the file once, after the last of them
+  function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      serialize(save).catch(error => console.error(`[Index] Failed to save the message index: ${error.message}`));
+    }, saveDelayMs);
+    saveTimer.unref();
+  }
+
+  function cutoff() {
+    return retentionDays > 0 ? new Date(now() - retentionDays * DAY_MS).toISOString() : null;
+  }
+
+  function prune() {
+    const oldest = cutoff();
+    let removed = 0;
+    for (const [id, msg] of Object.entries(data.messages)) {
+      if ((oldest && msg.created < oldest) || !data.rooms[msg.roomId]) {
+        delete data.messages[id];
+        removed++;
+      }
+    }
+    if (removed > 0) postings = null;
+    return removed;
+  }
+
+  /**
+   * Refuse to mix the messages of different Webex users
+   * A rebuild by another user starts a new index instead.
+   * @private
+   */
+  async function checkOwner(headers, { claim = false } = {}) {
+    const response = await webexFetch(getWebexUrl('/people/me'), { method: 'GET', headers });
+    if (!response.ok) {
+      throw await WebexApiError.fromResponse(response);
+    }
+    const { id } = await response.json();
+    if (data.ownerId && data.ownerId !== id) {
+      if (!claim) {
+        throw new WebexApiError('The local message index belongs to another Webex user. Rebuild it with `node index.js reindex` to index your messages instead.', { status: 403, retryable: false });
+      }
+      data = emptyIndex();
+      postings = null;
+    }
+    if (claim || !data.ownerId) {
+      data.ownerId = id;
+    }
+  }
+
+  async function listIncludedRooms(headers, roomIds) {
+    const url = new URL(getWebexUrl('/rooms'));
+    url.searchParams.set('sortBy', 'lastactivity');
+    url.searchParams.set('max', String(PAGE_SIZE));
+    const { items } = await fetchPages(url, { headers, all: true, maxItems: MAX_ROOMS });
+    return items.filter(room => includesRoom(room) && (!roomIds || roomIds.includes(room.id)));
+  }
+
+  /**
+   * Read a room's messages, newest first, from a cursor back to a point in time
+   * @private
+   * @returns {Promise<Object>} { added, newest, cursor } where cursor is set if the budget ran out first
+   */
+  async function readBack(room, headers, { cursor, since, budget }) {
+    const oldest = cutoff();
+    let added = 0;
+    let newest = null;
+
+    while (added < budget) {
+      const url = new URL(getWebexUrl('/messages'));
+      url.searchParams.set('roomId', room.id);
+      url.searchParams.set('max', String(Math.min(PAGE_SIZE, budget - added)));
+      if (cursor) url.searchParams.set('beforeMessage', cursor);
+
+      const response = await webexFetch(url.toString(), { method: 'GET', headers });
+      if (!response.ok) {
+        throw await WebexApiError.fromResponse(response);
+      }
+      const items = (await response.json()).items || [];
+
+      for (const msg of items) {
+        if ((since && msg.created <= since) || (oldest && msg.created < oldest)) {
+          return { added, newest };
+        }
+        data.messages[msg.id] = toEntry({ ...msg, roomId: room.id });
+        newest = !newest || msg.created > newest ? msg.created : newest;
+        added++;
+      }
+      if (items.length < Number(url.searchParams.get('max'))) {
+        return { added, newest };
+      }
+      cursor = items[items.length - 1].id;
+    }
+    return { added, newest, cursor };
+  }
+
+  /**
+   * Read a room's new messages, newest first, back to what is already indexed
+   * When the budget runs out first, syncedThrough stays put and the gap down to it
+   * is saved so the next sync reads on from there.
+   * @private
+   */
+  async function syncRoom(room, headers, { maxMessages }) {
+    const record = data.rooms[room.id];
+    let since = record?.syncedThrough;
+    let gap = record?.gap;
+    if (!gap && since && room.lastActivity && room.lastActivity <= since) {
+      data.rooms[room.id] = { ...record, title: room.title, type: room.type };
+      return 0;
+    }
+
+    let added = 0;
+
+    if (gap) {
+      const result = await readBack(room, headers, { cursor: gap.cursor, since, budget: maxMessages });
+      added += result.added;
+      if (result.cursor) {
+        gap = { ...gap, cursor: result.cursor };
+      } else {
+        since = gap.newest;
+        gap = null;
+      }
+    }
+
+    if (!gap && !(since && room.lastActivity && room.lastActivity <= since)) {
+      const result = await readBack(room, headers, { since, budget: maxMessages - added });
+      added += result.added;
+      if (result.cursor && since) {
+        gap = { cursor: result.cursor, newest: result.newest };
+      } else {
+        since = result.newest || since;
+      }
+    }
+
+    data.rooms[room.id] = {
+      title: room.title,
+      type: room.type,
+      syncedThrough: since || null,
+      ...(gap && { gap }),
+      syncedAt: new Date(now()).toISOString()
+    };
+    if (added > 0) postings = null;
+    return added;
+  }
+
+  async function syncRooms({ roomIds, maxMessagesPerRoom = DEFAULT_MAX_MESSAGES_PER_ROOM, rebuild = false } = {}) {
+    await load();
+    const headers = await getWebexHeaders();
+    await checkOwner(headers, { claim: rebuild });
+
+    const rooms = await listIncludedRooms(headers, roomIds);
+    if (rebuild) {
+      const rebuilt = roomId => !roomIds || roomIds.includes(roomId);
+      for (const [id, msg] of Object.entries(data.messages)) {
+        if (rebuilt(msg.roomId)) delete data.messages[id];
+      }
+      for (const roomId of Object.keys(data.rooms)) {
+        if (rebuilt(roomId)) delete data.rooms[roomId];
+      }
+      postings = null;
+    }
+    // Rooms that no longer match the rules are dropped
+    for (const roomId of Object.keys(data.rooms)) {
+      if (!roomIds && !rooms.some(room => room.id === roomId)) {
+        delete data.rooms[roomId];
+      }
+    }
+
+    let added = 0;
+    const errors = [];
+    for (const room of rooms) {
+      try {
+        added += await syncRoom(room, headers, { maxMessages: maxMessagesPerRoom });
+      } catch (error) {
+        errors.push({ roomId: room.id, roomTitle: room.title, ...toErrorResult(error, 'Failed to index the room') });
+      }
+    }
+
+    const removed = prune();
+    data.syncedAt = new Date(now()).toISOString();
+    await save();
+    return {
+      rooms: rooms.length - errors.length,
+      added,
+      removed,
+      messages: Object.keys(data.messages).length,
+      ...(errors.length > 0 && { errors })
+    };
+  }
+
+  function buildPostings() {
+    const docs = Object.values(data.messages).map(msg => {
+      const terms = tokenize(msg.text);
+      const tf = new Map();
+      for (const term of terms) tf.set(term, (tf.get(term) || 0) + 1);
+      return { msg, length: terms.length, tf };
+    });
+    const df = new Map();
+    for (const doc of docs) {
+      for (const term of doc.tf.keys()) df.set(term, (df.get(term) || 0) + 1);
+    }
+    const averageLength = docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1);
+    return { docs, df, averageLength };
+  }
+
+  return {
+    filePath,
+
+    /**
+     * Pull new messages from the included rooms
+     * Rooms with no activity since they were last indexed are not read.
+     * @param {Object} [options]
+     * @param {string[]} [options.roomIds] - Only these rooms
+     * @param {number} [options.maxMessagesPerRoom=5000] - Messages read per room at most
+     * @returns {Promise<Object>} { rooms, added, removed, messages, errors? }
+     * @throws {WebexApiError} If the rooms cannot be listed, or the index belongs to another user
+     */
+    sync(options = {}) {
+      return serialize(() => syncRooms(options));
+    },
+
+    /**
+     * Rebuild the index from scratch (or just some rooms), for the current user
+     * @param {Object} [options] - Same as sync
+     * @returns {Promise<Object>} { rooms, added, removed, messages, errors? }
+     */
+    rebuild(options = {}) {
+      return serialize(() => syncRooms({ ...options, rebuild: true }));
+    },
+
+    /**
+     * Check that the index belongs to the current Webex user
+     * @returns {Promise<void>}
+     * @throws {WebexApiError} If another user built the index
+     */
+    async verifyOwner() {
+      await load();
+      await checkOwner(await getWebexHeaders());
+    },
+
+    /**
+     * Whether a room matches the rules of rooms to index
+     * @param {Object} room - Room with id, title and type
+     * @returns {boolean}
+     */
+    includes(room) {
+      return includesRoom(room);
+    },
+
+    /**
+     * Read the messages of the rooms the index fully covers, e.g. for search_messages
+     * A room is covered once it has been synced with no gap left. Messages are only kept
+     * for the retention period, so a range that starts earlier covers no room.
+     * @param {string[]} roomIds - Rooms wanted
+     * @param {Object} [options]
+     * @param {string} [options.after] - Start of the range (ISO 8601)
+     * @returns {Promise<Map>} roomId => messages, newest first, for the covered rooms
+     */
+    async roomMessages(roomIds, { after } = {}) {
+      await load();
+      const oldest = cutoff();
+      const covered = new Map();
+      if (oldest && after && new Date(after).toISOString() < oldest) {
+        return covered;
+      }
+      for (const roomId of roomIds) {
+        if (data.rooms[roomId] && !data.rooms[roomId].gap) {
+          covered.set(roomId, []);
+        }
+      }
+      for (const msg of Object.values(data.messages)) {
+        covered.get(msg.roomId)?.push(msg);
+      }
+      for (const list of covered.values()) {
+        list.sort((a, b) => (a.created < b.created ? 1 : -1));
+      }
+      return covered;
+    },
+
+    /**
+     * Apply a messages webhook event to the rooms the index tracks
+     * Only events from webhooks the index owner created are applied; in HTTP mode other
+     * users' events reach the same bus. Changes are saved shortly after, in batches.
+     * @param {Object} event - Event from the event bus
+     * @returns {Promise<boolean>} True if the index changed
+     */
+    handleEvent(event) {
+      return serialize(async () => {
+        await load();
+        if (event.resource !== 'messages' || !data.ownerId || event.createdBy !== data.ownerId) return false;
+
+        if (event.event === 'deleted') {
+          const id = event.data?.id;
+          if (!data.messages[id]) return false;
+          delete data.messages[id];
+        } else {
+          const msg = event.resourceData;
+          const record = msg && data.rooms[msg.roomId];
+          if (!record) return false;
+          // Only sync moves syncedThrough, so messages missed before this event are still read
+          data.messages[msg.id] = toEntry(msg);
+        }
+        postings = null;
+        scheduleSave();
+        return true;
+      });
+    },
+
+    /**
+     * Save changes from webhook events that are still waiting, e.g. before the server stops
+     * @returns {Promise<void>}
+     */
+    flush() {
+      return saveTimer ? serialize(save) : pending;
+    },
+
+    /**
+     * Search the index with BM25 ranking
+     * Any query term may match; "quoted phrases" must appear as written.
+     * @param {string} query - Terms and quoted phrases
+     * @param {Object} [options]
+     * @param {string} [options.roomId] - Only this room
+     * @param {string} [options.author] - Only messages by this person, by email or personId
+     * @param {string} [options.after] - Only messages sent at or after this time (ISO 8601)
+     * @param {string} [options.before] - Only messages sent before this time (ISO 8601)
+     * @param {number} [options.limit=20] - Hits to return
+     * @returns {Promise<Object>} { hits, totalHits } where each hit is
+     *   { score, roomId, roomTitle, messageId, parentId?, personEmail, created, snippet, link? }
+     */
+    async search(query, { roomId, author, after, before, limit = 20 } = {}) {
+      await load();
+      postings = postings || buildPostings();
+      const { docs, df, averageLength } = postings;
+
+      const phrases = [...String(query || '').matchAll(/"([^"]+)"/g)].map(([, phrase]) => tokenize(phrase).join(' ')).filter(Boolean);
+      const terms = [...new Set(tokenize(query))];
+      if (terms.length === 0) {
+        throw new WebexApiError('query is required.', { retryable: false });
+      }
+      const toTime = (value, name) => {
+        if (!value) return null;
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+          throw new WebexApiError(`Invalid '${name}' date: ${value}. Use ISO 8601 format (e.g., 2024-01-27T18:00:00Z).`, { retryable: false });
+        }
+        return date.toISOString();
+      };
+      const afterTime = toTime(after, 'after');
+      const beforeTime = toTime(before, 'before');
+      const byAuthor = msg => (author.includes('@') ? msg.personEmail?.toLowerCase() === author.toLowerCase() : msg.personId === author);
+
+      const hits = [];
+      for (const { msg, length, tf } of docs) {
+        if (roomId && msg.roomId !== roomId) continue;
+        if (author && !byAuthor(msg)) continue;
+        if ((afterTime && msg.created < afterTime) || (beforeTime && msg.created >= beforeTime)) continue;
+
+        let score = 0;
+        for (const term of terms) {
+          const frequency = tf.get(term);
+          if (!frequency) continue;
+          const idf = Math.log(1 + (docs.length - df.get(term) + 0.5) / (df.get(term) + 0.5));
+          score += idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * length / averageLength));
+        }
+        if (score === 0) continue;
+        if (phrases.length > 0) {
+          const normalized = tokenize(msg.text).join(' ');
+          if (!phrases.every(phrase => ` ${normalized} `.includes(` ${phrase} `))) continue;
+        }
+
+        const found = terms.reduce((match, term) => match || findTerm(msg.text, term), null);
+        hits.push({
+          score: Math.round(score * 1000) / 1000,
+          roomId: msg.roomId,
+          roomTitle: data.rooms[msg.roomId]?.title,
+          messageId: msg.id,
+          ...(msg.parentId && { parentId: msg.parentId }),
+          personEmail: msg.personEmail,
+          created: msg.created,
+          snippet: makeSnippet(msg.text, found?.index ?? 0, found?.length ?? 0),
+          link: spaceLink(msg.roomId)
+        });
+      }
+
+      hits.sort((a, b) => b.score - a.score || new Date(b.created) - new Date(a.created));
+      return { hits: hits.slice(0, limit), totalHits: hits.length };
+    },
+
+    /**
+     * Describe what the index holds
+     * @returns {Promise<Object>} { filePath, rooms, messages, syncedAt, oldest, newest }
+     */
+    async stats() {
+      await load();
+      const created = Object.values(data.messages).map(msg => msg.created).sort();
+      return {
+        filePath,
+        rooms: Object.keys(data.rooms).length,
+        messages: created.length,
+        syncedAt: data.syncedAt,
+        oldest: created[0] || null,
+        newest: created[created.length - 1] || null
+      };
+    }
+  };
+}
+
+/**
+ * Whether the index is turned on (WEBEX_INDEX_ROOMS is set)
+ * @returns {boolean}
+ */
+export function isIndexEnabled() {
+  return parseList(process.env.WEBEX_INDEX_ROOMS).length > 0;
+}
+
+let loaded = null;
+
+/**
+ * Get the message index configured by environment variables
+ * WEBEX_INDEX_ROOMS (room IDs or title globs, `*` for all) turns it on;
+ * WEBEX_INDEX_EXCLUDE_ROOMS, WEBEX_INDEX_ROOM_TYPES, WEBEX_INDEX_RETENTION_DAYS
+ * and WEBEX_INDEX_FILE refine it. The same instance is returned while the
+ * settings are unchanged, so its in-memory copy is shared.
+ * @returns {Object|null} Message index, or null when the index is off
+ */
+export function loadMessageIndex() {
+  if (!isIndexEnabled()) {
+    return null;
+  }
+  const retentionDays = parseInt(process.env.WEBEX_INDEX_RETENTION_DAYS, 10);
+  const options = {
+    filePath: process.env.WEBEX_INDEX_FILE || DEFAULT_INDEX_FILE,
+    include: parseList(process.env.WEBEX_INDEX_ROOMS),
+    exclude: parseList(process.env.WEBEX_INDEX_EXCLUDE_ROOMS),
+    roomTypes: parseList(process.env.WEBEX_INDEX_ROOM_TYPES),
+    retentionDays: retentionDays >= 0 ? retentionDays : DEFAULT_RETENTION_DAYS
+  };
+
+  const key = JSON.stringify(options);
+  if (loaded?.key !== key) {
+    loaded = { key, index: createMessageIndex(options) };
+  }
+  return loaded.index;
+}
@@ -0,0 +1,320 @@
+/**
+ * Message Search Module
+ * Searches recent history across rooms. Webex has no message search API, so
+ * the most recently active rooms are listed and each is scanned back to a
+ * date, or until its message budget is spent. Rooms the local message index
+ * covers (lib/message-index.js) are read from the index instead. Hits are
+ * ranked by how well they match, then by how recent they are.
+ */
+
+import { Worker } from 'worker_threads';
+import { getWebexUrl, getWebexHeaders } from './webex-config.js';
+import { webexFetch } from './webex-client.js';
+import { fetchPages } from './pagination.js';
+import { WebexApiError, toErrorResult } from './errors.js';
+import { buildMatcher, makeSnippet, spaceLink } from './text-match.js';
+import { loadMessageIndex } from './message-index.js';
+
+export { buildMatcher, makeSnippet, spaceLink };
+
+// Rooms scanned when no limit is given
+export const DEFAULT_MAX_ROOMS = 20;
+
+// Messages read per room when no budget is given
+export const DEFAULT_MESSAGES_PER_ROOM = 200;
+
+// Hits returned when no limit is given
+export const DEFAULT_MAX_RESULTS = 20;
+
+// Time a regular expression gets for one room's messages before it is stopped
+export const REGEX_TIMEOUT_MS = 2000;
+
+// Rooms scanned at the same time
+const ROOM_CONCURRENCY = 4;
+
+// Messages per page (API maximum)
+const PAGE_SIZE = 100;
+
+/**
+ * Start a worker that runs a regular expression over message texts
+ * A pattern that backtracks for too long only blocks the worker, which is terminated after timeoutMs.
+ * Batches run one at a time, each with its own time limit; after a failure every batch fails.
+ * @private
+ */
+function startRegexMatcher(query, caseSensitive, timeoutMs) {
+  const worker = new Worker(new URL('./regex-worker.js', import.meta.url), { workerData: { query, caseSensitive } });
+  let pending = Promise.resolve();
+  let failure = null;
+  // Errors between batches (e.g. while the worker starts) fail the next batch
+  worker.on('error', error => {
+    failure ??= new WebexApiError(`The regular expression failed: ${error.message}`, { retryable: false });
+  });
+
+  const run = texts => new Promise((resolve, reject) => {
+    if (failure) {
+      reject(failure);
+      return;
+    }
+    const settle = (error, results) => {
+      clearTimeout(timer);
+      worker.off('message', onMessage);
+      worker.off('error', onError);
+      if (error) {
+        failure = error;
+        reject(error);
+      } else {
+        resolve(results);
+      }
+    };
+    const onMessage = results => settle(null, results);
+    const onError = error => settle(failure ?? new WebexApiError(`The regular expression failed: ${error.message}`, { retryable: false }));
+    const timer = setTimeout(() => {
+      worker.terminate();
+      settle(new WebexApiError(`The regular expression took longer than ${timeoutMs} ms on one room's messages and was stopped. Simplify it, or use keyword or phrase mode.`, { retryable: false }));
+    }, timeoutMs);
+    worker.on('message', onMessage);
+    worker.on('error', onError);
+    worker.postMessage(texts);
+  });
+
+  return {
+    match(texts) {
+      const result = pending.then(() => run(texts));
+      pending = result.catch(() => {});
+      return result;
+    },
+    close: () => worker.terminate()
+  };
+}
+
+/**
+ * Whether a message was sent by an author, given as email or personId
+ * @private
+ */
+function isFrom(msg, author) {
+  return author.includes('@')
+    ? msg.personEmail?.toLowerCase() === author.toLowerCase()
+    : msg.personId === author;
+}
+
+/**
+ * List the rooms to search, most recently active first
+ * @private
+ */
+async function listRooms({ roomIds, roomType, teamId, after, maxRooms }, headers) {
+  if (roomIds?.length > 0) {
+    return Promise.all(roomIds.slice(0, maxRooms).map(async roomId => {
+      const response = await webexFetch(getWebexUrl(`/rooms/${encodeURIComponent(roomId)}`), { method: 'GET', headers });
+      if (!response.ok) {
+        throw await WebexApiError.fromResponse(response);
+      }
+      return response.json();
+    }));
+  }
+
+  const url = new URL(getWebexUrl('/rooms'));
+  url.searchParams.set('sortBy', 'lastactivity');
+  url.searchParams.set('max', String(Math.min(maxRooms, 100)));
+  if (roomType) url.searchParams.set('type', roomType);
+  if (teamId) url.searchParams.set('teamId', teamId);
+  const { items } = await fetchPages(url, { headers, all: true, maxItems: maxRooms });
+
+  // Rooms quiet since the start of the range cannot have hits
+  return after ? items.filter(room => !room.lastActivity || new Date(room.lastActivity) >= after) : items;
+}
+
+/**
+ * Read a room's messages back to a date, within a budget
+ * @private
+ */
+async function scanRoom(roomId, { before, after, budget }, headers) {
+  const messages = [];
+  let cursor;
+  let exhausted = false;
+
+  while (messages.length < budget) {
+    const url = new URL(getWebexUrl('/messages'));
+    url.searchParams.set('roomId', roomId);
+    url.searchParams.set('max', String(Math.min(PAGE_SIZE, budget - messages.length)));
+    if (cursor) {
+      url.searchParams.set('beforeMessage', cursor);
+    } else if (before) {
+      url.searchParams.set('before', before.toISOString());
+    }
+
+    const response = await webexFetch(url.toString(), { method: 'GET', headers });
+    if (!response.ok) {
+      throw await WebexApiError.fromResponse(response);
+    }
+    const items = (await response.json()).items || [];
+
+    const inRange = after ? items.filter(msg => new Date(msg.created) >= after) : items;
+    messages.push(...inRange);
+    if (inRange.length < items.length || items.length < Number(url.searchParams.get('max'))) {
+      exhausted = true;
+      break;
+    }
+    cursor = items[items.length - 1].id;
+  }
+
+  return { messages, exhausted };
+}
+
+/**
+ * Keep the messages sent within a date range
+ * @private
+ */
+function inRange(messages, { after, before }) {
+  return messages.filter(msg => (!after || new Date(msg.created) >= after) && (!before || new Date(msg.created) < before));
+}
+
+/**
+ * Read the rooms the local message index covers, after syncing them
+ * If the index cannot be used (e.g. it belongs to another Webex user), every room is scanned instead.
+ * @private
+ * @returns {Promise<Map>} roomId => messages, newest first
+ */
+async function readIndex(index, rooms, after) {
+  const included = rooms.filter(room => index.includes(room)).map(room => room.id);
+  if (included.length === 0) {
+    return new Map();
+  }
+  try {
+    const synced = await index.sync({ roomIds: included });
+    const failed = new Set((synced.errors || []).map(error => error.roomId));
+    return await index.roomMessages(included.filter(roomId => !failed.has(roomId)), { after: after?.toISOString() });
+  } catch (error) {
+    console.warn(`[Search] Not using the message index: ${error.message}`);
+    return new Map();
+  }
+}
+
+/**
+ * Parse an optional ISO 8601 date
+ * @private
+ */
+function parseDate(value, name) {
+  if (!value) {
+    return undefined;
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new WebexApiError(`Invalid '${name}' date: ${value}. Use ISO 8601 format (e.g., 2024-01-27T18:00:00Z).`, { retryable: false });
+  }
+  return date;
+}
+
+/**
+ * Search messages across rooms
+ * @param {Object} options
+ * @param {string} options.query - What to look for
+ * @param {string} [options.mode='keyword'] - 'keyword', 'phrase' or 'regex'
+ * @param {boolean} [options.caseSensitive=false] - Match case
+ * @param {string[]} [options.roomIds] - Search only these rooms
+ * @param {string} [options.roomType] - 'direct' or 'group'
+ * @param {string} [options.teamId] - Search only the team's rooms
+ * @param {string} [options.after] - Only messages sent at or after this time (ISO 8601)
+ * @param {string} [options.before] - Only messages sent before this time (ISO 8601)
+ * @param {string} [options.author] - Only messages by this person, by email or personId
+ * @param {number} [options.maxRooms=20] - Most recently active rooms to scan
+ * @param {number} [options.messagesPerRoom=200] - Messages read per room at most
+ * @param {number} [options.maxResults=20] - Hits to return
+ * @param {number} [options.regexTimeoutMs=2000] - Time a regular expression gets per room before the search fails
+ * @param {Object|null} [options.index] - Message index for the rooms it covers (default: the one WEBEX_INDEX_ROOMS configures)
+ * @returns {Promise<Object>} { hits, totalHits, roomsSearched, indexedRooms, messagesSearched, incompleteRooms, errors? }
+ *   where each hit is { score, roomId, roomTitle, roomType, messageId, parentId?, personEmail, created, snippet, link? }
+ *   indexedRooms counts the rooms read from the index, without a budget,
+ *   and incompleteRooms lists rooms whose budget ran out before the start of the range
+ * @throws {WebexApiError} If the query is invalid, the rooms cannot be listed or a regular expression runs too long
+ */
+export async function searchMessages({
+  query,
+  mode = 'keyword',
+  caseSensitive = false,
+  roomIds,
+  roomType,
+  teamId,
+  after,
+  before,
+  author,
+  maxRooms = DEFAULT_MAX_ROOMS,
+  messagesPerRoom = DEFAULT_MESSAGES_PER_ROOM,
+  maxResults = DEFAULT_MAX_RESULTS,
+  regexTimeoutMs = REGEX_TIMEOUT_MS,
+  index = loadMessageIndex()
+}) {
+  const match = buildMatcher(query, { mode, caseSensitive });
+  const range = { after: parseDate(after, 'after'), before: parseDate(before, 'before'), budget: messagesPerRoom };
+  const headers = await getWebexHeaders();
+
+  const rooms = await listRooms({ roomIds, roomType, teamId, after: range.after, maxRooms }, headers);
+  const indexed = index ? await readIndex(index, rooms, range.after) : new Map();
+  const hits = [];
+  const errors = [];
+  const incompleteRooms = [];
+  let messagesSearched = 0;
+
+  // Regular expressions run in a worker, so one that backtracks for too long cannot block the server
+  const regex = mode === 'regex' && rooms.length > 0 ? startRegexMatcher(query, caseSensitive, regexTimeoutMs) : null;
+  const matchTexts = regex ? regex.match : async texts => texts.map(text => match(text));
+
+  const searchRoom = async room => {
+    let scanned;
+    try {
+      scanned = indexed.has(room.id)
+        ? { messages: inRange(indexed.get(room.id), range), exhausted: true }
+        : await scanRoom(room.id, range, headers);
+    } catch (error) {
+      errors.push({ roomId: room.id, roomTitle: room.title, ...toErrorResult(error, 'Failed to search the room') });
+      return;
+    }
+    const { messages, exhausted } = scanned;
+    messagesSearched += messages.length;
+    if (!exhausted) {
+      incompleteRooms.push({ roomId: room.id, roomTitle: room.title, searchedBack: messages[messages.length - 1]?.created });
+    }
+
+    // A regular expression that runs too long fails the whole search, not just this room
+    const candidates = author ? messages.filter(msg => isFrom(msg, author)) : messages;
+    const found = await matchTexts(candidates.map(msg => msg.text));
+    candidates.forEach((msg, i) => {
+      if (!found[i]) return;
+      hits.push({
+        score: found[i].score,
+        roomId: room.id,
+        roomTitle: room.title,
+        roomType: room.type,
+        messageId: msg.id,
+        ...(msg.parentId && { parentId: msg.parentId }),
+        personEmail: msg.personEmail,
+        created: msg.created,
+        snippet: makeSnippet(msg.text, found[i].index, found[i].length),
+        link: spaceLink(room.id)
+      });
+    });
+  };
+
+  // A few rooms at a time, so a search over many rooms does not hold them all in memory at once
+  let next = 0;
+  const worker = async () => {
+    while (next < rooms.length) {
+      await searchRoom(rooms[next++]);
+    }
+  };
+  try {
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(ROOM_CONCURRENCY, rooms.length)) }, worker));
+  } finally {
+    await regex?.close();
+  }
+
+  hits.sort((a, b) => b.score - a.score || new Date(b.created) - new Date(a.created));
+  return {
+    hits: hits.slice(0, maxResults),
+    totalHits: hits.length,
+    roomsSearched: rooms.length - errors.length,
+    indexedRooms: indexed.size,
+    messagesSearched,
+    incompleteRooms,
+    ...(errors.length > 0 && { errors })
+  };
+}
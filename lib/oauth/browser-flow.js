@@ -17,7 +17,7 @@ const OAUTH_TIMEOUT_MS = 5 * 60 * 1000;
  * @param {Object} params - Exchange parameters
  * @returns {Promise<Object>} Token data
  */
-async function exchangeCodeForTokens({ code, codeVerifier, clientId, clientSecret, redirectUri }) {
+export async function exchangeCodeForTokens({ code, codeVerifier, clientId, clientSecret, redirectUri }) {
   const response = await fetch(WEBEX_TOKEN_URL, {
     method: 'POST',
     headers: {
@@ -54,7 +54,7 @@ async function exchangeCodeForTokens({ code, codeVerifier, clientId, clientSecre
  * @param {string} message - Message to display
  * @returns {string} HTML content
  */
-function generateCallbackHtml(success, message) {
+export function generateCallbackHtml(success, message) {
   const color = success ? '#22c55e' : '#ef4444';
   const icon = success ? '&#10004;' : '&#10006;';
   return `<!DOCTYPE html>
@@ -9,6 +9,10 @@ export {
   getCachedToken,
   getAuthStatus,
   forceReauthenticate,
+  refreshAccessToken,
 } from './token-manager.js';
 
-export { clearTokens } from './token-storage.js';
+export { clearTokens, isTokenExpiringSoon } from './token-storage.js';
+export { exchangeCodeForTokens, generateCallbackHtml } from './browser-flow.js';
+export { getOAuthConfig, WEBEX_AUTHORIZE_URL } from './oauth-config.js';
+export { generateCodeVerifier, generateCodeChallenge, generateState } from './pkce.js';
@@ -0,0 +1,133 @@
+/**
+ * Pagination Module
+ * Follows RFC 5988 `Link: <...>; rel="next"` headers returned by Webex list
+ * endpoints, and encodes next-page URLs as opaque cursors for the model.
+ */
+
+import { getWebexBaseUrl } from './webex-config.js';
+import { webexFetch } from './webex-client.js';
+import { WebexApiError } from './errors.js';
+
+// Safety limit to prevent runaway pagination when no maxItems is given
+const MAX_PAGES = 50;
+
+/**
+ * JSON Schema properties shared by every paginated list tool
+ * @type {Object}
+ */
+export const paginationParameters = {
+  all: {
+    type: 'boolean',
+    description: 'If true, follow pagination links and return all results (up to maxItems). Defaults to false (first page only).'
+  },
+  maxItems: {
+    type: 'integer',
+    description: 'Maximum total number of items to return when all is true. Page size is still controlled by max.'
+  },
+  cursor: {
+    type: 'string',
+    description: 'Opaque cursor from a previous response (nextCursor) to fetch the next page. Other filters are ignored when a cursor is provided.'
+  }
+};
+
+/**
+ * Parse an RFC 5988 Link header into a map of rel → URL
+ * @param {string|null} header - Raw Link header value
+ * @returns {Object} Map of relation names to URLs
+ */
+export function parseLinkHeader(header) {
+  const links = {};
+  if (!header) return links;
+
+  for (const part of header.split(',')) {
+    const match = part.match(/<([^>]+)>\s*;(.*)/);
+    if (!match) continue;
+    const relMatch = match[2].match(/rel\s*=\s*"?([^";]+)"?/i);
+    if (!relMatch) continue;
+    for (const rel of relMatch[1].trim().split(/\s+/)) {
+      links[rel.toLowerCase()] = match[1];
+    }
+  }
+
+  return links;
+}
+
+/**
+ * Encode a next-page URL as an opaque cursor
+ * @param {string} url - Next page URL from the Link header
+ * @returns {string} Cursor string
+ */
+export function encodeCursor(url) {
+  return Buffer.from(url, 'utf-8').toString('base64url');
+}
+
+/**
+ * Decode a cursor back to a URL, ensuring it targets the configured Webex API
+ * so a crafted cursor can't send the bearer token to another host.
+ * @param {string} cursor - Cursor from a previous response
+ * @returns {URL} The next page URL
+ * @throws {Error} If the cursor is malformed or points elsewhere
+ */
+export function decodeCursor(cursor) {
+  let url;
+  try {
+    url = new URL(Buffer.from(cursor, 'base64url').toString('utf-8'));
+  } catch (e) {
+    throw new Error('Invalid pagination cursor');
+  }
+
+  const base = new URL(getWebexBaseUrl());
+  if (url.origin !== base.origin || !url.pathname.startsWith(base.pathname)) {
+    throw new Error('Invalid pagination cursor: does not target the Webex API');
+  }
+  return url;
+}
+
+/**
+ * Fetch one or more pages from a Webex list endpoint.
+ *
+ * @param {URL|string} url - First page URL (including filters and max)
+ * @param {Object} options
+ * @param {Object} options.headers - Request headers
+ * @param {boolean} [options.all=false] - Follow next links until exhausted or maxItems reached
+ * @param {number} [options.maxItems] - Cap on the total number of items returned
+ * @returns {Promise<Object>} First page body with accumulated items, plus nextCursor if more remain
+ */
+export async function fetchPages(url, { headers, all = false, maxItems } = {}) {
+  let nextUrl = new URL(url);
+  const pageSize = parseInt(nextUrl.searchParams.get('max'), 10) || undefined;
+  let result = null;
+  const items = [];
+
+  for (let page = 0; nextUrl && page < MAX_PAGES; page++) {
+    // Shrink the final page so the cursor resumes exactly where we stopped
+    if (maxItems > 0) {
+      const remaining = maxItems - items.length;
+      nextUrl.searchParams.set('max', String(pageSize ? Math.min(pageSize, remaining) : remaining));
+    }
+
+    const response = await webexFetch(nextUrl.toString(), {
+      method: 'GET',
+      headers
+    });
+
+    if (!response.ok) {
+      throw await WebexApiError.fromResponse(response);
+    }
+
+    const data = await response.json();
+    if (!result) result = data;
+    items.push(...(data.items || []));
+
+    const next = parseLinkHeader(response.headers?.get?.('link')).next;
+    nextUrl = next ? new URL(next) : null;
+
+    if (!all || (maxItems > 0 && items.length >= maxItems)) break;
+  }
+
+  return {
+    ...result,
+    items,
+    ...(nextUrl && { nextCursor: encodeCursor(nextUrl.toString()) })
+  };
+}
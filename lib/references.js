@@ -0,0 +1,76 @@
+/**
+ * References Module
+ * Resolves the Webex resources a tool call refers to (roomId, personEmail,
+ * teamId, ...) so callers can check they exist before anything is changed.
+ */
+
+import { getWebexUrl, getWebexHeaders } from './webex-config.js';
+import { webexFetch } from './webex-client.js';
+import { WebexApiError } from './errors.js';
+
+/**
+ * How to look up each referencing argument, and which field names it.
+ * Tools can override an argument's lookup (e.g. team membership IDs).
+ */
+const LOOKUPS = {
+  roomId: { endpoint: id => `/rooms/${encodeURIComponent(id)}`, label: 'title' },
+  teamId: { endpoint: id => `/teams/${encodeURIComponent(id)}`, label: 'name' },
+  personId: { endpoint: id => `/people/${encodeURIComponent(id)}`, label: 'displayName' },
+  toPersonId: { endpoint: id => `/people/${encodeURIComponent(id)}`, label: 'displayName' },
+  personEmail: { search: email => `/people?email=${encodeURIComponent(email)}`, label: 'displayName' },
+  toPersonEmail: { search: email => `/people?email=${encodeURIComponent(email)}`, label: 'displayName' },
+  messageId: { endpoint: id => `/messages/${encodeURIComponent(id)}`, label: 'text' },
+  parentId: { endpoint: id => `/messages/${encodeURIComponent(id)}`, label: 'text' },
+  membershipId: { endpoint: id => `/memberships/${encodeURIComponent(id)}`, label: 'personEmail' },
+  webhookId: { endpoint: id => `/webhooks/${encodeURIComponent(id)}`, label: 'name' }
+};
+
+const TOOL_LOOKUPS = {
+  update_team_membership: { membershipId: { endpoint: id => `/team/memberships/${encodeURIComponent(id)}`, label: 'personEmail' } },
+  delete_team_membership: { membershipId: { endpoint: id => `/team/memberships/${encodeURIComponent(id)}`, label: 'personEmail' } },
+  get_team_membership_details: { membershipId: { endpoint: id => `/team/memberships/${encodeURIComponent(id)}`, label: 'personEmail' } }
+};
+
+/**
+ * Look up a single reference
+ * @private
+ */
+async function resolve(lookup, value, headers) {
+  const path = lookup.search ? lookup.search(value) : lookup.endpoint(value);
+  const response = await webexFetch(getWebexUrl(path), { method: 'GET', headers });
+  if (!response.ok) {
+    const error = await WebexApiError.fromResponse(response);
+    return { found: false, status: error.status, message: error.message };
+  }
+
+  const data = await response.json();
+  const resource = lookup.search ? data.items?.[0] : data;
+  if (!resource) {
+    return { found: false, message: `No match for ${value}` };
+  }
+  return { found: true, id: resource.id, name: resource[lookup.label] };
+}
+
+/**
+ * Resolve every known reference in a tool's arguments
+ * @param {string} toolName - Tool being called
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} Map of argument name to { found, id?, name?, status?, message? }
+ */
+export async function resolveReferences(toolName, args = {}) {
+  const lookups = { ...LOOKUPS, ...TOOL_LOOKUPS[toolName] };
+  const entries = Object.entries(args).filter(([key, value]) => lookups[key] && typeof value === 'string' && value);
+  if (entries.length === 0) {
+    return {};
+  }
+
+  const headers = await getWebexHeaders();
+  const resolved = await Promise.all(entries.map(async ([key, value]) => {
+    try {
+      return [key, await resolve(lookups[key], value, headers)];
+    } catch (error) {
+      return [key, { found: false, message: error.message }];
+    }
+  }));
+  return Object.fromEntries(resolved);
+}
@@ -0,0 +1,16 @@
+/**
+ * Regex Worker
+ * Runs a search_messages regular expression off the main thread. A pattern
+ * that backtracks for too long blocks only this worker, which the search
+ * terminates (see runRegexMatcher in lib/message-search.js).
+ * Receives arrays of message texts and replies with a match (or null) for each.
+ */
+
+import { parentPort, workerData } from 'worker_threads';
+import { buildMatcher } from './text-match.js';
+
+const match = buildMatcher(workerData.query, { mode: 'regex', caseSensitive: workerData.caseSensitive });
+
+parentPort.on('message', texts => {
+  parentPort.postMessage(texts.map(text => match(text)));
+});
@@ -0,0 +1,234 @@
+/**
+ * Resources Module
+ * Exposes Webex rooms, messages and people as MCP resources so clients can
+ * attach them as context without a tool call:
+ *   webex://me, webex://rooms, webex://rooms/{roomId},
+ *   webex://rooms/{roomId}/messages, webex://people/{personId}
+ * Reads reuse the fetch logic of the matching tools, and each resource is
+ * only registered when the tool policy enables its tool.
+ */
+
+import { ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { McpError, ErrorCode, ListResourcesRequestSchema, SubscribeRequestSchema, UnsubscribeRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { runWithWebexToken } from './webex-config.js';
+import { isErrorResult } from './errors.js';
+import { apiTool as getMyOwnDetails } from '../tools/webex-public-workspace/webex-messaging/get-my-own-details.js';
+import { apiTool as listRooms } from '../tools/webex-public-workspace/webex-messaging/list-rooms.js';
+import { apiTool as getRoomDetails } from '../tools/webex-public-workspace/webex-messaging/get-room-details.js';
+import { apiTool as listMessages } from '../tools/webex-public-workspace/webex-messaging/list-messages.js';
+import { apiTool as getPersonDetails } from '../tools/webex-public-workspace/webex-messaging/get-person-details.js';
+
+// MCP error code for unknown resources (from the MCP specification)
+export const RESOURCE_NOT_FOUND = -32002;
+
+// Rooms per resources/list page
+const LIST_PAGE_SIZE = 100;
+
+// Messages included in webex://rooms/{roomId}/messages
+const RECENT_MESSAGES = 50;
+
+// Room titles used for {roomId} completion are reused for this long
+const COMPLETION_CACHE_TTL_MS = 30 * 1000;
+
+// Completion suggestions returned at most (MCP limit)
+const MAX_COMPLETIONS = 100;
+
+/**
+ * Build the URI of a room resource
+ * @param {string} roomId - Room ID
+ * @returns {string} webex://rooms/{roomId}
+ */
+export function roomUri(roomId) {
+  return `webex://rooms/${encodeURIComponent(roomId)}`;
+}
+
+/**
+ * Turn a tool result into resource contents, throwing MCP errors for error envelopes
+ * @private
+ */
+function toContents(uri, result) {
+  if (isErrorResult(result)) {
+    const { status, message } = result.error;
+    throw new McpError(status === 404 ? RESOURCE_NOT_FOUND : ErrorCode.InternalError, message, result.error);
+  }
+  return {
+    contents: [{
+      uri: uri.toString(),
+      mimeType: 'application/json',
+      text: JSON.stringify(result, null, 2)
+    }]
+  };
+}
+
+/**
+ * Register Webex resources and resource templates on an MCP server
+ * @param {McpServer} server - MCP server
+ * @param {Object} [options]
+ * @param {Object} [options.sessionAuth] - Per-session Webex credentials (HTTP mode), as in createMcpServer
+ * @param {Object} [options.subscriptions] - Subscription manager enabling resources/subscribe (see lib/subscriptions.js)
+ * @param {Object} [options.toolPolicy] - Tool policy; resources whose tool it disables are left out
+ * @param {Function} [options.now] - Clock override for testing
+ */
+export function registerWebexResources(server, { sessionAuth, subscriptions, toolPolicy, now = Date.now } = {}) {
+  let roomCache = null;
+
+  const enabled = name => !toolPolicy || toolPolicy.isEnabled(name);
+  const canListRooms = enabled(listRooms.definition.function.name);
+  const canReadMe = enabled(getMyOwnDetails.definition.function.name);
+  const canReadRoom = enabled(getRoomDetails.definition.function.name);
+  const canReadMessages = enabled(listMessages.definition.function.name);
+  const canReadPerson = enabled(getPersonDetails.definition.function.name);
+  if (!canListRooms && !canReadMe && !canReadRoom && !canReadMessages && !canReadPerson) {
+    return;
+  }
+
+  /**
+   * Run a read with the calling session's Webex token
+   */
+  async function asCaller(extra, fn) {
+    let webexToken = null;
+    if (sessionAuth) {
+      try {
+        webexToken = await sessionAuth.resolveWebexToken(extra);
+      } catch (error) {
+        throw new McpError(ErrorCode.InvalidRequest, error.message, error.toJSON?.());
+      }
+    }
+    return webexToken ? runWithWebexToken(webexToken, fn) : fn();
+  }
+
+  /**
+   * Complete {roomId} by matching room titles (or ID prefixes), most recently active first
+   * Completion requests carry no request context, so the session comes from the transport.
+   */
+  async function completeRoomId(value = '') {
+    try {
+      if (!roomCache || roomCache.expiresAt <= now()) {
+        const result = await asCaller({ sessionId: server.server.transport?.sessionId }, () =>
+          listRooms.function({ sortBy: 'lastactivity', max: LIST_PAGE_SIZE })
+        );
+        if (isErrorResult(result)) {
+          return [];
+        }
+        roomCache = { rooms: result.items || [], expiresAt: now() + COMPLETION_CACHE_TTL_MS };
+      }
+      const query = value.toLowerCase();
+      return roomCache.rooms
+        .filter(room => room.id.startsWith(value) || (room.title || '').toLowerCase().includes(query))
+        .slice(0, MAX_COMPLETIONS)
+        .map(room => room.id);
+    } catch (error) {
+      console.error('[Resources] Room completion failed:', error.message);
+      return [];
+    }
+  }
+
+  // {roomId} completion lists rooms, so it needs list_rooms too
+  const roomIdCompletion = canListRooms ? { roomId: completeRoomId } : undefined;
+
+  if (canReadMe) {
+    server.registerResource('me', 'webex://me', {
+      title: 'My Webex profile',
+      description: 'The authenticated user\'s Webex person record.',
+      mimeType: 'application/json'
+    }, (uri, extra) => asCaller(extra, async () => toContents(uri, await getMyOwnDetails.function({}))));
+  }
+
+  if (canListRooms) {
+    server.registerResource('rooms', 'webex://rooms', {
+      title: 'Webex rooms',
+      description: `The ${LIST_PAGE_SIZE} most recently active rooms (spaces) the user belongs to.`,
+      mimeType: 'application/json'
+    }, (uri, extra) => asCaller(extra, async () =>
+      toContents(uri, await listRooms.function({ sortBy: 'lastactivity', max: LIST_PAGE_SIZE }))
+    ));
+  }
+
+  if (canReadRoom) {
+    server.registerResource('room', new ResourceTemplate('webex://rooms/{roomId}', {
+      list: undefined,
+      complete: roomIdCompletion
+    }), {
+      title: 'Webex room',
+      description: 'Details of a room (space): title, type, team and last activity.',
+      mimeType: 'application/json'
+    }, (uri, { roomId }, extra) => asCaller(extra, async () =>
+      toContents(uri, await getRoomDetails.function({ roomId: decodeURIComponent(roomId) }))
+    ));
+  }
+
+  if (canReadMessages) {
+    server.registerResource('room-messages', new ResourceTemplate('webex://rooms/{roomId}/messages', {
+      list: undefined,
+      complete: roomIdCompletion
+    }), {
+      title: 'Recent messages in a Webex room',
+      description: `The ${RECENT_MESSAGES} most recent messages in a room, newest first.`,
+      mimeType: 'application/json'
+    }, (uri, { roomId }, extra) => asCaller(extra, async () =>
+      toContents(uri, await listMessages.function({ roomId: decodeURIComponent(roomId), max: RECENT_MESSAGES }))
+    ));
+  }
+
+  if (canReadPerson) {
+    server.registerResource('person', new ResourceTemplate('webex://people/{personId}', {
+      list: undefined
+    }), {
+      title: 'Webex person',
+      description: 'A person\'s Webex profile: name, emails, status and organization.',
+      mimeType: 'application/json'
+    }, (uri, { personId }, extra) => asCaller(extra, async () =>
+      toContents(uri, await getPersonDetails.function({ personId: decodeURIComponent(personId) }))
+    ));
+  }
+
+  // The SDK lists resources in a single page; replace it with one that pages through rooms.
+  // Without list_rooms the SDK's own handler lists whichever static resources are left.
+  if (canListRooms) {
+    server.server.setRequestHandler(ListResourcesRequestSchema, (request, extra) => asCaller(extra, async () => {
+      const cursor = request.params?.cursor;
+      const page = await listRooms.function({ sortBy: 'lastactivity', max: LIST_PAGE_SIZE, cursor });
+      if (isErrorResult(page)) {
+        throw new McpError(cursor ? ErrorCode.InvalidParams : ErrorCode.InternalError, page.error.message, page.error);
+      }
+
+      // Room entries are read through get_room_details
+      const resources = (canReadRoom ? page.items || [] : []).map(room => ({
+        uri: roomUri(room.id),
+        name: room.title || room.id,
+        title: room.title,
+        description: `Webex ${room.type === 'direct' ? 'direct' : 'group'} room${room.lastActivity ? `, last active ${room.lastActivity}` : ''}`,
+        mimeType: 'application/json'
+      }));
+      if (!cursor) {
+        resources.unshift({ uri: 'webex://rooms', name: 'rooms', title: 'Webex rooms', mimeType: 'application/json' });
+        if (canReadMe) {
+          resources.unshift({ uri: 'webex://me', name: 'me', title: 'My Webex profile', mimeType: 'application/json' });
+        }
+      }
+
+      return page.nextCursor && canReadRoom ? { resources, nextCursor: page.nextCursor } : { resources };
+    }));
+  }
+
+  // Subscriptions notify about new room messages, which list_messages guards
+  if (!subscriptions || !canReadMessages) {
+    return;
+  }
+
+  // Room message subscriptions are backed by Webex webhooks (see lib/subscriptions.js)
+  server.server.registerCapabilities({ resources: { subscribe: true } });
+
+  server.server.setRequestHandler(SubscribeRequestSchema, (request, extra) => asCaller(extra, async () => {
+    await subscriptions.subscribe(extra.sessionId, request.params.uri, {
+      notify: uri => server.server.sendResourceUpdated({ uri }),
+      run: fn => asCaller({ sessionId: extra.sessionId }, fn)
+    });
+    return {};
+  }));
+
+  server.server.setRequestHandler(UnsubscribeRequestSchema, (request, extra) => asCaller(extra, async () => {
+    await subscriptions.unsubscribe(extra.sessionId, request.params.uri);
+    return {};
+  }));
+}
@@ -0,0 +1,510 @@
+/**
+ * Room Export Module
+ * Exports a room's whole history to a folder as a Markdown transcript, a
+ * standalone HTML page, JSON Lines and an mbox file. Messages are paged
+ * newest first with the beforeMessage cursor; each page is appended to
+ * .export/raw.jsonl and the cursor saved in .export/state.json, so an
+ * interrupted export picks up where it stopped. Attachments can be
+ * downloaded into the folder's attachments/ directory.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { createHash } from 'crypto';
+import { getWebexUrl, getWebexHeaders } from './webex-config.js';
+import { webexFetch } from './webex-client.js';
+import { fetchPages } from './pagination.js';
+import { WebexApiError } from './errors.js';
+import { lookupDisplayNames } from './threads.js';
+import { downloadAttachment, saveAttachment, loadAttachmentSettings } from './attachments.js';
+
+const DEFAULT_EXPORT_DIR = path.join(os.homedir(), '.webex-mcp', 'exports');
+
+export const EXPORT_FORMATS = ['markdown', 'html', 'jsonl', 'mbox'];
+
+// File written for each format
+const OUTPUT_FILES = {
+  markdown: 'transcript.md',
+  html: 'transcript.html',
+  jsonl: 'messages.jsonl',
+  mbox: 'room.mbox'
+};
+
+// Messages per page (API maximum)
+const PAGE_SIZE = 100;
+
+const STATE_DIR = '.export';
+const ATTACHMENTS_DIR = 'attachments';
+
+/**
+ * Read export settings from environment variables
+ * WEBEX_EXPORT_DIR is where exports are written unless a folder is given.
+ * @returns {Object} { exportDir }
+ */
+export function loadExportSettings() {
+  return { exportDir: process.env.WEBEX_EXPORT_DIR || DEFAULT_EXPORT_DIR };
+}
+
+/**
+ * Fetch a room
+ * @private
+ */
+async function getRoom(roomId, headers) {
+  const response = await webexFetch(getWebexUrl(`/rooms/${encodeURIComponent(roomId)}`), { method: 'GET', headers });
+  if (!response.ok) {
+    throw await WebexApiError.fromResponse(response);
+  }
+  return response.json();
+}
+
+/**
+ * Pick the folder a room is exported to
+ * The default folder is named after the room title, plus a short hash of the
+ * room ID so rooms with the same title do not share a folder.
+ * @param {string} roomId - Room to export
+ * @param {string} [folder] - Folder name under the export directory
+ * @returns {Promise<string>} Absolute path of the folder
+ * @throws {WebexApiError} If the folder name is not a plain name, or the room cannot be fetched
+ */
+export async function resolveExportDir(roomId, folder) {
+  const { exportDir } = loadExportSettings();
+  if (folder) {
+    if (folder !== path.basename(folder) || folder.startsWith('.')) {
+      throw new WebexApiError(`Invalid folder name "${folder}". Use a plain name; exports are written under ${exportDir}.`, { retryable: false });
+    }
+    return path.resolve(exportDir, folder);
+  }
+
+  const room = await getRoom(roomId, await getWebexHeaders());
+  const slug = String(room.title || 'room').normalize('NFKD').replace(/\p{M}/gu, '')
+    .replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60).toLowerCase() || 'room';
+  const hash = createHash('sha256').update(roomId).digest('hex').slice(0, 8);
+  return path.resolve(exportDir, `${slug}-${hash}`);
+}
+
+/**
+ * Read the export state, or start a new one
+ * @private
+ */
+async function loadState(stateDir, roomId) {
+  let state;
+  try {
+    state = JSON.parse(await fs.readFile(path.join(stateDir, 'state.json'), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return { version: 1, roomId, room: null, cursor: null, fetched: 0, done: false, newest: null, refresh: null, people: {}, files: {} };
+  }
+  if (state.roomId !== roomId) {
+    throw new WebexApiError(`This folder holds an export of another room (${state.roomId}). Choose another folder.`, { retryable: false });
+  }
+  return state;
+}
+
+/**
+ * Read the messages fetched so far, newest copy of each
+ * @private
+ */
+async function readMessages(stateDir) {
+  let raw;
+  try {
+    raw = await fs.readFile(path.join(stateDir, 'raw.jsonl'), 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return [];
+  }
+  const messages = new Map();
+  for (const line of raw.split('\n')) {
+    const msg = line && JSON.parse(line);
+    if (msg?.id) messages.set(msg.id, msg);
+  }
+  return [...messages.values()];
+}
+
+/**
+ * Drop a partial last line left in raw.jsonl by an interrupted write
+ * @private
+ */
+async function trimPartialLine(rawPath) {
+  let raw;
+  try {
+    raw = await fs.readFile(rawPath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return;
+  }
+  if (raw.length > 0 && raw[raw.length - 1] !== 0x0a) {
+    await fs.truncate(rawPath, raw.lastIndexOf(0x0a) + 1);
+  }
+}
+
+/**
+ * Order messages as threads: roots oldest first, each followed by its replies
+ * Replies whose root was deleted are treated as roots.
+ * @param {Object[]} messages - Messages in any order
+ * @returns {Object[]} Roots, each with a `replies` array oldest first
+ */
+export function nestThreads(messages) {
+  const byTime = [...messages].sort((a, b) => new Date(a.created) - new Date(b.created));
+  const ids = new Set(byTime.map(msg => msg.id));
+  const roots = [];
+  const replies = new Map();
+  for (const msg of byTime) {
+    if (msg.parentId && ids.has(msg.parentId)) {
+      replies.set(msg.parentId, [...(replies.get(msg.parentId) || []), msg]);
+    } else {
+      roots.push(msg);
+    }
+  }
+  return roots.map(root => ({ ...root, replies: replies.get(root.id) || [] }));
+}
+
+/**
+ * Format a time as "YYYY-MM-DD HH:MM UTC"
+ * @private
+ */
+function shortTime(created) {
+  return created ? `${created.slice(0, 16).replace('T', ' ')} UTC` : '';
+}
+
+/**
+ * Describe a message's files: local path if downloaded, otherwise why not
+ * @private
+ */
+function describeFiles(msg, files) {
+  return (msg.files || []).map((contentUrl, i) => {
+    const saved = files[contentUrl];
+    if (typeof saved === 'string') {
+      return { name: path.basename(saved), path: saved };
+    }
+    const label = `attachment ${i + 1}`;
+    if (saved?.tooLarge) return { name: label, note: 'too large to download' };
+    if (saved?.error) return { name: label, note: `download failed: ${saved.error}` };
+    return { name: label, note: 'not downloaded' };
+  });
+}
+
+/**
+ * Render the export as a Markdown transcript, replies quoted under their root
+ * @param {Object} room - Room
+ * @param {Object[]} threads - Messages from nestThreads, with `author`
+ * @param {Object} files - Downloaded files by content URL
+ * @returns {string} Markdown
+ */
+export function toMarkdown(room, threads, files) {
+  const render = msg => {
+    const body = msg.markdown || msg.text || (msg.attachments?.length > 0 ? '[card]' : '');
+    const attachments = describeFiles(msg, files).map(file =>
+      file.path ? `- [${file.name}](${encodeURI(file.path)})` : `- ${file.name} (${file.note})`);
+    return [`**${msg.author}** (${shortTime(msg.created)}):`, body, ...attachments].filter(Boolean).join('\n');
+  };
+  const quote = text => text.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+
+  const sections = threads.map(root => [render(root), ...root.replies.map(reply => quote(render(reply)))].join('\n\n'));
+  return `# ${room.title || room.id}\n\n${sections.join('\n\n---\n\n')}\n`;
+}
+
+const escapeHtml = text => String(text ?? '').replace(/[&<>"']/g, char =>
+  ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+const HTML_STYLE = `body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; color: #1f2328; }
+article { border-bottom: 1px solid #d0d7de; padding: 0.75rem 0; }
+.replies { margin: 0.5rem 0 0 1.5rem; border-left: 3px solid #d0d7de; padding-left: 1rem; }
+.replies article { border-bottom: none; padding: 0.25rem 0; }
+header { font-size: 0.9rem; color: #57606a; }
+header strong { color: #1f2328; }
+.text { white-space: pre-wrap; margin: 0.25rem 0; }
+ul.files { margin: 0.25rem 0; padding-left: 1.25rem; font-size: 0.9rem; }`;
+
+/**
+ * Render the export as a standalone HTML page (no scripts or remote resources)
+ * @param {Object} room - Room
+ * @param {Object[]} threads - Messages from nestThreads, with `author`
+ * @param {Object} files - Downloaded files by content URL
+ * @returns {string} HTML
+ */
+export function toHtml(room, threads, files) {
+  const render = msg => {
+    const attachments = describeFiles(msg, files).map(file => (file.path
+      ? `<li><a href="${escapeHtml(encodeURI(file.path))}">${escapeHtml(file.name)}</a></li>`
+      : `<li>${escapeHtml(file.name)} (${escapeHtml(file.note)})</li>`));
+    return [
+      `<article id="${escapeHtml(msg.id)}">`,
+      `<header><strong>${escapeHtml(msg.author)}</strong> <time datetime="${escapeHtml(msg.created)}">${escapeHtml(shortTime(msg.created))}</time></header>`,
+      `<div class="text">${escapeHtml(msg.text || (msg.attachments?.length > 0 ? '[card]' : ''))}</div>`,
+      ...(attachments.length > 0 ? [`<ul class="files">${attachments.join('')}</ul>`] : []),
+      ...(msg.replies?.length > 0 ? [`<div class="replies">\n${msg.replies.map(render).join('\n')}\n</div>`] : []),
+      '</article>'
+    ].join('\n');
+  };
+  const title = escapeHtml(room.title || room.id);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title>
+<style>
+${HTML_STYLE}
+</style>
+</head>
+<body>
+<h1>${title}</h1>
+${threads.map(render).join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render the export as JSON Lines, one message per line in thread order
+ * Each line is the Webex message plus `author` and the `localFiles` downloaded.
+ * @param {Object[]} threads - Messages from nestThreads, with `author`
+ * @param {Object} files - Downloaded files by content URL
+ * @returns {string} JSON Lines
+ */
+export function toJsonLines(threads, files) {
+  const line = ({ replies, ...msg }) => {
+    const localFiles = describeFiles(msg, files).filter(file => file.path).map(file => file.path);
+    return JSON.stringify({ ...msg, ...(localFiles.length > 0 && { localFiles }) });
+  };
+  return threads.flatMap(root => [line(root), ...root.replies.map(line)]).map(text => `${text}\n`).join('');
+}
+
+/**
+ * Encode a header value, using RFC 2047 if it is not plain ASCII
+ * @private
+ */
+function encodeHeader(value) {
+  const text = String(value || '').replace(/[\r\n]+/g, ' ');
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`;
+}
+
+/**
+ * Format a date for an mbox From_ line ("Mon Oct 19 12:00:00 2026")
+ * @private
+ */
+function asctime(date) {
+  const [weekday, day, month, year, time] = date.toUTCString().replace(',', '').split(' ');
+  return `${weekday} ${month} ${String(Number(day)).padStart(2, ' ')} ${time} ${year}`;
+}
+
+/**
+ * Render the export as an mbox file, one email per message
+ * Replies carry In-Reply-To and References headers pointing at their root,
+ * so mail clients show threads. Body lines starting with "From " are quoted
+ * with ">" (mboxrd).
+ * @param {Object} room - Room
+ * @param {Object[]} threads - Messages from nestThreads, with `author`
+ * @param {Object} files - Downloaded files by content URL
+ * @returns {string} mbox
+ */
+export function toMbox(room, threads, files) {
+  const messageId = id => `<${id}@webex>`;
+  const render = (msg, root) => {
+    const created = new Date(msg.created);
+    const email = msg.personEmail || 'unknown@webex';
+    const name = encodeHeader(msg.author).replace(/["\\]/g, '\\$&');
+    const attachments = describeFiles(msg, files).map(file => `[${file.path || `${file.name}, ${file.note}`}]`);
+    const body = [msg.text || (msg.attachments?.length > 0 ? '[card]' : ''), ...attachments].filter(Boolean).join('\n\n')
+      .replace(/\r\n?/g, '\n')
+      .replace(/^(>*From )/gm, '>$1');
+    return [
+      `From ${email} ${asctime(created)}`,
+      `From: "${name}" <${email}>`,
+      `Date: ${created.toUTCString().replace('GMT', '+0000')}`,
+      `Subject: ${root ? 'Re: ' : ''}${encodeHeader(room.title || room.id)}`,
+      `Message-ID: ${messageId(msg.id)}`,
+      ...(root ? [`In-Reply-To: ${messageId(root.id)}`, `References: ${messageId(root.id)}`] : []),
+      `X-Webex-Room-Id: ${room.id}`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: 8bit',
+      '',
+      body,
+      '',
+      ''
+    ].join('\n');
+  };
+  return threads.flatMap(root => [render(root), ...root.replies.map(reply => render(reply, root))]).join('');
+}
+
+/**
+ * Export a room's history to a folder
+ * Each call carries on from where the last one stopped, until the whole room
+ * has been read (`complete`); the output files are written once it has.
+ * Calling it again on a complete export adds the messages posted since.
+ * @param {Object} options
+ * @param {string} options.roomId - Room to export
+ * @param {string} options.dir - Folder to write the export to
+ * @param {string[]} [options.formats] - Formats to write (markdown, html, jsonl, mbox)
+ * @param {boolean} [options.attachments=false] - Download attachments into the folder
+ * @param {number} [options.maxMessages=Infinity] - Messages to fetch in this call
+ * @param {number} [options.maxDownloads=Infinity] - Attachments to download in this call
+ * @param {boolean} [options.restart=false] - Discard a previous, unfinished or finished, export
+ * @param {Function} [options.onProgress] - Called with { phase, fetched, downloaded }
+ * @returns {Promise<Object>} { roomId, roomTitle, dir, complete, resumed, messages, fetched,
+ *   attachments?, files? }
+ * @throws {WebexApiError} If the room or its messages cannot be fetched
+ */
+export async function exportRoom({
+  roomId,
+  dir,
+  formats = EXPORT_FORMATS,
+  attachments = false,
+  maxMessages = Infinity,
+  maxDownloads = Infinity,
+  restart = false,
+  onProgress = () => {}
+}) {
+  const unknown = formats.filter(format => !EXPORT_FORMATS.includes(format));
+  if (unknown.length > 0) {
+    throw new WebexApiError(`Unknown export format ${unknown.join(', ')}. Use ${EXPORT_FORMATS.join(', ')}.`, { retryable: false });
+  }
+
+  const stateDir = path.join(dir, STATE_DIR);
+  const statePath = path.join(stateDir, 'state.json');
+  const rawPath = path.join(stateDir, 'raw.jsonl');
+  if (restart) {
+    // Only an unreadable state is discarded blindly; another room's export is refused
+    const previous = await loadState(stateDir, roomId).catch(error => {
+      if (error instanceof SyntaxError) return null;
+      throw error;
+    });
+    for (const saved of Object.values(previous?.files || {})) {
+      if (typeof saved === 'string') await fs.rm(path.join(dir, saved), { force: true });
+    }
+    await fs.rm(stateDir, { recursive: true, force: true });
+  }
+  await fs.mkdir(stateDir, { recursive: true, mode: 0o700 });
+
+  const state = await loadState(stateDir, roomId);
+  await trimPartialLine(rawPath);
+  const resumed = state.fetched > 0;
+  const save = () => fs.writeFile(statePath, JSON.stringify(state), { mode: 0o600 });
+  const headers = await getWebexHeaders();
+  state.room = await getRoom(roomId, headers);
+
+  const readPage = async cursor => {
+    const url = new URL(getWebexUrl('/messages'));
+    url.searchParams.set('roomId', roomId);
+    url.searchParams.set('max', String(PAGE_SIZE));
+    if (cursor) url.searchParams.set('beforeMessage', cursor);
+    return (await fetchPages(url, { headers })).items;
+  };
+  const keep = async items => {
+    const unknownPeople = [...new Set(items.map(msg => msg.personId).filter(id => id && !(id in state.people)))];
+    if (unknownPeople.length > 0) {
+      const names = await lookupDisplayNames(unknownPeople, headers);
+      unknownPeople.forEach(id => { state.people[id] = names.get(id) || null; });
+    }
+    if (items.length > 0) {
+      await fs.appendFile(rawPath, items.map(msg => `${JSON.stringify(msg)}\n`).join(''), { mode: 0o600 });
+    }
+    state.fetched += items.length;
+  };
+
+  // Page back through the room
+  const finished = state.done;
+  let fetched = 0;
+  while (!state.done && fetched < maxMessages) {
+    const items = await readPage(state.cursor);
+    if (!state.cursor && items.length > 0) state.newest = items[0].created;
+    await keep(items);
+    if (items.length > 0) state.cursor = items[items.length - 1].id;
+    state.done = items.length < PAGE_SIZE;
+    fetched += items.length;
+    await save();
+    onProgress({ phase: 'messages', fetched: state.fetched });
+  }
+
+  // A finished export is brought up to date: page down from the newest message to the newest one exported.
+  // state.refresh keeps the cursor if that takes more than one call.
+  let refreshing = finished;
+  if (refreshing) {
+    state.newest ??= (await readMessages(stateDir)).reduce((newest, msg) => (msg.created > newest ? msg.created : newest), '');
+  }
+  while (refreshing && fetched < maxMessages) {
+    const refresh = state.refresh || { cursor: null, newest: null };
+    const items = await readPage(refresh.cursor);
+    const fresh = items.filter(msg => msg.created > state.newest);
+    await keep(fresh);
+    fetched += fresh.length;
+    refresh.newest ??= fresh[0]?.created || null;
+    if (fresh.length < items.length || items.length < PAGE_SIZE) {
+      state.newest = refresh.newest || state.newest;
+      state.refresh = null;
+      refreshing = false;
+    } else {
+      state.refresh = { ...refresh, cursor: items[items.length - 1].id };
+    }
+    await save();
+    onProgress({ phase: 'messages', fetched: state.fetched });
+  }
+  const caughtUp = state.done && !state.refresh;
+
+  const messages = (await readMessages(stateDir)).map(msg => ({
+    ...msg,
+    author: state.people[msg.personId] || msg.personEmail || msg.personId || 'Unknown'
+  }));
+  const result = {
+    roomId,
+    roomTitle: state.room.title,
+    dir,
+    complete: false,
+    resumed,
+    messages: messages.length,
+    fetched
+  };
+
+  // Download attachments once every message is known
+  if (attachments && caughtUp) {
+    const { maxBytes } = loadAttachmentSettings();
+    const pending = messages.flatMap(msg => msg.files || []).filter(contentUrl => !(contentUrl in state.files));
+    let downloaded = 0;
+    for (const contentUrl of pending) {
+      if (downloaded >= maxDownloads) break;
+      try {
+        const file = await downloadAttachment(contentUrl, { maxBytes });
+        state.files[contentUrl] = file.tooLarge
+          ? { tooLarge: true, size: file.size }
+          : path.relative(dir, await saveAttachment(file.filename, file.content, path.join(dir, ATTACHMENTS_DIR))).split(path.sep).join('/');
+      } catch (error) {
+        if (error.retryable) throw error;
+        state.files[contentUrl] = { error: error.message };
+      }
+      downloaded++;
+      await save();
+      onProgress({ phase: 'attachments', downloaded, total: pending.length });
+    }
+
+    const saved = Object.values(state.files);
+    result.attachments = {
+      downloaded: saved.filter(entry => typeof entry === 'string').length,
+      tooLarge: saved.filter(entry => entry?.tooLarge).length,
+      failed: saved.filter(entry => entry?.error).length,
+      pending: pending.length - downloaded
+    };
+  }
+
+  if (!caughtUp || result.attachments?.pending > 0) {
+    return result;
+  }
+
+  const threads = nestThreads(messages);
+  const renderers = {
+    markdown: () => toMarkdown(state.room, threads, state.files),
+    html: () => toHtml(state.room, threads, state.files),
+    jsonl: () => toJsonLines(threads, state.files),
+    mbox: () => toMbox(state.room, threads, state.files)
+  };
+  result.files = [];
+  for (const format of formats) {
+    const filePath = path.join(dir, OUTPUT_FILES[format]);
+    await fs.writeFile(filePath, renderers[format](), { mode: 0o600 });
+    result.files.push(filePath);
+  }
+  result.complete = true;
+  return result;
+}
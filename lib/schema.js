@@ -0,0 +1,189 @@
+/**
+ * Schema Conversion Module
+ * Converts the JSON Schema parameter definitions used by tools into Zod
+ * schemas for MCP SDK registration, preserving nested structure, enums,
+ * constraints, defaults and descriptions.
+ */
+
+import { z } from 'zod';
+
+/**
+ * Convert a single JSON Schema node to a Zod type
+ * @param {Object} schema - JSON Schema node
+ * @returns {import('zod').ZodTypeAny} Equivalent Zod type (without optionality)
+ */
+export function jsonSchemaToZod(schema) {
+  if (!schema || typeof schema !== 'object') {
+    return z.any();
+  }
+
+  let zodType = convertType(schema);
+
+  if (schema.nullable === true) {
+    zodType = zodType.nullable();
+  }
+  if (schema.default !== undefined) {
+    zodType = zodType.default(schema.default);
+  }
+  if (schema.description) {
+    zodType = zodType.describe(schema.description);
+  }
+
+  return zodType;
+}
+
+/**
+ * Convert the type-specific part of a JSON Schema node
+ * @private
+ */
+function convertType(schema) {
+  if (schema.const !== undefined) {
+    return z.literal(schema.const);
+  }
+
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    return convertEnum(schema.enum);
+  }
+
+  const variants = schema.anyOf || schema.oneOf;
+  if (Array.isArray(variants) && variants.length > 0) {
+    return union(variants.map(jsonSchemaToZod));
+  }
+
+  // type: ['string', 'null'] and similar
+  if (Array.isArray(schema.type)) {
+    return union(schema.type.map(type => convertType({ ...schema, type })));
+  }
+
+  switch (schema.type) {
+    case 'string':
+      return convertString(schema);
+    case 'number':
+      return convertNumber(z.number(), schema);
+    case 'integer':
+      return convertNumber(z.number().int(), schema);
+    case 'boolean':
+      return z.boolean();
+    case 'null':
+      return z.null();
+    case 'array':
+      return convertArray(schema);
+    case 'object':
+      return convertObject(schema);
+    default:
+      // Untyped or unknown: accept anything rather than coercing to string
+      return z.any();
+  }
+}
+
+/**
+ * @private
+ */
+function union(types) {
+  return types.length === 1 ? types[0] : z.union(types);
+}
+
+/**
+ * @private
+ */
+function convertEnum(values) {
+  if (values.every(value => typeof value === 'string')) {
+    return z.enum(values);
+  }
+  return union(values.map(value => z.literal(value)));
+}
+
+/**
+ * @private
+ */
+function convertString(schema) {
+  let zodType = z.string();
+
+  switch (schema.format) {
+    case 'email':
+      zodType = zodType.email();
+      break;
+    case 'uri':
+    case 'url':
+      zodType = zodType.url();
+      break;
+    case 'date-time':
+      zodType = zodType.datetime({ offset: true });
+      break;
+    case 'uuid':
+      zodType = zodType.uuid();
+      break;
+  }
+
+  if (schema.minLength !== undefined) zodType = zodType.min(schema.minLength);
+  if (schema.maxLength !== undefined) zodType = zodType.max(schema.maxLength);
+  if (schema.pattern) zodType = zodType.regex(new RegExp(schema.pattern));
+
+  return zodType;
+}
+
+/**
+ * @private
+ */
+function convertNumber(zodType, schema) {
+  if (schema.minimum !== undefined) zodType = zodType.min(schema.minimum);
+  if (schema.maximum !== undefined) zodType = zodType.max(schema.maximum);
+  if (schema.exclusiveMinimum !== undefined) zodType = zodType.gt(schema.exclusiveMinimum);
+  if (schema.exclusiveMaximum !== undefined) zodType = zodType.lt(schema.exclusiveMaximum);
+  return zodType;
+}
+
+/**
+ * @private
+ */
+function convertArray(schema) {
+  let zodType = z.array(schema.items ? jsonSchemaToZod(schema.items) : z.any());
+  if (schema.minItems !== undefined) zodType = zodType.min(schema.minItems);
+  if (schema.maxItems !== undefined) zodType = zodType.max(schema.maxItems);
+  return zodType;
+}
+
+/**
+ * Objects keep unknown keys unless additionalProperties is false, so
+ * free-form payloads (card inputs, person details) are not stripped.
+ * @private
+ */
+function convertObject(schema) {
+  const zodType = z.object(convertJsonSchemaToZod(schema.properties, schema.required));
+
+  if (schema.additionalProperties === false) {
+    return zodType.strict();
+  }
+  if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    return zodType.catchall(jsonSchemaToZod(schema.additionalProperties));
+  }
+  return zodType.passthrough();
+}
+
+/**
+ * Convert JSON Schema properties to a Zod raw shape
+ * Required by MCP SDK v1.17.4 for proper parameter validation
+ * @param {Object} properties - JSON Schema `properties` object
+ * @param {string[]} [required] - Names of required properties
+ * @returns {Object} Map of property names to Zod types
+ */
+export function convertJsonSchemaToZod(properties, required = []) {
+  if (!properties || typeof properties !== 'object') {
+    return {};
+  }
+
+  const zodSchema = {};
+
+  for (const [key, prop] of Object.entries(properties)) {
+    let zodType = jsonSchemaToZod(prop);
+
+    // Make optional if not in required array (defaults already imply optional input)
+    if (!required.includes(key) && prop?.default === undefined) {
+      zodType = zodType.optional();
+    }
+
+    zodSchema[key] = zodType;
+  }
+
+  return zodSchema;
+}
@@ -7,6 +7,7 @@
 import { promises as fs } from 'fs';
 import path from 'path';
 import os from 'os';
+import { recordDryRunStateWrite } from './dry-run.js';
 
 const DEFAULT_STATE_DIR = path.join(os.homedir(), '.webex-mcp');
 const DEFAULT_STATE_FILE = path.join(DEFAULT_STATE_DIR, 'state.json');
@@ -15,7 +16,7 @@ const DEFAULT_STATE_FILE = path.join(DEFAULT_STATE_DIR, 'state.json');
  * Create a state manager instance for a given file path.
  * Uses lazy-loading: state is read from disk on first access.
  * @param {string} [statePath] - Path to the state JSON file
- * @returns {Object} State manager with getLastChecked, markChecked, markAllChecked, reset
+ * @returns {Object} State manager with getLastChecked, markChecked, markAllChecked, registerRooms, reset
  */
 export function createStateManager(statePath = DEFAULT_STATE_FILE) {
   let state = null;
@@ -51,6 +52,9 @@ export function createStateManager(statePath = DEFAULT_STATE_FILE) {
   }
 
   async function markChecked(roomId, timestamp = new Date().toISOString()) {
+    if (recordDryRunStateWrite('markChecked', { roomId, timestamp })) {
+      return timestamp;
+    }
     await load();
     state[roomId] = timestamp;
     await save();
@@ -58,6 +62,9 @@ export function createStateManager(statePath = DEFAULT_STATE_FILE) {
   }
 
   async function markAllChecked(roomIds, timestamp = new Date().toISOString()) {
+    if (recordDryRunStateWrite('markAllChecked', { roomIds, timestamp })) {
+      return timestamp;
+    }
     await load();
     for (const roomId of roomIds) {
       state[roomId] = timestamp;
@@ -66,12 +73,27 @@ export function createStateManager(statePath = DEFAULT_STATE_FILE) {
     return timestamp;
   }
 
+  // Start tracking rooms seen for the first time, from the given timestamps
+  // (by room ID). Rooms already tracked keep theirs. Returns the IDs added.
+  async function registerRooms(timestamps) {
+    await load();
+    const added = Object.keys(timestamps).filter(roomId => !state[roomId]);
+    if (added.length === 0 || recordDryRunStateWrite('registerRooms', { timestamps })) {
+      return added;
+    }
+    for (const roomId of added) {
+      state[roomId] = timestamps[roomId];
+    }
+    await save();
+    return added;
+  }
+
   async function reset() {
     state = {};
     await save();
   }
 
-  return { getLastChecked, markChecked, markAllChecked, reset };
+  return { getLastChecked, markChecked, markAllChecked, registerRooms, reset };
 }
 
 // Default singleton for production use
@@ -0,0 +1,199 @@
+/**
+ * Subscriptions Module
+ * Backs MCP resources/subscribe with Webex webhooks. Subscribing a session to
+ * webex://rooms/{roomId}/messages registers a messages webhook filtered to
+ * that room (created with the session's own Webex token); verified webhook
+ * events from the event bus are mapped back to the subscribed sessions,
+ * which receive notifications/resources/updated. Webhooks are deleted when the last
+ * subscription for a room is removed or the session ends.
+ */
+
+import { randomBytes } from 'crypto';
+import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { apiTool as createWebhook } from '../tools/webex-public-workspace/webex-messaging/create-a-webhook.js';
+import { apiTool as deleteWebhook } from '../tools/webex-public-workspace/webex-messaging/delete-a-webhook.js';
+import { isErrorResult } from './errors.js';
+
+// Path of the webhook receiver in HTTP mode
+export const WEBHOOK_PATH = '/webhooks/webex';
+
+// Webhook names start with this so they can be recognised in list_webhooks
+export const WEBHOOK_NAME_PREFIX = 'webex-mcp subscription';
+
+const SUBSCRIBABLE_URI = /^webex:\/\/rooms\/([^/]+)\/messages$/;
+
+/**
+ * Extract the room ID from a subscribable resource URI
+ * @param {string} uri - Resource URI
+ * @returns {string|null} Room ID, or null if the URI cannot be subscribed to
+ */
+export function parseSubscriptionUri(uri) {
+  const match = SUBSCRIBABLE_URI.exec(uri);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Create a subscription manager
+ * @param {Object} options
+ * @param {string} options.targetUrl - Public URL Webex should deliver webhooks to
+ * @returns {Object} Manager with subscribe, unsubscribe, removeSession, removeAll, handleEvent, getWebhookContext and describe
+ */
+export function createSubscriptionManager({ targetUrl }) {
+  // `${sessionId}\n${roomId}` -> { sessionId, roomId, uris, secret, ready (resolves to the webhook ID) }
+  const rooms = new Map();
+  // webhookId -> room key
+  const webhooks = new Map();
+  // sessionId -> { notify(uri), run(fn) }
+  const sessions = new Map();
+
+  const keyOf = (sessionId, roomId) => `${sessionId}\n${roomId}`;
+
+  async function removeRoom(key) {
+    const entry = rooms.get(key);
+    if (!entry) return;
+    rooms.delete(key);
+
+    const webhookId = await entry.ready.catch(() => null);
+    if (!webhookId) return;
+    webhooks.delete(webhookId);
+
+    const run = sessions.get(entry.sessionId)?.run || (fn => fn());
+    const result = await run(() => deleteWebhook.function({ webhookId }))
+      .catch(error => ({ error: { message: error.message } }));
+    if (isErrorResult(result) && result.error.status !== 404) {
+      console.error(`[Subscriptions] Failed to delete webhook ${webhookId}: ${result.error.message}`);
+    }
+  }
+
+  return {
+    /**
+     * Subscribe a session to a resource, registering a webhook for its room if needed
+     * Must run with the session's Webex token (the webhook is owned by that user).
+     * @param {string} sessionId - MCP session ID
+     * @param {string} uri - Resource URI (webex://rooms/{roomId}/messages)
+     * @param {Object} session
+     * @param {Function} session.notify - Sends notifications/resources/updated for a URI
+     * @param {Function} session.run - Runs a function with the session's Webex token (used for cleanup)
+     * @throws {McpError} If the URI cannot be subscribed to or the webhook cannot be created
+     */
+    async subscribe(sessionId, uri, { notify, run }) {
+      const roomId = parseSubscriptionUri(uri);
+      if (!roomId) {
+        throw new McpError(ErrorCode.InvalidParams, `Cannot subscribe to ${uri}. Subscriptions are supported for webex://rooms/{roomId}/messages.`);
+      }
+      sessions.set(sessionId, { notify, run });
+
+      const key = keyOf(sessionId, roomId);
+      let entry = rooms.get(key);
+      if (!entry) {
+        const secret = randomBytes(32).toString('hex');
+        entry = { sessionId, roomId, uris: new Set(), secret };
+        entry.ready = createWebhook.function({
+          name: `${WEBHOOK_NAME_PREFIX} ${sessionId}`,
+          targetUrl,
+          resource: 'messages',
+          event: 'all',
+          filter: `roomId=${roomId}`,
+          secret
+        }).then(result => {
+          if (isErrorResult(result)) {
+            throw new McpError(ErrorCode.InternalError, `Could not register a Webex webhook for ${uri}: ${result.error.message}`, result.error);
+          }
+          webhooks.set(result.id, key);
+          return result.id;
+        });
+        rooms.set(key, entry);
+      }
+
+      try {
+        await entry.ready;
+      } catch (error) {
+        if (rooms.get(key) === entry) {
+          rooms.delete(key);
+        }
+        throw error;
+      }
+      entry.uris.add(uri);
+    },
+
+    /**
+     * Unsubscribe a session from a resource, deleting the room's webhook when unused
+     * @param {string} sessionId - MCP session ID
+     * @param {string} uri - Resource URI
+     */
+    async unsubscribe(sessionId, uri) {
+      const roomId = parseSubscriptionUri(uri);
+      const key = roomId && keyOf(sessionId, roomId);
+      const entry = key && rooms.get(key);
+      if (!entry) return;
+
+      entry.uris.delete(uri);
+      if (entry.uris.size === 0) {
+        await removeRoom(key);
+      }
+    },
+
+    /**
+     * Drop every subscription of a session and delete its webhooks
+     * @param {string} sessionId - MCP session ID
+     */
+    async removeSession(sessionId) {
+      const keys = [...rooms.values()].filter(entry => entry.sessionId === sessionId).map(entry => keyOf(sessionId, entry.roomId));
+      await Promise.all(keys.map(removeRoom));
+      sessions.delete(sessionId);
+    },
+
+    /**
+     * Delete every webhook this manager created (on shutdown)
+     */
+    async removeAll() {
+      await Promise.all([...sessions.keys()].map(sessionId => this.removeSession(sessionId)));
+    },
+
+    /**
+     * Deliver a webhook event to the sessions subscribed to its room
+     * @param {Object} event - Event from the webhook receiver ({ webhookId, roomId, ... })
+     * @returns {number} Number of resource update notifications sent
+     */
+    handleEvent(event) {
+      const key = webhooks.get(event?.webhookId);
+      const entry = key && rooms.get(key);
+      if (!entry || (event.roomId && event.roomId !== entry.roomId)) {
+        return 0;
+      }
+
+      const session = sessions.get(entry.sessionId);
+      if (!session) {
+        return 0;
+      }
+      for (const uri of entry.uris) {
+        Promise.resolve(session.notify(uri)).catch(error => {
+          console.error(`[Subscriptions] Failed to notify session ${entry.sessionId}: ${error.message}`);
+        });
+      }
+      return entry.uris.size;
+    },
+
+    /**
+     * Get the secret a webhook was registered with, and a runner using its owner's token
+     * @param {string} webhookId - Webex webhook ID
+     * @returns {Object|null} { secret, run }, or null for unknown webhooks
+     */
+    getWebhookContext(webhookId) {
+      const key = webhooks.get(webhookId);
+      const entry = key && rooms.get(key);
+      if (!entry) {
+        return null;
+      }
+      return { secret: entry.secret, run: sessions.get(entry.sessionId)?.run };
+    },
+
+    /**
+     * Summarize active subscriptions (for /health)
+     * @returns {Object} { sessions, webhooks }
+     */
+    describe() {
+      return { sessions: sessions.size, webhooks: webhooks.size };
+    }
+  };
+}
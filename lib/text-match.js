@@ -0,0 +1,152 @@
+/**
+ * Text Match Module
+ * Builds the keyword, phrase and regex matchers used by search_messages,
+ * and the snippets and links of search hits. It only depends on lib/errors.js,
+ * so the regex worker (lib/regex-worker.js) can load it without the Webex
+ * configuration.
+ */
+
+import { WebexApiError } from './errors.js';
+
+// Longest regular expression accepted
+const MAX_PATTERN_LENGTH = 200;
+
+// Characters of context on each side of a match
+const SNIPPET_RADIUS = 60;
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Check a regular expression for a group with a repeat inside that is itself repeated, such as (a+)+ or (\w*\s)*
+ * These backtrack exponentially on text that almost matches, so they are refused with a hint
+ * before the worker's time limit would stop them.
+ * @private
+ */
+function hasNestedQuantifier(pattern) {
+  const groups = [{ quantified: false }];
+  let inClass = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      i++;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push({ quantified: false });
+    } else if (char === ')' && groups.length > 1) {
+      const group = groups.pop();
+      if (group.quantified && /^(?:[*+]|\{\d+,)/.test(pattern.slice(i + 1))) {
+        return true;
+      }
+      groups[groups.length - 1].quantified ||= group.quantified;
+    } else if (char === '*' || char === '+' || /^\{\d+,/.test(pattern.slice(i))) {
+      groups[groups.length - 1].quantified = true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Build a matcher for a query
+ * - keyword: every word must appear, in any order; quoted phrases count as one word
+ * - phrase: the words must appear together, in order
+ * - regex: a JavaScript regular expression
+ * @param {string} query - What to look for
+ * @param {Object} [options]
+ * @param {string} [options.mode='keyword'] - 'keyword', 'phrase' or 'regex'
+ * @param {boolean} [options.caseSensitive=false] - Match case
+ * @returns {Function} text => { score, index, length } for the best match, or null
+ * @throws {WebexApiError} If the query is empty, or the regular expression is invalid or nests repeats
+ */
+export function buildMatcher(query, { mode = 'keyword', caseSensitive = false } = {}) {
+  const trimmed = String(query ?? '').trim();
+  if (!trimmed) {
+    throw new WebexApiError('query is required.', { retryable: false });
+  }
+  const flags = caseSensitive ? 'g' : 'gi';
+
+  let patterns;
+  if (mode === 'regex') {
+    if (trimmed.length > MAX_PATTERN_LENGTH) {
+      throw new WebexApiError(`Regular expressions are limited to ${MAX_PATTERN_LENGTH} characters.`, { retryable: false });
+    }
+    if (hasNestedQuantifier(trimmed)) {
+      throw new WebexApiError('Regular expressions cannot repeat a group that contains a repeat, such as (a+)+. Rewrite it without the nesting, e.g. a+.', { retryable: false });
+    }
+    try {
+      patterns = [new RegExp(trimmed, flags)];
+    } catch (error) {
+      throw new WebexApiError(`Invalid regular expression: ${error.message}`, { retryable: false });
+    }
+  } else if (mode === 'phrase') {
+    patterns = [new RegExp(trimmed.split(/\s+/).map(escapeRegExp).join('\\s+'), flags)];
+  } else {
+    const terms = [...trimmed.matchAll(/"([^"]+)"|(\S+)/g)].map(([, phrase, word]) => (phrase || word).trim()).filter(Boolean);
+    patterns = terms.map(term => new RegExp(term.split(/\s+/).map(escapeRegExp).join('\\s+'), flags));
+  }
+
+  return text => {
+    if (!text) {
+      return null;
+    }
+    let score = 0;
+    let first = null;
+    for (const pattern of patterns) {
+      const matches = [...text.matchAll(pattern)].filter(match => match[0].length > 0);
+      if (matches.length === 0) {
+        return null;
+      }
+      // Whole-word matches count double
+      for (const match of matches) {
+        const before = text[match.index - 1];
+        const after = text[match.index + match[0].length];
+        score += (!before || /\W/.test(before)) && (!after || /\W/.test(after)) ? 2 : 1;
+      }
+      if (!first || matches[0].index < first.index) {
+        first = { index: matches[0].index, length: matches[0][0].length };
+      }
+    }
+    // Keywords found next to each other in the query's order rank as a phrase
+    if (mode === 'keyword' && patterns.length > 1) {
+      const phrase = new RegExp(patterns.map(pattern => pattern.source).join('\\W+'), flags.replace('g', ''));
+      if (phrase.test(text)) {
+        score += 2 * patterns.length;
+      }
+    }
+    return { score, ...first };
+  };
+}
+
+/**
+ * Cut a snippet around a match, with the match in bold (if it is not empty)
+ * @param {string} text - Message text
+ * @param {number} index - Start of the match
+ * @param {number} length - Length of the match
+ * @param {number} [radius=60] - Characters of context on each side
+ * @returns {string} Snippet on one line
+ */
+export function makeSnippet(text, index, length, radius = SNIPPET_RADIUS) {
+  const start = Math.max(0, index - radius);
+  const end = Math.min(text.length, index + length + radius);
+  const oneLine = part => part.replace(/\s+/g, ' ');
+  return [
+    start > 0 ? '…' : '',
+    oneLine(text.slice(start, index)),
+    length > 0 ? `**${oneLine(text.slice(index, index + length))}**` : '',
+    oneLine(text.slice(index + length, end)),
+    end < text.length ? '…' : ''
+  ].join('');
+}
+
+/**
+ * Build a link that opens a room in the Webex app
+ * Webex has no links to single messages, so hits carry the messageId as well.
+ * @param {string} roomId - Room ID (base64 of ciscospark://us/ROOM/<uuid>)
+ * @returns {string|undefined} webexteams://im?space=<uuid>, or undefined for IDs that do not decode
+ */
+export function spaceLink(roomId) {
+  const uuid = Buffer.from(String(roomId), 'base64').toString('utf-8').match(/\/ROOM\/([0-9a-f-]{36})$/i)?.[1];
+  return uuid ? `webexteams://im?space=${uuid}` : undefined;
+}
@@ -0,0 +1,166 @@
+/**
+ * Threads Module
+ * Rebuilds a Webex thread from any of its messages: the root message and
+ * its replies, in the order they were sent, with their authors' display
+ * names. Webex threads are one level deep, so every reply hangs off the root.
+ */
+
+import { getWebexUrl, getWebexHeaders } from './webex-config.js';
+import { webexFetch } from './webex-client.js';
+import { fetchPages } from './pagination.js';
+import { WebexApiError } from './errors.js';
+
+// Replies returned when no limit is given
+export const DEFAULT_MAX_REPLIES = 200;
+
+// People the people API looks up in one request
+const PEOPLE_PER_REQUEST = 85;
+
+/**
+ * Fetch one message
+ * @private
+ */
+async function getMessage(messageId, headers) {
+  const response = await webexFetch(getWebexUrl(`/messages/${encodeURIComponent(messageId)}`), { method: 'GET', headers });
+  if (!response.ok) {
+    throw await WebexApiError.fromResponse(response);
+  }
+  return response.json();
+}
+
+/**
+ * Look up display names for people, by ID
+ * Names that cannot be looked up are left out; callers fall back to emails.
+ * @param {string[]} personIds - People to look up
+ * @param {Object} [headers] - Request headers (defaults to the current token's)
+ * @returns {Promise<Map>} personId to display name
+ */
+export async function lookupDisplayNames(personIds, headers) {
+  headers = headers || await getWebexHeaders();
+  const names = new Map();
+  for (let i = 0; i < personIds.length; i += PEOPLE_PER_REQUEST) {
+    const url = new URL(getWebexUrl('/people'));
+    url.searchParams.set('id', personIds.slice(i, i + PEOPLE_PER_REQUEST).join(','));
+    try {
+      const { items } = await fetchPages(url, { headers });
+      for (const person of items) {
+        names.set(person.id, person.displayName);
+      }
+    } catch (error) {
+      console.warn(`[Threads] Could not look up message authors: ${error.message}`);
+    }
+  }
+  return names;
+}
+
+/**
+ * Fetch the thread a message belongs to
+ * @param {string} messageId - The root message or any reply
+ * @param {Object} [options]
+ * @param {number} [options.maxReplies=200] - Replies to fetch; the newest are kept
+ * @returns {Promise<Object>} { root, replies, truncated } with replies oldest first,
+ *   and every message given an `author` display name
+ * @throws {WebexApiError} If the message or its replies cannot be fetched
+ */
+export async function fetchThread(messageId, { maxReplies = DEFAULT_MAX_REPLIES } = {}) {
+  const headers = await getWebexHeaders();
+  const message = await getMessage(messageId, headers);
+  const root = message.parentId ? await getMessage(message.parentId, headers) : message;
+
+  const url = new URL(getWebexUrl('/messages'));
+  url.searchParams.set('roomId', root.roomId);
+  url.searchParams.set('parentId', root.id);
+  url.searchParams.set('max', String(Math.min(maxReplies, 100)));
+  const { items, nextCursor } = await fetchPages(url, { headers, all: true, maxItems: maxReplies });
+
+  const replies = [...items].sort((a, b) => new Date(a.created) - new Date(b.created));
+  const personIds = [...new Set([root, ...replies].map(msg => msg.personId).filter(Boolean))];
+  const names = await lookupDisplayNames(personIds, headers);
+  const withAuthor = msg => ({ ...msg, author: names.get(msg.personId) || msg.personEmail || msg.personId });
+
+  return {
+    root: withAuthor(root),
+    replies: replies.map(withAuthor),
+    truncated: Boolean(nextCursor)
+  };
+}
+
+/**
+ * Reduce a message to the fields a reader needs
+ * @param {Object} msg - Message with an author
+ * @returns {Object} { id, author, personEmail, created, text, files?, card? }
+ */
+export function summarizeThreadMessage(msg) {
+  return {
+    id: msg.id,
+    author: msg.author,
+    personEmail: msg.personEmail,
+    created: msg.created,
+    text: msg.text || '',
+    ...(msg.files?.length > 0 && { files: msg.files.length }),
+    ...(msg.attachments?.length > 0 && { card: true })
+  };
+}
+
+/**
+ * List who took part in a thread, in order of their first message
+ * @param {Object} thread - Thread from fetchThread
+ * @returns {Array} [{ personId, personEmail, displayName, messages }]
+ */
+export function threadParticipants({ root, replies }) {
+  const participants = new Map();
+  for (const msg of [root, ...replies]) {
+    const key = msg.personId || msg.personEmail;
+    const participant = participants.get(key) || { personId: msg.personId, personEmail: msg.personEmail, displayName: msg.author, messages: 0 };
+    participant.messages++;
+    participants.set(key, participant);
+  }
+  return [...participants.values()];
+}
+
+/**
+ * Heading line and body of a message in Markdown
+ * @private
+ */
+function describe(msg) {
+  const time = msg.created ? ` (${msg.created.slice(0, 16).replace('T', ' ')} UTC)` : '';
+  const extras = [
+    ...(msg.files?.length > 0 ? [`[${msg.files.length} ${msg.files.length === 1 ? 'file' : 'files'}]`] : []),
+    ...(msg.attachments?.length > 0 ? ['[card]'] : [])
+  ];
+  const body = [msg.text, ...extras].filter(Boolean).join(' ');
+  return { heading: `**${msg.author}**${time}`, body };
+}
+
+/**
+ * Render a thread as Markdown
+ * The transcript lists messages one after another; the tree nests the
+ * replies under the root as a list.
+ * @param {Object} thread - Thread from fetchThread
+ * @param {string} [layout='transcript'] - 'transcript' or 'tree'
+ * @returns {string} Markdown
+ */
+export function threadToMarkdown({ root, replies }, layout = 'transcript') {
+  if (layout === 'tree') {
+    const item = (msg, indent) => {
+      const { heading, body } = describe(msg);
+      const [first, ...rest] = body.split('\n');
+      return [`${indent}- ${heading}: ${first}`, ...rest.map(line => `${indent}  ${line}`)].join('\n');
+    };
+    return [item(root, ''), ...replies.map(reply => item(reply, '  '))].join('\n');
+  }
+
+  return [root, ...replies].map(msg => {
+    const { heading, body } = describe(msg);
+    return `${heading}:\n${body}`;
+  }).join('\n\n');
+}
+
+/**
+ * Build a thread as a tree of summarized messages
+ * @param {Object} thread - Thread from fetchThread
+ * @returns {Object} Summarized root with a `replies` array
+ */
+export function threadToTree({ root, replies }) {
+  return { ...summarizeThreadMessage(root), replies: replies.map(summarizeThreadMessage) };
+}
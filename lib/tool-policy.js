@@ -0,0 +1,197 @@
+/**
+ * Tool Policy Module
+ * Decides which tools are registered at startup: an optional read-only
+ * profile, allow/deny glob lists and category filters based on the
+ * categories in tools-manifest.json. Deny rules always win.
+ */
+
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MANIFEST_PATH = path.resolve(__dirname, '..', 'tools-manifest.json');
+
+// Tools allowed by the read-only profile
+const READ_ONLY_PATTERNS = ['list_*', 'get_*', 'search_*'];
+
+/**
+ * Check whether the read-only profile is on (WEBEX_TOOLS_READ_ONLY)
+ * Tools it registers use this to refuse options that write local files.
+ * @returns {boolean} True in read-only mode
+ */
+export function isReadOnlyMode() {
+  return process.env.WEBEX_TOOLS_READ_ONLY === 'true';
+}
+
+/**
+ * Split a comma-separated setting into trimmed, non-empty entries
+ * @param {string|string[]} value - Raw setting
+ * @returns {string[]} Entries
+ */
+export function parseList(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Convert a tool name glob (`*` and `?` wildcards) to a RegExp
+ * @param {string} pattern - Glob such as `delete_*`
+ * @returns {RegExp} Anchored regular expression
+ */
+export function globToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Build a map of tool name to manifest categories
+ * @param {Object} manifest - Parsed tools-manifest.json
+ * @returns {Map<string, string[]>} Categories for each tool
+ */
+function indexCategories(manifest) {
+  const index = new Map();
+  for (const [category, { tools = [] }] of Object.entries(manifest?.categories || {})) {
+    for (const name of tools) {
+      index.set(name, [...(index.get(name) || []), category]);
+    }
+  }
+  return index;
+}
+
+/**
+ * Load the tools manifest shipped with the server
+ * @returns {Object} Parsed manifest
+ */
+export function loadToolsManifest() {
+  return JSON.parse(readFileSync(MANIFEST_PATH, 'utf8'));
+}
+
+/**
+ * Create a tool policy
+ * @param {Object} [options]
+ * @param {boolean} [options.readOnly=false] - Only register list_*, get_* and search_* tools
+ * @param {string[]} [options.allow] - Globs of tools to register (empty means all)
+ * @param {string[]} [options.deny] - Globs of tools never to register
+ * @param {string[]} [options.categories] - Manifest categories to register (empty means all)
+ * @param {string[]} [options.excludeCategories] - Manifest categories never to register
+ * @param {Object} [options.manifest] - Parsed tools manifest (defaults to tools-manifest.json)
+ * @returns {Object} Policy with isEnabled, filter and describe
+ * @throws {Error} If a configured category does not exist in the manifest
+ */
+export function createToolPolicy({
+  readOnly = false,
+  allow = [],
+  deny = [],
+  categories = [],
+  excludeCategories = [],
+  manifest = loadToolsManifest()
+} = {}) {
+  const knownCategories = Object.keys(manifest?.categories || {});
+  const unknown = [...categories, ...excludeCategories].filter(category => !knownCategories.includes(category));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown tool categories: ${unknown.join(', ')}. Available: ${knownCategories.join(', ')}`);
+  }
+
+  const toolCategories = indexCategories(manifest);
+  const readOnlyMatchers = READ_ONLY_PATTERNS.map(globToRegExp);
+  const allowMatchers = allow.map(globToRegExp);
+  const denyMatchers = deny.map(globToRegExp);
+
+  /**
+   * Explain why a tool is disabled
+   * @param {string} name - Tool name
+   * @returns {string|null} Reason, or null if the tool is enabled
+   */
+  function disabledReason(name) {
+    const inCategories = toolCategories.get(name) || [];
+
+    if (denyMatchers.some(matcher => matcher.test(name))) {
+      return 'deny list';
+    }
+    if (inCategories.some(category => excludeCategories.includes(category))) {
+      return 'excluded category';
+    }
+    if (readOnly && !readOnlyMatchers.some(matcher => matcher.test(name))) {
+      return 'read-only mode';
+    }
+    if (categories.length > 0 && !inCategories.some(category => categories.includes(category))) {
+      return 'category filter';
+    }
+    if (allowMatchers.length > 0 && !allowMatchers.some(matcher => matcher.test(name))) {
+      return 'allow list';
+    }
+    return null;
+  }
+
+  return {
+    disabledReason,
+
+    /**
+     * Check whether a tool should be registered
+     * @param {string} name - Tool name
+     * @returns {boolean} True if enabled
+     */
+    isEnabled(name) {
+      return disabledReason(name) === null;
+    },
+
+    /**
+     * Keep only the tools enabled by this policy
+     * @param {Array} tools - Tools from discoverTools()
+     * @returns {Array} Enabled tools
+     */
+    filter(tools) {
+      return tools.filter(tool => disabledReason(tool.definition?.function?.name) === null);
+    },
+
+    /**
+     * Summarize the policy for /health and the CLI
+     * @param {Array} [tools] - Discovered tools, to include enabled/disabled counts
+     * @returns {Object} Policy summary
+     */
+    describe(tools) {
+      const summary = {
+        readOnly,
+        allow,
+        deny,
+        categories,
+        excludeCategories
+      };
+      if (tools) {
+        const names = tools.map(tool => tool.definition?.function?.name);
+        const disabled = names.filter(name => disabledReason(name) !== null);
+        summary.enabledCount = names.length - disabled.length;
+        summary.disabled = disabled;
+      }
+      return summary;
+    }
+  };
+}
+
+/**
+ * Create the tool policy from environment variables
+ * WEBEX_TOOLS_READ_ONLY, WEBEX_TOOLS_ALLOW (falls back to ENABLED_TOOLS), WEBEX_TOOLS_DENY,
+ * WEBEX_TOOLS_CATEGORIES and WEBEX_TOOLS_EXCLUDE_CATEGORIES
+ * @returns {Object} Tool policy
+ */
+export function loadToolPolicy() {
+  return createToolPolicy({
+    readOnly: isReadOnlyMode(),
+    allow: parseList(process.env.WEBEX_TOOLS_ALLOW || process.env.ENABLED_TOOLS),
+    deny: parseList(process.env.WEBEX_TOOLS_DENY),
+    categories: parseList(process.env.WEBEX_TOOLS_CATEGORIES),
+    excludeCategories: parseList(process.env.WEBEX_TOOLS_EXCLUDE_CATEGORIES)
+  });
+}
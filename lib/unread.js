@@ -0,0 +1,361 @@
+/**
+ * Unread Module
+ * Collects the messages sent in every room since it was last checked, for
+ * get_all_unread. Rooms with no "last checked" timestamp yet (a fresh
+ * install, or rooms joined since) are bootstrapped: they are read from a
+ * starting point chosen by WEBEX_UNREAD_BOOTSTRAP, and registered in the
+ * state from that point on.
+ *
+ * Rooms are read a few at a time, skipping any with no activity since they
+ * were last checked, within a time budget and message caps. Whatever is
+ * left over is described by a continuation token for the next call.
+ */
+
+import { getWebexUrl, getWebexHeaders } from './webex-config.js';
+import { webexFetch } from './webex-client.js';
+import defaultStateManager from './state.js';
+import { WebexApiError, toErrorResult } from './errors.js';
+
+// Bootstrap used when WEBEX_UNREAD_BOOTSTRAP is not set
+export const DEFAULT_BOOTSTRAP = 'hours:24';
+
+// Most messages a "messages:K" bootstrap reads (one page)
+const MAX_BOOTSTRAP_MESSAGES = 99;
+
+// Messages per page (API maximum)
+const PAGE_SIZE = 100;
+
+// Scan limits used when none are given
+export const DEFAULT_CONCURRENCY = 4;
+export const DEFAULT_TIME_BUDGET_MS = 30 * 1000;
+export const DEFAULT_MAX_MESSAGES_PER_ROOM = 100;
+export const DEFAULT_MAX_MESSAGES = 500;
+
+// Start of time, for rooms with fewer messages than a "messages:K" bootstrap asks for
+const EPOCH = new Date(0).toISOString();
+
+/**
+ * Parse a bootstrap setting
+ * - `hours:N` reads unknown rooms from N hours ago
+ * - `joined` reads them from when you joined the room
+ * - `messages:K` reads their last K messages
+ * - `skip` leaves them out until they are marked checked
+ * @param {string} value - Setting
+ * @returns {Object} { mode, hours? , messages? }
+ * @throws {WebexApiError} If the setting is not one of the above
+ */
+export function parseBootstrap(value) {
+  const [mode, count] = String(value).trim().toLowerCase().split(':').map(part => part.trim());
+  const number = Number(count);
+
+  if ((mode === 'joined' || mode === 'skip') && count === undefined) {
+    return { mode };
+  }
+  if (mode === 'hours' && number > 0) {
+    return { mode, hours: number };
+  }
+  if (mode === 'messages' && Number.isInteger(number) && number > 0 && number <= MAX_BOOTSTRAP_MESSAGES) {
+    return { mode, messages: number };
+  }
+  throw new WebexApiError(`Invalid unread bootstrap "${value}". Use hours:N, joined, messages:K (K up to ${MAX_BOOTSTRAP_MESSAGES}) or skip.`, { retryable: false });
+}
+
+/**
+ * Read unread tracking settings from environment variables
+ * WEBEX_UNREAD_BOOTSTRAP sets how rooms never checked before are read.
+ * @returns {Object} { bootstrap }
+ * @throws {WebexApiError} If the setting is invalid
+ */
+export function loadUnreadSettings() {
+  return { bootstrap: parseBootstrap(process.env.WEBEX_UNREAD_BOOTSTRAP || DEFAULT_BOOTSTRAP) };
+}
+
+/**
+ * Extract essential fields from a message to reduce response size.
+ * @private
+ */
+const summarizeMessage = (msg) => ({
+  id: msg.id,
+  personEmail: msg.personEmail,
+  personId: msg.personId,
+  created: msg.created,
+  text: msg.text,
+  parentId: msg.parentId,
+  roomType: msg.roomType
+});
+
+/**
+ * Fetch one page of a room's messages, newest first
+ * @private
+ */
+async function fetchMessagePage(roomId, { max, before }, headers) {
+  const url = new URL(getWebexUrl('/messages'));
+  url.searchParams.append('roomId', roomId);
+  url.searchParams.append('max', String(max));
+  if (before) url.searchParams.append('beforeMessage', before);
+
+  const response = await webexFetch(url.toString(), { method: 'GET', headers });
+  if (!response.ok) {
+    throw await WebexApiError.fromResponse(response);
+  }
+  const data = await response.json();
+  return data.items || [];
+}
+
+/**
+ * Encode what is left to read as a continuation token
+ * @private
+ */
+function encodeContinuation(checkedAt, leftover) {
+  return Buffer.from(JSON.stringify({ checkedAt, rooms: leftover })).toString('base64url');
+}
+
+/**
+ * Decode a continuation token
+ * @param {string} token - Token from a previous get_all_unread result
+ * @returns {Object} { checkedAt, rooms: Map of room ID to the message to read before (or null) }
+ * @throws {WebexApiError} If the token is malformed
+ */
+export function decodeContinuation(token) {
+  try {
+    const { checkedAt, rooms } = JSON.parse(Buffer.from(token, 'base64url').toString('utf-8'));
+    if (typeof checkedAt === 'string' && Array.isArray(rooms) &&
+      rooms.every(entry => Array.isArray(entry) && typeof entry[0] === 'string' && (entry[1] === null || typeof entry[1] === 'string'))) {
+      return { checkedAt, rooms: new Map(rooms) };
+    }
+  } catch (e) {
+    // Reported below
+  }
+  throw new WebexApiError('Invalid continuation token. Pass the continuation from the previous get_all_unread result, or leave it out to start over.', { retryable: false });
+}
+
+/**
+ * Work out where to start reading a room never checked before
+ * @private
+ */
+async function bootstrapStart(room, bootstrap, { headers, me, now }) {
+  if (bootstrap.mode === 'hours') {
+    return { since: new Date(now - bootstrap.hours * 60 * 60 * 1000).toISOString() };
+  }
+
+  if (bootstrap.mode === 'messages') {
+    // One extra message marks where the unread ones start
+    const firstPage = await fetchMessagePage(room.id, { max: bootstrap.messages + 1 }, headers);
+    const since = firstPage.length > bootstrap.messages ? firstPage[bootstrap.messages].created : EPOCH;
+    return { since, firstPage };
+  }
+
+  // joined: from the creation of your membership, or of the room if there is none
+  const url = new URL(getWebexUrl('/memberships'));
+  url.searchParams.append('roomId', room.id);
+  url.searchParams.append('personId', await me());
+  const response = await webexFetch(url.toString(), { method: 'GET', headers });
+  if (!response.ok) {
+    throw await WebexApiError.fromResponse(response);
+  }
+  const { items = [] } = await response.json();
+  return { since: items[0]?.created || room.created || EPOCH };
+}
+
+/**
+ * Fetch new messages from every room since it was last checked
+ * Rooms never checked before are bootstrapped and registered in the state,
+ * so later calls read them from the same starting point until they are
+ * marked checked. Rooms whose lastActivity is no later than that point are
+ * not read at all. Messages are kept newest first; a room cut short by a
+ * cap or the time budget, and rooms not reached, are left for the
+ * continuation token.
+ * @param {Object} [options]
+ * @param {Object} [options.bootstrap] - Parsed bootstrap setting (defaults to WEBEX_UNREAD_BOOTSTRAP)
+ * @param {Object} [options.stateManager] - State manager holding the "last checked" timestamps
+ * @param {number} [options.concurrency=4] - Rooms read at the same time
+ * @param {number} [options.timeBudgetMs=30000] - Time after which no more pages are fetched
+ * @param {number} [options.maxMessagesPerRoom=100] - Messages returned per room
+ * @param {number} [options.maxMessages=500] - Messages returned in all
+ * @param {string} [options.continuation] - Token from a previous call, to read what it left over
+ * @returns {Promise<Object>} { rooms, totalRooms, totalMessages, checkedAt, scannedRooms,
+ *   unchangedRooms, bootstrapped?, truncatedRooms?, pendingRooms?, continuation? }
+ * @throws {WebexApiError} If the rooms cannot be listed or the continuation token is invalid
+ */
+export async function getAllUnread({
+  bootstrap = loadUnreadSettings().bootstrap,
+  stateManager = defaultStateManager,
+  concurrency = DEFAULT_CONCURRENCY,
+  timeBudgetMs = DEFAULT_TIME_BUDGET_MS,
+  maxMessagesPerRoom = DEFAULT_MAX_MESSAGES_PER_ROOM,
+  maxMessages = DEFAULT_MAX_MESSAGES,
+  continuation
+} = {}) {
+  const resume = continuation ? decodeContinuation(continuation) : null;
+  const headers = await getWebexHeaders();
+  const now = Date.now();
+  const deadline = now + timeBudgetMs;
+  const checkedAt = resume ? resume.checkedAt : new Date(now).toISOString();
+
+  // List all rooms sorted by last activity
+  const roomsUrl = new URL(getWebexUrl('/rooms'));
+  roomsUrl.searchParams.append('max', '200');
+  roomsUrl.searchParams.append('sortBy', 'lastactivity');
+
+  const roomsResponse = await webexFetch(roomsUrl.toString(), { method: 'GET', headers });
+  if (!roomsResponse.ok) {
+    throw await WebexApiError.fromResponse(roomsResponse);
+  }
+  const roomsData = await roomsResponse.json();
+  const allRooms = (roomsData.items || []).filter(room => !resume || resume.rooms.has(room.id));
+
+  // Your person ID, looked up once if a room needs it
+  let myId = null;
+  const me = async () => {
+    if (!myId) {
+      const response = await webexFetch(getWebexUrl('/people/me'), { method: 'GET', headers });
+      if (!response.ok) {
+        throw await WebexApiError.fromResponse(response);
+      }
+      myId = (await response.json()).id;
+    }
+    return myId;
+  };
+
+  const results = new Array(allRooms.length);
+  const starts = {};
+  let remaining = maxMessages;
+  let unchangedRooms = 0;
+
+  // Read one room; the result says what was read and what is left
+  const scanRoom = async (room) => {
+    let cursor = resume?.rooms.get(room.id) || null;
+    let since = await stateManager.getLastChecked(room.id);
+    const unchanged = from => !cursor && room.lastActivity && new Date(room.lastActivity) <= new Date(from);
+
+    // Rooms with no activity since they were checked cost no requests
+    if (since && unchanged(since)) {
+      return { unchanged: true, since, messages: [] };
+    }
+    if (!since && bootstrap.mode === 'skip') {
+      return { skip: true };
+    }
+    if (Date.now() >= deadline || remaining <= 0) {
+      return { pending: cursor };
+    }
+
+    let firstPage = null;
+    let bootstrapped = false;
+    if (!since) {
+      ({ since, firstPage = null } = await bootstrapStart(room, bootstrap, { headers, me, now }));
+      starts[room.id] = since;
+      bootstrapped = true;
+      if (!firstPage && unchanged(since)) {
+        return { unchanged: true, bootstrapped, since, messages: [] };
+      }
+    }
+
+    const sinceDate = new Date(since);
+
+    const messages = [];
+    let truncated = null;
+    for (;;) {
+      if (!firstPage && Date.now() >= deadline) {
+        truncated = 'timeBudget';
+        break;
+      }
+      const items = firstPage || await fetchMessagePage(room.id, { max: PAGE_SIZE, before: cursor }, headers);
+      const fullPage = items.length >= (firstPage ? bootstrap.messages + 1 : PAGE_SIZE);
+      firstPage = null;
+
+      const newer = items.filter(msg => new Date(msg.created) > sinceDate);
+      const roomLeft = maxMessagesPerRoom - messages.length;
+      const taken = newer.slice(0, Math.min(roomLeft, remaining));
+      messages.push(...taken);
+      remaining -= taken.length;
+
+      if (taken.length < newer.length) {
+        truncated = taken.length === roomLeft ? 'maxMessagesPerRoom' : 'maxMessages';
+        cursor = messages.length > 0 ? messages[messages.length - 1].id : cursor;
+        break;
+      }
+      if (newer.length < items.length || !fullPage) break;
+      cursor = items[items.length - 1].id;
+    }
+
+    if (truncated && messages.length === 0 && !bootstrapped) {
+      return { pending: cursor };
+    }
+    return { bootstrapped, since, messages, ...(truncated && { truncated, cursor }) };
+  };
+
+  // Read the rooms a few at a time
+  let next = 0;
+  const worker = async () => {
+    while (next < allRooms.length) {
+      const index = next++;
+      try {
+        results[index] = await scanRoom(allRooms[index]);
+      } catch (roomError) {
+        results[index] = { error: roomError };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, allRooms.length)) }, worker));
+
+  const rooms = [];
+  const bootstrapped = [];
+  const truncatedRooms = [];
+  const leftover = [];
+  let totalMessages = 0;
+  let scannedRooms = 0;
+
+  allRooms.forEach((room, index) => {
+    const result = results[index];
+    const base = { roomId: room.id, title: room.title, type: room.type };
+    if ('pending' in result) {
+      leftover.push([room.id, result.pending]);
+      return;
+    }
+    if (result.skip) return;
+    if (result.error) {
+      // Per-room error isolation: report and continue
+      rooms.push({ ...base, ...toErrorResult(result.error, 'Failed to fetch messages') });
+      return;
+    }
+
+    scannedRooms++;
+    if (result.unchanged) unchangedRooms++;
+    if (result.bootstrapped) {
+      bootstrapped.push({ roomId: room.id, title: room.title, since: result.since, messageCount: result.messages.length });
+    }
+    if (result.truncated) {
+      truncatedRooms.push({ roomId: room.id, title: room.title, reason: result.truncated });
+      leftover.push([room.id, result.cursor]);
+    }
+    if (result.messages.length === 0) return;
+
+    const summarized = result.messages.map(summarizeMessage);
+    totalMessages += summarized.length;
+    rooms.push({
+      ...base,
+      messageCount: summarized.length,
+      ...(result.bootstrapped && { bootstrapped: true }),
+      ...(result.truncated && { truncated: true }),
+      messages: summarized
+    });
+  });
+
+  if (bootstrapped.length > 0) {
+    await stateManager.registerRooms(Object.fromEntries(bootstrapped.map(room => [room.roomId, starts[room.roomId]])));
+  }
+
+  const pendingRooms = leftover.length - truncatedRooms.length;
+  return {
+    rooms,
+    totalRooms: rooms.length,
+    totalMessages,
+    checkedAt,
+    scannedRooms,
+    unchangedRooms,
+    ...(bootstrapped.length > 0 && { bootstrapped }),
+    ...(truncatedRooms.length > 0 && { truncatedRooms }),
+    ...(pendingRooms > 0 && { pendingRooms }),
+    ...(leftover.length > 0 && { continuation: encodeContinuation(checkedAt, leftover) })
+  };
+}
@@ -0,0 +1,216 @@
+/**
+ * Uploads Module
+ * Turns local file paths and base64 content into files that can be posted
+ * to /messages as multipart/form-data. Local paths must resolve (after
+ * following symlinks) inside one of the directories in WEBEX_UPLOAD_DIRS, so
+ * the model cannot attach arbitrary files from the machine. Every file must
+ * be of an allowed type, agree with its content's signature, and fit within
+ * the size limit.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseList } from './tool-policy.js';
+
+// Webex rejects files larger than 100 MB
+const DEFAULT_MAX_BYTES = 100 * 1024 * 1024;
+
+/**
+ * File types that may be uploaded, by extension
+ */
+export const UPLOAD_MIME_TYPES = {
+  '.txt': 'text/plain',
+  '.log': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.html': 'text/html',
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.zip': 'application/zip',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+// Leading bytes of binary formats, checked against the declared type
+const SIGNATURES = [
+  { bytes: [0x89, 0x50, 0x4e, 0x47], type: 'image/png' },
+  { bytes: [0xff, 0xd8, 0xff], type: 'image/jpeg' },
+  { bytes: [0x47, 0x49, 0x46, 0x38], type: 'image/gif' },
+  { bytes: [0x25, 0x50, 0x44, 0x46], type: 'application/pdf' },
+  { bytes: [0x50, 0x4b, 0x03, 0x04], type: 'application/zip' },
+  { bytes: [0x7f, 0x45, 0x4c, 0x46], type: 'application/x-executable' },
+  { bytes: [0x4d, 0x5a], type: 'application/x-msdownload' }
+];
+
+// Types that sniffMimeType recognises, and so must carry their signature
+const SIGNED_TYPES = new Set([...SIGNATURES.map(signature => signature.type), 'image/webp']);
+
+// Types stored as ZIP archives
+const ZIP_BASED = new Set(['.zip', '.docx', '.xlsx', '.pptx']);
+
+/**
+ * Error for a file that cannot be uploaded
+ */
+export class UploadError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UploadError';
+  }
+}
+
+/**
+ * Check whether a files entry refers to a remote URL rather than a local file
+ * @param {string} file - Entry of create_message's files parameter
+ * @returns {boolean} True for http(s) URLs
+ */
+export function isRemoteFile(file) {
+  return /^https?:\/\//i.test(file);
+}
+
+/**
+ * Identify a binary format from its leading bytes
+ * @param {Buffer} buffer - File content
+ * @returns {string|null} MIME type, or null if not recognised
+ */
+export function sniffMimeType(buffer) {
+  if (buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP') {
+    return 'image/webp';
+  }
+  return SIGNATURES.find(({ bytes }) => bytes.every((byte, i) => buffer[i] === byte))?.type || null;
+}
+
+/**
+ * Work out the MIME type of a file and check it may be uploaded
+ * @param {string} filename - File name (the extension decides the type)
+ * @param {Buffer} content - File content
+ * @returns {string} MIME type
+ * @throws {UploadError} If the type is not allowed or the content does not match it
+ */
+export function checkFileType(filename, content) {
+  const extension = path.extname(filename).toLowerCase();
+  const type = UPLOAD_MIME_TYPES[extension];
+  if (!type) {
+    throw new UploadError(`Files of type "${extension || filename}" cannot be uploaded. Allowed: ${Object.keys(UPLOAD_MIME_TYPES).join(', ')}`);
+  }
+
+  const sniffed = sniffMimeType(content);
+  const expected = ZIP_BASED.has(extension) ? 'application/zip' : type;
+  if ((sniffed && sniffed !== expected) || (SIGNED_TYPES.has(expected) && !sniffed)) {
+    throw new UploadError(`${filename} does not contain ${type} data${sniffed ? ` (looks like ${sniffed})` : ''}`);
+  }
+  return type;
+}
+
+/**
+ * Create an upload policy
+ * @param {Object} [options]
+ * @param {string[]} [options.allowedDirs] - Directories local files may be read from
+ * @param {number} [options.maxBytes] - Maximum file size
+ * @returns {Object} Policy with allowedDirs, maxBytes and resolveFile, resolveContent
+ */
+export function createUploadPolicy({ allowedDirs = [], maxBytes = DEFAULT_MAX_BYTES } = {}) {
+  const roots = allowedDirs.map(dir => path.resolve(dir));
+
+  function checkSize(filename, size) {
+    if (size > maxBytes) {
+      throw new UploadError(`${filename} is ${size} bytes; the upload limit is ${maxBytes} bytes`);
+    }
+    if (size === 0) {
+      throw new UploadError(`${filename} is empty`);
+    }
+  }
+
+  return {
+    allowedDirs: roots,
+    maxBytes,
+
+    /**
+     * Read a local file for upload
+     * @param {string} filePath - Absolute path or file:// URL
+     * @returns {Promise<Object>} { filename, contentType, content }
+     * @throws {UploadError} If the file is outside the allowed directories, hidden, too large or of a disallowed type
+     */
+    async resolveFile(filePath) {
+      if (roots.length === 0) {
+        throw new UploadError('Local file uploads are disabled. Set WEBEX_UPLOAD_DIRS to the directories files may be uploaded from.');
+      }
+
+      const requested = filePath.startsWith('file://') ? fileURLToPath(filePath) : filePath;
+      if (!path.isAbsolute(requested)) {
+        throw new UploadError(`${filePath} is not an absolute path`);
+      }
+
+      let real;
+      try {
+        real = await fs.realpath(requested);
+      } catch (error) {
+        throw new UploadError(`${filePath} does not exist`);
+      }
+
+      // Compare against the real path of each root, so symlinks cannot escape
+      const realRoots = await Promise.all(roots.map(root => fs.realpath(root).catch(() => null)));
+      const root = realRoots.find(candidate => candidate && (real === candidate || real.startsWith(`${candidate}${path.sep}`)));
+      if (!root) {
+        throw new UploadError(`${filePath} is outside the directories files may be uploaded from (${roots.join(', ')})`);
+      }
+      if (path.relative(root, real).split(path.sep).some(segment => segment.startsWith('.'))) {
+        throw new UploadError(`${filePath} is a hidden file or inside a hidden directory`);
+      }
+
+      const stats = await fs.stat(real);
+      if (!stats.isFile()) {
+        throw new UploadError(`${filePath} is not a regular file`);
+      }
+      const filename = path.basename(real);
+      checkSize(filename, stats.size);
+
+      const content = await fs.readFile(real);
+      return { filename, contentType: checkFileType(filename, content), content };
+    },
+
+    /**
+     * Decode base64 content for upload
+     * @param {Object} fileContent
+     * @param {string} fileContent.filename - File name shown in Webex (its extension decides the type)
+     * @param {string} fileContent.content - Base64-encoded content
+     * @returns {Object} { filename, contentType, content }
+     * @throws {UploadError} If the content is not valid base64, too large or of a disallowed type
+     */
+    resolveContent({ filename, content } = {}) {
+      if (!filename || typeof filename !== 'string' || filename !== path.basename(filename)) {
+        throw new UploadError('fileContent.filename must be a plain file name such as report.pdf');
+      }
+      const encoded = String(content || '').replace(/\s+/g, '');
+      if (!/^[A-Za-z0-9+/]*={0,2}$/.test(encoded) || encoded.length % 4 !== 0) {
+        throw new UploadError('fileContent.content must be base64-encoded');
+      }
+      // Check the decoded size before allocating it
+      checkSize(filename, Math.floor(encoded.length / 4) * 3 - (encoded.match(/=*$/)[0].length));
+
+      const decoded = Buffer.from(encoded, 'base64');
+      return { filename, contentType: checkFileType(filename, decoded), content: decoded };
+    }
+  };
+}
+
+/**
+ * Create the upload policy from environment variables
+ * WEBEX_UPLOAD_DIRS lists the directories local files may be uploaded from
+ * (local uploads are disabled without it); WEBEX_UPLOAD_MAX_BYTES caps file size.
+ * @returns {Object} Upload policy
+ */
+export function loadUploadPolicy() {
+  const maxBytes = parseInt(process.env.WEBEX_UPLOAD_MAX_BYTES, 10);
+  return createUploadPolicy({
+    allowedDirs: parseList(process.env.WEBEX_UPLOAD_DIRS),
+    ...(maxBytes > 0 && { maxBytes })
+  });
+}
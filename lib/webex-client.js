@@ -0,0 +1,215 @@
+/**
+ * Webex HTTP Client Module
+ * Shared request layer for all Webex tools. Wraps fetch with per-token
+ * concurrency limits, 429 Retry-After handling (also used for 423, a file
+ * still being scanned) and exponential backoff with jitter for transient
+ * gateway errors (502/503/504) on idempotent requests.
+ */
+
+import { shouldInterceptRequest, recordDryRunRequest } from './dry-run.js';
+
+const RETRYABLE_STATUSES = new Set([502, 503, 504]);
+
+// A gateway error on a POST may come after Webex acted on it, so only these are resent
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'PUT', 'DELETE']);
+
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_MAX_CONCURRENCY = 4;
+const DEFAULT_BASE_DELAY_MS = 500;
+const DEFAULT_MAX_DELAY_MS = 60000;
+
+/**
+ * Read a non-negative integer from the environment
+ * @private
+ */
+function intFromEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
+/**
+ * Parse a Retry-After header value (delta-seconds or HTTP-date)
+ * @param {string|null} value - Raw header value
+ * @param {number} [now] - Current time in ms (for testing)
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const trimmed = String(value).trim();
+  if (/^\d+$/.test(trimmed)) {
+    return parseInt(trimmed, 10) * 1000;
+  }
+
+  const date = Date.parse(trimmed);
+  if (Number.isNaN(date)) {
+    return null;
+  }
+  return Math.max(0, date - now);
+}
+
+/**
+ * Read a header from either a Headers instance or a plain object
+ * @private
+ */
+function readHeader(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === 'function') {
+    return headers.get(name) ?? undefined;
+  }
+  const match = Object.keys(headers).find(key => key.toLowerCase() === name.toLowerCase());
+  return match ? headers[match] : undefined;
+}
+
+/**
+ * Create a simple FIFO semaphore
+ * @private
+ */
+function createLimiter(maxConcurrency) {
+  let active = 0;
+  const queue = [];
+
+  async function run(task) {
+    if (active >= maxConcurrency) {
+      // Slot is handed over directly by the releasing task, so no increment here
+      await new Promise(resolve => queue.push(resolve));
+    } else {
+      active++;
+    }
+
+    try {
+      return await task();
+    } finally {
+      const next = queue.shift();
+      if (next) {
+        next();
+      } else {
+        active--;
+      }
+    }
+  }
+
+  return { run, users: 0 };
+}
+
+/**
+ * Create a Webex HTTP client instance.
+ * Options not provided fall back to environment variables, read per request:
+ * WEBEX_HTTP_MAX_RETRIES, WEBEX_HTTP_MAX_CONCURRENCY, WEBEX_HTTP_BASE_DELAY_MS.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.maxRetries] - Retries after the first attempt
+ * @param {number} [options.maxConcurrency] - In-flight requests allowed per token
+ * @param {number} [options.baseDelayMs] - Base delay for exponential backoff
+ * @param {number} [options.maxDelayMs] - Upper bound for any single wait
+ * @param {Function} [options.fetch] - fetch implementation (defaults to global fetch)
+ * @param {Function} [options.sleep] - Delay function (for testing)
+ * @param {Function} [options.random] - Random source for jitter (for testing)
+ * @returns {Object} Client with fetch and getRetryDelay
+ */
+export function createWebexClient(options = {}) {
+  const doFetch = options.fetch || ((url, init) => globalThis.fetch(url, init));
+  const sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+  const random = options.random || Math.random;
+  const limiters = new Map();
+
+  function settings() {
+    return {
+      maxRetries: options.maxRetries ?? intFromEnv('WEBEX_HTTP_MAX_RETRIES', DEFAULT_MAX_RETRIES),
+      maxConcurrency: Math.max(1, options.maxConcurrency ?? intFromEnv('WEBEX_HTTP_MAX_CONCURRENCY', DEFAULT_MAX_CONCURRENCY)),
+      baseDelayMs: options.baseDelayMs ?? intFromEnv('WEBEX_HTTP_BASE_DELAY_MS', DEFAULT_BASE_DELAY_MS),
+      maxDelayMs: options.maxDelayMs ?? DEFAULT_MAX_DELAY_MS
+    };
+  }
+
+  /**
+   * Compute how long to wait before retrying a response
+   * @param {Response} response - The response to inspect
+   * @param {number} attempt - Zero-based attempt number that produced it
+   * @param {string} [method='GET'] - Request method; 502/503/504 are only retried for idempotent ones
+   * @returns {number|null} Delay in ms, or null if the response is not retryable
+   */
+  function getRetryDelay(response, attempt, method = 'GET') {
+    const { baseDelayMs, maxDelayMs } = settings();
+
+    // 429: rate limited; 423: file content still being scanned for malware
+    if (response.status === 429 || response.status === 423) {
+      const retryAfter = parseRetryAfter(readHeader(response.headers, 'retry-after'));
+      const delay = retryAfter ?? baseDelayMs * 2 ** attempt;
+      return Math.min(delay, maxDelayMs);
+    }
+
+    if (RETRYABLE_STATUSES.has(response.status) && IDEMPOTENT_METHODS.has(method.toUpperCase())) {
+      // Full jitter: uniform between 0 and the exponential ceiling
+      const ceiling = Math.min(baseDelayMs * 2 ** attempt, maxDelayMs);
+      return Math.round(random() * ceiling);
+    }
+
+    return null;
+  }
+
+  function limiterFor(headers) {
+    const key = readHeader(headers, 'authorization') || 'anonymous';
+    let limiter = limiters.get(key);
+    if (!limiter) {
+      limiter = createLimiter(settings().maxConcurrency);
+      limiters.set(key, limiter);
+    }
+    limiter.users++;
+    return { key, limiter };
+  }
+
+  /**
+   * Drop-in replacement for fetch with retry and concurrency handling
+   * @param {string|URL} url - Request URL
+   * @param {Object} [init] - fetch options
+   * @returns {Promise<Response>} The final response (possibly non-OK)
+   */
+  async function webexFetch(url, init = {}) {
+    // Dry runs record mutating requests instead of sending them
+    if (shouldInterceptRequest(init.method)) {
+      return recordDryRunRequest(url, init);
+    }
+
+    const { maxRetries } = settings();
+    const { key, limiter } = limiterFor(init.headers);
+
+    try {
+      for (let attempt = 0; ; attempt++) {
+        const response = await limiter.run(() => doFetch(url, init));
+        const delay = getRetryDelay(response, attempt, init.method);
+
+        if (delay === null || attempt >= maxRetries) {
+          return response;
+        }
+
+        console.error(`[Webex Client] HTTP ${response.status} for ${init.method || 'GET'} ${String(url).split('?')[0]}, retrying in ${delay}ms (${attempt + 1}/${maxRetries})`);
+        // Release the connection held by the discarded response
+        await response.body?.cancel?.().catch(() => {});
+        await sleep(delay);
+      }
+    } finally {
+      // Drop limiters nobody is using so per-session tokens don't accumulate
+      if (--limiter.users === 0) {
+        limiters.delete(key);
+      }
+    }
+  }
+
+  return { fetch: webexFetch, getRetryDelay };
+}
+
+// Default client shared by all tools
+const defaultClient = createWebexClient();
+
+/**
+ * Perform a Webex API request through the shared default client
+ * @param {string|URL} url - Request URL
+ * @param {Object} [init] - fetch options
+ * @returns {Promise<Response>} The final response
+ */
+export const webexFetch = defaultClient.fetch;
+
+export default defaultClient;
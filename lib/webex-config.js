@@ -7,6 +7,7 @@
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { AsyncLocalStorage } from 'async_hooks';
 import { getValidToken, hasOAuthCredentials, setCachedToken, getCachedToken, getAuthStatus, forceReauthenticate, clearTokens } from './oauth/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -20,6 +21,9 @@ let _cachedToken = null;
 let _authInitialized = false;
 let _authMethod = null;  // 'static', 'auto-refresh', or 'oauth'
 
+// Per-request credentials (e.g. an HTTP session's own Webex token), overriding the server-wide token
+const _requestCredentials = new AsyncLocalStorage();
+
 // Lazy-loaded keychain module (only on macOS with auto-refresh enabled)
 let _keychainTokenManager = null;
 
@@ -107,6 +111,21 @@ export function getWebexBaseUrl() {
   return process.env.WEBEX_API_BASE_URL || 'https://webexapis.com/v1';
 }
 
+/**
+ * Run a function with a specific Webex token in scope
+ * Every Webex API call made by the function (including awaited work) uses this
+ * token instead of the server-wide credentials.
+ * @param {string} token - Webex access token (with or without Bearer prefix)
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+export function runWithWebexToken(token, fn) {
+  if (!token) {
+    throw new Error('runWithWebexToken requires a token');
+  }
+  return _requestCredentials.run({ token: token.replace(/^Bearer\s+/, '') }, fn);
+}
+
 /**
  * Get the Webex API token (without Bearer prefix)
  * Auto-initializes authentication if not yet initialized but credentials are available
@@ -114,6 +133,11 @@ export function getWebexBaseUrl() {
  * @throws {Error} If authentication cannot be initialized
  */
 export async function getWebexToken() {
+  const scoped = _requestCredentials.getStore();
+  if (scoped) {
+    return scoped.token;
+  }
+
   // Auto-initialize if not yet initialized
   if (!_authInitialized) {
     // Check if we have any auth method configured
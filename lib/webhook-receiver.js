@@ -0,0 +1,226 @@
+/**
+ * Webhook Receiver Module
+ * Validates inbound Webex webhook callbacks and publishes them on the event bus:
+ *   1. Verifies the X-Spark-Signature header (HMAC-SHA1 of the raw body)
+ *      against the webhook's stored secret or the configured secrets.
+ *   2. Rejects stale "created" events (replays of captured callbacks).
+ *   3. Drops duplicates of events already received.
+ *   4. Hydrates the payload with the full message or attachment action,
+ *      since Webex only sends IDs.
+ */
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import defaultBus from './event-bus.js';
+import { isErrorResult } from './errors.js';
+import { parseList } from './tool-policy.js';
+import { apiTool as getMessageDetails } from '../tools/webex-public-workspace/webex-messaging/get-message-details.js';
+import { apiTool as getAttachmentActionDetails } from '../tools/webex-public-workspace/webex-messaging/get-attachment-action-details.js';
+
+// Header carrying the HMAC-SHA1 signature of the body
+export const SIGNATURE_HEADER = 'x-spark-signature';
+
+// "created" events older than this are treated as replays
+const DEFAULT_MAX_AGE_MS = 5 * 60 * 1000;
+
+// Allowed clock difference for events timestamped in the future
+const CLOCK_SKEW_MS = 60 * 1000;
+
+// How long received event IDs are remembered (at least DEFAULT_MAX_AGE_MS)
+const DEFAULT_DEDUPE_TTL_MS = 10 * 60 * 1000;
+
+// Upper bound on remembered event IDs
+const MAX_TRACKED_EVENTS = 10000;
+
+/**
+ * Fetch the full resource behind each event type
+ * Each hydrator receives the webhook data and returns the tool result.
+ */
+export const HYDRATORS = {
+  'messages:created': data => getMessageDetails.function({ messageId: data.id }),
+  'messages:updated': data => getMessageDetails.function({ messageId: data.id }),
+  'attachmentActions:created': data => getAttachmentActionDetails.function({ id: data.id })
+};
+
+/**
+ * Sign a body the way Webex does
+ * @param {Buffer|string} body - Raw request body
+ * @param {string} secret - Webhook secret
+ * @returns {string} Hex HMAC-SHA1 signature
+ */
+export function signPayload(body, secret) {
+  return createHmac('sha1', secret).update(body).digest('hex');
+}
+
+/**
+ * Check an X-Spark-Signature header in constant time
+ * @param {Buffer|string} body - Raw request body
+ * @param {string} signature - Header value
+ * @param {string} secret - Webhook secret
+ * @returns {boolean} True if the signature matches
+ */
+export function verifySignature(body, signature, secret) {
+  if (typeof signature !== 'string' || !/^[0-9a-f]{40}$/i.test(signature)) {
+    return false;
+  }
+  const expected = Buffer.from(signPayload(body, secret), 'hex');
+  return timingSafeEqual(expected, Buffer.from(signature, 'hex'));
+}
+
+/**
+ * Build the ID used to recognise repeated deliveries of the same event
+ * @param {Object} payload - Webhook payload
+ * @returns {string} Event ID
+ */
+export function eventId(payload) {
+  const { data = {} } = payload;
+  return [payload.id, payload.resource, payload.event, data.id, data.updated || data.created || ''].join(':');
+}
+
+/**
+ * Create a webhook receiver
+ * @param {Object} [options]
+ * @param {string[]} [options.secrets] - Secrets of webhooks registered outside this server
+ * @param {Function} [options.lookupWebhook] - Maps a webhook ID to { secret, run } for webhooks this server created
+ * @param {Object} [options.bus] - Event bus to publish to
+ * @param {Object} [options.hydrators] - Map of "resource:event" to hydrator
+ * @param {number} [options.maxAgeMs] - Maximum age of "created" events
+ * @param {number} [options.dedupeTtlMs] - How long event IDs are remembered
+ * @param {Function} [options.now] - Clock override for testing
+ * @returns {Object} Receiver with receive and stats
+ */
+export function createWebhookReceiver({
+  secrets = [],
+  lookupWebhook = () => null,
+  bus = defaultBus,
+  hydrators = HYDRATORS,
+  maxAgeMs = DEFAULT_MAX_AGE_MS,
+  dedupeTtlMs = Math.max(DEFAULT_DEDUPE_TTL_MS, maxAgeMs),
+  now = Date.now
+} = {}) {
+  // eventId -> expiry, in insertion (and so expiry) order
+  const seen = new Map();
+  const stats = { accepted: 0, duplicate: 0, rejected: 0 };
+
+  function remember(id) {
+    for (const [key, expiresAt] of seen) {
+      if (expiresAt > now() && seen.size < MAX_TRACKED_EVENTS) break;
+      seen.delete(key);
+    }
+    seen.set(id, now() + dedupeTtlMs);
+  }
+
+  function reject(httpStatus, status, message) {
+    stats.rejected++;
+    return { httpStatus, status, message };
+  }
+
+  async function deliver(payload, context) {
+    const data = payload.data || {};
+    const event = {
+      id: eventId(payload),
+      webhookId: payload.id,
+      name: payload.name,
+      resource: payload.resource,
+      event: payload.event,
+      roomId: data.roomId,
+      actorId: payload.actorId,
+      createdBy: payload.createdBy,
+      orgId: payload.orgId,
+      data,
+      receivedAt: new Date(now()).toISOString()
+    };
+
+    const hydrate = hydrators[`${payload.resource}:${payload.event}`];
+    if (hydrate && data.id) {
+      const run = context?.run || (fn => fn());
+      const result = await run(() => hydrate(data)).catch(error => ({ error: { message: error.message } }));
+      if (isErrorResult(result)) {
+        event.hydrationError = result.error;
+      } else {
+        event.resourceData = result;
+      }
+    }
+    return bus.publish(event);
+  }
+
+  return {
+    /**
+     * Validate a webhook callback and publish it
+     * Publishing happens in the background so Webex gets a prompt response.
+     * @param {Object} request
+     * @param {Buffer|string} request.body - Raw request body
+     * @param {string} [request.signature] - X-Spark-Signature header
+     * @returns {Object} { httpStatus, status, message?, event?, delivered? } where delivered resolves once subscribers ran
+     */
+    receive({ body, signature }) {
+      if (body === undefined || body === null || body.length === 0) {
+        return reject(400, 'invalid_payload', 'Expected a JSON body');
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(body.toString('utf-8'));
+      } catch (error) {
+        return reject(400, 'invalid_payload', 'Body is not valid JSON');
+      }
+      if (!payload || typeof payload !== 'object' || !payload.resource || !payload.event) {
+        return reject(400, 'invalid_payload', 'Not a Webex webhook payload');
+      }
+
+      const context = lookupWebhook(payload.id);
+      const candidates = context?.secret ? [context.secret] : secrets;
+      if (candidates.length === 0) {
+        return reject(401, 'unknown_webhook', 'No secret is known for this webhook');
+      }
+      if (!candidates.some(secret => verifySignature(body, signature, secret))) {
+        return reject(401, 'invalid_signature', `Missing or invalid ${SIGNATURE_HEADER} header`);
+      }
+
+      if (payload.event === 'created' && payload.data?.created) {
+        const created = Date.parse(payload.data.created);
+        if (Number.isNaN(created) || created < now() - maxAgeMs || created > now() + CLOCK_SKEW_MS) {
+          return reject(400, 'stale_event', 'Event is too old or timestamped in the future');
+        }
+      }
+
+      const id = eventId(payload);
+      const expiresAt = seen.get(id);
+      if (expiresAt !== undefined && expiresAt > now()) {
+        stats.duplicate++;
+        return { httpStatus: 200, status: 'duplicate' };
+      }
+      remember(id);
+      stats.accepted++;
+
+      const delivered = deliver(payload, context).catch(error => {
+        console.error('[Webhooks] Failed to deliver event:', error.message);
+        return 0;
+      });
+      return { httpStatus: 200, status: 'accepted', event: id, delivered };
+    },
+
+    /**
+     * Counts of accepted, duplicate and rejected callbacks (for /health)
+     * @returns {Object} { accepted, duplicate, rejected }
+     */
+    stats() {
+      return { ...stats };
+    }
+  };
+}
+
+/**
+ * Create the webhook receiver from environment variables
+ * WEBEX_WEBHOOK_SECRETS lists the secrets of webhooks created outside this server
+ * (e.g. with create_webhook); WEBEX_WEBHOOK_MAX_AGE_SECONDS bounds event age.
+ * @param {Object} [options] - Extra options for createWebhookReceiver (lookupWebhook, bus)
+ * @returns {Object} Webhook receiver
+ */
+export function loadWebhookReceiver(options = {}) {
+  const maxAgeSeconds = parseInt(process.env.WEBEX_WEBHOOK_MAX_AGE_SECONDS, 10);
+  return createWebhookReceiver({
+    secrets: parseList(process.env.WEBEX_WEBHOOK_SECRETS),
+    ...(maxAgeSeconds > 0 && { maxAgeMs: maxAgeSeconds * 1000 }),
+    ...options
+  });
+}
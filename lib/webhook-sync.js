@@ -0,0 +1,269 @@
+/**
+ * Webhook Sync Module
+ * Converges the webhooks registered in Webex with a declarative spec.
+ * Webhooks are matched by name: missing ones are created, changed ones are
+ * updated (or re-created when resource, event or filter changed, which Webex
+ * cannot update), webhooks Webex disabled are re-activated, and duplicates
+ * are deleted. Webhooks not in the spec are left alone unless pruning.
+ */
+
+import { readFile } from 'fs/promises';
+import { isErrorResult } from './errors.js';
+import { WEBHOOK_NAME_PREFIX } from './subscriptions.js';
+import { apiTool as listWebhooks } from '../tools/webex-public-workspace/webex-messaging/list-webhooks.js';
+import { apiTool as createWebhook } from '../tools/webex-public-workspace/webex-messaging/create-a-webhook.js';
+import { apiTool as updateWebhook } from '../tools/webex-public-workspace/webex-messaging/update-a-webhook.js';
+import { apiTool as deleteWebhook } from '../tools/webex-public-workspace/webex-messaging/delete-a-webhook.js';
+
+// Fields Webex cannot change on an existing webhook
+const IMMUTABLE_FIELDS = ['resource', 'event', 'filter'];
+
+// Order in which actions are applied: removals first so nothing fires twice
+const APPLY_ORDER = ['delete', 'replace', 'update', 'create'];
+
+/**
+ * Validate a webhook spec and fill in defaults
+ * @param {Array|Object} spec - Array of webhooks, or { webhooks: [...] }
+ * @returns {Array} Normalized webhook declarations
+ * @throws {Error} If a declaration is missing fields or names are repeated
+ */
+export function normalizeWebhookSpec(spec) {
+  const webhooks = Array.isArray(spec) ? spec : spec?.webhooks;
+  if (!Array.isArray(webhooks)) {
+    throw new Error('Webhook spec must be an array of webhooks or an object with a "webhooks" array');
+  }
+
+  const names = new Set();
+  return webhooks.map((webhook, index) => {
+    const missing = ['name', 'targetUrl', 'resource', 'event'].filter(field => !webhook?.[field]);
+    if (missing.length > 0) {
+      throw new Error(`Webhook ${index + 1}${webhook?.name ? ` (${webhook.name})` : ''} is missing ${missing.join(', ')}`);
+    }
+    if (names.has(webhook.name)) {
+      throw new Error(`Webhook name "${webhook.name}" is declared more than once`);
+    }
+    names.add(webhook.name);
+    return {
+      name: webhook.name,
+      targetUrl: webhook.targetUrl,
+      resource: webhook.resource,
+      event: webhook.event,
+      filter: webhook.filter || undefined,
+      secret: webhook.secret || undefined
+    };
+  });
+}
+
+/**
+ * Read a webhook spec from a JSON file
+ * @param {string} filePath - Path to the spec file
+ * @returns {Promise<Array>} Normalized webhook declarations
+ */
+export async function loadWebhookSpec(filePath) {
+  let spec;
+  try {
+    spec = JSON.parse(await readFile(filePath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Could not read webhook spec ${filePath}: ${error.message}`);
+  }
+  return normalizeWebhookSpec(spec);
+}
+
+/**
+ * Describe an existing webhook in a plan entry (without its secret)
+ * @private
+ */
+function summarize(webhook) {
+  return {
+    id: webhook.id,
+    targetUrl: webhook.targetUrl,
+    resource: webhook.resource,
+    event: webhook.event,
+    filter: webhook.filter,
+    status: webhook.status
+  };
+}
+
+/**
+ * Pick the webhook to keep among those sharing a declared name
+ * Prefers webhooks whose resource, event and filter already match, then active ones.
+ * @private
+ */
+function pickKeeper(desired, candidates) {
+  const score = webhook =>
+    (IMMUTABLE_FIELDS.every(field => (webhook[field] || undefined) === desired[field]) ? 2 : 0) +
+    (webhook.status === 'active' ? 1 : 0);
+  return [...candidates].sort((a, b) => score(b) - score(a))[0];
+}
+
+/**
+ * Compute the actions needed to converge existing webhooks with the spec
+ * @param {Array} desired - Normalized webhook declarations
+ * @param {Array} existing - Webhooks from list_webhooks
+ * @param {Object} [options]
+ * @param {boolean} [options.prune=false] - Delete webhooks that are not declared
+ * @returns {Array} Plan entries { action, name, reason, webhookId?, changes?, current?, desired? }
+ */
+export function planWebhookSync(desired, existing, { prune = false } = {}) {
+  const byName = new Map();
+  for (const webhook of existing) {
+    byName.set(webhook.name, [...(byName.get(webhook.name) || []), webhook]);
+  }
+
+  const plan = [];
+  for (const webhook of desired) {
+    const candidates = byName.get(webhook.name) || [];
+    byName.delete(webhook.name);
+
+    if (candidates.length === 0) {
+      plan.push({ action: 'create', name: webhook.name, reason: 'not registered', desired: webhook });
+      continue;
+    }
+
+    const keeper = pickKeeper(webhook, candidates);
+    for (const duplicate of candidates.filter(candidate => candidate !== keeper)) {
+      plan.push({ action: 'delete', name: webhook.name, reason: 'duplicate', webhookId: duplicate.id, current: summarize(duplicate) });
+    }
+
+    const immutable = IMMUTABLE_FIELDS.filter(field => (keeper[field] || undefined) !== webhook[field]);
+    if (immutable.length > 0) {
+      plan.push({
+        action: 'replace',
+        name: webhook.name,
+        reason: `${immutable.join(', ')} cannot be updated`,
+        webhookId: keeper.id,
+        changes: immutable,
+        current: summarize(keeper),
+        desired: webhook
+      });
+      continue;
+    }
+
+    const changes = [
+      keeper.targetUrl !== webhook.targetUrl && 'targetUrl',
+      webhook.secret !== undefined && keeper.secret !== webhook.secret && 'secret',
+      keeper.status !== 'active' && 'status'
+    ].filter(Boolean);
+    if (changes.length > 0) {
+      plan.push({
+        action: 'update',
+        name: webhook.name,
+        reason: changes.map(field => (field === 'status' ? `${keeper.status || 'not active'} in Webex` : `${field} changed`)).join(', '),
+        webhookId: keeper.id,
+        changes,
+        current: summarize(keeper),
+        desired: webhook
+      });
+    } else {
+      plan.push({ action: 'unchanged', name: webhook.name, webhookId: keeper.id });
+    }
+  }
+
+  for (const [name, webhooks] of byName) {
+    // Subscription webhooks are owned by running sessions, never by the spec
+    const managed = name?.startsWith(WEBHOOK_NAME_PREFIX);
+    for (const webhook of webhooks) {
+      plan.push(prune && !managed
+        ? { action: 'delete', name, reason: 'not declared', webhookId: webhook.id, current: summarize(webhook) }
+        : { action: 'unmanaged', name, reason: managed ? 'resource subscription' : 'not declared', webhookId: webhook.id });
+    }
+  }
+  return plan;
+}
+
+/**
+ * Run one plan entry against Webex
+ * @private
+ */
+async function applyEntry(entry, ownedBy) {
+  const create = desired => createWebhook.function({ ...desired, ownedBy });
+
+  switch (entry.action) {
+    case 'create':
+      return create(entry.desired);
+    case 'update':
+      return updateWebhook.function({
+        webhookId: entry.webhookId,
+        name: entry.desired.name,
+        targetUrl: entry.desired.targetUrl,
+        secret: entry.desired.secret,
+        ownedBy,
+        status: 'active'
+      });
+    case 'replace': {
+      const deleted = await deleteWebhook.function({ webhookId: entry.webhookId });
+      return isErrorResult(deleted) ? deleted : create(entry.desired);
+    }
+    case 'delete':
+      return deleteWebhook.function({ webhookId: entry.webhookId });
+    default:
+      return null;
+  }
+}
+
+/**
+ * Apply a plan, continuing past failures so as much as possible converges
+ * @param {Array} plan - Plan from planWebhookSync
+ * @param {Object} [options]
+ * @param {string} [options.ownedBy] - Owner for created and updated webhooks ('org' for org-wide)
+ * @returns {Promise<Array>} Plan entries with outcome ('applied' or 'failed'), webhookId of created webhooks, and error
+ */
+export async function applyWebhookPlan(plan, { ownedBy } = {}) {
+  const pending = plan
+    .filter(entry => APPLY_ORDER.includes(entry.action))
+    .sort((a, b) => APPLY_ORDER.indexOf(a.action) - APPLY_ORDER.indexOf(b.action));
+
+  const outcomes = new Map();
+  for (const entry of pending) {
+    const result = await applyEntry(entry, ownedBy);
+    outcomes.set(entry, isErrorResult(result)
+      ? { outcome: 'failed', error: result.error }
+      : { outcome: 'applied', ...(entry.action !== 'delete' && result?.id && { webhookId: result.id }) });
+  }
+  return plan.map(entry => (outcomes.has(entry) ? { ...entry, ...outcomes.get(entry) } : entry));
+}
+
+/**
+ * Count plan entries by action
+ * @param {Array} plan - Plan entries
+ * @returns {Object} Counts for create, update, replace, delete, unchanged and unmanaged
+ */
+export function summarizePlan(plan) {
+  const summary = { create: 0, update: 0, replace: 0, delete: 0, unchanged: 0, unmanaged: 0 };
+  for (const entry of plan) {
+    summary[entry.action]++;
+  }
+  return summary;
+}
+
+/**
+ * Diff a spec against Webex and optionally converge
+ * @param {Object} options
+ * @param {Array|Object} options.webhooks - Webhook spec
+ * @param {boolean} [options.apply=false] - Perform the plan instead of only returning it
+ * @param {boolean} [options.prune=false] - Delete webhooks that are not declared
+ * @param {string} [options.ownedBy] - 'org' to sync organization-wide webhooks
+ * @returns {Promise<Object>} { applied, summary, plan, failed? } or a tool error result
+ */
+export async function syncWebhooks({ webhooks, apply = false, prune = false, ownedBy }) {
+  const desired = normalizeWebhookSpec(webhooks);
+
+  // list_webhooks defaults to org-wide webhooks; null lists the caller's own
+  const existing = await listWebhooks.function({ all: true, ownedBy: ownedBy || null });
+  if (isErrorResult(existing)) {
+    return existing;
+  }
+
+  let plan = planWebhookSync(desired, existing.items || [], { prune });
+  if (apply) {
+    plan = await applyWebhookPlan(plan, { ownedBy });
+  }
+
+  const failed = plan.filter(entry => entry.outcome === 'failed').length;
+  return {
+    applied: apply,
+    summary: summarizePlan(plan),
+    plan,
+    ...(failed > 0 && { failed })
+  };
+}
@@ -7,10 +7,24 @@ import { McpServer } from "@modelcontextprotocol/sdk/server/mcp.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
 import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { requireBearerAuth } from "@modelcontextprotocol/sdk/server/auth/middleware/bearerAuth.js";
 import { discoverTools } from "./lib/tools.js";
-import { reauthenticate, logout, completeManualAuth, startManualAuth } from "./lib/webex-config.js";
+import { loadToolPolicy } from "./lib/tool-policy.js";
+import { loadConfirmationGate } from "./lib/confirmation.js";
+import { loadAuditLog, LOCAL_PRINCIPAL } from "./lib/audit-log.js";
+import { registerWebexResources } from "./lib/resources.js";
+import { createSubscriptionManager, WEBHOOK_PATH } from "./lib/subscriptions.js";
+import { loadWebhookReceiver, SIGNATURE_HEADER } from "./lib/webhook-receiver.js";
+import eventBus from "./lib/event-bus.js";
+import { loadMessageIndex } from "./lib/message-index.js";
+import { supportsDryRun, isDryRunEnabled, withDryRunParameter, dryRunTool } from "./lib/dry-run.js";
+import { toErrorResult, isErrorResult } from "./lib/errors.js";
+import { convertJsonSchemaToZod } from "./lib/schema.js";
+import { reauthenticate, logout, completeManualAuth, startManualAuth, runWithWebexToken } from "./lib/webex-config.js";
+import { loadHttpAuthConfig, createTokenVerifier } from "./lib/http-auth.js";
+import { createSessionRegistry, getWebexTokenFromHeaders } from "./lib/http-sessions.js";
+import { generateCallbackHtml } from "./lib/oauth/index.js";
 import { randomUUID } from "crypto";
-import { z } from "zod";
 
 import path from "path";
 import { fileURLToPath } from "url";
@@ -37,45 +51,54 @@ function promptResponse(text) {
 }
 
 /**
- * Convert JSON Schema properties to Zod schema format
- * Required by MCP SDK v1.17.4 for proper parameter validation
+ * Create an MCP tool error response from an error envelope
+ * @param {Object} result - Envelope of the form { error: { message, status, trackingId, ... } }
+ * @returns {Object} Tool result flagged with isError
  */
-function convertJsonSchemaToZod(properties, required = []) {
-  if (!properties || typeof properties !== 'object') {
-    return {};
-  }
+function toolErrorResponse(result) {
+  return {
+    content: [{
+      type: 'text',
+      text: JSON.stringify(result, null, 2)
+    }],
+    isError: true
+  };
+}
 
-  const zodSchema = {};
-
-  for (const [key, prop] of Object.entries(properties)) {
-    let zodType;
-
-    if (prop.type === 'string') {
-      zodType = z.string();
-    } else if (prop.type === 'number') {
-      zodType = z.number();
-    } else if (prop.type === 'integer') {
-      zodType = z.number().int();
-    } else if (prop.type === 'boolean') {
-      zodType = z.boolean();
-    } else if (prop.type === 'array') {
-      zodType = z.array(z.any());
-    } else if (prop.type === 'object') {
-      zodType = z.object({});
-    } else {
-      // Default to string for unknown types
-      zodType = z.string();
+/**
+ * Register sign-in prompts for HTTP sessions bound to their own Webex credentials
+ * These replace the server-wide prompts so remote callers cannot change the host's login
+ */
+function registerSessionAuthPrompts(server, sessionAuth) {
+  server.registerPrompt(
+    'authenticate',
+    {
+      title: 'Login to Webex',
+      description: 'Sign in to Webex for this session.',
+      argsSchema: {}
+    },
+    async (args, extra) => {
+      const loginUrl = sessionAuth.createLoginUrl(extra);
+      return promptResponse(loginUrl
+        ? `Open this link to sign in to Webex for this session:\n\n${loginUrl}`
+        : '✗ Per-session sign-in is not configured. Reconnect with your Webex access token in the X-Webex-Token header.');
     }
+  );
 
-    // Make optional if not in required array
-    if (!required.includes(key)) {
-      zodType = zodType.optional();
+  server.registerPrompt(
+    'logout',
+    {
+      title: 'Clear authentication',
+      description: 'Clear the Webex credentials bound to this session.',
+      argsSchema: {}
+    },
+    async (args, extra) => {
+      sessionAuth.clearWebexToken(extra);
+      return promptResponse('✓ Webex credentials for this session have been cleared.');
     }
+  );
 
-    zodSchema[key] = zodType;
-  }
-
-  return zodSchema;
+  console.error('[MCP Server] Registered session authentication prompts');
 }
 
 /**
@@ -167,8 +190,14 @@ function registerAuthPrompts(server) {
 /**
  * Create and configure MCP server with tools
  * Following MCP 2025-06-18 protocol patterns
+ * @param {Object} [options]
+ * @param {Object} [options.sessionAuth] - Per-session Webex credentials (HTTP mode):
+ *   { resolveWebexToken(extra), createLoginUrl(extra), clearWebexToken(extra) }
+ * @param {Object} [options.toolPolicy] - Policy deciding which tools to register (see lib/tool-policy.js)
+ * @param {Object} [options.auditLog] - Audit log recording every tool call (see lib/audit-log.js)
+ * @param {Object} [options.subscriptions] - Webhook-backed resource subscriptions (see lib/subscriptions.js)
  */
-async function createMcpServer() {
+async function createMcpServer({ sessionAuth, toolPolicy, auditLog, subscriptions } = {}) {
   const server = new McpServer({
     name: SERVER_NAME,
     version: "0.1.0",
@@ -182,15 +211,26 @@ async function createMcpServer() {
   server.onerror = (error) => console.error("[MCP Server Error]", error);
 
   // Register authentication prompts (accessible via /webex:<prompt-name>)
-  registerAuthPrompts(server);
+  if (sessionAuth) {
+    registerSessionAuthPrompts(server, sessionAuth);
+  } else {
+    registerAuthPrompts(server);
+  }
+
+  // Rooms, messages and people as resources (webex://rooms/{roomId}, ...)
+  registerWebexResources(server, { sessionAuth, subscriptions, toolPolicy });
 
-  // Discover and register all tools
-  const tools = await discoverTools();
-  console.error(`[MCP Server] Registering ${tools.length} tools`);
+  // Destructive tools ask the user to confirm (elicitation, or a confirmToken round-trip)
+  const confirmation = loadConfirmationGate();
+
+  // Discover tools and register those enabled by the policy
+  const allTools = await discoverTools();
+  const tools = toolPolicy ? toolPolicy.filter(allTools) : allTools;
+  console.error(`[MCP Server] Registering ${tools.length} of ${allTools.length} tools`);
 
   // Register each tool individually (NO inputSchema in registerTool call)
   for (const tool of tools) {
-    const definition = tool.definition?.function;
+    const definition = tool.definition?.function && withDryRunParameter(confirmation.withConfirmParameter(tool.definition.function));
     if (!definition) {
       console.error(`[MCP Server] Skipping tool with invalid definition:`, tool);
       continue;
@@ -205,7 +245,9 @@ async function createMcpServer() {
           // MCP SDK v1.17.4 requires inputSchema with Zod schemas for parameter validation
           inputSchema: convertJsonSchemaToZod(definition.parameters?.properties || {}, definition.parameters?.required || [])
         },
-        async (args) => {
+        async (args, extra) => {
+          const startedAt = Date.now();
+          let result;
           try {
             // Debug logging to see what we actually receive
             console.error(`[DEBUG] Tool ${definition.name} called with args:`, JSON.stringify(args));
@@ -218,23 +260,53 @@ async function createMcpServer() {
               throw new Error(`Tool ${definition.name} has no function or handler`);
             }
 
-            const result = await toolFunction(args);
-            return {
-              content: [{
-                type: 'text',
-                text: JSON.stringify(result, null, 2)
-              }]
+            const invoke = async () => {
+              // Dry runs (per call, or forced server-wide) skip confirmation since nothing changes
+              const { dryRun, ...callArgs } = args || {};
+              if (supportsDryRun(definition.name) && (dryRun || isDryRunEnabled())) {
+                const { confirmToken, ...toolArgs } = callArgs;
+                return dryRunTool(definition.name, toolArgs, toolFunction);
+              }
+
+              const canElicit = !!server.server.getClientCapabilities()?.elicitation;
+              const gate = await confirmation.check(definition.name, callArgs, {
+                elicit: canElicit
+                  ? (params) => server.server.elicitInput(params, { relatedRequestId: extra.requestId })
+                  : undefined
+              });
+              return gate.proceed ? toolFunction(gate.args) : gate.result;
             };
+
+            // Use the session's own Webex token when one is bound (HTTP mode)
+            const webexToken = sessionAuth ? await sessionAuth.resolveWebexToken(extra) : null;
+            result = webexToken
+              ? await runWithWebexToken(webexToken, invoke)
+              : await invoke();
           } catch (error) {
             console.error(`[MCP Server] Tool ${definition.name} error:`, error);
-            return {
-              content: [{
-                type: 'text',
-                text: `Error: ${error.message}`
-              }],
-              isError: true
-            };
+            result = toErrorResult(error, `Tool ${definition.name} failed`);
+          }
+
+          if (auditLog) {
+            await auditLog.record({
+              tool: definition.name,
+              args,
+              result,
+              startedAt,
+              sessionId: extra?.sessionId,
+              principal: extra?.authInfo?.extra?.principal || (sessionAuth ? null : LOCAL_PRINCIPAL)
+            }).catch(error => console.error(`[Audit] Failed to record ${definition.name}:`, error.message));
           }
+
+          if (isErrorResult(result)) {
+            return toolErrorResponse(result);
+          }
+          return {
+            content: [{
+              type: 'text',
+              text: JSON.stringify(result, null, 2)
+            }]
+          };
         }
       );
     } catch (error) {
@@ -258,6 +330,21 @@ async function run() {
   const mode = isHTTP ? 'HTTP' : 'STDIO';
   console.error(`[MCP Server] Mode: ${mode}`);
 
+  // Tool policy (read-only profile, allow/deny lists, categories) applies to every session
+  const toolPolicy = loadToolPolicy();
+  const toolPolicySummary = toolPolicy.describe(await discoverTools());
+  if (toolPolicySummary.disabled.length > 0) {
+    console.error(`[MCP Server] Tool policy disables ${toolPolicySummary.disabled.length} tools: ${toolPolicySummary.disabled.join(', ')}`);
+  }
+
+  // Every tool call is appended to the audit log unless WEBEX_AUDIT_LOG=off
+  const auditLog = loadAuditLog();
+  console.error(`[MCP Server] Audit log: ${auditLog ? auditLog.filePath : 'disabled'}`);
+
+  // Local message index for search_index, only when WEBEX_INDEX_ROOMS is set
+  const messageIndex = loadMessageIndex();
+  console.error(`[MCP Server] Message index: ${messageIndex ? messageIndex.filePath : 'disabled'}`);
+
   // Deprecation warning for SSE
   if (isSSE) {
     console.error('WARNING: SSE mode is deprecated in MCP 2025-06-18. Use StreamableHTTP instead.');
@@ -267,17 +354,102 @@ async function run() {
   if (isHTTP) {
     // HTTP mode with StreamableHTTP transport
     const app = express();
-    app.use(express.json());
+    // Keep the raw body of webhook callbacks: their signature covers the exact bytes
+    app.use(express.json({
+      verify: (req, res, buf) => {
+        if (req.path === WEBHOOK_PATH) {
+          req.rawBody = buf;
+        }
+      }
+    }));
 
     // Enable CORS for all origins and expose MCP session header
     app.use(cors({
       origin: '*',
-      exposedHeaders: ['mcp-session-id']
+      exposedHeaders: ['mcp-session-id', 'www-authenticate']
     }));
 
+    const port = process.env.PORT || 3001;
+    const publicUrl = (process.env.MCP_HTTP_PUBLIC_URL || `http://localhost:${port}`).replace(/\/+$/, '');
+
+    // Inbound authentication: API keys and/or JWTs verified against a JWKS file
+    const authConfig = loadHttpAuthConfig();
+    const requireAuth = authConfig.enabled
+      ? requireBearerAuth({ verifier: createTokenVerifier(authConfig) })
+      : (req, res, next) => next();
+
+    if (!authConfig.enabled) {
+      console.error('[HTTP] WARNING: No MCP_HTTP_API_KEYS or MCP_HTTP_JWKS_FILE configured; /mcp is unauthenticated');
+    }
+
+    // Per-session Webex credentials. Authenticated deployments require each caller's own
+    // token unless MCP_HTTP_ALLOW_SERVER_TOKEN=true; open deployments fall back to the server's.
+    const sessions = createSessionRegistry({
+      allowServerToken: !authConfig.enabled || process.env.MCP_HTTP_ALLOW_SERVER_TOKEN === 'true',
+      oauthRedirectUri: `${publicUrl}/oauth/callback`
+    });
+
+    const sessionAuth = {
+      resolveWebexToken: (extra) => sessions.resolveWebexToken(extra.sessionId),
+      createLoginUrl: (extra) => sessions.canSignIn() ? sessions.createLoginUrl(extra.sessionId) : null,
+      clearWebexToken: (extra) => sessions.setTokens(extra.sessionId, null)
+    };
+
+    // Resource subscriptions need a URL Webex can deliver webhooks to
+    const subscriptions = process.env.MCP_HTTP_PUBLIC_URL
+      ? createSubscriptionManager({ targetUrl: `${publicUrl}${WEBHOOK_PATH}` })
+      : null;
+    console.error(`[HTTP] Resource subscriptions: ${subscriptions ? `webhooks delivered to ${publicUrl}${WEBHOOK_PATH}` : 'disabled (set MCP_HTTP_PUBLIC_URL)'}`);
+
+    // Signed webhook callbacks are verified, deduplicated, hydrated and published on the event bus
+    const webhookReceiver = loadWebhookReceiver({
+      lookupWebhook: (webhookId) => subscriptions?.getWebhookContext(webhookId)
+    });
+    if (subscriptions) {
+      eventBus.subscribe({ resource: 'messages' }, (event) => subscriptions.handleEvent(event));
+    }
+    // Created, edited and deleted messages keep the indexed rooms current (the index owner's webhooks only)
+    if (messageIndex) {
+      eventBus.subscribe({ resource: 'messages' }, (event) => messageIndex.handleEvent(event));
+    }
+
+    /**
+     * Forget a closed session, deleting its subscription webhooks while its Webex token is still known
+     */
+    const closeSession = async (sessionId) => {
+      if (!transports[sessionId]) {
+        return;
+      }
+      delete transports[sessionId];
+      if (subscriptions) {
+        await subscriptions.removeSession(sessionId).catch(error => {
+          console.error(`[HTTP] Failed to remove subscriptions for ${sessionId}:`, error.message);
+        });
+      }
+      sessions.remove(sessionId);
+    };
+
     // Map to store transports by session ID
     const transports = {};
 
+    /**
+     * Look up the transport for a request, rejecting sessions owned by another caller
+     * Refreshes the session's Webex token if the request carries a new one.
+     */
+    const getSessionTransport = (req) => {
+      const sessionId = req.headers['mcp-session-id'];
+      const principal = req.auth?.extra?.principal;
+      if (!sessionId || !transports[sessionId] || !sessions.isOwnedBy(sessionId, principal)) {
+        return null;
+      }
+
+      const webexToken = getWebexTokenFromHeaders(req.headers);
+      if (webexToken) {
+        sessions.setTokens(sessionId, { accessToken: webexToken });
+      }
+      return transports[sessionId];
+    };
+
     // Health check endpoint
     app.get('/health', (req, res) => {
       res.json({
@@ -285,30 +457,78 @@ async function run() {
         mode: 'HTTP',
         protocol: 'MCP 2025-06-18',
         server: SERVER_NAME,
-        version: '0.1.0'
+        version: '0.1.0',
+        auth: {
+          required: authConfig.enabled,
+          methods: [
+            ...(authConfig.apiKeys.length > 0 ? ['api_key'] : []),
+            ...(authConfig.jwks ? ['jwt'] : [])
+          ],
+          perSessionWebexToken: true,
+          oauthSignIn: sessions.canSignIn()
+        },
+        tools: toolPolicySummary,
+        subscriptions: subscriptions ? { enabled: true, ...subscriptions.describe() } : { enabled: false },
+        webhooks: webhookReceiver.stats()
       });
     });
 
+    // Webex webhook callbacks (sent by Webex, so authenticated by X-Spark-Signature rather than bearer auth)
+    app.post(WEBHOOK_PATH, (req, res) => {
+      const { httpStatus, status, message } = webhookReceiver.receive({
+        body: req.rawBody,
+        signature: req.get(SIGNATURE_HEADER)
+      });
+      if (httpStatus >= 400) {
+        console.error(`[HTTP] Rejected webhook callback: ${message}`);
+      }
+      res.status(httpStatus).json(message ? { status, message } : { status });
+    });
+
+    // Per-session Webex OAuth callback (opened in the user's browser, so no bearer auth)
+    app.get('/oauth/callback', async (req, res) => {
+      try {
+        const sessionId = await sessions.completeLogin(req.query);
+        console.error(`[HTTP] Webex sign-in completed for session ${sessionId}`);
+        res.type('html').send(generateCallbackHtml(true, 'You can close this window and return to your MCP client.'));
+      } catch (error) {
+        console.error('[HTTP] Webex sign-in failed:', error.message);
+        res.status(400).type('html').send(generateCallbackHtml(false, 'Sign-in failed. Please request a new sign-in link and try again.'));
+      }
+    });
+
     // MCP POST endpoint following official patterns
-    app.post('/mcp', async (req, res) => {
+    app.post('/mcp', requireAuth, async (req, res) => {
       const sessionId = req.headers['mcp-session-id'];
 
       try {
         let transport;
 
-        if (sessionId && transports[sessionId]) {
+        if (sessionId) {
           // Reuse existing transport
-          transport = transports[sessionId];
-        } else if (!sessionId && isInitializeRequest(req.body)) {
+          transport = getSessionTransport(req);
+          if (!transport) {
+            res.status(404).json({
+              jsonrpc: '2.0',
+              error: { code: -32001, message: 'Session not found' },
+              id: null
+            });
+            return;
+          }
+        } else if (isInitializeRequest(req.body)) {
           // New initialization request
+          const principal = req.auth?.extra?.principal;
+          const webexToken = getWebexTokenFromHeaders(req.headers);
+
           transport = new StreamableHTTPServerTransport({
             sessionIdGenerator: () => randomUUID(),
             onsessioninitialized: (sessionId) => {
               transports[sessionId] = transport;
-              console.error(`[HTTP] New session initialized: ${sessionId}`);
+              sessions.register(sessionId, { principal, webexToken });
+              console.error(`[HTTP] New session initialized: ${sessionId}${principal ? ` (${principal})` : ''}`);
             },
             onsessionclosed: (sessionId) => {
-              delete transports[sessionId];
+              closeSession(sessionId);
               console.error(`[HTTP] Session closed: ${sessionId}`);
             }
           });
@@ -316,12 +536,12 @@ async function run() {
           // Clean up transport when closed
           transport.onclose = () => {
             if (transport.sessionId) {
-              delete transports[transport.sessionId];
+              closeSession(transport.sessionId);
             }
           };
 
           // Create and connect the server
-          const server = await createMcpServer();
+          const server = await createMcpServer({ sessionAuth, toolPolicy, auditLog, subscriptions });
           await server.connect(transport);
         } else {
           // Invalid request
@@ -348,39 +568,55 @@ async function run() {
     });
 
     // Handle GET requests for SSE streams
-    app.get('/mcp', async (req, res) => {
-      const sessionId = req.headers['mcp-session-id'];
-      if (!sessionId || !transports[sessionId]) {
+    app.get('/mcp', requireAuth, async (req, res) => {
+      const transport = getSessionTransport(req);
+      if (!transport) {
         res.status(400).send('Invalid or missing session ID');
         return;
       }
 
-      const transport = transports[sessionId];
       await transport.handleRequest(req, res);
     });
 
     // Handle DELETE requests for session termination
-    app.delete('/mcp', async (req, res) => {
-      const sessionId = req.headers['mcp-session-id'];
-      if (!sessionId || !transports[sessionId]) {
+    app.delete('/mcp', requireAuth, async (req, res) => {
+      const transport = getSessionTransport(req);
+      if (!transport) {
         res.status(400).send('Invalid or missing session ID');
         return;
       }
 
-      const transport = transports[sessionId];
       await transport.handleRequest(req, res);
     });
 
-    const port = process.env.PORT || 3001;
     app.listen(port, () => {
       console.error(`[HTTP Server] running on port ${port}`);
       console.error(`[HTTP Server] Health check: http://localhost:${port}/health`);
       console.error(`[HTTP Server] MCP endpoint: http://localhost:${port}/mcp`);
+      console.error(`[HTTP Server] Authentication: ${authConfig.enabled ? 'required' : 'disabled'}`);
     });
+
+    // Don't leave subscription webhooks pointing at a stopped server, or index changes unsaved
+    if (subscriptions || messageIndex) {
+      for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.on(signal, async () => {
+          if (subscriptions) {
+            console.error('[HTTP Server] Shutting down, removing subscription webhooks...');
+            await subscriptions.removeAll();
+          }
+          if (messageIndex) {
+            await messageIndex.flush().catch(error => {
+              console.error('[HTTP Server] Failed to save the message index:', error.message);
+            });
+          }
+          process.exit(0);
+        });
+      }
+    }
   } else {
     // STDIO mode: single server instance
     console.error('[MCP Server] Starting in STDIO mode');
-    const server = await createMcpServer();
+    const server = await createMcpServer({ toolPolicy, auditLog });
 
     process.on("SIGINT", async () => {
       console.error('[MCP Server] Shutting down...');
@@ -0,0 +1,178 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { buildCard, validateCard, cardFallbackText, unwrapCard, CARD_CONTENT_TYPE } from '../lib/adaptive-cards.js';
+import { discoverTools } from '../lib/tools.js';
+import { initializeAuth } from '../lib/webex-config.js';
+
+const card = (body, extra = {}) => ({ type: 'AdaptiveCard', version: '1.3', body, ...extra });
+
+describe('Adaptive Cards', () => {
+  describe('buildCard', () => {
+    it('should build a valid 1.3 card from a description', () => {
+      const built = buildCard({
+        title: 'Deploy approval',
+        subtitle: 'payments-api',
+        text: ['Version **2.4.1** is ready.'],
+        facts: { Environment: 'production', Changes: 12 },
+        inputs: [
+          { id: 'comment', label: 'Comment', multiline: true },
+          { id: 'window', type: 'choice', label: 'Window', choices: ['now', 'tonight'], required: true }
+        ],
+        actions: [
+          { title: 'Approve', data: { decision: 'approve' }, style: 'positive' },
+          { title: 'Runbook', url: 'https://example.com/runbook' }
+        ]
+      });
+
+      assert.strictEqual(built.version, '1.3');
+      assert.deepStrictEqual(built.body.map(element => element.type), ['TextBlock', 'TextBlock', 'TextBlock', 'FactSet', 'Input.Text', 'Input.ChoiceSet']);
+      assert.deepStrictEqual(built.body[3].facts[1], { title: 'Changes', value: '12' });
+      assert.deepStrictEqual(built.body[5].choices[0], { title: 'now', value: 'now' });
+      assert.strictEqual(built.body[5].isRequired, true);
+      assert.deepStrictEqual(built.actions.map(action => action.type), ['Action.Submit', 'Action.OpenUrl']);
+      assert.deepStrictEqual(validateCard(built), { valid: true, errors: [], warnings: [] });
+    });
+
+    it('should derive fallback text from text blocks and facts', () => {
+      const built = buildCard({ title: 'Incident', text: 'Database latency', facts: [{ title: 'Severity', value: 'P2' }] });
+      assert.strictEqual(cardFallbackText(built), 'Incident\nDatabase latency\nSeverity: P2');
+      assert.strictEqual(cardFallbackText({ ...built, fallbackText: 'Custom' }), 'Custom');
+      assert.match(cardFallbackText(card([])), /cannot display/);
+    });
+  });
+
+  describe('validateCard', () => {
+    it('should report problems with their JSON paths', () => {
+      const { valid, errors } = validateCard(card([
+        { type: 'TextBlock', text: 'ok' },
+        { type: 'TextBlock', size: 'huge' },
+        {
+          type: 'ColumnSet',
+          columns: [{ type: 'Column', items: [{ type: 'Image' }, { type: 'Input.ChoiceSet', id: 'pick', choices: [{ title: 'A' }] }] }]
+        }
+      ], { actions: [{ type: 'Action.OpenUrl', title: 'Open' }] }));
+
+      assert.strictEqual(valid, false);
+      assert.deepStrictEqual(errors.map(error => error.path), [
+        '$.body[1].text',
+        '$.body[1].size',
+        '$.body[2].columns[0].items[0].url',
+        '$.body[2].columns[0].items[1].choices[0].value',
+        '$.actions[0].url'
+      ]);
+      assert.match(errors[1].message, /must be one of default, small, medium, large, extraLarge/);
+    });
+
+    it('should reject versions and types Webex does not support', () => {
+      const newer = validateCard({ ...card([{ type: 'Table' }]), version: '1.5', actions: [{ type: 'Action.Execute' }] });
+      assert.deepStrictEqual(newer.errors.map(error => error.path), ['$.version', '$.body[0].type', '$.actions[0].type']);
+      assert.match(newer.errors[2].message, /Adaptive Cards 1\.4 and is not supported by Webex/);
+
+      const typo = validateCard(card([{ type: 'Textblock', text: 'hi' }]));
+      assert.match(typo.errors[0].message, /unknown element type "Textblock"/);
+
+      assert.strictEqual(validateCard({ type: 'Card' }).errors[0].path, '$.type');
+      assert.strictEqual(validateCard([]).errors[0].path, '$');
+    });
+
+    it('should check nested cards, types and duplicate input ids', () => {
+      const { errors } = validateCard(card([
+        { type: 'Input.Text', id: 'name' },
+        { type: 'Input.Number', id: 'name', value: '3' },
+        { type: 'Container', items: 'none' }
+      ], {
+        actions: [{ type: 'Action.ShowCard', title: 'More', card: { type: 'AdaptiveCard', body: [{ type: 'Input.Toggle', id: 'agree' }] } }]
+      }));
+
+      assert.deepStrictEqual(errors.map(error => `${error.path} ${error.message}`), [
+        '$.body[1].id duplicates the id of $.body[0]',
+        '$.body[1].value must be a number',
+        '$.body[2].items must be an array',
+        '$.actions[0].card.body[0].title is required'
+      ]);
+    });
+
+    it('should warn about properties Webex ignores', () => {
+      const { valid, warnings } = validateCard(card([{ type: 'TextBlock', text: 'hi', colour: 'good' }]));
+      assert.strictEqual(valid, true);
+      assert.deepStrictEqual(warnings.map(warning => warning.path), ['$.body[0].colour']);
+    });
+
+    it('should unwrap card attachments', () => {
+      const content = card([]);
+      assert.strictEqual(unwrapCard({ contentType: CARD_CONTENT_TYPE, content }), content);
+      assert.strictEqual(unwrapCard(content), content);
+      assert.throws(() => unwrapCard({ contentType: 'text/html', content }), /\$\.contentType/);
+    });
+  });
+
+  describe('send_adaptive_card', () => {
+    let originalEnv;
+    let originalFetch;
+    let tool;
+    let requests;
+
+    beforeEach(async () => {
+      originalEnv = { ...process.env };
+      originalFetch = global.fetch;
+      process.env.WEBEX_PUBLIC_WORKSPACE_API_KEY = 'test-token-123';
+      process.env.WEBEX_API_BASE_URL = 'https://webexapis.com/v1';
+      await initializeAuth();
+
+      const tools = await discoverTools();
+      tool = tools.find(t => t.definition.function.name === 'send_adaptive_card');
+      requests = [];
+      global.fetch = async (url, options) => {
+        requests.push({ url: String(url), body: JSON.parse(options.body) });
+        return new Response(JSON.stringify({ id: 'msg-1', roomId: 'room-1' }), { status: 200 });
+      };
+    });
+
+    afterEach(() => {
+      process.env = originalEnv;
+      global.fetch = originalFetch;
+    });
+
+    it('should wrap the card and add fallback text', async () => {
+      const result = await tool.function({ roomId: 'room-1', parentId: 'msg-0', title: 'Lunch?', actions: [{ title: 'Yes', data: { lunch: true } }] });
+
+      assert.strictEqual(result.id, 'msg-1');
+      const [{ url, body }] = requests;
+      assert.strictEqual(url, 'https://webexapis.com/v1/messages');
+      assert.strictEqual(body.roomId, 'room-1');
+      assert.strictEqual(body.parentId, 'msg-0');
+      assert.strictEqual(body.markdown, 'Lunch?');
+      assert.strictEqual(body.attachments[0].contentType, CARD_CONTENT_TYPE);
+      assert.strictEqual(body.attachments[0].content.actions[0].type, 'Action.Submit');
+    });
+
+    it('should send raw card JSON and return warnings', async () => {
+      const raw = card([{ type: 'TextBlock', text: 'Raw', colour: 'good' }]);
+      const result = await tool.function({ toPersonEmail: 'alice@example.com', card: raw, fallbackText: 'A card' });
+
+      assert.deepStrictEqual(result.warnings.map(warning => warning.path), ['$.body[0].colour']);
+      assert.strictEqual(requests[0].body.toPersonEmail, 'alice@example.com');
+      assert.strictEqual(requests[0].body.markdown, 'A card');
+      assert.deepStrictEqual(requests[0].body.attachments[0].content, raw);
+    });
+
+    it('should return validation errors without calling Webex', async () => {
+      const result = await tool.function({ roomId: 'room-1', card: card([{ type: 'Image' }]) });
+
+      assert.match(result.error.message, /^Invalid Adaptive Card: \$\.body\[0\]\.url: is required/);
+      assert.strictEqual(result.error.retryable, false);
+      assert.deepStrictEqual(result.error.validationErrors, [{ path: '$.body[0].url', message: 'is required' }]);
+
+      const badInput = await tool.function({ roomId: 'room-1', inputs: [{ id: 'x', type: 'slider' }] });
+      assert.match(badInput.error.message, /\$\.body\[0\]\.type/);
+
+      const both = await tool.function({ roomId: 'room-1', title: 'x', card: card([]) });
+      assert.match(both.error.message, /not both/);
+
+      const noTarget = await tool.function({ title: 'x' });
+      assert.match(noTarget.error.message, /Provide roomId/);
+
+      assert.strictEqual(requests.length, 0);
+    });
+  });
+});
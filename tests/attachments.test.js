@@ -0,0 +1,201 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { parseContentDisposition, isContentUrl, isTextContent, saveAttachment } from '../lib/attachments.js';
+import { discoverTools } from '../lib/tools.js';
+import { initializeAuth } from '../lib/webex-config.js';
+
+const BASE = 'https://webexapis.com/v1';
+const CSV_URL = `${BASE}/contents/Y29udGVudC1jc3Y`;
+const PNG_URL = `${BASE}/contents/Y29udGVudC1wbmc`;
+
+describe('Message Attachments', () => {
+  describe('helpers', () => {
+    it('should parse Content-Disposition file names', () => {
+      assert.deepStrictEqual(parseContentDisposition('attachment; filename="Q3 numbers.csv"'), { filename: 'Q3 numbers.csv' });
+      assert.deepStrictEqual(parseContentDisposition('attachment; filename=notes.md'), { filename: 'notes.md' });
+      assert.deepStrictEqual(
+        parseContentDisposition('attachment; filename="fallback.txt"; filename*=UTF-8\'\'r%C3%A9sum%C3%A9.pdf'),
+        { filename: 'résumé.pdf' }
+      );
+      assert.deepStrictEqual(parseContentDisposition('inline'), {});
+      assert.deepStrictEqual(parseContentDisposition(null), {});
+    });
+
+    it('should only send the token to Webex content URLs', () => {
+      assert.strictEqual(isContentUrl(CSV_URL), true);
+      assert.strictEqual(isContentUrl('https://api.ciscospark.com/v1/contents/abc'), true);
+      assert.strictEqual(isContentUrl('https://evil.example.com/v1/contents/abc'), false);
+      assert.strictEqual(isContentUrl('http://webexapis.com/v1/contents/abc'), false);
+      assert.strictEqual(isContentUrl(`${BASE}/messages/abc`), false);
+      assert.strictEqual(isContentUrl('not a url'), false);
+    });
+
+    it('should recognise text content', () => {
+      assert.strictEqual(isTextContent('text/csv; charset=utf-8', 'a.csv'), true);
+      assert.strictEqual(isTextContent('application/json'), true);
+      assert.strictEqual(isTextContent('application/octet-stream', 'README.md'), true);
+      assert.strictEqual(isTextContent('image/png', 'chart.png'), false);
+      assert.strictEqual(isTextContent('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'q3.xlsx'), false);
+    });
+
+    it('should save without overwriting or escaping the download directory', async () => {
+      const dir = await mkdtemp(join(tmpdir(), 'webex-downloads-'));
+      try {
+        const first = await saveAttachment('../../etc/passwd', Buffer.from('a'), dir);
+        const second = await saveAttachment('passwd', Buffer.from('b'), dir);
+        const hidden = await saveAttachment('.bashrc', Buffer.from('c'), dir);
+
+        assert.strictEqual(first, join(dir, 'passwd'));
+        assert.strictEqual(second, join(dir, 'passwd-1'));
+        assert.strictEqual(hidden, join(dir, 'bashrc'));
+        assert.strictEqual(await readFile(first, 'utf-8'), 'a');
+      } finally {
+        await rm(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('get_message_attachment', () => {
+    let originalEnv;
+    let originalFetch;
+    let tool;
+    let requests;
+    let downloadDir;
+    let scansPending;
+
+    const csv = 'region,revenue\nEMEA,120\nAMER,340\n';
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+    beforeEach(async () => {
+      originalEnv = { ...process.env };
+      originalFetch = global.fetch;
+      process.env.WEBEX_PUBLIC_WORKSPACE_API_KEY = 'test-token-123';
+      process.env.WEBEX_API_BASE_URL = BASE;
+      process.env.WEBEX_HTTP_BASE_DELAY_MS = '0';
+      downloadDir = await mkdtemp(join(tmpdir(), 'webex-downloads-'));
+      process.env.WEBEX_DOWNLOAD_DIR = downloadDir;
+      await initializeAuth();
+
+      const tools = await discoverTools();
+      tool = tools.find(t => t.definition.function.name === 'get_message_attachment');
+
+      requests = [];
+      scansPending = 0;
+      global.fetch = async (url, options = {}) => {
+        requests.push({ url: String(url), authorization: options.headers?.Authorization });
+        if (String(url) === `${BASE}/messages/msg-1`) {
+          return new Response(JSON.stringify({ id: 'msg-1', files: [CSV_URL, PNG_URL] }), { status: 200 });
+        }
+        if (String(url) === CSV_URL) {
+          if (scansPending > 0) {
+            scansPending--;
+            return new Response(JSON.stringify({ message: 'File is being scanned' }), { status: 423, headers: { 'Retry-After': '0' } });
+          }
+          return new Response(csv, {
+            status: 200,
+            headers: { 'Content-Type': 'text/csv', 'Content-Disposition': 'attachment; filename="Q3 numbers.csv"', 'Content-Length': String(csv.length) }
+          });
+        }
+        if (String(url) === PNG_URL) {
+          return new Response(png, { status: 200, headers: { 'Content-Type': 'image/png', 'Content-Disposition': 'attachment; filename="chart.png"' } });
+        }
+        return new Response(JSON.stringify({ message: 'Not found' }), { status: 404 });
+      };
+    });
+
+    afterEach(async () => {
+      process.env = originalEnv;
+      global.fetch = originalFetch;
+      await rm(downloadDir, { recursive: true, force: true });
+    });
+
+    it('should return text content of a message\'s file', async () => {
+      const result = await tool.function({ messageId: 'msg-1' });
+
+      assert.strictEqual(result.filename, 'Q3 numbers.csv');
+      assert.strictEqual(result.contentType, 'text/csv');
+      assert.strictEqual(result.size, csv.length);
+      assert.strictEqual(result.text, csv);
+      assert.strictEqual(result.savedTo, undefined);
+      assert.ok(requests.every(r => r.authorization === 'Bearer test-token-123'));
+    });
+
+    it('should describe binaries and save them on request', async () => {
+      const described = await tool.function({ messageId: 'msg-1', fileIndex: 1 });
+      assert.strictEqual(described.text, undefined);
+      assert.strictEqual(described.size, png.length);
+      assert.match(described.note, /save: true/);
+
+      const saved = await tool.function({ contentUrl: PNG_URL, save: true });
+      assert.strictEqual(saved.savedTo, join(downloadDir, 'chart.png'));
+      assert.deepStrictEqual(await readFile(saved.savedTo), png);
+    });
+
+    it('should refuse to save in read-only mode', async () => {
+      process.env.WEBEX_TOOLS_READ_ONLY = 'true';
+      const result = await tool.function({ contentUrl: PNG_URL, save: true });
+      assert.match(result.error.message, /not available in read-only mode/);
+      assert.strictEqual(requests.length, 0);
+
+      const described = await tool.function({ contentUrl: PNG_URL });
+      assert.strictEqual(described.note, undefined);
+    });
+
+    it('should retry while Webex scans the file', async () => {
+      scansPending = 2;
+      const result = await tool.function({ contentUrl: CSV_URL });
+
+      assert.strictEqual(result.text, csv);
+      assert.strictEqual(requests.length, 3);
+    });
+
+    it('should report a file that is still being scanned as retryable', async () => {
+      scansPending = 10;
+      const result = await tool.function({ contentUrl: CSV_URL });
+
+      assert.strictEqual(result.error.status, 423);
+      assert.strictEqual(result.error.retryable, true);
+      assert.match(result.error.hint, /scanning/);
+    });
+
+    it('should enforce the size cap', async () => {
+      process.env.WEBEX_ATTACHMENT_MAX_BYTES = '10';
+
+      const declared = await tool.function({ contentUrl: CSV_URL });
+      assert.strictEqual(declared.tooLarge, true);
+      assert.strictEqual(declared.size, csv.length);
+      assert.strictEqual(declared.text, undefined);
+
+      const streamed = await tool.function({ contentUrl: PNG_URL, save: true });
+      assert.strictEqual(streamed.tooLarge, undefined, 'Files within the cap download normally');
+
+      process.env.WEBEX_ATTACHMENT_MAX_BYTES = '4';
+      const undeclared = await tool.function({ contentUrl: PNG_URL, save: true });
+      assert.strictEqual(undeclared.tooLarge, true, 'Files without Content-Length are capped while reading');
+      assert.strictEqual(undeclared.savedTo, undefined);
+    });
+
+    it('should truncate long text', async () => {
+      const result = await tool.function({ contentUrl: CSV_URL, maxTextChars: 14 });
+
+      assert.strictEqual(result.text, 'region,revenue');
+      assert.strictEqual(result.truncated, true);
+      assert.strictEqual(result.totalChars, csv.length);
+    });
+
+    it('should refuse other URLs and bad file indexes', async () => {
+      const foreign = await tool.function({ contentUrl: 'https://files.example.com/contents/x' });
+      assert.match(foreign.error.message, /not a Webex content URL/);
+      assert.strictEqual(requests.length, 0, 'The token is never sent elsewhere');
+
+      const outOfRange = await tool.function({ messageId: 'msg-1', fileIndex: 5 });
+      assert.match(outOfRange.error.message, /the message has 2 files/);
+
+      const missing = await tool.function({});
+      assert.match(missing.error.message, /Provide messageId/);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { promises as fs } from 'fs';
+import path from 'path';
+import os from 'os';
+import { createAuditLog, loadAuditLog, redactArguments, collectResourceIds, resultStatus, parseTime } from '../lib/audit-log.js';
+
+describe('Audit Log', () => {
+  let dir;
+  let filePath;
+  let clock;
+  let originalEnv;
+
+  beforeEach(async () => {
+    originalEnv = { ...process.env };
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'webex-audit-'));
+    filePath = path.join(dir, 'audit.log');
+    clock = Date.parse('2025-03-10T09:00:00Z');
+  });
+
+  afterEach(async () => {
+    process.env = originalEnv;
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  describe('entries', () => {
+    it('should record caller, redacted arguments, resources, status and duration', async () => {
+      const log = createAuditLog({ filePath, now: () => clock });
+      await log.record({
+        tool: 'create_message',
+        args: { roomId: 'room-1', markdown: 'quarterly numbers', confirmToken: 'abc' },
+        result: { id: 'msg-1', roomId: 'room-1' },
+        startedAt: clock - 120,
+        sessionId: 'session-1',
+        principal: 'ci-bot'
+      });
+
+      const [line] = (await fs.readFile(filePath, 'utf-8')).trim().split('\n');
+      const entry = JSON.parse(line);
+      assert.strictEqual(entry.timestamp, '2025-03-10T08:59:59.880Z');
+      assert.strictEqual(entry.sessionId, 'session-1');
+      assert.strictEqual(entry.principal, 'ci-bot');
+      assert.deepStrictEqual(entry.args, { roomId: 'room-1', markdown: '[17 chars]', confirmToken: '[REDACTED]' });
+      assert.deepStrictEqual(entry.resources, { roomId: 'room-1', messageId: 'msg-1' });
+      assert.strictEqual(entry.status, 'success');
+      assert.strictEqual(entry.durationMs, 120);
+    });
+
+    it('should record the error message and trackingId of failed calls', async () => {
+      const log = createAuditLog({ filePath, now: () => clock });
+      const entry = await log.record({
+        tool: 'delete_room',
+        args: { roomId: 'room-1' },
+        result: { error: { status: 403, message: 'Forbidden', trackingId: 'ROUTER_123' } }
+      });
+
+      assert.strictEqual(entry.status, 'error');
+      assert.strictEqual(entry.error, 'Forbidden');
+      assert.strictEqual(entry.trackingId, 'ROUTER_123');
+    });
+
+    it('should classify dry runs and confirmation results', () => {
+      assert.strictEqual(resultStatus({ dryRun: true, requests: [] }), 'dry_run');
+      assert.strictEqual(resultStatus({ confirmationRequired: true }), 'confirmation_required');
+      assert.strictEqual(resultStatus({ confirmed: false }), 'not_confirmed');
+      assert.strictEqual(resultStatus([]), 'success');
+      assert.deepStrictEqual(collectResourceIds('create_room', { title: 'x' }, { dryRun: true, id: 'dry-run-1' }), {});
+    });
+
+    it('should redact secrets regardless of case', () => {
+      assert.deepStrictEqual(
+        redactArguments({ secret: 's', accessToken: 't', clientSecret: 'c', title: 'Ops' }),
+        { secret: '[REDACTED]', accessToken: '[REDACTED]', clientSecret: '[REDACTED]', title: 'Ops' }
+      );
+    });
+  });
+
+  describe('rotation', () => {
+    it('should rotate past maxBytes and keep maxFiles old files', async () => {
+      const log = createAuditLog({ filePath, maxBytes: 300, maxFiles: 2, now: () => clock });
+      for (let i = 0; i < 12; i++) {
+        await log.record({ tool: 'delete_message', args: { messageId: `msg-${i}` } });
+      }
+
+      const names = (await fs.readdir(dir)).sort();
+      assert.deepStrictEqual(names, ['audit.log', 'audit.log.1', 'audit.log.2']);
+      for (const name of names) {
+        assert.ok((await fs.stat(path.join(dir, name))).size <= 300, `${name} should respect maxBytes`);
+      }
+
+      const entries = await log.query();
+      assert.strictEqual(entries.at(-1).args.messageId, 'msg-11', 'Newest entry comes last');
+      assert.ok(entries.length < 12, 'Oldest entries were rotated out');
+      const order = entries.map(e => Number(e.args.messageId.slice('msg-'.length)));
+      assert.ok(order.every((n, i) => i === 0 || n === order[i - 1] + 1), 'Rotated files are read oldest first');
+    });
+
+    it('should not interleave concurrent writes', async () => {
+      const log = createAuditLog({ filePath, maxBytes: 2000, now: () => clock });
+      await Promise.all(Array.from({ length: 30 }, (_, i) => log.record({ tool: 'list_rooms', args: { max: i } })));
+
+      const entries = await log.query();
+      assert.strictEqual(entries.length, 30);
+    });
+  });
+
+  describe('query', () => {
+    async function seed() {
+      const log = createAuditLog({ filePath, now: () => clock });
+      await log.record({ tool: 'delete_room', args: { roomId: 'room-1' }, principal: 'alice' });
+      clock += 3600e3;
+      await log.record({ tool: 'create_message', args: { roomId: 'room-2', text: 'hi' }, principal: 'bob' });
+      clock += 3600e3;
+      await log.record({ tool: 'delete_message', args: { messageId: 'msg-1' }, principal: 'bob' });
+      return log;
+    }
+
+    it('should filter by tool glob, room and principal', async () => {
+      const log = await seed();
+
+      assert.deepStrictEqual((await log.query({ tool: 'delete_*' })).map(e => e.tool), ['delete_room', 'delete_message']);
+      assert.deepStrictEqual((await log.query({ roomId: 'room-1' })).map(e => e.principal), ['alice']);
+      assert.strictEqual((await log.query({ principal: 'bob' })).length, 2);
+      assert.deepStrictEqual((await log.query({ limit: 1 })).map(e => e.tool), ['delete_message']);
+    });
+
+    it('should filter by time range', async () => {
+      const log = await seed();
+
+      assert.deepStrictEqual(
+        (await log.query({ since: '2025-03-10T09:30:00Z', until: '2025-03-10T10:30:00Z' })).map(e => e.tool),
+        ['create_message']
+      );
+      assert.strictEqual((await log.query({ since: '90m' })).length, 2, 'Durations count back from now');
+      assert.throws(() => parseTime('last tuesday'), /Invalid time/);
+    });
+
+    it('should return nothing before the first call', async () => {
+      assert.deepStrictEqual(await createAuditLog({ filePath }).query(), []);
+    });
+  });
+
+  describe('loadAuditLog', () => {
+    it('should honor WEBEX_AUDIT_LOG', () => {
+      process.env.WEBEX_AUDIT_LOG = filePath;
+      assert.strictEqual(loadAuditLog().filePath, filePath);
+
+      process.env.WEBEX_AUDIT_LOG = 'off';
+      assert.strictEqual(loadAuditLog(), null);
+    });
+  });
+});
@@ -0,0 +1,169 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { awaitCardResponses } from '../lib/card-responses.js';
+import { createEventBus } from '../lib/event-bus.js';
+import eventBus from '../lib/event-bus.js';
+import { discoverTools } from '../lib/tools.js';
+import { initializeAuth, runWithWebexToken } from '../lib/webex-config.js';
+
+const BASE = 'https://webexapis.com/v1';
+const CREATED = '2026-10-19T10:00:00.000Z';
+
+const action = (id, personId, inputs, created = '2026-10-19T10:01:00.000Z') =>
+  ({ id, type: 'submit', messageId: 'msg-card', personId, roomId: 'room-1', inputs, created });
+
+const webhookEvent = (data, resourceData) =>
+  ({ resource: 'attachmentActions', event: 'created', roomId: 'room-1', data, ...(resourceData && { resourceData }) });
+
+describe('Card Responses', () => {
+  let originalEnv;
+  let originalFetch;
+  let requests;
+  let eventItems;
+  let eventsStatus;
+  let actions;
+
+  beforeEach(async () => {
+    originalEnv = { ...process.env };
+    originalFetch = global.fetch;
+    process.env.WEBEX_PUBLIC_WORKSPACE_API_KEY = 'test-token-123';
+    process.env.WEBEX_API_BASE_URL = BASE;
+    process.env.WEBEX_HTTP_BASE_DELAY_MS = '0';
+    await initializeAuth();
+
+    requests = [];
+    eventItems = [];
+    eventsStatus = 200;
+    actions = {};
+    global.fetch = async (url, options = {}) => {
+      const parsed = new URL(url);
+      requests.push({ path: parsed.pathname, params: Object.fromEntries(parsed.searchParams), authorization: options.headers?.Authorization });
+      if (parsed.pathname === '/v1/events') {
+        return eventsStatus === 200
+          ? new Response(JSON.stringify({ items: eventItems }), { status: 200 })
+          : new Response(JSON.stringify({ message: 'Not a compliance officer' }), { status: eventsStatus });
+      }
+      if (parsed.pathname === '/v1/messages/msg-card') {
+        return new Response(JSON.stringify({ id: 'msg-card', roomId: 'room-1', created: CREATED, attachments: [{ contentType: 'application/vnd.microsoft.card.adaptive' }] }), { status: 200 });
+      }
+      if (parsed.pathname === '/v1/messages/msg-plain') {
+        return new Response(JSON.stringify({ id: 'msg-plain', roomId: 'room-1', created: CREATED }), { status: 200 });
+      }
+      const actionId = parsed.pathname.match(/^\/v1\/attachment\/actions\/(.+)$/)?.[1];
+      if (actions[actionId]) {
+        return new Response(JSON.stringify(actions[actionId]), { status: 200 });
+      }
+      return new Response(JSON.stringify({ message: 'Not found' }), { status: 404 });
+    };
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    global.fetch = originalFetch;
+  });
+
+  describe('awaitCardResponses', () => {
+    it('should collect submissions from the event bus', async () => {
+      const bus = createEventBus();
+      const waiting = awaitCardResponses({ messageId: 'msg-card', count: 2, bus, poll: false, timeoutMs: 1000 });
+
+      await bus.publish(webhookEvent({ id: 'a1', messageId: 'msg-card', personId: 'p1' }, action('a1', 'p1', { vote: 'yes' })));
+      await bus.publish(webhookEvent({ id: 'x1', messageId: 'msg-other', personId: 'p3' }, action('x1', 'p3', {})));
+      await bus.publish(webhookEvent({ id: 'a2', messageId: 'msg-card', personId: 'p2' }, action('a2', 'p2', { vote: 'no' })));
+      const result = await waiting;
+
+      assert.deepStrictEqual(result.responses, {
+        p1: { actionId: 'a1', inputs: { vote: 'yes' }, submittedAt: '2026-10-19T10:01:00.000Z' },
+        p2: { actionId: 'a2', inputs: { vote: 'no' }, submittedAt: '2026-10-19T10:01:00.000Z' }
+      });
+      assert.strictEqual(result.complete, true);
+      assert.strictEqual(result.timedOut, false);
+      assert.strictEqual(bus.size(), 0, 'Unsubscribes once done');
+    });
+
+    it('should fetch submissions the receiver could not hydrate with the caller\'s token', async () => {
+      const bus = createEventBus();
+      actions.a1 = action('a1', 'p1', { comment: 'LGTM' });
+
+      const waiting = runWithWebexToken('caller-token', () =>
+        awaitCardResponses({ messageId: 'msg-card', bus, poll: false, timeoutMs: 1000 })
+      );
+      await runWithWebexToken('webhook-token', () => bus.publish(webhookEvent({ id: 'a1', messageId: 'msg-card', personId: 'p1' })));
+      const result = await waiting;
+
+      assert.deepStrictEqual(result.responses.p1.inputs, { comment: 'LGTM' });
+      assert.strictEqual(requests[0].authorization, 'Bearer caller-token');
+    });
+
+    it('should poll the events API and keep each person\'s latest submission', async () => {
+      eventItems = [
+        { id: 'e2', created: '2026-10-19T10:02:00.000Z', data: action('a2', 'p1', { vote: 'no' }, '2026-10-19T10:02:00.000Z') },
+        { id: 'e1', created: '2026-10-19T10:01:00.000Z', data: action('a1', 'p1', { vote: 'yes' }) },
+        { id: 'e0', created: '2026-10-19T10:01:00.000Z', data: { ...action('x1', 'p2', {}), messageId: 'msg-other' } }
+      ];
+      const result = await awaitCardResponses({ messageId: 'msg-card', since: CREATED, count: 2, bus: createEventBus(), pollIntervalMs: 10, timeoutMs: 100 });
+
+      assert.deepStrictEqual(Object.keys(result.responses), ['p1']);
+      assert.deepStrictEqual(result.responses.p1.inputs, { vote: 'no' });
+      assert.strictEqual(result.timedOut, true);
+      assert.strictEqual(result.complete, false);
+      assert.strictEqual(result.eventsApi, 'polled');
+
+      const polls = requests.filter(request => request.path === '/v1/events');
+      assert.ok(polls.length > 1, 'Polls until the timeout');
+      assert.deepStrictEqual(polls[0].params, { resource: 'attachmentActions', type: 'created', from: CREATED, max: '100' });
+      assert.strictEqual(polls[1].params.from, '2026-10-19T10:02:00.000Z', 'Later polls start at the newest event');
+    });
+
+    it('should stop polling when the events API is forbidden', async () => {
+      eventsStatus = 403;
+      const result = await awaitCardResponses({ messageId: 'msg-card', bus: createEventBus(), pollIntervalMs: 10, timeoutMs: 100 });
+
+      assert.strictEqual(result.eventsApi, 'unavailable');
+      assert.strictEqual(result.received, 0);
+      assert.strictEqual(requests.length, 1);
+    });
+  });
+
+  describe('await_card_response', () => {
+    let tool;
+
+    beforeEach(async () => {
+      const tools = await discoverTools();
+      tool = tools.find(t => t.definition.function.name === 'await_card_response');
+    });
+
+    it('should return submissions for the message', async () => {
+      eventsStatus = 403;
+      const waiting = tool.function({ messageId: 'msg-card', timeoutSeconds: 5 });
+      await new Promise(resolve => setTimeout(resolve, 20));
+      await eventBus.publish(webhookEvent({ id: 'a1', messageId: 'msg-card', personId: 'p1' }, action('a1', 'p1', { approve: 'true' })));
+      const result = await waiting;
+
+      assert.strictEqual(result.messageId, 'msg-card');
+      assert.strictEqual(result.roomId, 'room-1');
+      assert.deepStrictEqual(result.responses.p1.inputs, { approve: 'true' });
+      assert.strictEqual(result.complete, true);
+      assert.strictEqual(result.note, undefined);
+      assert.strictEqual(requests.find(request => request.path === '/v1/events').params.from, CREATED);
+    });
+
+    it('should explain a timeout without any source of submissions', async () => {
+      eventsStatus = 403;
+      const result = await tool.function({ messageId: 'msg-card', timeoutSeconds: 1 });
+
+      assert.strictEqual(result.timedOut, true);
+      assert.deepStrictEqual(result.responses, {});
+      assert.match(result.note, /spark-compliance:events_read/);
+      assert.match(result.note, /\/webhooks\/webex/);
+    });
+
+    it('should refuse messages without a card', async () => {
+      const plain = await tool.function({ messageId: 'msg-plain' });
+      assert.match(plain.error.message, /no card/);
+
+      const missing = await tool.function({ messageId: 'msg-gone' });
+      assert.strictEqual(missing.error.status, 404);
+    });
+  });
+});
@@ -2,6 +2,9 @@ import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert';
 import { spawn } from 'node:child_process';
 import { promisify } from 'node:util';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 
 describe('CLI Interface', () => {
   let originalEnv;
@@ -52,6 +55,86 @@ describe('CLI Interface', () => {
       );
       assert.ok(toolLines.length > 10, 'Should display multiple tools');
     });
+
+    it('should report the active tool policy', async () => {
+      const result = await runCLICommand(['tools'], {
+        env: { WEBEX_TOOLS_READ_ONLY: 'true', WEBEX_TOOLS_DENY: 'list_events' }
+      });
+
+      assert.strictEqual(result.exitCode, 0);
+      assert.ok(result.stdout.includes('Tool Policy: read-only'), 'Should describe the policy');
+      assert.ok(result.stdout.includes('delete_room (read-only mode)'), 'Should list disabled tools with reasons');
+      assert.ok(result.stdout.includes('list_events (deny list)'), 'Should honor the deny list');
+      assert.ok(!result.stdout.includes('    create_message\n'), 'Should not list disabled tools as available');
+    });
+  });
+
+  describe('audit command', () => {
+    it('should list matching tool calls from the audit log', async () => {
+      const dir = await mkdtemp(join(tmpdir(), 'webex-audit-cli-'));
+      const file = join(dir, 'audit.log');
+      const entry = (tool, roomId, principal) => JSON.stringify({
+        timestamp: '2025-03-10T09:00:00.000Z', sessionId: null, principal, tool,
+        args: { roomId }, resources: { roomId }, status: 'success', durationMs: 42
+      });
+      await writeFile(file, `${entry('delete_room', 'room-1', 'alice')}\n${entry('list_messages', 'room-2', 'bob')}\n`);
+
+      try {
+        const result = await runCLICommand(['audit', '--tool', 'delete_*', '--since', '2025-03-01'], {
+          env: { WEBEX_AUDIT_LOG: file }
+        });
+
+        assert.strictEqual(result.exitCode, 0);
+        assert.ok(result.stdout.includes('alice  delete_room  success  42ms  roomId=room-1'), 'Should print the matching call');
+        assert.ok(!result.stdout.includes('list_messages'), 'Should filter by tool');
+        assert.ok(result.stdout.includes('1 matching tool call'));
+
+        const invalid = await runCLICommand(['audit', '--since', 'last week'], { env: { WEBEX_AUDIT_LOG: file } });
+        assert.strictEqual(invalid.exitCode, 1);
+        assert.ok(invalid.stderr.includes('Invalid time'));
+      } finally {
+        await rm(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('sync-webhooks command', () => {
+    it('should reject invalid specs before calling Webex', async () => {
+      const dir = await mkdtemp(join(tmpdir(), 'webex-webhooks-cli-'));
+      const file = join(dir, 'webhooks.json');
+      await writeFile(file, JSON.stringify({ webhooks: [{ name: 'alerts', resource: 'messages', event: 'created' }] }));
+
+      try {
+        const result = await runCLICommand(['sync-webhooks', file]);
+        assert.strictEqual(result.exitCode, 1);
+        assert.ok(result.stderr.includes('Webhook 1 (alerts) is missing targetUrl'));
+
+        const missing = await runCLICommand(['sync-webhooks', join(dir, 'missing.json')]);
+        assert.strictEqual(missing.exitCode, 1);
+        assert.ok(missing.stderr.includes('Could not read webhook spec'));
+      } finally {
+        await rm(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('reindex command', () => {
+    it('should explain that the index is off', async () => {
+      const result = await runCLICommand(['reindex'], { env: { WEBEX_INDEX_ROOMS: '' } });
+
+      assert.strictEqual(result.exitCode, 1);
+      assert.ok(result.stderr.includes('the message index is off (set WEBEX_INDEX_ROOMS'));
+    });
+  });
+
+  describe('export command', () => {
+    it('should reject unknown formats', async () => {
+      const result = await runCLICommand(['export', 'room-1', '--out', join(tmpdir(), 'webex-cli-export'), '--format', 'markdown,pdf']);
+
+      assert.strictEqual(result.exitCode, 1);
+      assert.ok(result.stderr.includes('Unknown export format pdf'));
+      assert.ok(!result.stderr.includes('resume'), 'Invalid arguments are not worth retrying');
+    });
   });
 
   describe('help command', () => {
@@ -0,0 +1,252 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { ElicitRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { createConfirmationGate, loadConfirmationGate, DEFAULT_CONFIRM_TOOLS } from '../lib/confirmation.js';
+import { convertJsonSchemaToZod } from '../lib/schema.js';
+import { initializeAuth } from '../lib/webex-config.js';
+import { createMessageGroupStore } from '../lib/message-chunks.js';
+
+const BASE = 'https://webexapis.com/v1';
+
+/**
+ * Mock Webex returning a room with three members
+ */
+function roomFetch(requests = []) {
+  return async (url) => {
+    requests.push(url);
+    const { pathname } = new URL(url);
+    if (pathname === '/v1/rooms/room-1') {
+      return new Response(JSON.stringify({ id: 'room-1', title: 'Project Phoenix', type: 'group' }), { status: 200 });
+    }
+    if (pathname === '/v1/memberships') {
+      return new Response(JSON.stringify({ items: [{ id: 'm1' }, { id: 'm2' }, { id: 'm3' }] }), { status: 200 });
+    }
+    return new Response(JSON.stringify({ message: 'Not found' }), { status: 404 });
+  };
+}
+
+describe('Destructive Tool Confirmation', () => {
+  let originalEnv;
+  let originalFetch;
+
+  beforeEach(async () => {
+    originalEnv = { ...process.env };
+    originalFetch = global.fetch;
+    process.env.WEBEX_PUBLIC_WORKSPACE_API_KEY = 'test-token-123';
+    process.env.WEBEX_API_BASE_URL = BASE;
+    await initializeAuth();
+    global.fetch = roomFetch();
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    global.fetch = originalFetch;
+  });
+
+  describe('configuration', () => {
+    it('should require confirmation for the delete tools by default', () => {
+      const gate = loadConfirmationGate();
+      for (const name of DEFAULT_CONFIRM_TOOLS) {
+        assert.strictEqual(gate.requires(name), true, `${name} should require confirmation`);
+      }
+      assert.strictEqual(gate.requires('list_rooms'), false);
+    });
+
+    it('should be configurable per tool via WEBEX_CONFIRM_TOOLS', () => {
+      process.env.WEBEX_CONFIRM_TOOLS = 'delete_room,update_*';
+      const gate = loadConfirmationGate();
+      assert.strictEqual(gate.requires('delete_room'), true);
+      assert.strictEqual(gate.requires('update_person'), true);
+      assert.strictEqual(gate.requires('delete_message'), false);
+
+      process.env.WEBEX_CONFIRM_TOOLS = 'none';
+      assert.strictEqual(loadConfirmationGate().requires('delete_room'), false);
+    });
+
+    it('should add confirmToken only to tools requiring confirmation', () => {
+      const gate = createConfirmationGate();
+      const definition = { name: 'delete_room', parameters: { type: 'object', properties: { roomId: { type: 'string' } }, required: ['roomId'] } };
+
+      const withToken = gate.withConfirmParameter(definition);
+      assert.strictEqual(withToken.parameters.properties.confirmToken.type, 'string');
+      assert.deepStrictEqual(withToken.parameters.required, ['roomId']);
+      assert.strictEqual(definition.parameters.properties.confirmToken, undefined, 'Original definition is not mutated');
+
+      const listRooms = { name: 'list_rooms', parameters: { type: 'object', properties: {} } };
+      assert.strictEqual(gate.withConfirmParameter(listRooms), listRooms);
+    });
+  });
+
+  describe('confirmToken fallback', () => {
+    it('should return the target and a token instead of running', async () => {
+      const gate = createConfirmationGate();
+      const first = await gate.check('delete_room', { roomId: 'room-1' });
+
+      assert.strictEqual(first.proceed, false);
+      assert.strictEqual(first.result.confirmationRequired, true);
+      assert.strictEqual(first.result.target.Room, 'Project Phoenix');
+      assert.strictEqual(first.result.target.Members, 3);
+      assert.ok(first.result.confirmToken);
+
+      const second = await gate.check('delete_room', { roomId: 'room-1', confirmToken: first.result.confirmToken });
+      assert.strictEqual(second.proceed, true);
+      assert.deepStrictEqual(second.args, { roomId: 'room-1' }, 'confirmToken is stripped before running');
+    });
+
+    it('should reject tokens for different arguments, reuse and expiry', async () => {
+      let clock = Date.parse('2025-01-01T00:00:00Z');
+      const gate = createConfirmationGate({ now: () => clock });
+
+      const { result } = await gate.check('delete_room', { roomId: 'room-1' });
+      const other = await gate.check('delete_room', { roomId: 'room-2', confirmToken: result.confirmToken });
+      assert.strictEqual(other.proceed, false);
+      assert.match(other.result.error.message, /Invalid or expired confirmToken/);
+
+      assert.strictEqual((await gate.check('delete_room', { roomId: 'room-1', confirmToken: result.confirmToken })).proceed, true);
+      assert.strictEqual((await gate.check('delete_room', { roomId: 'room-1', confirmToken: result.confirmToken })).proceed, false);
+
+      const { result: later } = await gate.check('delete_room', { roomId: 'room-1' });
+      clock += 10 * 60 * 1000;
+      assert.strictEqual((await gate.check('delete_room', { roomId: 'room-1', confirmToken: later.confirmToken })).proceed, false);
+    });
+
+    it('should still ask for confirmation when the target cannot be loaded', async () => {
+      const gate = createConfirmationGate();
+      const { proceed, result } = await gate.check('delete_webhook', { webhookId: 'missing' });
+
+      assert.strictEqual(proceed, false);
+      assert.strictEqual(result.target.webhookId, 'missing');
+      assert.match(result.target.Warning, /Not found/);
+    });
+  });
+
+  describe('delete_message', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(join(tmpdir(), 'webex-confirm-'));
+      process.env.WEBEX_MESSAGE_GROUPS_FILE = join(dir, 'groups.json');
+      global.fetch = async (url) => new Response(JSON.stringify({ id: new URL(url).pathname.split('/').pop(), text: 'Part two', personEmail: 'bob@example.com' }), { status: 200 });
+    });
+
+    afterEach(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it('should show how many parts of a long message are deleted', async () => {
+      await createMessageGroupStore(join(dir, 'groups.json')).save({ roomId: 'room-1', messageIds: ['m1', 'm2', 'm3'], field: 'text' });
+      const gate = createConfirmationGate();
+
+      const { result } = await gate.check('delete_message', { messageId: 'm2' });
+      assert.strictEqual(result.target.Parts, 3);
+      assert.strictEqual(result.target.Message, 'Part two');
+
+      const single = await gate.check('delete_message', { messageId: 'm2', allParts: false });
+      assert.strictEqual(single.result.target.Parts, undefined);
+    });
+  });
+
+  describe('sync_webhooks', () => {
+    beforeEach(() => {
+      global.fetch = async (url) => {
+        const { pathname } = new URL(url);
+        if (pathname === '/v1/webhooks') {
+          return new Response(JSON.stringify({
+            items: [
+              { id: 'wh-1', name: 'alerts', targetUrl: 'https://old.example.com/hook', resource: 'messages', event: 'created', status: 'active' },
+              { id: 'wh-2', name: 'legacy', targetUrl: 'https://old.example.com/legacy', resource: 'rooms', event: 'all', status: 'active' }
+            ]
+          }), { status: 200 });
+        }
+        return new Response(JSON.stringify({ message: 'Not found' }), { status: 404 });
+      };
+    });
+
+    const webhooks = [{ name: 'alerts', targetUrl: 'https://new.example.com/hook', resource: 'messages', event: 'created' }];
+
+    it('should only ask for confirmation when applying', async () => {
+      const gate = createConfirmationGate();
+      const plan = await gate.check('sync_webhooks', { webhooks });
+      assert.strictEqual(plan.proceed, true);
+
+      const { proceed, result } = await gate.check('sync_webhooks', { webhooks, apply: true, prune: true });
+      assert.strictEqual(proceed, false);
+      assert.strictEqual(result.target.Delete, 'legacy (not declared)');
+      assert.strictEqual(result.target.Update, 'alerts (targetUrl changed)');
+    });
+  });
+
+  describe('elicitation', () => {
+    it('should run only when the user accepts and confirms', async () => {
+      const gate = createConfirmationGate();
+      let request;
+      const accepted = await gate.check('delete_room', { roomId: 'room-1' }, {
+        elicit: async (params) => {
+          request = params;
+          return { action: 'accept', content: { confirm: true } };
+        }
+      });
+
+      assert.strictEqual(accepted.proceed, true);
+      assert.match(request.message, /Room: Project Phoenix/);
+      assert.match(request.message, /Members: 3/);
+      assert.deepStrictEqual(request.requestedSchema.required, ['confirm']);
+
+      const declined = await gate.check('delete_room', { roomId: 'room-1' }, {
+        elicit: async () => ({ action: 'decline' })
+      });
+      assert.strictEqual(declined.proceed, false);
+      assert.strictEqual(declined.result.confirmed, false);
+
+      const unchecked = await gate.check('delete_room', { roomId: 'room-1' }, {
+        elicit: async () => ({ action: 'accept', content: { confirm: false } })
+      });
+      assert.strictEqual(unchecked.proceed, false);
+    });
+
+    it('should round-trip through an MCP client with elicitation support', async () => {
+      const gate = createConfirmationGate();
+      const server = new McpServer({ name: 'confirm-test', version: '1.0.0' });
+      let deleted = false;
+
+      const definition = gate.withConfirmParameter({
+        name: 'delete_room',
+        parameters: { type: 'object', properties: { roomId: { type: 'string' } }, required: ['roomId'] }
+      });
+      server.registerTool('delete_room', {
+        inputSchema: convertJsonSchemaToZod(definition.parameters.properties, definition.parameters.required)
+      }, async (args, extra) => {
+        const { proceed, result } = await gate.check('delete_room', args, {
+          elicit: (params) => server.server.elicitInput(params, { relatedRequestId: extra.requestId })
+        });
+        if (proceed) {
+          deleted = true;
+        }
+        return { content: [{ type: 'text', text: JSON.stringify(proceed ? { success: true } : result) }] };
+      });
+
+      const client = new Client({ name: 'confirm-client', version: '1.0.0' }, { capabilities: { elicitation: {} } });
+      let shown;
+      client.setRequestHandler(ElicitRequestSchema, async (request) => {
+        shown = request.params.message;
+        return { action: 'accept', content: { confirm: true } };
+      });
+
+      const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+      await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+
+      await client.callTool({ name: 'delete_room', arguments: { roomId: 'room-1' } });
+      assert.strictEqual(deleted, true);
+      assert.match(shown, /Project Phoenix/);
+
+      await client.close();
+      await server.close();
+    });
+  });
+});
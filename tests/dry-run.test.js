@@ -0,0 +1,149 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { supportsDryRun, withDryRunParameter, dryRunTool, runDryRun, isDryRunEnabled } from '../lib/dry-run.js';
+import { resolveReferences } from '../lib/references.js';
+import { discoverTools } from '../lib/tools.js';
+import { initializeAuth } from '../lib/webex-config.js';
+import { webexFetch } from '../lib/webex-client.js';
+import stateManager from '../lib/state.js';
+
+const BASE = 'https://webexapis.com/v1';
+
+describe('Dry Run', () => {
+  let originalEnv;
+  let originalFetch;
+  let requests;
+  let tools;
+
+  /**
+   * Mock Webex that knows one room and one person, and records every request
+   */
+  function workspaceFetch() {
+    return async (url, options = {}) => {
+      const parsed = new URL(url);
+      requests.push({ method: options.method || 'GET', path: parsed.pathname });
+
+      if (parsed.pathname === '/v1/rooms/room-1') {
+        return new Response(JSON.stringify({ id: 'room-1', title: 'Project Phoenix' }), { status: 200 });
+      }
+      if (parsed.pathname === '/v1/rooms') {
+        return new Response(JSON.stringify({ items: [{ id: 'room-1' }, { id: 'room-2' }] }), { status: 200 });
+      }
+      if (parsed.pathname === '/v1/people') {
+        const found = parsed.searchParams.get('email') === 'ada@example.com';
+        return new Response(JSON.stringify({ items: found ? [{ id: 'person-1', displayName: 'Ada' }] : [] }), { status: 200 });
+      }
+      return new Response(JSON.stringify({ message: 'The requested resource could not be found.' }), { status: 404 });
+    };
+  }
+
+  const tool = name => tools.find(t => t.definition.function.name === name);
+
+  beforeEach(async () => {
+    originalEnv = { ...process.env };
+    originalFetch = global.fetch;
+    process.env.WEBEX_PUBLIC_WORKSPACE_API_KEY = 'test-token-123';
+    process.env.WEBEX_API_BASE_URL = BASE;
+    await initializeAuth();
+    requests = [];
+    global.fetch = workspaceFetch();
+    tools = await discoverTools();
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    global.fetch = originalFetch;
+  });
+
+  describe('tool selection', () => {
+    it('should cover create, update, delete and mark tools only', () => {
+      for (const name of ['create_message', 'update_room', 'delete_team', 'mark_room_checked', 'unlink_ecm_linked_folder', 'send_adaptive_card']) {
+        assert.strictEqual(supportsDryRun(name), true, `${name} should support dryRun`);
+      }
+      for (const name of ['list_rooms', 'get_room_details', 'get_all_unread']) {
+        assert.strictEqual(supportsDryRun(name), false, `${name} should not support dryRun`);
+      }
+    });
+
+    it('should add a boolean dryRun parameter', () => {
+      const definition = withDryRunParameter(tool('create_message').definition.function);
+      assert.strictEqual(definition.parameters.properties.dryRun.type, 'boolean');
+      assert.strictEqual(tool('create_message').definition.function.parameters.properties.dryRun, undefined);
+    });
+
+    it('should read the server-wide setting', () => {
+      process.env.WEBEX_DRY_RUN = 'true';
+      assert.strictEqual(isDryRunEnabled(), true);
+      delete process.env.WEBEX_DRY_RUN;
+      assert.strictEqual(isDryRunEnabled(), false);
+    });
+  });
+
+  describe('dryRunTool', () => {
+    it('should return the request create_message would send without posting', async () => {
+      const report = await dryRunTool('create_message', { roomId: 'room-1', markdown: '**hi**' }, tool('create_message').function);
+
+      assert.strictEqual(report.dryRun, true);
+      assert.strictEqual(report.valid, true);
+      assert.deepStrictEqual(report.references.roomId, { found: true, id: 'room-1', name: 'Project Phoenix' });
+      assert.strictEqual(report.requests.length, 1);
+      assert.strictEqual(report.requests[0].method, 'POST');
+      assert.strictEqual(report.requests[0].url, `${BASE}/messages`);
+      assert.deepStrictEqual(report.requests[0].body, { roomId: 'room-1', markdown: '**hi**' });
+      assert.strictEqual(report.requests[0].headers.Authorization, undefined, 'Token must not be echoed');
+      assert.ok(requests.every(r => r.method === 'GET'), 'Nothing but GETs should reach Webex');
+    });
+
+    it('should flag references that do not resolve', async () => {
+      const report = await dryRunTool('create_message', { toPersonEmail: 'nobody@example.com', text: 'hi' }, tool('create_message').function);
+
+      assert.strictEqual(report.valid, false);
+      assert.strictEqual(report.references.toPersonEmail.found, false);
+      assert.strictEqual(report.requests.length, 1, 'The would-be request is still shown');
+    });
+
+    it('should record deletes without sending them', async () => {
+      const report = await dryRunTool('delete_room', { roomId: 'room-1' }, tool('delete_room').function);
+
+      assert.deepStrictEqual(report.requests.map(r => [r.method, r.url]), [['DELETE', `${BASE}/rooms/room-1`]]);
+      assert.ok(!requests.some(r => r.method === 'DELETE'));
+    });
+
+    it('should not write unread-tracking state', async () => {
+      const roomId = `dry-run-room-${Date.now()}`;
+      const report = await dryRunTool('mark_room_checked', { roomId }, tool('mark_room_checked').function);
+
+      assert.strictEqual(report.stateWrites.length, 1);
+      assert.strictEqual(report.stateWrites[0].operation, 'markChecked');
+      assert.strictEqual(report.stateWrites[0].roomId, roomId);
+      assert.strictEqual(await stateManager.getLastChecked(roomId), null);
+    });
+
+    it('should let mark_all_rooms_checked list rooms but not save them', async () => {
+      const report = await dryRunTool('mark_all_rooms_checked', {}, tool('mark_all_rooms_checked').function);
+
+      assert.deepStrictEqual(report.stateWrites[0].roomIds, ['room-1', 'room-2']);
+      assert.deepStrictEqual(report.requests, []);
+    });
+  });
+
+  describe('isolation', () => {
+    it('should only intercept requests inside the dry run', async () => {
+      const [dry, live] = await Promise.all([
+        runDryRun(() => webexFetch(`${BASE}/messages`, { method: 'POST', body: '{}' })),
+        webexFetch(`${BASE}/messages`, { method: 'POST', body: '{}' })
+      ]);
+
+      assert.strictEqual(dry.requests.length, 1);
+      assert.strictEqual(live.status, 404, 'The live request reaches the mock server');
+      assert.strictEqual(requests.filter(r => r.method === 'POST').length, 1);
+    });
+  });
+
+  describe('resolveReferences', () => {
+    it('should use the team membership endpoint for team tools', async () => {
+      await resolveReferences('delete_team_membership', { membershipId: 'tm-1' });
+      assert.strictEqual(requests[0].path, '/v1/team/memberships/tm-1');
+    });
+  });
+});
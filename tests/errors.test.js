@@ -0,0 +1,157 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { WebexApiError, toErrorResult, isErrorResult } from '../lib/errors.js';
+import { discoverTools } from '../lib/tools.js';
+import { initializeAuth } from '../lib/webex-config.js';
+
+describe('Error Envelope', () => {
+  describe('WebexApiError.fromResponse', () => {
+    it('should extract message, trackingId and code from a Webex error body', async () => {
+      const response = new Response(JSON.stringify({
+        message: 'Room not found',
+        errors: [{ description: 'Room not found', errorCode: 1234 }],
+        trackingId: 'ROUTER_ABC123'
+      }), { status: 404 });
+
+      const error = await WebexApiError.fromResponse(response);
+      assert.strictEqual(error.message, 'Room not found');
+      assert.strictEqual(error.status, 404);
+      assert.strictEqual(error.trackingId, 'ROUTER_ABC123');
+      assert.strictEqual(error.code, 1234);
+      assert.strictEqual(error.retryable, false);
+    });
+
+    it('should fall back to the TrackingID header', async () => {
+      const response = new Response('{"message":"Bad Request"}', {
+        status: 400,
+        headers: { TrackingID: 'ROUTER_HEADER' }
+      });
+
+      const error = await WebexApiError.fromResponse(response);
+      assert.strictEqual(error.trackingId, 'ROUTER_HEADER');
+    });
+
+    it('should use errors[].description when message is absent', async () => {
+      const response = new Response(JSON.stringify({ errors: [{ description: 'The request requires a valid access token.' }] }), { status: 401 });
+
+      const error = await WebexApiError.fromResponse(response);
+      assert.strictEqual(error.message, 'The request requires a valid access token.');
+      assert.ok(error.hint.includes('authenticate'));
+    });
+
+    it('should use plain text bodies and status when body is not JSON', async () => {
+      const textError = await WebexApiError.fromResponse(new Response('Gateway exploded', { status: 502 }));
+      assert.strictEqual(textError.message, 'Gateway exploded');
+      assert.strictEqual(textError.retryable, true);
+
+      const emptyError = await WebexApiError.fromResponse(new Response('', { status: 503, statusText: 'Service Unavailable' }));
+      assert.strictEqual(emptyError.message, 'HTTP 503: Service Unavailable');
+    });
+
+    it('should mark 429 as retryable', async () => {
+      const error = await WebexApiError.fromResponse(new Response('{}', { status: 429 }));
+      assert.strictEqual(error.retryable, true);
+    });
+
+    it('should accept mocked responses exposing only json()', async () => {
+      const error = await WebexApiError.fromResponse({
+        ok: false,
+        status: 404,
+        json: async () => ({ message: 'Resource not found' })
+      });
+      assert.strictEqual(error.message, 'Resource not found');
+    });
+  });
+
+  describe('403 scope hints', () => {
+    it('should leave hints to fromResponse', () => {
+      const error = new WebexApiError('Forbidden', { status: 403 });
+      assert.strictEqual(error.hint, undefined, 'Constructor does not infer hints');
+    });
+
+    it('should infer the scope from the response URL', async () => {
+      const response = new Response('{"message":"Forbidden"}', { status: 403 });
+      Object.defineProperty(response, 'url', { value: 'https://webexapis.com/v1/memberships?roomId=abc' });
+
+      const error = await WebexApiError.fromResponse(response);
+      assert.ok(error.hint.includes('spark:memberships_read'));
+    });
+
+    it('should give a generic scope hint when the URL is unknown', async () => {
+      const error = await WebexApiError.fromResponse(new Response('{}', { status: 403 }));
+      assert.ok(error.hint.includes('scope'));
+    });
+  });
+
+  describe('toErrorResult', () => {
+    it('should serialize WebexApiError without undefined fields', () => {
+      const result = toErrorResult(new WebexApiError('Nope', { status: 404 }), 'fallback');
+      assert.deepStrictEqual(result, { error: { message: 'Nope', status: 404, retryable: false } });
+    });
+
+    it('should wrap plain errors with the fallback message when empty', () => {
+      assert.deepStrictEqual(toErrorResult(new Error('fetch failed'), 'fallback'), { error: { message: 'fetch failed', retryable: false } });
+      assert.deepStrictEqual(toErrorResult(new Error(''), 'fallback'), { error: { message: 'fallback', retryable: false } });
+    });
+
+    it('should let errors with toJSON serialize themselves', () => {
+      const error = new Error('Invalid card');
+      error.toJSON = () => ({ message: 'Invalid card', retryable: false, validationErrors: [{ path: '$.body', message: 'must be an array' }] });
+      assert.deepStrictEqual(toErrorResult(error, 'fallback').error.validationErrors, [{ path: '$.body', message: 'must be an array' }]);
+    });
+  });
+
+  describe('isErrorResult', () => {
+    it('should detect error envelopes only', () => {
+      assert.strictEqual(isErrorResult({ error: { message: 'x' } }), true);
+      assert.strictEqual(isErrorResult({ items: [] }), false);
+      assert.strictEqual(isErrorResult(null), false);
+    });
+  });
+
+  describe('tool error envelopes', () => {
+    let originalEnv;
+    let originalFetch;
+    let tools;
+
+    beforeEach(async () => {
+      originalEnv = { ...process.env };
+      originalFetch = global.fetch;
+      process.env.WEBEX_PUBLIC_WORKSPACE_API_KEY = 'test-token-123';
+      process.env.WEBEX_API_BASE_URL = 'https://webexapis.com/v1';
+      await initializeAuth();
+      tools = await discoverTools();
+    });
+
+    afterEach(() => {
+      process.env = originalEnv;
+      global.fetch = originalFetch;
+    });
+
+    it('should surface the Webex message and trackingId instead of [object Object]', async () => {
+      global.fetch = async () => new Response(JSON.stringify({
+        message: 'Unable to create webhook: invalid targetUrl',
+        trackingId: 'ROUTER_WEBHOOK_1'
+      }), { status: 400 });
+
+      const tool = tools.find(t => t.definition.function.name === 'create_webhook');
+      const result = await tool.function({ name: 'hook', targetUrl: 'bad', resource: 'messages', event: 'created' });
+
+      assert.strictEqual(result.error.message, 'Unable to create webhook: invalid targetUrl');
+      assert.strictEqual(result.error.trackingId, 'ROUTER_WEBHOOK_1');
+      assert.strictEqual(result.error.status, 400);
+    });
+
+    it('should return the same envelope shape from every tool', async () => {
+      global.fetch = async () => new Response(JSON.stringify({ message: 'Forbidden', trackingId: 'ROUTER_X' }), { status: 403 });
+
+      for (const name of ['list_events', 'list_rooms', 'get_all_unread', 'create_message', 'delete_room']) {
+        const tool = tools.find(t => t.definition.function.name === name);
+        const result = await tool.function({ roomId: 'room-1', text: 'hi', actorId: 'a', from: 'f', to: 't' });
+        assert.strictEqual(result.error.status, 403, `${name} should report status`);
+        assert.strictEqual(result.error.trackingId, 'ROUTER_X', `${name} should report trackingId`);
+        assert.ok(result.error.hint, `${name} should include a scope hint`);
+      }
+    });
+  });
+});
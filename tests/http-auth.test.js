@@ -0,0 +1,166 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { generateKeyPairSync, sign } from 'crypto';
+import express from 'express';
+import { requireBearerAuth } from '@modelcontextprotocol/sdk/server/auth/middleware/bearerAuth.js';
+import { parseApiKeys, loadHttpAuthConfig, createTokenVerifier, verifyJwt } from '../lib/http-auth.js';
+
+/**
+ * Sign a JWT with the given private key
+ */
+function signJwt(payload, privateKey, { alg = 'RS256', kid = 'key-1' } = {}) {
+  const header = Buffer.from(JSON.stringify({ alg, kid, typ: 'JWT' })).toString('base64url');
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const data = Buffer.from(`${header}.${body}`);
+  const signature = alg.startsWith('ES')
+    ? sign('sha256', data, { key: privateKey, dsaEncoding: 'ieee-p1363' })
+    : sign('sha256', data, privateKey);
+  return `${header}.${body}.${signature.toString('base64url')}`;
+}
+
+describe('HTTP Authentication', () => {
+  const rsa = generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const ec = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const jwks = {
+    keys: [
+      { ...rsa.publicKey.export({ format: 'jwk' }), kid: 'key-1', alg: 'RS256', use: 'sig' },
+      { ...ec.publicKey.export({ format: 'jwk' }), kid: 'key-2', alg: 'ES256' }
+    ]
+  };
+  const now = Date.parse('2025-01-01T00:00:00Z');
+  const exp = now / 1000 + 600;
+
+  describe('parseApiKeys', () => {
+    it('should parse named and bare keys', () => {
+      assert.deepStrictEqual(parseApiKeys('alice:k1, k2'), [
+        { principal: 'alice', key: 'k1' },
+        { principal: 'api-key-2', key: 'k2' }
+      ]);
+      assert.deepStrictEqual(parseApiKeys(''), []);
+    });
+  });
+
+  describe('loadHttpAuthConfig', () => {
+    let originalEnv;
+    let tempDir;
+
+    before(() => {
+      originalEnv = { ...process.env };
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webex-mcp-auth-'));
+    });
+
+    after(() => {
+      process.env = originalEnv;
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should be disabled when nothing is configured', () => {
+      delete process.env.MCP_HTTP_API_KEYS;
+      delete process.env.MCP_HTTP_JWKS_FILE;
+      assert.strictEqual(loadHttpAuthConfig().enabled, false);
+    });
+
+    it('should load the JWKS file', () => {
+      const file = path.join(tempDir, 'jwks.json');
+      fs.writeFileSync(file, JSON.stringify(jwks));
+      process.env.MCP_HTTP_JWKS_FILE = file;
+      process.env.MCP_HTTP_JWT_AUDIENCE = 'webex-mcp';
+
+      const config = loadHttpAuthConfig();
+      assert.strictEqual(config.enabled, true);
+      assert.strictEqual(config.jwks.keys.length, 2);
+      assert.strictEqual(config.audience, 'webex-mcp');
+    });
+
+    it('should fail loudly on an invalid JWKS file', () => {
+      const file = path.join(tempDir, 'bad.json');
+      fs.writeFileSync(file, '{"nope":true}');
+      process.env.MCP_HTTP_JWKS_FILE = file;
+      assert.throws(() => loadHttpAuthConfig(), /no "keys" array/);
+    });
+  });
+
+  describe('verifyJwt', () => {
+    it('should accept RS256 and ES256 tokens signed by a JWKS key', () => {
+      const rs = verifyJwt(signJwt({ sub: 'alice', exp }, rsa.privateKey), { jwks, now });
+      assert.strictEqual(rs.sub, 'alice');
+
+      const es = verifyJwt(signJwt({ sub: 'bob', exp }, ec.privateKey, { alg: 'ES256', kid: 'key-2' }), { jwks, now });
+      assert.strictEqual(es.sub, 'bob');
+    });
+
+    it('should reject tokens signed by an unknown key', () => {
+      const other = generateKeyPairSync('rsa', { modulusLength: 2048 });
+      assert.throws(() => verifyJwt(signJwt({ sub: 'eve', exp }, other.privateKey), { jwks, now }), /Invalid JWT signature/);
+    });
+
+    it('should reject unsigned and HMAC tokens', () => {
+      const header = Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64url');
+      const body = Buffer.from(JSON.stringify({ sub: 'eve', exp })).toString('base64url');
+      assert.throws(() => verifyJwt(`${header}.${body}.`, { jwks, now }), /Unsupported JWT algorithm/);
+    });
+
+    it('should enforce expiry, issuer and audience', () => {
+      const expired = signJwt({ sub: 'alice', exp: now / 1000 - 3600 }, rsa.privateKey);
+      assert.throws(() => verifyJwt(expired, { jwks, now }), /expired/);
+
+      const token = signJwt({ sub: 'alice', exp, iss: 'https://idp.example.com', aud: ['webex-mcp'] }, rsa.privateKey);
+      assert.ok(verifyJwt(token, { jwks, now, issuer: 'https://idp.example.com', audience: 'webex-mcp' }));
+      assert.throws(() => verifyJwt(token, { jwks, now, issuer: 'https://other.example.com' }), /issuer/);
+      assert.throws(() => verifyJwt(token, { jwks, now, audience: 'other' }), /audience/);
+    });
+  });
+
+  describe('createTokenVerifier', () => {
+    it('should map API keys to their principal', async () => {
+      const verifier = createTokenVerifier({ apiKeys: parseApiKeys('alice:k1') }, { now: () => now });
+      const info = await verifier.verifyAccessToken('k1');
+      assert.strictEqual(info.clientId, 'alice');
+      assert.strictEqual(info.extra.principal, 'alice');
+      assert.ok(info.expiresAt > now / 1000);
+
+      await assert.rejects(verifier.verifyAccessToken('k2'), /Invalid API key/);
+    });
+
+    it('should map JWT claims to AuthInfo', async () => {
+      const verifier = createTokenVerifier({ jwks }, { now: () => now });
+      const info = await verifier.verifyAccessToken(signJwt({ sub: 'alice', client_id: 'claude', scope: 'mcp:read mcp:write', exp }, rsa.privateKey));
+      assert.strictEqual(info.extra.principal, 'alice');
+      assert.strictEqual(info.clientId, 'claude');
+      assert.deepStrictEqual(info.scopes, ['mcp:read', 'mcp:write']);
+      assert.strictEqual(info.expiresAt, exp);
+    });
+  });
+
+  describe('requireBearerAuth integration', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+      const app = express();
+      const verifier = createTokenVerifier({ apiKeys: parseApiKeys('alice:k1') });
+      app.post('/mcp', requireBearerAuth({ verifier }), (req, res) => res.json({ principal: req.auth.extra.principal }));
+      await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    it('should reject missing or invalid credentials with 401', async () => {
+      const missing = await fetch(`${baseUrl}/mcp`, { method: 'POST' });
+      assert.strictEqual(missing.status, 401);
+      assert.match(missing.headers.get('www-authenticate'), /^Bearer error="invalid_token"/);
+
+      const wrong = await fetch(`${baseUrl}/mcp`, { method: 'POST', headers: { Authorization: 'Bearer nope' } });
+      assert.strictEqual(wrong.status, 401);
+    });
+
+    it('should expose the caller to the handler', async () => {
+      const response = await fetch(`${baseUrl}/mcp`, { method: 'POST', headers: { Authorization: 'Bearer k1' } });
+      assert.deepStrictEqual(await response.json(), { principal: 'alice' });
+    });
+  });
+});
@@ -0,0 +1,160 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { createSessionRegistry, getWebexTokenFromHeaders } from '../lib/http-sessions.js';
+import { WebexApiError } from '../lib/errors.js';
+import { runWithWebexToken, getWebexHeaders, initializeAuth } from '../lib/webex-config.js';
+
+describe('HTTP Session Credentials', () => {
+  let originalEnv;
+  let originalFetch;
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    originalFetch = global.fetch;
+    delete process.env.WEBEX_OAUTH_CLIENT_ID;
+    delete process.env.WEBEX_OAUTH_CLIENT_SECRET;
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    global.fetch = originalFetch;
+  });
+
+  describe('getWebexTokenFromHeaders', () => {
+    it('should read X-Webex-Token with or without Bearer prefix', () => {
+      assert.strictEqual(getWebexTokenFromHeaders({ 'x-webex-token': 'abc' }), 'abc');
+      assert.strictEqual(getWebexTokenFromHeaders({ 'x-webex-token': 'Bearer abc' }), 'abc');
+      assert.strictEqual(getWebexTokenFromHeaders({}), null);
+    });
+  });
+
+  describe('session ownership', () => {
+    it('should only allow the principal that created the session', () => {
+      const sessions = createSessionRegistry();
+      sessions.register('s1', { principal: 'alice', webexToken: 'alice-token' });
+
+      assert.strictEqual(sessions.isOwnedBy('s1', 'alice'), true);
+      assert.strictEqual(sessions.isOwnedBy('s1', 'bob'), false);
+      assert.strictEqual(sessions.isOwnedBy('missing', 'alice'), false);
+
+      sessions.remove('s1');
+      assert.strictEqual(sessions.isOwnedBy('s1', 'alice'), false);
+    });
+  });
+
+  describe('resolveWebexToken', () => {
+    it('should return each session its own token', async () => {
+      const sessions = createSessionRegistry();
+      sessions.register('s1', { principal: 'alice', webexToken: 'alice-token' });
+      sessions.register('s2', { principal: 'bob', webexToken: 'bob-token' });
+
+      assert.strictEqual(await sessions.resolveWebexToken('s1'), 'alice-token');
+      assert.strictEqual(await sessions.resolveWebexToken('s2'), 'bob-token');
+    });
+
+    it('should refuse to fall back to the server token by default', async () => {
+      const sessions = createSessionRegistry();
+      sessions.register('s1', { principal: 'alice' });
+
+      await assert.rejects(sessions.resolveWebexToken('s1'), (error) => {
+        assert.ok(error instanceof WebexApiError);
+        assert.strictEqual(error.status, 401);
+        assert.match(error.hint, /X-Webex-Token/);
+        return true;
+      });
+    });
+
+    it('should fall back to the server token when allowed', async () => {
+      const sessions = createSessionRegistry({ allowServerToken: true });
+      sessions.register('s1', {});
+      assert.strictEqual(await sessions.resolveWebexToken('s1'), null);
+    });
+
+    it('should refresh OAuth tokens close to expiry', async () => {
+      process.env.WEBEX_OAUTH_CLIENT_ID = 'client';
+      process.env.WEBEX_OAUTH_CLIENT_SECRET = 'secret';
+      global.fetch = async (url, options) => {
+        assert.strictEqual(options.body.get('refresh_token'), 'refresh-1');
+        return new Response(JSON.stringify({ access_token: 'fresh', refresh_token: 'refresh-2', expires_in: 3600 }), { status: 200 });
+      };
+
+      const sessions = createSessionRegistry();
+      sessions.register('s1', { principal: 'alice' });
+      sessions.setTokens('s1', { accessToken: 'stale', refreshToken: 'refresh-1', expiresAt: Date.now() + 1000 });
+
+      assert.strictEqual(await sessions.resolveWebexToken('s1'), 'fresh');
+    });
+  });
+
+  describe('per-session OAuth sign-in', () => {
+    beforeEach(() => {
+      process.env.WEBEX_OAUTH_CLIENT_ID = 'client';
+      process.env.WEBEX_OAUTH_CLIENT_SECRET = 'secret';
+    });
+
+    it('should include a sign-in link in the missing-token error', async () => {
+      const sessions = createSessionRegistry({ oauthRedirectUri: 'https://mcp.example.com/oauth/callback' });
+      sessions.register('s1', { principal: 'alice' });
+
+      await assert.rejects(sessions.resolveWebexToken('s1'), (error) => {
+        assert.match(error.message, /No Webex credentials/);
+        assert.match(error.hint, /https:\/\/webexapis\.com\/v1\/authorize\?/);
+        return true;
+      });
+    });
+
+    it('should bind the exchanged token to the session that started sign-in', async () => {
+      let exchange;
+      global.fetch = async (url, options) => {
+        exchange = options.body;
+        return new Response(JSON.stringify({ access_token: 'alice-oauth', refresh_token: 'r', expires_in: 3600 }), { status: 200 });
+      };
+
+      const sessions = createSessionRegistry({ oauthRedirectUri: 'https://mcp.example.com/oauth/callback' });
+      sessions.register('s1', { principal: 'alice' });
+      sessions.register('s2', { principal: 'bob' });
+
+      const loginUrl = new URL(sessions.createLoginUrl('s1'));
+      assert.strictEqual(loginUrl.searchParams.get('redirect_uri'), 'https://mcp.example.com/oauth/callback');
+      assert.strictEqual(loginUrl.searchParams.get('code_challenge_method'), 'S256');
+
+      const sessionId = await sessions.completeLogin({ code: 'code-1', state: loginUrl.searchParams.get('state') });
+      assert.strictEqual(sessionId, 's1');
+      assert.strictEqual(exchange.get('code'), 'code-1');
+      assert.ok(exchange.get('code_verifier'));
+      assert.strictEqual(await sessions.resolveWebexToken('s1'), 'alice-oauth');
+      await assert.rejects(sessions.resolveWebexToken('s2'));
+    });
+
+    it('should reject unknown or reused state', async () => {
+      global.fetch = async () => new Response(JSON.stringify({ access_token: 't', expires_in: 3600 }), { status: 200 });
+      const sessions = createSessionRegistry({ oauthRedirectUri: 'https://mcp.example.com/oauth/callback' });
+      sessions.register('s1', {});
+
+      await assert.rejects(sessions.completeLogin({ code: 'c', state: 'forged' }), /Unknown or expired/);
+
+      const state = new URL(sessions.createLoginUrl('s1')).searchParams.get('state');
+      await sessions.completeLogin({ code: 'c', state });
+      await assert.rejects(sessions.completeLogin({ code: 'c', state }), /Unknown or expired/);
+    });
+  });
+
+  describe('runWithWebexToken', () => {
+    it('should override the server-wide token for the duration of the call', async () => {
+      process.env.WEBEX_PUBLIC_WORKSPACE_API_KEY = 'server-token';
+      await initializeAuth();
+
+      const [alice, bob] = await Promise.all([
+        runWithWebexToken('alice-token', async () => {
+          await new Promise(resolve => setTimeout(resolve, 5));
+          return getWebexHeaders();
+        }),
+        runWithWebexToken('Bearer bob-token', () => getWebexHeaders())
+      ]);
+
+      assert.strictEqual(alice.Authorization, 'Bearer alice-token');
+      assert.strictEqual(bob.Authorization, 'Bearer bob-token');
+      assert.strictEqual((await getWebexHeaders()).Authorization, 'Bearer server-token');
+    });
+  });
+});
@@ -0,0 +1,180 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { resolveMentions, applyMentions, matchByName, mentionMarkup } from '../lib/mentions.js';
+import { discoverTools } from '../lib/tools.js';
+import { initializeAuth } from '../lib/webex-config.js';
+
+const BASE = 'https://webexapis.com/v1';
+
+const MEMBERS = [
+  { personId: 'p-alice-s', personEmail: 'alice.smith@example.com', personDisplayName: 'Alice Smith' },
+  { personId: 'p-alice-j', personEmail: 'alice.jones@example.com', personDisplayName: 'Alice Jones' },
+  { personId: 'p-bob', personEmail: 'bob@example.com', personDisplayName: 'Bob Lee' }
+];
+
+const PEOPLE = [
+  { id: 'p-carol', emails: ['carol@example.com'], displayName: 'Carol Diaz' },
+  { id: 'p-dana', emails: ['dana@example.com'], displayName: 'Dana Scully' }
+];
+
+describe('Mentions', () => {
+  let originalEnv;
+  let originalFetch;
+  let requests;
+
+  beforeEach(async () => {
+    originalEnv = { ...process.env };
+    originalFetch = global.fetch;
+    process.env.WEBEX_PUBLIC_WORKSPACE_API_KEY = 'test-token-123';
+    process.env.WEBEX_API_BASE_URL = BASE;
+    await initializeAuth();
+
+    requests = [];
+    global.fetch = async (url, options = {}) => {
+      const parsed = new URL(url);
+      requests.push({ method: options.method, path: parsed.pathname, params: Object.fromEntries(parsed.searchParams), body: options.body });
+      const json = data => new Response(JSON.stringify(data), { status: 200 });
+
+      switch (parsed.pathname) {
+        case '/v1/rooms/room-group':
+          return json({ id: 'room-group', type: 'group' });
+        case '/v1/rooms/room-direct':
+          return json({ id: 'room-direct', type: 'direct' });
+        case '/v1/memberships':
+          return json({ items: parsed.searchParams.get('roomId') === 'room-group' ? MEMBERS : [] });
+        case '/v1/people': {
+          const email = parsed.searchParams.get('email');
+          const name = parsed.searchParams.get('displayName');
+          return json({
+            items: PEOPLE.filter(person => (email && person.emails.includes(email)) || (name && person.displayName.startsWith(name)))
+          });
+        }
+        case '/v1/messages':
+        case '/v1/messages/msg-1':
+          return json({ id: 'msg-1', ...JSON.parse(options.body) });
+        default:
+          return new Response(JSON.stringify({ message: 'Not found' }), { status: 404 });
+      }
+    };
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    global.fetch = originalFetch;
+  });
+
+  describe('helpers', () => {
+    it('should match full names before name prefixes', () => {
+      const people = MEMBERS.map(member => ({ personId: member.personId, displayName: member.personDisplayName }));
+      assert.deepStrictEqual(matchByName('alice smith', people).map(person => person.personId), ['p-alice-s']);
+      assert.deepStrictEqual(matchByName('Alice', people).map(person => person.personId), ['p-alice-s', 'p-alice-j']);
+      assert.deepStrictEqual(matchByName('lee', people).map(person => person.personId), ['p-bob']);
+      assert.deepStrictEqual(matchByName('Eve', people), []);
+    });
+
+    it('should build mention markup', () => {
+      assert.strictEqual(mentionMarkup({ personId: 'p1', displayName: 'Ann <Admin>' }), '<@personId:p1|Ann Admin>');
+      assert.strictEqual(mentionMarkup({ personId: 'p1' }), '<@personId:p1>');
+    });
+
+    it('should replace @references and prepend the rest', () => {
+      const resolved = [
+        { mention: 'Bob', markup: '<@personId:p-bob|Bob Lee>' },
+        { mention: '@carol@example.com', markup: '<@personId:p-carol|Carol Diaz>' },
+        { mention: 'all', markup: '<@all>' }
+      ];
+      assert.strictEqual(
+        applyMentions('Thanks @bob, and cc @carol@example.com.', resolved),
+        '<@all> Thanks <@personId:p-bob|Bob Lee>, and cc <@personId:p-carol|Carol Diaz>.'
+      );
+      assert.strictEqual(applyMentions('Ping @Bobby', resolved.slice(0, 1)), '<@personId:p-bob|Bob Lee> Ping @Bobby');
+    });
+
+    it('should escape Markdown in plain text around the mentions', () => {
+      const resolved = [{ mention: 'bob_smith@example.com', markup: '<@personId:p-bob|Bob Lee>' }];
+      assert.strictEqual(
+        applyMentions('@bob_smith@example.com see snake_case_name, *not* <b>, `x`\n# 1', resolved, { plainText: true }),
+        '<@personId:p-bob|Bob Lee> see snake\\_case\\_name, \\*not\\* \\<b\\>, \\`x\\`\n\\# 1'
+      );
+      assert.strictEqual(applyMentions('**bold** @bob_smith@example.com', resolved), '**bold** <@personId:p-bob|Bob Lee>', 'Markdown is left as is');
+    });
+  });
+
+  describe('resolveMentions', () => {
+    it('should resolve room members, directory people and @all', async () => {
+      const { resolved, unresolved, ambiguous } = await resolveMentions(
+        ['@Bob', 'alice.jones@example.com', 'carol@example.com', 'Dana', '@all'],
+        { roomId: 'room-group' }
+      );
+
+      assert.deepStrictEqual(resolved.map(({ mention, personId }) => [mention, personId]), [
+        ['@Bob', 'p-bob'],
+        ['alice.jones@example.com', 'p-alice-j'],
+        ['carol@example.com', 'p-carol'],
+        ['Dana', 'p-dana'],
+        ['@all', undefined]
+      ]);
+      assert.strictEqual(resolved[4].markup, '<@all>');
+      assert.deepStrictEqual(unresolved, []);
+      assert.deepStrictEqual(ambiguous, []);
+      assert.strictEqual(requests.filter(request => request.path === '/v1/memberships').length, 1, 'Members are listed once');
+    });
+
+    it('should report unknown, ambiguous and misplaced mentions', async () => {
+      const { resolved, unresolved, ambiguous } = await resolveMentions(['Alice', 'Zed', 'nobody@example.com'], { roomId: 'room-group' });
+
+      assert.deepStrictEqual(resolved, []);
+      assert.deepStrictEqual(unresolved.map(({ mention }) => mention), ['Zed', 'nobody@example.com']);
+      assert.strictEqual(ambiguous[0].mention, 'Alice');
+      assert.deepStrictEqual(ambiguous[0].candidates.map(person => person.personEmail), ['alice.smith@example.com', 'alice.jones@example.com']);
+
+      const direct = await resolveMentions(['@all'], { roomId: 'room-direct' });
+      assert.match(direct.unresolved[0].reason, /only works in group spaces/);
+      const noRoom = await resolveMentions(['@all']);
+      assert.match(noRoom.unresolved[0].reason, /needs a roomId/);
+    });
+  });
+
+  describe('message tools', () => {
+    let tools;
+    const tool = name => tools.find(t => t.definition.function.name === name);
+
+    beforeEach(async () => {
+      tools = await discoverTools();
+    });
+
+    it('should add mentions to create_message', async () => {
+      const result = await tool('create_message').function({ roomId: 'room-group', text: 'Can @Bob review this?', mentions: ['Bob', 'dana@example.com'] });
+
+      const sent = JSON.parse(requests.find(request => request.method === 'POST').body);
+      assert.strictEqual(sent.text, 'Can @Bob review this?');
+      assert.strictEqual(sent.markdown, '<@personId:p-dana|Dana Scully> Can <@personId:p-bob|Bob Lee> review this?');
+      assert.deepStrictEqual(result.mentions.map(person => person.personId), ['p-bob', 'p-dana']);
+    });
+
+    it('should keep plain text as written when mentions turn it into markdown', async () => {
+      await tool('create_message').function({ roomId: 'room-group', text: 'Renamed snake_case_name for @Bob', mentions: ['Bob'] });
+
+      const sent = JSON.parse(requests.find(request => request.method === 'POST').body);
+      assert.strictEqual(sent.text, 'Renamed snake_case_name for @Bob');
+      assert.strictEqual(sent.markdown, 'Renamed snake\\_case\\_name for <@personId:p-bob|Bob Lee>');
+    });
+
+    it('should add mentions to edit_message', async () => {
+      const result = await tool('edit_message').function({ messageId: 'msg-1', roomId: 'room-group', text: 'Update', markdown: '**Update** for @everyone', mentions: ['@all'] });
+
+      const sent = JSON.parse(requests.find(request => request.method === 'PUT').body);
+      assert.strictEqual(sent.markdown, '<@all> **Update** for @everyone');
+      assert.deepStrictEqual(result.mentions, [{ mention: '@all' }]);
+    });
+
+    it('should not send when a mention cannot be resolved', async () => {
+      const result = await tool('create_message').function({ roomId: 'room-group', text: 'Hi', mentions: ['Alice', 'Zed'] });
+
+      assert.match(result.error.message, /"Zed" \(no room member or person matches\), "Alice" \(matches 2 people\)/);
+      assert.strictEqual(result.error.unresolvedMentions[0].mention, 'Zed');
+      assert.strictEqual(result.error.ambiguousMentions[0].candidates.length, 2);
+      assert.ok(requests.every(request => request.method === 'GET'), 'Nothing is sent');
+    });
+  });
+});
@@ -0,0 +1,222 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, rm, writeFile, readdir } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { splitMessage, createMessageGroupStore, MAX_MESSAGE_BYTES } from '../lib/message-chunks.js';
+import { runDryRun } from '../lib/dry-run.js';
+import { discoverTools } from '../lib/tools.js';
+import { initializeAuth } from '../lib/webex-config.js';
+
+const bytes = text => Buffer.byteLength(text, 'utf8');
+
+describe('Message Chunks', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'webex-chunks-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  describe('splitMessage', () => {
+    it('should leave messages within the limit alone', () => {
+      const text = 'Short\n\n\nmessage';
+      assert.deepStrictEqual(splitMessage(text), [text]);
+      assert.deepStrictEqual(splitMessage('x'.repeat(MAX_MESSAGE_BYTES)), ['x'.repeat(MAX_MESSAGE_BYTES)]);
+    });
+
+    it('should split between paragraphs', () => {
+      const paragraphs = ['First paragraph here.', 'Second paragraph here.', 'Third paragraph here.'];
+      const chunks = splitMessage(paragraphs.join('\n\n'), 50);
+
+      assert.deepStrictEqual(chunks, ['First paragraph here.\n\nSecond paragraph here.', 'Third paragraph here.']);
+    });
+
+    it('should keep list items whole', () => {
+      const list = '- item one\n  continued\n- item two\n- item three';
+      const chunks = splitMessage(list, 30);
+
+      assert.deepStrictEqual(chunks, ['- item one\n  continued', '- item two\n- item three']);
+    });
+
+    it('should close and reopen split code blocks', () => {
+      const code = ['```js', ...Array.from({ length: 6 }, (_, i) => `const v${i} = ${i};`), '```'].join('\n');
+      const chunks = splitMessage(`Intro\n\n${code}\n\nOutro`, 60);
+
+      assert.deepStrictEqual(chunks, [
+        'Intro\n\n```js\nconst v0 = 0;\nconst v1 = 1;\nconst v2 = 2;\n```',
+        '```js\nconst v3 = 3;\nconst v4 = 4;\nconst v5 = 5;\n```\n\nOutro'
+      ]);
+      assert.ok(chunks.every(chunk => bytes(chunk) <= 60));
+    });
+
+    it('should split long lines between words without breaking mentions', () => {
+      const line = 'Hello <@personId:p1|Alice Smith> and <@personId:p2|Bob Lee> please read this';
+      const chunks = splitMessage(line, 40);
+
+      assert.ok(chunks.every(chunk => bytes(chunk) <= 40));
+      assert.ok(chunks.some(chunk => chunk.includes('<@personId:p1|Alice Smith>')));
+      assert.ok(chunks.some(chunk => chunk.includes('<@personId:p2|Bob Lee>')));
+    });
+
+    it('should measure bytes and never split a character', () => {
+      const chunks = splitMessage('😀'.repeat(10), 9);
+
+      assert.deepStrictEqual(chunks, ['😀😀', '😀😀', '😀😀', '😀😀', '😀😀']);
+    });
+  });
+
+  describe('message groups', () => {
+    it('should find, save and remove groups', async () => {
+      const store = createMessageGroupStore(join(dir, 'groups.json'));
+      await store.save({ roomId: 'room-1', messageIds: ['m1', 'm2'], field: 'markdown', threaded: true });
+
+      const group = await store.find('m2');
+      assert.strictEqual(group.id, 'm1');
+      assert.deepStrictEqual(group.messageIds, ['m1', 'm2']);
+      assert.strictEqual(await store.find('m3'), null);
+
+      await store.remove('m1');
+      assert.strictEqual(await store.find('m1'), null);
+    });
+
+    it('should keep every group when several are saved at once', async () => {
+      const store = createMessageGroupStore(join(dir, 'groups.json'));
+      await Promise.all(Array.from({ length: 10 }, (_, i) =>
+        store.save({ roomId: 'room-1', messageIds: [`a${i}`, `b${i}`], field: 'text' })
+      ));
+      await store.remove('a0');
+
+      for (let i = 1; i < 10; i++) {
+        assert.strictEqual((await store.find(`b${i}`))?.id, `a${i}`);
+      }
+      assert.strictEqual(await store.find('b0'), null);
+      assert.deepStrictEqual(await readdir(dir), ['groups.json'], 'The temp file is renamed into place');
+    });
+
+    it('should not write during a dry run', async () => {
+      const store = createMessageGroupStore(join(dir, 'groups.json'));
+      const { stateWrites } = await runDryRun(() => store.save({ roomId: 'room-1', messageIds: ['m1', 'm2'], field: 'text' }));
+
+      assert.strictEqual(stateWrites[0].operation, 'saveMessageGroup');
+      assert.strictEqual(await store.find('m1'), null);
+    });
+  });
+
+  describe('message tools', () => {
+    let originalEnv;
+    let originalFetch;
+    let tools;
+    let requests;
+    const tool = name => tools.find(t => t.definition.function.name === name);
+
+    // Three paragraphs that need three messages
+    const paragraph = letter => letter.repeat(5000);
+    const longMarkdown = [paragraph('a'), paragraph('b'), paragraph('c')].join('\n\n');
+
+    beforeEach(async () => {
+      originalEnv = { ...process.env };
+      originalFetch = global.fetch;
+      process.env.WEBEX_PUBLIC_WORKSPACE_API_KEY = 'test-token-123';
+      process.env.WEBEX_API_BASE_URL = 'https://webexapis.com/v1';
+      process.env.WEBEX_MESSAGE_GROUPS_FILE = join(dir, 'groups.json');
+      await initializeAuth();
+      tools = await discoverTools();
+
+      requests = [];
+      let created = 0;
+      global.fetch = async (url, options) => {
+        const body = options.body ? JSON.parse(options.body) : undefined;
+        requests.push({ method: options.method, url: String(url), body });
+        if (options.method === 'DELETE') {
+          return new Response(null, { status: 204 });
+        }
+        const id = options.method === 'POST' ? `msg-${++created}` : String(url).split('/').pop();
+        return new Response(JSON.stringify({ id, roomId: 'room-1', ...body }), { status: 200 });
+      };
+    });
+
+    afterEach(() => {
+      process.env = originalEnv;
+      global.fetch = originalFetch;
+    });
+
+    it('should post long messages in parts', async () => {
+      const result = await tool('create_message').function({ roomId: 'room-1', text: 'fallback', markdown: longMarkdown });
+
+      assert.deepStrictEqual(result.messageIds, ['msg-1', 'msg-2', 'msg-3']);
+      assert.deepStrictEqual(requests.map(request => request.body.markdown[0]), ['a', 'b', 'c']);
+      assert.ok(requests.every(request => request.body.text === undefined && request.body.parentId === undefined));
+      assert.ok(requests.every(request => bytes(request.body.markdown) <= MAX_MESSAGE_BYTES));
+    });
+
+    it('should leave out a text fallback over the limit when the markdown fits', async () => {
+      await tool('create_message').function({ roomId: 'room-1', text: longMarkdown, markdown: 'Short **summary**' });
+      await tool('edit_message').function({ messageId: 'msg-1', roomId: 'room-1', text: longMarkdown, markdown: 'Shorter **summary**' });
+
+      assert.deepStrictEqual(requests.map(request => [request.method, request.body.text, request.body.markdown]), [
+        ['POST', undefined, 'Short **summary**'],
+        ['PUT', undefined, 'Shorter **summary**']
+      ]);
+    });
+
+    it('should thread the later parts when asked', async () => {
+      await tool('create_message').function({ roomId: 'room-1', text: longMarkdown, threadChunks: true });
+
+      assert.deepStrictEqual(requests.map(request => request.body.parentId), [undefined, 'msg-1', 'msg-1']);
+      assert.ok(requests.every(request => request.body.text));
+
+      requests.length = 0;
+      await tool('create_message').function({ roomId: 'room-1', text: longMarkdown, parentId: 'thread-1', threadChunks: true });
+      assert.deepStrictEqual(requests.map(request => request.body.parentId), ['thread-1', 'thread-1', 'thread-1'], 'Replies stay in the original thread');
+    });
+
+    it('should edit and delete a split message as a whole', async () => {
+      await tool('create_message').function({ roomId: 'room-1', text: 'x', markdown: longMarkdown, threadChunks: true });
+      requests.length = 0;
+
+      const shorter = await tool('edit_message').function({ messageId: 'msg-2', roomId: 'room-1', text: 'x', markdown: [paragraph('d'), paragraph('e')].join('\n\n') });
+      assert.deepStrictEqual(requests.map(request => `${request.method} ${request.url.split('/').pop()}`), ['PUT msg-1', 'PUT msg-2', 'DELETE msg-3']);
+      assert.deepStrictEqual(shorter.messageIds, ['msg-1', 'msg-2']);
+      assert.deepStrictEqual(shorter.deletedMessageIds, ['msg-3']);
+
+      requests.length = 0;
+      const longer = await tool('edit_message').function({ messageId: 'msg-1', roomId: 'room-1', text: longMarkdown });
+      assert.deepStrictEqual(requests.map(request => request.method), ['PUT', 'PUT', 'POST']);
+      assert.strictEqual(requests[2].body.parentId, 'msg-1', 'New parts join the thread');
+      assert.deepStrictEqual(longer.messageIds, ['msg-1', 'msg-2', 'msg-4']);
+
+      requests.length = 0;
+      const deleted = await tool('delete_message').function({ messageId: 'msg-4' });
+      assert.deepStrictEqual(deleted.deletedMessageIds, ['msg-4', 'msg-2', 'msg-1']);
+      assert.ok(requests.every(request => request.method === 'DELETE'));
+
+      requests.length = 0;
+      await tool('delete_message').function({ messageId: 'msg-1' });
+      assert.strictEqual(requests.length, 1, 'The group is forgotten once deleted');
+    });
+
+    it('should report parts already sent when a later part fails', async () => {
+      const fetch = global.fetch;
+      global.fetch = async (url, options) => (requests.length === 2
+        ? new Response(JSON.stringify({ message: 'Bad request' }), { status: 400 })
+        : fetch(url, options));
+
+      const result = await tool('create_message').function({ roomId: 'room-1', text: longMarkdown });
+      assert.match(result.error.message, /^Sent 2 of 3 parts of a long message: Bad request/);
+      assert.deepStrictEqual(result.error.messageIds, ['msg-1', 'msg-2']);
+    });
+
+    it('should still return the parts when the group cannot be saved', async () => {
+      await writeFile(join(dir, 'not-a-dir'), '');
+      process.env.WEBEX_MESSAGE_GROUPS_FILE = join(dir, 'not-a-dir', 'groups.json');
+
+      const result = await tool('create_message').function({ roomId: 'room-1', text: longMarkdown });
+      assert.strictEqual(result.error, undefined);
+      assert.deepStrictEqual(result.messageIds, ['msg-1', 'msg-2', 'msg-3']);
+    });
+  });
+});
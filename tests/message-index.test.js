@@ -0,0 +1,333 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, rm, stat, readdir } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createMessageIndex, createRoomFilter, tokenize, loadMessageIndex } from '../lib/message-index.js';
+import { searchMessages } from '../lib/message-search.js';
+import { discoverTools } from '../lib/tools.js';
+import { initializeAuth } from '../lib/webex-config.js';
+
+const BASE = 'https://webexapis.com/v1';
+const NOW = Date.parse('2026-10-19T12:00:00.000Z');
+
+const message = (id, roomId, created, text, extra = {}) => ({
+  id, roomId, created, text, personId: 'p-bob', personEmail: 'bob@example.com', ...extra
+});
+
+describe('Message Index', () => {
+  let dir;
+  let originalEnv;
+  let originalFetch;
+  let requests;
+  let me;
+  let rooms;
+  let messages;
+
+  const createIndex = (options = {}) => createMessageIndex({ filePath: join(dir, 'index.json'), include: ['*'], now: () => NOW, ...options });
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'webex-index-'));
+    originalEnv = { ...process.env };
+    originalFetch = global.fetch;
+    process.env.WEBEX_PUBLIC_WORKSPACE_API_KEY = 'test-token-123';
+    process.env.WEBEX_API_BASE_URL = BASE;
+    await initializeAuth();
+
+    me = 'p-me';
+    rooms = [
+      { id: 'room-eng', title: 'Engineering', type: 'group', lastActivity: '2026-10-19T10:00:00.000Z' },
+      { id: 'room-ops', title: 'Ops alerts', type: 'group', lastActivity: '2026-10-18T10:00:00.000Z' },
+      { id: 'room-dm', title: 'Alice Smith', type: 'direct', lastActivity: '2026-10-17T10:00:00.000Z' }
+    ];
+    // Newest first, as Webex lists them
+    messages = {
+      'room-eng': [
+        message('e3', 'room-eng', '2026-10-19T10:00:00.000Z', 'The database migration finished'),
+        message('e2', 'room-eng', '2026-10-18T10:00:00.000Z', 'Lunch at noon, lunch for everyone', { personEmail: 'alice@example.com', personId: 'p-alice' }),
+        message('e1', 'room-eng', '2026-01-01T10:00:00.000Z', 'Old migration notes')
+      ],
+      'room-ops': [
+        message('o1', 'room-ops', '2026-10-18T10:00:00.000Z', 'Disk alert on db-1 during the migration', { parentId: 'o0' })
+      ],
+      'room-dm': [
+        message('d1', 'room-dm', '2026-10-17T10:00:00.000Z', 'Migration plan: move the database first')
+      ]
+    };
+
+    requests = [];
+    global.fetch = async (url) => {
+      const parsed = new URL(url);
+      const params = Object.fromEntries(parsed.searchParams);
+      requests.push({ path: parsed.pathname, params });
+      const json = data => new Response(JSON.stringify(data), { status: 200 });
+
+      if (parsed.pathname === '/v1/people/me') return json({ id: me });
+      if (parsed.pathname === '/v1/rooms') return json({ items: rooms });
+      if (parsed.pathname.startsWith('/v1/rooms/')) return json(rooms.find(room => room.id === parsed.pathname.split('/').pop()));
+      if (parsed.pathname === '/v1/messages') {
+        let items = messages[params.roomId] || [];
+        if (params.beforeMessage) items = items.slice(items.findIndex(msg => msg.id === params.beforeMessage) + 1);
+        return json({ items: items.slice(0, Number(params.max)) });
+      }
+      return new Response(JSON.stringify({ message: 'Not found' }), { status: 404 });
+    };
+  });
+
+  afterEach(async () => {
+    process.env = originalEnv;
+    global.fetch = originalFetch;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  describe('helpers', () => {
+    it('should tokenize without case or accents', () => {
+      assert.deepStrictEqual(tokenize('Café-Migration, DB_1!'), ['cafe', 'migration', 'db', '1']);
+    });
+
+    it('should include rooms by ID or title glob, minus exclusions and other types', () => {
+      const filter = createRoomFilter({ include: ['room-dm', 'eng*', 'ops *'], exclude: ['Ops alerts'], roomTypes: ['group', 'direct'] });
+      assert.deepStrictEqual(rooms.filter(filter).map(room => room.id), ['room-eng', 'room-dm']);
+
+      const groups = createRoomFilter({ include: ['*'], roomTypes: ['group'] });
+      assert.deepStrictEqual(rooms.filter(groups).map(room => room.id), ['room-eng', 'room-ops']);
+    });
+  });
+
+  describe('sync', () => {
+    it('should index included rooms within the retention period', async () => {
+      const index = createIndex({ exclude: ['room-dm'] });
+      const result = await index.sync();
+
+      assert.deepStrictEqual(result, { rooms: 2, added: 3, removed: 0, messages: 3 });
+      const stats = await index.stats();
+      assert.strictEqual(stats.oldest, '2026-10-18T10:00:00.000Z', 'Messages past 90 days are not indexed');
+      assert.strictEqual((await stat(index.filePath)).mode & 0o777, 0o600);
+      assert.deepStrictEqual(await readdir(dir), ['index.json'], 'The temp file is renamed into place');
+    });
+
+    it('should only read rooms with new activity, back to the newest indexed message', async () => {
+      const index = createIndex();
+      await index.sync();
+
+      messages['room-eng'].unshift(message('e4', 'room-eng', '2026-10-19T11:00:00.000Z', 'Rollback plan'));
+      rooms[0].lastActivity = '2026-10-19T11:00:00.000Z';
+      requests.length = 0;
+
+      const result = await index.sync();
+      assert.strictEqual(result.added, 1);
+      assert.deepStrictEqual(requests.filter(request => request.path === '/v1/messages').map(request => request.params.roomId), ['room-eng']);
+
+      // A new index instance reads the saved file
+      const reloaded = createIndex();
+      assert.strictEqual((await reloaded.stats()).messages, 5);
+    });
+
+    it('should read on from where the per-room budget cut a sync short', async () => {
+      const index = createIndex({ include: ['Engineering'] });
+      await index.sync();
+
+      messages['room-eng'].unshift(...['n4', 'n3', 'n2', 'n1'].map((id, i) => message(id, 'room-eng', `2026-10-19T11:0${4 - i}:00.000Z`, `Busy morning ${id}`)));
+      rooms[0].lastActivity = '2026-10-19T11:04:00.000Z';
+
+      assert.strictEqual((await index.sync({ maxMessagesPerRoom: 2 })).added, 2);
+      requests.length = 0;
+      const next = await index.sync({ maxMessagesPerRoom: 2 });
+      assert.strictEqual(next.added, 2);
+      assert.deepStrictEqual(requests.filter(request => request.path === '/v1/messages').map(request => request.params.beforeMessage), ['n3']);
+      assert.strictEqual((await index.search('busy')).totalHits, 4, 'No messages are skipped');
+
+      // Once the gap is read down to the old syncedThrough, quiet rooms are skipped again
+      assert.strictEqual((await index.sync({ maxMessagesPerRoom: 2 })).added, 0);
+      requests.length = 0;
+      await index.sync({ maxMessagesPerRoom: 2 });
+      assert.strictEqual(requests.filter(request => request.path === '/v1/messages').length, 0);
+    });
+
+    it('should drop messages past retention and rooms no longer included', async () => {
+      await createIndex({ retentionDays: 0 }).sync();
+      const narrowed = createIndex({ include: ['Engineering'], retentionDays: 0 });
+      assert.strictEqual((await narrowed.stats()).messages, 5);
+
+      const result = await narrowed.sync();
+      assert.strictEqual(result.rooms, 1);
+      assert.strictEqual(result.messages, 3);
+
+      const shorter = createIndex({ include: ['Engineering'], retentionDays: 30 });
+      assert.strictEqual((await shorter.sync()).removed, 1);
+    });
+
+    it('should belong to the user who built it', async () => {
+      await createIndex().sync();
+      me = 'p-other';
+
+      await assert.rejects(createIndex().sync(), /belongs to another Webex user/);
+      await assert.rejects(createIndex().verifyOwner(), /belongs to another Webex user/);
+
+      const rebuilt = await createIndex({ include: ['room-dm'] }).rebuild();
+      assert.strictEqual(rebuilt.messages, 1, 'A rebuild by another user starts over');
+    });
+
+    it('should rebuild single rooms', async () => {
+      const index = createIndex();
+      await index.sync();
+      messages['room-eng'].splice(0, 1);
+
+      const result = await index.rebuild({ roomIds: ['room-eng'] });
+      assert.strictEqual(result.added, 1);
+      assert.strictEqual(result.messages, 3);
+      assert.strictEqual((await index.search('finished')).totalHits, 0, 'Deleted messages are gone');
+    });
+  });
+
+  describe('search', () => {
+    it('should rank with BM25 and filter', async () => {
+      const index = createIndex();
+      await index.sync();
+
+      const { hits, totalHits } = await index.search('database migration');
+      assert.strictEqual(totalHits, 3);
+      assert.deepStrictEqual(hits.map(hit => hit.messageId), ['e3', 'd1', 'o1']);
+      assert.strictEqual(hits[0].roomTitle, 'Engineering');
+      assert.strictEqual(hits[0].snippet, 'The **database** migration finished');
+      assert.strictEqual(hits[2].parentId, 'o0');
+
+      messages['room-dm'].unshift(message('d2', 'room-dm', '2026-10-19T11:00:00.000Z', 'Meet at the Café Noir after the ﬁnal review'));
+      rooms[2].lastActivity = '2026-10-19T11:00:00.000Z';
+      await index.sync();
+      assert.strictEqual((await index.search('cafe')).hits[0].snippet, 'Meet at the **Café** Noir after the ﬁnal review');
+      assert.strictEqual((await index.search('final')).hits[0].snippet, 'Meet at the Café Noir after the **ﬁnal** review');
+
+      assert.deepStrictEqual((await index.search('"move the database"')).hits.map(hit => hit.messageId), ['d1']);
+      assert.deepStrictEqual((await index.search('migration', { roomId: 'room-ops' })).hits.map(hit => hit.messageId), ['o1']);
+      assert.deepStrictEqual((await index.search('lunch', { author: 'ALICE@example.com' })).hits.map(hit => hit.messageId), ['e2']);
+      assert.deepStrictEqual((await index.search('migration', { before: '2026-10-18T00:00:00Z' })).hits.map(hit => hit.messageId), ['d1']);
+      await assert.rejects(index.search('migration', { after: 'yesterday' }), /Invalid 'after' date/);
+      await assert.rejects(index.search('  '), /query is required/);
+    });
+  });
+
+  describe('webhook events', () => {
+    it('should add, edit and delete messages in indexed rooms', async () => {
+      const index = createIndex({ include: ['Engineering'] });
+      await index.sync();
+
+      const created = message('e5', 'room-eng', '2026-10-19T11:30:00.000Z', 'Kubernetes upgrade tonight');
+      assert.strictEqual(await index.handleEvent({ resource: 'messages', createdBy: 'p-me', event: 'created', data: { id: 'e5' }, resourceData: created }), true);
+      assert.strictEqual((await index.search('kubernetes')).totalHits, 1);
+
+      await index.handleEvent({ resource: 'messages', createdBy: 'p-me', event: 'updated', data: { id: 'e5' }, resourceData: { ...created, text: 'Kubernetes upgrade postponed' } });
+      assert.strictEqual((await index.search('postponed')).totalHits, 1);
+
+      await index.handleEvent({ resource: 'messages', createdBy: 'p-me', event: 'deleted', data: { id: 'e5' } });
+      assert.strictEqual((await index.search('kubernetes')).totalHits, 0);
+
+      // A message posted before the first event (no subscription yet) is picked up by the next sync
+      messages['room-eng'].unshift(created, message('e4', 'room-eng', '2026-10-19T11:00:00.000Z', 'Missed while offline'));
+      rooms[0].lastActivity = created.created;
+      await index.handleEvent({ resource: 'messages', createdBy: 'p-me', event: 'created', data: { id: 'e5' }, resourceData: created });
+      await index.sync();
+      assert.strictEqual((await index.search('offline')).totalHits, 1);
+
+      const elsewhere = message('x1', 'room-ops', '2026-10-19T11:30:00.000Z', 'Kubernetes alert');
+      assert.strictEqual(await index.handleEvent({ resource: 'messages', createdBy: 'p-me', event: 'created', data: { id: 'x1' }, resourceData: elsewhere }), false, 'Rooms the index does not track are ignored');
+    });
+    it('should ignore events from webhooks of other users', async () => {
+      const index = createIndex();
+      await index.sync();
+
+      const created = message('e5', 'room-eng', '2026-10-19T11:30:00.000Z', 'Kubernetes upgrade tonight');
+      assert.strictEqual(await index.handleEvent({ resource: 'messages', createdBy: 'p-other', event: 'created', data: { id: 'e5' }, resourceData: created }), false);
+      assert.strictEqual(await index.handleEvent({ resource: 'messages', event: 'deleted', data: { id: 'e3' } }), false);
+      assert.strictEqual((await index.search('kubernetes')).totalHits, 0);
+      assert.strictEqual((await index.search('finished')).totalHits, 1);
+    });
+
+    it('should save a burst of events together, after a short delay', async () => {
+      const index = createIndex({ saveDelayMs: 20 });
+      await index.sync();
+      const savedHits = async query => (await createIndex().search(query)).totalHits;
+
+      for (let i = 0; i < 20; i++) {
+        const msg = message(`k${i}`, 'room-eng', '2026-10-19T11:30:00.000Z', `Kubernetes node ${i}`);
+        await index.handleEvent({ resource: 'messages', createdBy: 'p-me', event: 'created', data: { id: msg.id }, resourceData: msg });
+      }
+      assert.strictEqual((await index.search('kubernetes')).totalHits, 20);
+      assert.strictEqual(await savedHits('kubernetes'), 0, 'Not saved yet');
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+      assert.strictEqual(await savedHits('kubernetes'), 20);
+
+      await index.handleEvent({ resource: 'messages', createdBy: 'p-me', event: 'deleted', data: { id: 'k0' } });
+      await index.flush();
+      assert.strictEqual(await savedHits('kubernetes'), 19, 'flush saves right away');
+    });
+  });
+
+  describe('search_messages', () => {
+    it('should read the rooms the index covers instead of scanning them', async () => {
+      const index = createIndex({ include: ['Engineering', 'Ops*'] });
+      await index.sync();
+      requests.length = 0;
+
+      const result = await searchMessages({ query: 'migration', index });
+      assert.deepStrictEqual(result.hits.map(hit => hit.messageId), ['e3', 'o1', 'd1']);
+      assert.strictEqual(result.indexedRooms, 2);
+      assert.deepStrictEqual(requests.filter(request => request.path === '/v1/messages').map(request => request.params.roomId), ['room-dm']);
+
+      messages['room-eng'].unshift(message('e4', 'room-eng', '2026-10-19T11:00:00.000Z', 'Migration rollback'));
+      rooms[0].lastActivity = '2026-10-19T11:00:00.000Z';
+      const synced = await searchMessages({ query: 'rollback', roomIds: ['room-eng'], index });
+      assert.deepStrictEqual(synced.hits.map(hit => hit.messageId), ['e4'], 'The rooms are synced first');
+    });
+
+    it('should scan rooms when the range starts before the retention period or the index is not the caller\'s', async () => {
+      const index = createIndex();
+      await index.sync();
+
+      const old = await searchMessages({ query: 'migration', after: '2026-01-01T00:00:00Z', index });
+      assert.strictEqual(old.indexedRooms, 0);
+      assert.ok(old.hits.some(hit => hit.messageId === 'e1'));
+
+      me = 'p-other';
+      const other = await searchMessages({ query: 'migration', index });
+      assert.strictEqual(other.indexedRooms, 0);
+      assert.strictEqual(other.totalHits, 4);
+    });
+  });
+
+  describe('search_index tool', () => {
+    let tool;
+
+    beforeEach(async () => {
+      const tools = await discoverTools();
+      tool = tools.find(t => t.definition.function.name === 'search_index');
+    });
+
+    it('should explain how to turn the index on', async () => {
+      delete process.env.WEBEX_INDEX_ROOMS;
+      assert.strictEqual(loadMessageIndex(), null);
+
+      const result = await tool.function({ query: 'migration' });
+      assert.match(result.error.message, /WEBEX_INDEX_ROOMS/);
+    });
+
+    it('should sync and search the configured index', async () => {
+      process.env.WEBEX_INDEX_ROOMS = 'Engineering, Ops*';
+      process.env.WEBEX_INDEX_FILE = join(dir, 'tool-index.json');
+      process.env.WEBEX_INDEX_RETENTION_DAYS = '0';
+
+      const result = await tool.function({ query: 'migration', maxResults: 2 });
+      assert.strictEqual(result.totalHits, 3);
+      assert.strictEqual(result.hits.length, 2);
+      assert.deepStrictEqual(result.sync, { rooms: 2, added: 4, removed: 0, messages: 4 });
+      assert.strictEqual(result.index.filePath, process.env.WEBEX_INDEX_FILE);
+      assert.strictEqual(loadMessageIndex(), loadMessageIndex(), 'The index is shared while settings are unchanged');
+
+      requests.length = 0;
+      const cached = await tool.function({ query: 'migration', sync: false });
+      assert.strictEqual(cached.sync, undefined);
+      assert.deepStrictEqual(requests.map(request => request.path), ['/v1/people/me']);
+    });
+  });
+});
@@ -0,0 +1,223 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { buildMatcher, makeSnippet, spaceLink, searchMessages } from '../lib/message-search.js';
+import { discoverTools } from '../lib/tools.js';
+import { initializeAuth } from '../lib/webex-config.js';
+
+const BASE = 'https://webexapis.com/v1';
+
+const ROOMS = [
+  { id: 'room-eng', title: 'Engineering', type: 'group', teamId: 'team-1', lastActivity: '2026-10-19T10:00:00.000Z' },
+  { id: 'room-dm', title: 'Bob Lee', type: 'direct', lastActivity: '2026-10-18T10:00:00.000Z' },
+  { id: 'room-old', title: 'Archive', type: 'group', lastActivity: '2026-01-01T10:00:00.000Z' }
+];
+
+// Newest first, as Webex lists them
+const MESSAGES = {
+  'room-eng': [
+    { id: 'e3', personEmail: 'alice@example.com', personId: 'p-alice', created: '2026-10-19T10:00:00.000Z', text: 'The Q3 migration is done' },
+    { id: 'e2', personEmail: 'bob@example.com', personId: 'p-bob', created: '2026-10-18T09:00:00.000Z', text: 'Lunch?' },
+    { id: 'e1', personEmail: 'bob@example.com', personId: 'p-bob', created: '2026-10-10T09:00:00.000Z', text: 'Migration plan for Q3: move the database first', parentId: 'e0' }
+  ],
+  'room-dm': [
+    { id: 'd1', personEmail: 'bob@example.com', personId: 'p-bob', created: '2026-10-18T10:00:00.000Z', text: 'Did the migration finish? We said Q3.' }
+  ],
+  'room-old': [
+    { id: 'o1', personEmail: 'carol@example.com', personId: 'p-carol', created: '2026-01-01T10:00:00.000Z', text: 'Q3 migration kickoff' }
+  ]
+};
+
+describe('Message Search', () => {
+  let originalEnv;
+  let originalFetch;
+  let requests;
+
+  beforeEach(async () => {
+    originalEnv = { ...process.env };
+    originalFetch = global.fetch;
+    process.env.WEBEX_PUBLIC_WORKSPACE_API_KEY = 'test-token-123';
+    process.env.WEBEX_API_BASE_URL = BASE;
+    await initializeAuth();
+
+    requests = [];
+    global.fetch = async (url) => {
+      const parsed = new URL(url);
+      const params = Object.fromEntries(parsed.searchParams);
+      requests.push({ path: parsed.pathname, params });
+      const json = data => new Response(JSON.stringify(data), { status: 200 });
+
+      if (parsed.pathname === '/v1/rooms') {
+        return json({ items: ROOMS.filter(room => (!params.type || room.type === params.type) && (!params.teamId || room.teamId === params.teamId)).slice(0, Number(params.max)) });
+      }
+      if (parsed.pathname.startsWith('/v1/rooms/')) {
+        const room = ROOMS.find(r => r.id === decodeURIComponent(parsed.pathname.split('/').pop()));
+        return room ? json(room) : new Response(JSON.stringify({ message: 'Room not found' }), { status: 404 });
+      }
+      if (parsed.pathname === '/v1/messages') {
+        let items = MESSAGES[params.roomId] || [];
+        if (params.beforeMessage) items = items.slice(items.findIndex(msg => msg.id === params.beforeMessage) + 1);
+        if (params.before) items = items.filter(msg => msg.created < params.before);
+        return json({ items: items.slice(0, Number(params.max)) });
+      }
+      return new Response(JSON.stringify({ message: 'Not found' }), { status: 404 });
+    };
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    global.fetch = originalFetch;
+  });
+
+  describe('helpers', () => {
+    it('should match keywords in any order, phrases in order and regular expressions', () => {
+      const keyword = buildMatcher('q3 migration');
+      assert.ok(keyword('Migration plan for Q3'));
+      assert.strictEqual(keyword('Q3 plans'), null, 'Every keyword must appear');
+
+      const phrase = buildMatcher('q3 migration', { mode: 'phrase' });
+      assert.strictEqual(phrase('Migration plan for Q3'), null);
+      assert.deepStrictEqual(phrase('The Q3  migration'), { score: 2, index: 4, length: 13 });
+
+      const regex = buildMatcher('INC-\\d+', { mode: 'regex', caseSensitive: true });
+      assert.strictEqual(regex('see inc-42'), null);
+      assert.strictEqual(regex('see INC-42').length, 6);
+
+      const quoted = buildMatcher('"data center" move');
+      assert.ok(quoted('Move the data center'));
+      assert.strictEqual(quoted('Move the data to a center'), null);
+    });
+
+    it('should rank whole words and adjacent keywords higher', () => {
+      const match = buildMatcher('q3 migration');
+      assert.ok(match('The Q3 migration is done').score > match('Migration plan for Q3').score);
+      assert.ok(match('Q3 migration').score > match('Q3s migrations').score);
+    });
+
+    it('should reject empty queries and invalid regular expressions', () => {
+      assert.throws(() => buildMatcher('  '), /query is required/);
+      assert.throws(() => buildMatcher('(', { mode: 'regex' }), /Invalid regular expression/);
+    });
+
+    it('should reject regular expressions that nest repeats', () => {
+      for (const pattern of ['(a+)+$', '(\\w*\\s)*x', '((ab)+c)+', '(?:x+){2,}']) {
+        assert.throws(() => buildMatcher(pattern, { mode: 'regex' }), /cannot repeat a group that contains a repeat/, pattern);
+      }
+      for (const pattern of ['INC-\\d+', '(foo|bar)+', '[(]a+[)]+', '\\(a+\\)+', '(a{2})?b+']) {
+        assert.doesNotThrow(() => buildMatcher(pattern, { mode: 'regex' }), pattern);
+      }
+    });
+
+    it('should cut snippets around the match', () => {
+      const text = `${'a '.repeat(50)}needle\nin the ${'b '.repeat(50)}`;
+      const snippet = makeSnippet(text, text.indexOf('needle'), 6, 10);
+      assert.strictEqual(snippet, '…a a a a a **needle** in the b …');
+      assert.strictEqual(makeSnippet('needle', 0, 6), '**needle**');
+      assert.strictEqual(makeSnippet('no match here', 0, 0), 'no match here', 'Nothing to bold');
+    });
+
+    it('should link to the space', () => {
+      const roomId = Buffer.from('ciscospark://us/ROOM/bdbf9a60-94a8-11ef-8d6b-4f1e5b8e8a11').toString('base64');
+      assert.strictEqual(spaceLink(roomId), 'webexteams://im?space=bdbf9a60-94a8-11ef-8d6b-4f1e5b8e8a11');
+      assert.strictEqual(spaceLink('room-eng'), undefined);
+    });
+  });
+
+  describe('searchMessages', () => {
+    it('should return ranked hits across rooms', async () => {
+      const result = await searchMessages({ query: 'Q3 migration' });
+
+      assert.deepStrictEqual(result.hits.map(hit => hit.messageId), ['e3', 'o1', 'd1', 'e1']);
+      assert.strictEqual(result.hits[0].roomTitle, 'Engineering');
+      assert.strictEqual(result.hits[0].snippet, 'The **Q3** migration is done');
+      assert.strictEqual(result.hits[3].parentId, 'e0');
+      assert.strictEqual(result.roomsSearched, 3);
+      assert.strictEqual(result.messagesSearched, 5);
+      assert.deepStrictEqual(result.incompleteRooms, []);
+    });
+
+    it('should filter by room type, team, date range and author', async () => {
+      const direct = await searchMessages({ query: 'migration', roomType: 'direct' });
+      assert.deepStrictEqual(direct.hits.map(hit => hit.messageId), ['d1']);
+
+      const team = await searchMessages({ query: 'migration', teamId: 'team-1' });
+      assert.deepStrictEqual(team.hits.map(hit => hit.messageId).sort(), ['e1', 'e3']);
+
+      requests.length = 0;
+      const recent = await searchMessages({ query: 'migration', after: '2026-10-15T00:00:00Z', before: '2026-10-19T00:00:00Z' });
+      assert.deepStrictEqual(recent.hits.map(hit => hit.messageId), ['d1']);
+      assert.ok(!requests.some(request => request.params.roomId === 'room-old'), 'Rooms quiet since the start are skipped');
+      assert.ok(requests.filter(request => request.path === '/v1/messages').every(request => request.params.before === '2026-10-19T00:00:00.000Z'));
+
+      const byBob = await searchMessages({ query: 'migration', author: 'BOB@example.com' });
+      assert.deepStrictEqual(byBob.hits.map(hit => hit.messageId).sort(), ['d1', 'e1']);
+    });
+
+    it('should stop at the room budget and report incomplete rooms', async () => {
+      const result = await searchMessages({ query: 'migration', roomIds: ['room-eng'], messagesPerRoom: 2 });
+
+      assert.deepStrictEqual(result.hits.map(hit => hit.messageId), ['e3']);
+      assert.deepStrictEqual(result.incompleteRooms, [{ roomId: 'room-eng', roomTitle: 'Engineering', searchedBack: '2026-10-18T09:00:00.000Z' }]);
+      assert.strictEqual(requests.filter(request => request.path === '/v1/messages').length, 1);
+    });
+
+    it('should match regular expressions in a worker', async () => {
+      const result = await searchMessages({ query: 'Q\\d migration', mode: 'regex' });
+      assert.deepStrictEqual(result.hits.map(hit => hit.messageId), ['e3', 'o1']);
+      assert.strictEqual(result.hits[0].snippet, 'The **Q3 migration** is done');
+    });
+
+    it('should stop regular expressions that backtrack too long without blocking the server', async () => {
+      const fetch = global.fetch;
+      global.fetch = async (url, options) => (new URL(url).searchParams.get('roomId') === 'room-eng'
+        ? new Response(JSON.stringify({ items: [{ id: 'x1', created: '2026-10-19T10:00:00.000Z', text: `${'a'.repeat(27)}!` }] }), { status: 200 })
+        : fetch(url, options));
+
+      for (const query of ['(a|a)+b', '(?:a|a)*$']) {
+        let ticks = 0;
+        const timer = setInterval(() => ticks++, 10);
+        const started = Date.now();
+        try {
+          await assert.rejects(
+            searchMessages({ query, mode: 'regex', roomIds: ['room-eng'], regexTimeoutMs: 300 }),
+            error => error.retryable === false && /took longer than 300 ms/.test(error.message)
+          );
+        } finally {
+          clearInterval(timer);
+        }
+        assert.ok(Date.now() - started < 3000, `${query} should be stopped`);
+        assert.ok(ticks > 5, `The event loop should keep running during ${query}`);
+      }
+    });
+
+    it('should report rooms that fail without failing the search', async () => {
+      const fetch = global.fetch;
+      global.fetch = async (url, options) => (new URL(url).searchParams.get('roomId') === 'room-dm'
+        ? new Response(JSON.stringify({ message: 'Forbidden' }), { status: 403 })
+        : fetch(url, options));
+
+      const result = await searchMessages({ query: 'migration' });
+      assert.strictEqual(result.errors[0].roomId, 'room-dm');
+      assert.strictEqual(result.errors[0].error.message, 'Forbidden');
+      assert.strictEqual(result.roomsSearched, 2);
+      assert.strictEqual(result.totalHits, 3);
+    });
+  });
+
+  describe('search_messages tool', () => {
+    it('should search with limits applied', async () => {
+      const tools = await discoverTools();
+      const tool = tools.find(t => t.definition.function.name === 'search_messages');
+
+      const result = await tool.function({ query: 'migration', maxResults: 2, maxRooms: 500 });
+      assert.strictEqual(result.hits.length, 2);
+      assert.strictEqual(result.totalHits, 4);
+      assert.strictEqual(requests.find(request => request.path === '/v1/rooms').params.max, '100');
+
+      const rooms = await tool.function({ query: 'migration', roomIds: 'room-dm, room-old' });
+      assert.deepStrictEqual(rooms.hits.map(hit => hit.roomTitle), ['Bob Lee', 'Archive']);
+
+      const invalid = await tool.function({ query: '[', mode: 'regex' });
+      assert.match(invalid.error.message, /^Invalid regular expression/);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { parseLinkHeader, encodeCursor, decodeCursor, fetchPages } from '../lib/pagination.js';
+import { discoverTools } from '../lib/tools.js';
+import { initializeAuth } from '../lib/webex-config.js';
+
+const BASE = 'https://webexapis.com/v1';
+
+/**
+ * Build a mock fetch serving numbered pages of `pageSize` items each,
+ * linking to the next page until `total` items have been served.
+ */
+function pagedFetch(total, requests) {
+  return async (url) => {
+    const parsed = new URL(url);
+    requests.push(parsed);
+    const offset = parseInt(parsed.searchParams.get('offset') || '0', 10);
+    const size = parseInt(parsed.searchParams.get('max'), 10);
+    const count = Math.max(0, Math.min(size, total - offset));
+    const items = Array.from({ length: count }, (_, i) => ({ id: `item-${offset + i}` }));
+
+    const headers = {};
+    if (offset + count < total) {
+      const next = new URL(parsed);
+      next.searchParams.set('offset', String(offset + count));
+      headers.Link = `<${next}>; rel="next"`;
+    }
+    return new Response(JSON.stringify({ items }), { status: 200, headers });
+  };
+}
+
+describe('Pagination', () => {
+  let originalEnv;
+  let originalFetch;
+  let requests;
+
+  beforeEach(async () => {
+    originalEnv = { ...process.env };
+    originalFetch = global.fetch;
+    process.env.WEBEX_PUBLIC_WORKSPACE_API_KEY = 'test-token-123';
+    process.env.WEBEX_API_BASE_URL = BASE;
+    await initializeAuth();
+    requests = [];
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    global.fetch = originalFetch;
+  });
+
+  describe('parseLinkHeader', () => {
+    it('should extract next and prev relations', () => {
+      const links = parseLinkHeader(`<${BASE}/rooms?cursor=abc>; rel="next", <${BASE}/rooms?cursor=xyz>; rel="prev"`);
+      assert.strictEqual(links.next, `${BASE}/rooms?cursor=abc`);
+      assert.strictEqual(links.prev, `${BASE}/rooms?cursor=xyz`);
+    });
+
+    it('should return empty map for missing header', () => {
+      assert.deepStrictEqual(parseLinkHeader(null), {});
+    });
+  });
+
+  describe('cursor encoding', () => {
+    it('should round-trip a Webex URL', () => {
+      const url = `${BASE}/memberships?roomId=r1&cursor=abc`;
+      assert.strictEqual(decodeCursor(encodeCursor(url)).toString(), url);
+    });
+
+    it('should reject cursors pointing at another host', () => {
+      const cursor = encodeCursor('https://evil.example.com/v1/rooms');
+      assert.throws(() => decodeCursor(cursor), /does not target the Webex API/);
+    });
+
+    it('should reject malformed cursors', () => {
+      assert.throws(() => decodeCursor('not-a-cursor'), /Invalid pagination cursor/);
+    });
+  });
+
+  describe('fetchPages', () => {
+    it('should return only the first page by default with a nextCursor', async () => {
+      global.fetch = pagedFetch(250, requests);
+      const result = await fetchPages(`${BASE}/rooms?max=100`, { headers: {} });
+
+      assert.strictEqual(result.items.length, 100);
+      assert.strictEqual(requests.length, 1);
+      assert.ok(result.nextCursor, 'Should expose a cursor for the next page');
+      assert.strictEqual(decodeCursor(result.nextCursor).searchParams.get('offset'), '100');
+    });
+
+    it('should follow next links when all is true', async () => {
+      global.fetch = pagedFetch(250, requests);
+      const result = await fetchPages(`${BASE}/rooms?max=100`, { headers: {}, all: true });
+
+      assert.strictEqual(result.items.length, 250);
+      assert.strictEqual(requests.length, 3);
+      assert.strictEqual(result.nextCursor, undefined);
+    });
+
+    it('should stop at maxItems and resume exactly from the cursor', async () => {
+      global.fetch = pagedFetch(250, requests);
+      const first = await fetchPages(`${BASE}/rooms?max=100`, { headers: {}, all: true, maxItems: 150 });
+
+      assert.strictEqual(first.items.length, 150);
+      assert.strictEqual(requests[1].searchParams.get('max'), '50', 'Final page should be shrunk');
+
+      const second = await fetchPages(decodeCursor(first.nextCursor), { headers: {}, all: true });
+      assert.strictEqual(second.items[0].id, 'item-150');
+      assert.strictEqual(first.items.length + second.items.length, 250);
+    });
+
+    it('should throw with the Webex error message on failure', async () => {
+      global.fetch = async () => new Response(JSON.stringify({ message: 'Forbidden' }), { status: 403 });
+      await assert.rejects(fetchPages(`${BASE}/rooms?max=100`, { headers: {} }), /Forbidden/);
+    });
+  });
+
+  describe('list tools', () => {
+    it('should expose all, maxItems and cursor on paginated list tools', async () => {
+      const tools = await discoverTools();
+      const paginated = ['list_rooms', 'list_messages', 'list_people', 'list_memberships', 'list_team_memberships', 'list_webhooks', 'list_events', 'list_teams'];
+
+      for (const name of paginated) {
+        const tool = tools.find(t => t.definition.function.name === name);
+        const props = tool.definition.function.parameters.properties;
+        assert.ok(props.all && props.maxItems && props.cursor, `${name} should support pagination parameters`);
+      }
+      // Webex returns these in one response
+      for (const name of ['list_direct_messages', 'list_room_tabs', 'list_ecm_folder']) {
+        const tool = tools.find(t => t.definition.function.name === name);
+        assert.ok(!tool.definition.function.parameters.properties.cursor, `${name} has nothing to page through`);
+      }
+    });
+
+    it('should page through messages and summarize every page', async () => {
+      global.fetch = pagedFetch(120, requests);
+      const tools = await discoverTools();
+      const tool = tools.find(t => t.definition.function.name === 'list_messages');
+
+      const first = await tool.function({ roomId: 'room-1', max: 50 });
+      assert.strictEqual(first.items.length, 50);
+      const next = await tool.function({ roomId: 'room-1', cursor: first.nextCursor });
+      assert.strictEqual(next.items[0].id, 'item-50');
+
+      const all = await tool.function({ roomId: 'room-1', max: 50, all: true, maxItems: 110 });
+      assert.strictEqual(all.items.length, 110);
+      assert.ok(all.nextCursor);
+      assert.deepStrictEqual(Object.keys(all.items[0]).sort(), ['created', 'id', 'parentId', 'personEmail', 'personId', 'roomType', 'text']);
+    });
+
+    it('should return every member of a room with all: true', async () => {
+      global.fetch = pagedFetch(230, requests);
+      const tools = await discoverTools();
+      const tool = tools.find(t => t.definition.function.name === 'list_memberships');
+
+      const result = await tool.function({ roomId: 'room-1', all: true });
+      assert.strictEqual(result.items.length, 230);
+      assert.ok(requests.every(url => url.searchParams.get('roomId') === 'room-1'));
+    });
+
+    it('should continue from a cursor passed back by the model', async () => {
+      global.fetch = pagedFetch(230, requests);
+      const tools = await discoverTools();
+      const tool = tools.find(t => t.definition.function.name === 'list_memberships');
+
+      const page1 = await tool.function({ roomId: 'room-1' });
+      const page2 = await tool.function({ cursor: page1.nextCursor });
+      assert.strictEqual(page2.items[0].id, 'item-100');
+    });
+  });
+});
@@ -0,0 +1,187 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { registerWebexResources, roomUri, RESOURCE_NOT_FOUND } from '../lib/resources.js';
+import { initializeAuth } from '../lib/webex-config.js';
+import { createToolPolicy } from '../lib/tool-policy.js';
+
+const BASE = 'https://webexapis.com/v1';
+
+const ROOMS = [
+  { id: 'room-1', title: 'Project Phoenix', type: 'group', lastActivity: '2025-03-10T09:00:00.000Z' },
+  { id: 'room-2', title: 'Phoenix Ops', type: 'group' },
+  { id: 'room-3', title: 'Ada Lovelace', type: 'direct' }
+];
+
+describe('MCP Resources', () => {
+  let originalEnv;
+  let originalFetch;
+  let requests;
+  let client;
+  let server;
+
+  /**
+   * Mock Webex with two pages of rooms, messages and people
+   */
+  function workspaceFetch(url, options = {}) {
+    const parsed = new URL(url);
+    requests.push({ url: parsed, headers: options.headers });
+    const json = (body, init = {}) => new Response(JSON.stringify(body), { status: 200, ...init });
+
+    switch (parsed.pathname) {
+      case '/v1/rooms':
+        if (parsed.searchParams.get('page') === '2') {
+          return json({ items: [ROOMS[2]] });
+        }
+        return json({ items: ROOMS.slice(0, 2) }, {
+          headers: { Link: `<${BASE}/rooms?sortBy=lastactivity&max=100&page=2>; rel="next"` }
+        });
+      case '/v1/rooms/room-1':
+        return json(ROOMS[0]);
+      case '/v1/messages':
+        return json({ items: [{ id: 'msg-1', roomId: parsed.searchParams.get('roomId'), text: 'Launch at noon', personEmail: 'ada@example.com' }] });
+      case '/v1/people/me':
+        return json({ id: 'me-1', displayName: 'Test User' });
+      case '/v1/people/person-1':
+        return json({ id: 'person-1', displayName: 'Ada Lovelace' });
+      default:
+        return json({ message: 'The requested resource could not be found.' }, { status: 404 });
+    }
+  }
+
+  async function connect(options) {
+    server = new McpServer({ name: 'resources-test', version: '1.0.0' });
+    registerWebexResources(server, options);
+    client = new Client({ name: 'resources-client', version: '1.0.0' });
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+  }
+
+  beforeEach(async () => {
+    originalEnv = { ...process.env };
+    originalFetch = global.fetch;
+    process.env.WEBEX_PUBLIC_WORKSPACE_API_KEY = 'test-token-123';
+    process.env.WEBEX_API_BASE_URL = BASE;
+    await initializeAuth();
+    requests = [];
+    global.fetch = async (url, options) => workspaceFetch(url, options);
+  });
+
+  afterEach(async () => {
+    await client?.close();
+    await server?.close();
+    process.env = originalEnv;
+    global.fetch = originalFetch;
+  });
+
+  describe('resources/list', () => {
+    it('should advertise the resources capability and templates', async () => {
+      await connect();
+
+      assert.ok(client.getServerCapabilities().resources);
+      const { resourceTemplates } = await client.listResourceTemplates();
+      assert.deepStrictEqual(resourceTemplates.map(t => t.uriTemplate).sort(), [
+        'webex://people/{personId}',
+        'webex://rooms/{roomId}',
+        'webex://rooms/{roomId}/messages'
+      ]);
+    });
+
+    it('should page through rooms with nextCursor', async () => {
+      await connect();
+
+      const first = await client.listResources();
+      assert.deepStrictEqual(first.resources.map(r => r.uri), ['webex://me', 'webex://rooms', roomUri('room-1'), roomUri('room-2')]);
+      assert.strictEqual(first.resources[2].name, 'Project Phoenix');
+      assert.ok(first.nextCursor, 'More rooms remain');
+      assert.strictEqual(requests[0].url.searchParams.get('sortBy'), 'lastactivity');
+
+      const second = await client.listResources({ cursor: first.nextCursor });
+      assert.deepStrictEqual(second.resources.map(r => r.uri), [roomUri('room-3')]);
+      assert.strictEqual(second.nextCursor, undefined);
+    });
+
+    it('should leave out resources whose tool the policy disables', async () => {
+      await connect({ toolPolicy: createToolPolicy({ deny: ['list_messages', 'get_my_own_details'] }) });
+
+      const { resourceTemplates } = await client.listResourceTemplates();
+      assert.deepStrictEqual(resourceTemplates.map(t => t.uriTemplate).sort(), [
+        'webex://people/{personId}',
+        'webex://rooms/{roomId}'
+      ]);
+      const { resources } = await client.listResources();
+      assert.deepStrictEqual(resources.map(r => r.uri), ['webex://rooms', roomUri('room-1'), roomUri('room-2')]);
+      await assert.rejects(client.readResource({ uri: 'webex://rooms/room-1/messages' }));
+      assert.ok(!requests.some(request => request.url.pathname === '/v1/messages'));
+    });
+
+    it('should reject a cursor from elsewhere', async () => {
+      await connect();
+      await assert.rejects(client.listResources({ cursor: 'bogus' }), (error) => {
+        assert.strictEqual(error.code, ErrorCode.InvalidParams);
+        assert.match(error.message, /Invalid pagination cursor/);
+        return true;
+      });
+    });
+  });
+
+  describe('resources/read', () => {
+    it('should read a room, its messages, a person and me', async () => {
+      await connect();
+
+      const room = await client.readResource({ uri: roomUri('room-1') });
+      assert.strictEqual(room.contents[0].mimeType, 'application/json');
+      assert.strictEqual(JSON.parse(room.contents[0].text).title, 'Project Phoenix');
+
+      const messages = await client.readResource({ uri: `${roomUri('room-1')}/messages` });
+      const { items } = JSON.parse(messages.contents[0].text);
+      assert.strictEqual(items[0].text, 'Launch at noon');
+      assert.strictEqual(requests.at(-1).url.searchParams.get('roomId'), 'room-1');
+      assert.strictEqual(requests.at(-1).url.searchParams.get('max'), '50');
+
+      const person = await client.readResource({ uri: 'webex://people/person-1' });
+      assert.strictEqual(JSON.parse(person.contents[0].text).displayName, 'Ada Lovelace');
+
+      const me = await client.readResource({ uri: 'webex://me' });
+      assert.strictEqual(JSON.parse(me.contents[0].text).displayName, 'Test User');
+    });
+
+    it('should report unknown rooms as resource not found', async () => {
+      await connect();
+      await assert.rejects(client.readResource({ uri: roomUri('missing') }), (error) => {
+        assert.strictEqual(error.code, RESOURCE_NOT_FOUND);
+        return true;
+      });
+    });
+
+    it('should read with the session\'s own Webex token', async () => {
+      await connect({ sessionAuth: { resolveWebexToken: async () => 'session-token' } });
+
+      await client.readResource({ uri: roomUri('room-1') });
+      assert.strictEqual(requests.at(-1).headers.Authorization, 'Bearer session-token');
+    });
+  });
+
+  describe('completion', () => {
+    it('should complete {roomId} from room titles', async () => {
+      let clock = 0;
+      await connect({ now: () => clock });
+
+      const complete = (value, uri = 'webex://rooms/{roomId}') => client.complete({
+        ref: { type: 'ref/resource', uri },
+        argument: { name: 'roomId', value }
+      });
+
+      assert.deepStrictEqual((await complete('phoenix')).completion.values, ['room-1', 'room-2']);
+      assert.deepStrictEqual((await complete('ops', 'webex://rooms/{roomId}/messages')).completion.values, ['room-2']);
+      assert.strictEqual(requests.length, 1, 'Room titles are cached between keystrokes');
+
+      clock += 60 * 1000;
+      await complete('room-');
+      assert.strictEqual(requests.length, 2, 'Cache expires');
+    });
+  });
+});
@@ -0,0 +1,244 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, rm, readFile, appendFile, readdir } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { exportRoom, nestThreads, toMbox, resolveExportDir } from '../lib/room-export.js';
+import { discoverTools } from '../lib/tools.js';
+import { initializeAuth } from '../lib/webex-config.js';
+
+const BASE = 'https://webexapis.com/v1';
+const CSV_URL = `${BASE}/contents/Y29udGVudC1jc3Y`;
+const BIG_URL = `${BASE}/contents/Y29udGVudC1iaWc`;
+const ROOM = { id: 'room-1', title: 'Design <Review>', type: 'group' };
+
+const created = n => new Date(Date.parse('2026-10-01T09:00:00.000Z') + n * 60000).toISOString();
+
+// 150 messages, newest first as Webex lists them
+function buildMessages() {
+  const messages = [];
+  for (let n = 150; n >= 1; n--) {
+    messages.push({ id: `m${String(n).padStart(3, '0')}`, roomId: ROOM.id, created: created(n), text: `Message ${n}`, personId: 'p-bob', personEmail: 'bob@example.com' });
+  }
+  const byId = id => messages.find(msg => msg.id === id);
+  Object.assign(byId('m150'), { personId: 'p-alice', personEmail: 'alice@example.com', text: 'Ship it' });
+  Object.assign(byId('m149'), { parentId: 'm148', text: 'Agreed' });
+  Object.assign(byId('m147'), { parentId: 'm000', text: 'Reply to a deleted message' });
+  Object.assign(byId('m146'), { text: 'Specs attached', files: [CSV_URL, BIG_URL] });
+  Object.assign(byId('m145'), { text: '<script>alert(1)</script>\nFrom here on, be careful' });
+  return messages;
+}
+
+describe('Room Export', () => {
+  let dir;
+  let originalEnv;
+  let originalFetch;
+  let requests;
+  let messages;
+  let failOnCursor;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'webex-export-'));
+    originalEnv = { ...process.env };
+    originalFetch = global.fetch;
+    process.env.WEBEX_PUBLIC_WORKSPACE_API_KEY = 'test-token-123';
+    process.env.WEBEX_API_BASE_URL = BASE;
+    process.env.WEBEX_EXPORT_DIR = dir;
+    process.env.WEBEX_ATTACHMENT_MAX_BYTES = '1024';
+    await initializeAuth();
+
+    messages = buildMessages();
+    failOnCursor = null;
+    requests = [];
+    global.fetch = async (url) => {
+      const parsed = new URL(url);
+      const params = Object.fromEntries(parsed.searchParams);
+      requests.push({ path: parsed.pathname, params });
+      const json = (data, status = 200) => new Response(JSON.stringify(data), { status });
+
+      if (parsed.pathname === '/v1/rooms/room-1') return json(ROOM);
+      if (parsed.pathname === '/v1/people') {
+        return json({ items: params.id.split(',').filter(id => id === 'p-alice').map(id => ({ id, displayName: 'Alice Smith' })) });
+      }
+      if (parsed.pathname === '/v1/messages') {
+        if (failOnCursor && params.beforeMessage === failOnCursor) return json({ message: 'Forbidden' }, 403);
+        const start = params.beforeMessage ? messages.findIndex(msg => msg.id === params.beforeMessage) + 1 : 0;
+        return json({ items: messages.slice(start, start + Number(params.max)) });
+      }
+      if (url === CSV_URL) {
+        return new Response('a,b\n1,2\n', { status: 200, headers: { 'Content-Type': 'text/csv', 'Content-Disposition': 'attachment; filename="specs.csv"' } });
+      }
+      if (url === BIG_URL) {
+        return new Response('x', { status: 200, headers: { 'Content-Type': 'video/mp4', 'Content-Length': '5000000' } });
+      }
+      return json({ message: 'Not found' }, 404);
+    };
+  });
+
+  afterEach(async () => {
+    process.env = originalEnv;
+    global.fetch = originalFetch;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  describe('threads', () => {
+    it('should nest replies under their root, oldest first', () => {
+      const threads = nestThreads(buildMessages());
+      assert.strictEqual(threads.length, 149);
+      assert.strictEqual(threads[0].id, 'm001');
+
+      const root = threads.find(msg => msg.id === 'm148');
+      assert.deepStrictEqual(root.replies.map(msg => msg.id), ['m149']);
+      assert.ok(threads.some(msg => msg.id === 'm147'), 'Replies to deleted messages are kept as roots');
+    });
+  });
+
+  describe('exportRoom', () => {
+    it('should page through the whole room and write every format', async () => {
+      const result = await exportRoom({ roomId: 'room-1', dir });
+
+      assert.strictEqual(result.complete, true);
+      assert.strictEqual(result.messages, 150);
+      assert.deepStrictEqual(result.files.map(file => file.slice(dir.length + 1)), ['transcript.md', 'transcript.html', 'messages.jsonl', 'room.mbox']);
+
+      const pages = requests.filter(request => request.path === '/v1/messages');
+      assert.deepStrictEqual(pages.map(request => request.params.beforeMessage), [undefined, 'm051']);
+      assert.strictEqual(requests.filter(request => request.path === '/v1/people').length, 1, 'Authors are looked up once');
+
+      const markdown = await readFile(join(dir, 'transcript.md'), 'utf8');
+      assert.ok(markdown.startsWith('# Design <Review>\n\n'));
+      assert.ok(markdown.includes('**bob@example.com** (2026-10-01 09:01 UTC):\nMessage 1'));
+      assert.ok(markdown.includes('**Alice Smith** (2026-10-01 11:30 UTC):\nShip it'));
+      assert.ok(markdown.includes('Message 148\n\n> **bob@example.com** (2026-10-01 11:29 UTC):\n> Agreed'));
+      assert.ok(markdown.includes('- attachment 1 (not downloaded)'));
+
+      const html = await readFile(join(dir, 'transcript.html'), 'utf8');
+      assert.ok(html.includes('<title>Design &lt;Review&gt;</title>'));
+      assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+      assert.ok(!html.includes('<script>'));
+      assert.match(html, /<article id="m148">[\s\S]*?<div class="replies">\n<article id="m149">/);
+
+      const lines = (await readFile(join(dir, 'messages.jsonl'), 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+      assert.strictEqual(lines.length, 150);
+      assert.deepStrictEqual(lines.slice(147, 150).map(msg => msg.id), ['m148', 'm149', 'm150']);
+      assert.strictEqual(lines[149].author, 'Alice Smith');
+    });
+
+    it('should write replies and escaped From lines as mbox', async () => {
+      const threads = nestThreads(buildMessages().filter(msg => ['m148', 'm149', 'm145'].includes(msg.id)))
+        .map(msg => ({ ...msg, author: 'Bob "B" Lee', replies: msg.replies.map(reply => ({ ...reply, author: 'Zoë' })) }));
+      const mbox = toMbox(ROOM, threads, {});
+
+      assert.ok(mbox.startsWith('From bob@example.com Thu Oct  1 11:25:00 2026\nFrom: "Bob \\"B\\" Lee" <bob@example.com>\nDate: Thu, 01 Oct 2026 11:25:00 +0000\nSubject: Design <Review>\n'));
+      assert.ok(mbox.includes('\n>From here on, be careful\n'));
+      assert.ok(mbox.includes('From: "=?UTF-8?B?Wm/Dqw==?=" <bob@example.com>'));
+      assert.ok(mbox.includes('Subject: Re: Design <Review>\nMessage-ID: <m149@webex>\nIn-Reply-To: <m148@webex>\n'));
+    });
+
+    it('should resume an interrupted export from the saved cursor', async () => {
+      failOnCursor = 'm051';
+      await assert.rejects(exportRoom({ roomId: 'room-1', dir }), /Forbidden/);
+
+      // A write cut short leaves a partial line behind
+      await appendFile(join(dir, '.export', 'raw.jsonl'), '{"id":"m05');
+      failOnCursor = null;
+      requests.length = 0;
+
+      const result = await exportRoom({ roomId: 'room-1', dir, formats: ['jsonl'] });
+      assert.strictEqual(result.resumed, true);
+      assert.strictEqual(result.complete, true);
+      assert.strictEqual(result.messages, 150);
+      assert.deepStrictEqual(requests.filter(request => request.path === '/v1/messages').map(request => request.params.beforeMessage), ['m051']);
+
+      const lines = (await readFile(join(dir, 'messages.jsonl'), 'utf8')).trim().split('\n');
+      assert.strictEqual(new Set(lines.map(line => JSON.parse(line).id)).size, 150);
+    });
+
+    it('should stop at maxMessages and carry on in the next call', async () => {
+      const first = await exportRoom({ roomId: 'room-1', dir, maxMessages: 100 });
+      assert.strictEqual(first.complete, false);
+      assert.strictEqual(first.fetched, 100);
+      assert.strictEqual(first.files, undefined);
+
+      const second = await exportRoom({ roomId: 'room-1', dir, maxMessages: 100 });
+      assert.strictEqual(second.complete, true);
+      assert.strictEqual(second.fetched, 50);
+
+      const restarted = await exportRoom({ roomId: 'room-1', dir, maxMessages: 100, restart: true });
+      assert.strictEqual(restarted.resumed, false);
+      assert.strictEqual(restarted.fetched, 100);
+    });
+
+    it('should add messages posted since a finished export', async () => {
+      await exportRoom({ roomId: 'room-1', dir, formats: ['jsonl'] });
+      for (let n = 151; n <= 270; n++) {
+        messages.unshift({ id: `m${n}`, roomId: ROOM.id, created: created(n), text: `Message ${n}`, personId: 'p-bob', personEmail: 'bob@example.com' });
+      }
+      requests.length = 0;
+
+      const partial = await exportRoom({ roomId: 'room-1', dir, formats: ['jsonl'], maxMessages: 50 });
+      assert.strictEqual(partial.complete, false);
+      assert.strictEqual(partial.fetched, 100);
+
+      const caughtUp = await exportRoom({ roomId: 'room-1', dir, formats: ['jsonl'], maxMessages: 50 });
+      assert.strictEqual(caughtUp.complete, true);
+      assert.strictEqual(caughtUp.fetched, 20);
+      assert.strictEqual(caughtUp.messages, 270);
+      assert.deepStrictEqual(requests.filter(request => request.path === '/v1/messages').map(request => request.params.beforeMessage), [undefined, 'm171']);
+
+      const lines = (await readFile(join(dir, 'messages.jsonl'), 'utf8')).trim().split('\n');
+      assert.strictEqual(JSON.parse(lines[269]).id, 'm270');
+
+      const again = await exportRoom({ roomId: 'room-1', dir, formats: ['jsonl'] });
+      assert.strictEqual(again.fetched, 0);
+    });
+
+    it('should download attachments into the folder and link them', async () => {
+      const result = await exportRoom({ roomId: 'room-1', dir, formats: ['markdown'], attachments: true });
+
+      assert.deepStrictEqual(result.attachments, { downloaded: 1, tooLarge: 1, failed: 0, pending: 0 });
+      assert.deepStrictEqual(await readdir(join(dir, 'attachments')), ['specs.csv']);
+      assert.strictEqual(await readFile(join(dir, 'attachments', 'specs.csv'), 'utf8'), 'a,b\n1,2\n');
+
+      const markdown = await readFile(join(dir, 'transcript.md'), 'utf8');
+      assert.ok(markdown.includes('Specs attached\n- [specs.csv](attachments/specs.csv)\n- attachment 2 (too large to download)'));
+    });
+
+    it('should refuse unknown formats and folders holding another room', async () => {
+      await assert.rejects(exportRoom({ roomId: 'room-1', dir, formats: ['pdf'] }), /Unknown export format pdf/);
+
+      await exportRoom({ roomId: 'room-1', dir, maxMessages: 1 });
+      await assert.rejects(exportRoom({ roomId: 'room-2', dir }), /export of another room/);
+      await assert.rejects(exportRoom({ roomId: 'room-2', dir, restart: true }), /export of another room/);
+      assert.strictEqual(JSON.parse(await readFile(join(dir, '.export', 'state.json'), 'utf8')).roomId, 'room-1', 'A restart leaves the other export alone');
+    });
+  });
+
+  describe('export_room_history tool', () => {
+    let tool;
+
+    beforeEach(async () => {
+      const tools = await discoverTools();
+      tool = tools.find(t => t.definition.function.name === 'export_room_history');
+    });
+
+    it('should export into a folder named after the room', async () => {
+      assert.strictEqual(await resolveExportDir('room-1', 'design'), join(dir, 'design'));
+      assert.match(await resolveExportDir('room-1'), /design-review-[0-9a-f]{8}$/);
+
+      const first = await tool.function({ roomId: 'room-1', maxMessages: 100 });
+      assert.strictEqual(first.complete, false);
+      assert.match(first.next, /Call export_room_history again/);
+
+      const second = await tool.function({ roomId: 'room-1' });
+      assert.strictEqual(second.complete, true);
+      assert.strictEqual(second.dir, first.dir);
+      assert.strictEqual(second.files.length, 4);
+    });
+
+    it('should only accept plain folder names', async () => {
+      const result = await tool.function({ roomId: 'room-1', folder: '../elsewhere' });
+      assert.match(result.error.message, /Invalid folder name/);
+    });
+  });
+});
@@ -0,0 +1,174 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { z } from 'zod';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { jsonSchemaToZod, convertJsonSchemaToZod } from '../lib/schema.js';
+import { discoverTools } from '../lib/tools.js';
+
+describe('JSON Schema to Zod Conversion', () => {
+  describe('primitives', () => {
+    it('should convert string, number, integer and boolean', () => {
+      assert.strictEqual(jsonSchemaToZod({ type: 'string' }).parse('a'), 'a');
+      assert.strictEqual(jsonSchemaToZod({ type: 'number' }).parse(1.5), 1.5);
+      assert.throws(() => jsonSchemaToZod({ type: 'integer' }).parse(1.5));
+      assert.strictEqual(jsonSchemaToZod({ type: 'boolean' }).parse(true), true);
+    });
+
+    it('should accept anything for untyped schemas instead of forcing string', () => {
+      assert.deepStrictEqual(jsonSchemaToZod({}).parse({ a: 1 }), { a: 1 });
+      assert.strictEqual(jsonSchemaToZod({ type: 'mystery' }).parse(42), 42);
+    });
+
+    it('should apply numeric bounds', () => {
+      const schema = jsonSchemaToZod({ type: 'integer', minimum: 1, maximum: 100 });
+      assert.strictEqual(schema.parse(50), 50);
+      assert.throws(() => schema.parse(0));
+      assert.throws(() => schema.parse(101));
+    });
+
+    it('should apply string formats and length constraints', () => {
+      assert.throws(() => jsonSchemaToZod({ type: 'string', format: 'email' }).parse('not-an-email'));
+      assert.throws(() => jsonSchemaToZod({ type: 'string', format: 'uri' }).parse('not a url'));
+      assert.ok(jsonSchemaToZod({ type: 'string', format: 'date-time' }).parse('2024-01-27T18:00:00Z'));
+      assert.throws(() => jsonSchemaToZod({ type: 'string', maxLength: 3 }).parse('abcd'));
+      assert.throws(() => jsonSchemaToZod({ type: 'string', pattern: '^Y2lz' }).parse('abc'));
+    });
+  });
+
+  describe('enums and unions', () => {
+    it('should convert string enums', () => {
+      const schema = jsonSchemaToZod({ type: 'string', enum: ['group', 'direct'] });
+      assert.strictEqual(schema.parse('group'), 'group');
+      assert.throws(() => schema.parse('other'));
+    });
+
+    it('should convert mixed enums to literal unions', () => {
+      const schema = jsonSchemaToZod({ enum: [1, 'two', true] });
+      assert.strictEqual(schema.parse(1), 1);
+      assert.strictEqual(schema.parse('two'), 'two');
+      assert.throws(() => schema.parse(false));
+    });
+
+    it('should convert anyOf/oneOf and type arrays', () => {
+      const anyOf = jsonSchemaToZod({ anyOf: [{ type: 'string' }, { type: 'integer' }] });
+      assert.strictEqual(anyOf.parse(3), 3);
+      assert.strictEqual(anyOf.parse('3'), '3');
+      assert.throws(() => anyOf.parse(true));
+
+      const nullable = jsonSchemaToZod({ type: ['string', 'null'] });
+      assert.strictEqual(nullable.parse(null), null);
+    });
+  });
+
+  describe('arrays and objects', () => {
+    it('should validate typed array items', () => {
+      const schema = jsonSchemaToZod({ type: 'array', items: { type: 'string' }, maxItems: 2 });
+      assert.deepStrictEqual(schema.parse(['a', 'b']), ['a', 'b']);
+      assert.throws(() => schema.parse([1]));
+      assert.throws(() => schema.parse(['a', 'b', 'c']));
+    });
+
+    it('should validate nested objects with required fields', () => {
+      const schema = jsonSchemaToZod({
+        type: 'object',
+        properties: {
+          type: { type: 'string' },
+          value: { type: 'string' }
+        },
+        required: ['value']
+      });
+      assert.deepStrictEqual(schema.parse({ value: '555' }), { value: '555' });
+      assert.throws(() => schema.parse({ type: 'work' }));
+    });
+
+    it('should pass through unknown keys on open objects', () => {
+      const schema = jsonSchemaToZod({ type: 'object', properties: { Name: { type: 'string' } } });
+      assert.deepStrictEqual(schema.parse({ Name: 'a', comment: 'b' }), { Name: 'a', comment: 'b' });
+      assert.deepStrictEqual(jsonSchemaToZod({ type: 'object' }).parse({ displayName: 'x' }), { displayName: 'x' });
+    });
+
+    it('should reject unknown keys when additionalProperties is false', () => {
+      const schema = jsonSchemaToZod({ type: 'object', properties: { a: { type: 'string' } }, additionalProperties: false });
+      assert.throws(() => schema.parse({ a: 'x', b: 'y' }));
+    });
+
+    it('should validate additionalProperties schemas', () => {
+      const schema = jsonSchemaToZod({ type: 'object', additionalProperties: { type: 'number' } });
+      assert.deepStrictEqual(schema.parse({ a: 1 }), { a: 1 });
+      assert.throws(() => schema.parse({ a: 'x' }));
+    });
+  });
+
+  describe('defaults, descriptions and optionality', () => {
+    it('should apply defaults and keep descriptions', () => {
+      const shape = convertJsonSchemaToZod({
+        max: { type: 'integer', default: 50, description: 'Page size.' },
+        roomId: { type: 'string', description: 'The room.' }
+      }, ['roomId']);
+
+      const schema = z.object(shape);
+      assert.deepStrictEqual(schema.parse({ roomId: 'r' }), { roomId: 'r', max: 50 });
+      assert.throws(() => schema.parse({}));
+      assert.strictEqual(shape.roomId.description, 'The room.');
+    });
+
+    it('should make non-required properties optional', () => {
+      const schema = z.object(convertJsonSchemaToZod({ text: { type: 'string' } }, []));
+      assert.deepStrictEqual(schema.parse({}), {});
+    });
+
+    it('should return an empty shape for missing properties', () => {
+      assert.deepStrictEqual(convertJsonSchemaToZod(undefined), {});
+    });
+  });
+
+  describe('tool registration', () => {
+    it('should convert every tool definition', async () => {
+      const tools = await discoverTools();
+      for (const tool of tools) {
+        const params = tool.definition.function.parameters;
+        assert.doesNotThrow(
+          () => z.object(convertJsonSchemaToZod(params.properties, params.required)),
+          `${tool.definition.function.name} should convert`
+        );
+      }
+    });
+
+    it('should expose descriptions and keep nested inputs through the MCP SDK', async () => {
+      const tools = await discoverTools();
+      const tool = tools.find(t => t.definition.function.name === 'create_attachment_action');
+      const params = tool.definition.function.parameters;
+
+      const server = new McpServer({ name: 'schema-test', version: '1.0.0' });
+      let received;
+      server.registerTool('create_attachment_action', {
+        description: tool.definition.function.description,
+        inputSchema: convertJsonSchemaToZod(params.properties, params.required)
+      }, async (args) => {
+        received = args;
+        return { content: [{ type: 'text', text: 'ok' }] };
+      });
+
+      const client = new Client({ name: 'schema-test-client', version: '1.0.0' });
+      const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+      await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+
+      const { tools: listed } = await client.listTools();
+      const inputSchema = listed[0].inputSchema;
+      assert.strictEqual(inputSchema.properties.messageId.description, params.properties.messageId.description);
+      assert.strictEqual(inputSchema.properties.inputs.type, 'object');
+      assert.ok(inputSchema.properties.inputs.properties.Name, 'Nested properties should be advertised');
+
+      await client.callTool({
+        name: 'create_attachment_action',
+        arguments: { type: 'submit', messageId: 'msg-1', inputs: { Name: 'Ada', approved: 'yes' } }
+      });
+      assert.deepStrictEqual(received.inputs, { Name: 'Ada', approved: 'yes' });
+
+      await client.close();
+      await server.close();
+    });
+  });
+});
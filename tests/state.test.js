@@ -81,6 +81,18 @@ describe('State Manager', () => {
     });
   });
 
+  describe('registerRooms', () => {
+    it('should only add rooms that are not tracked yet', async () => {
+      const sm = createStateManager(statePath);
+      await sm.markChecked('room-a', '2025-01-01T00:00:00.000Z');
+
+      const added = await sm.registerRooms({ 'room-a': '2025-06-01T00:00:00.000Z', 'room-b': '2025-06-01T00:00:00.000Z' });
+      assert.deepStrictEqual(added, ['room-b']);
+      assert.strictEqual(await sm.getLastChecked('room-a'), '2025-01-01T00:00:00.000Z');
+      assert.strictEqual(await createStateManager(statePath).getLastChecked('room-b'), '2025-06-01T00:00:00.000Z');
+    });
+  });
+
   describe('corrupt file recovery', () => {
     it('should recover from corrupt JSON and reset to empty state', async () => {
       // Write corrupt JSON to state file
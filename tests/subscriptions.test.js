@@ -0,0 +1,169 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { ErrorCode, ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { createSubscriptionManager, parseSubscriptionUri, WEBHOOK_NAME_PREFIX } from '../lib/subscriptions.js';
+import { registerWebexResources, roomUri } from '../lib/resources.js';
+import { initializeAuth, runWithWebexToken } from '../lib/webex-config.js';
+
+const BASE = 'https://webexapis.com/v1';
+const TARGET_URL = 'https://mcp.example.com/webhooks/webex';
+
+describe('Resource Subscriptions', () => {
+  let originalEnv;
+  let originalFetch;
+  let requests;
+  let nextWebhook;
+
+  /**
+   * Mock Webex webhooks API, recording each request with its body and token
+   */
+  async function webhookFetch(url, options = {}) {
+    const { pathname } = new URL(url);
+    const body = options.body ? JSON.parse(options.body) : undefined;
+    requests.push({ method: options.method || 'GET', pathname, body, authorization: options.headers?.Authorization });
+
+    if (pathname === '/v1/webhooks' && options.method === 'POST') {
+      return new Response(JSON.stringify({ id: `wh-${++nextWebhook}`, ...body, status: 'active' }), { status: 200 });
+    }
+    if (pathname.startsWith('/v1/webhooks/') && options.method === 'DELETE') {
+      return new Response(null, { status: 204 });
+    }
+    return new Response(JSON.stringify({ message: 'Not found' }), { status: 404 });
+  }
+
+  const messagesUri = roomId => `${roomUri(roomId)}/messages`;
+  const event = (webhookId, roomId) => ({ webhookId, resource: 'messages', event: 'created', roomId, data: { id: 'msg-1', roomId } });
+
+  beforeEach(async () => {
+    originalEnv = { ...process.env };
+    originalFetch = global.fetch;
+    process.env.WEBEX_PUBLIC_WORKSPACE_API_KEY = 'test-token-123';
+    process.env.WEBEX_API_BASE_URL = BASE;
+    await initializeAuth();
+    requests = [];
+    nextWebhook = 0;
+    global.fetch = webhookFetch;
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    global.fetch = originalFetch;
+  });
+
+  describe('subscription manager', () => {
+    it('should only accept room message URIs', async () => {
+      assert.strictEqual(parseSubscriptionUri(messagesUri('room 1')), 'room 1');
+      assert.strictEqual(parseSubscriptionUri(roomUri('room-1')), null);
+
+      const manager = createSubscriptionManager({ targetUrl: TARGET_URL });
+      await assert.rejects(
+        manager.subscribe('s1', 'webex://me', { notify() {}, run: fn => fn() }),
+        (error) => error.code === ErrorCode.InvalidParams
+      );
+      assert.strictEqual(requests.length, 0);
+    });
+
+    it('should register one webhook per session and room, and notify on events', async () => {
+      const manager = createSubscriptionManager({ targetUrl: TARGET_URL });
+      const notified = [];
+      const session = { notify: uri => notified.push(uri), run: fn => fn() };
+
+      await Promise.all([
+        manager.subscribe('s1', messagesUri('room-1'), session),
+        manager.subscribe('s1', messagesUri('room-1'), session)
+      ]);
+
+      assert.strictEqual(requests.length, 1, 'Concurrent subscriptions share one webhook');
+      const [{ body }] = requests;
+      assert.strictEqual(body.targetUrl, TARGET_URL);
+      assert.strictEqual(body.resource, 'messages');
+      assert.strictEqual(body.event, 'all');
+      assert.strictEqual(body.filter, 'roomId=room-1');
+      assert.ok(body.name.startsWith(WEBHOOK_NAME_PREFIX));
+      assert.strictEqual(manager.getWebhookContext('wh-1').secret, body.secret);
+      assert.strictEqual(manager.getWebhookContext('wh-unknown'), null);
+
+      assert.strictEqual(manager.handleEvent(event('wh-1', 'room-1')), 1);
+      assert.deepStrictEqual(notified, [messagesUri('room-1')]);
+
+      assert.strictEqual(manager.handleEvent(event('wh-unknown', 'room-1')), 0, 'Unknown webhooks are ignored');
+      assert.strictEqual(manager.handleEvent(event('wh-1', 'room-2')), 0, 'Events for other rooms are ignored');
+    });
+
+    it('should delete webhooks with the session\'s token when the session ends', async () => {
+      const manager = createSubscriptionManager({ targetUrl: TARGET_URL });
+      const session = { notify() {}, run: fn => runWithWebexToken('session-token', fn) };
+
+      await session.run(() => manager.subscribe('s1', messagesUri('room-1'), session));
+      await session.run(() => manager.subscribe('s1', messagesUri('room-2'), session));
+      assert.deepStrictEqual(manager.describe(), { sessions: 1, webhooks: 2 });
+
+      await manager.removeSession('s1');
+
+      const deletes = requests.filter(r => r.method === 'DELETE');
+      assert.deepStrictEqual(deletes.map(r => r.pathname).sort(), ['/v1/webhooks/wh-1', '/v1/webhooks/wh-2']);
+      assert.ok(deletes.every(r => r.authorization === 'Bearer session-token'));
+      assert.deepStrictEqual(manager.describe(), { sessions: 0, webhooks: 0 });
+      assert.strictEqual(manager.handleEvent(event('wh-1', 'room-1')), 0);
+    });
+
+    it('should surface webhook registration failures', async () => {
+      global.fetch = async () => new Response(JSON.stringify({ message: 'targetUrl is unreachable' }), { status: 400 });
+      const manager = createSubscriptionManager({ targetUrl: TARGET_URL });
+
+      await assert.rejects(
+        manager.subscribe('s1', messagesUri('room-1'), { notify() {}, run: fn => fn() }),
+        /Could not register a Webex webhook.*targetUrl is unreachable/
+      );
+      assert.deepStrictEqual(manager.describe().webhooks, 0);
+    });
+  });
+
+  describe('MCP round trip', () => {
+    it('should send notifications/resources/updated to a subscribed client', async () => {
+      const manager = createSubscriptionManager({ targetUrl: TARGET_URL });
+      const server = new McpServer({ name: 'subscriptions-test', version: '1.0.0' });
+      registerWebexResources(server, { subscriptions: manager });
+
+      const client = new Client({ name: 'subscriptions-client', version: '1.0.0' });
+      const updates = [];
+      const received = new Promise(resolve => {
+        client.setNotificationHandler(ResourceUpdatedNotificationSchema, (notification) => {
+          updates.push(notification.params.uri);
+          resolve();
+        });
+      });
+
+      const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+      await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+      assert.strictEqual(client.getServerCapabilities().resources.subscribe, true);
+
+      await client.subscribeResource({ uri: messagesUri('room-1') });
+      assert.strictEqual(manager.handleEvent(event('wh-1', 'room-1')), 1);
+      await received;
+      assert.deepStrictEqual(updates, [messagesUri('room-1')]);
+
+      await client.unsubscribeResource({ uri: messagesUri('room-1') });
+      assert.ok(requests.some(r => r.method === 'DELETE' && r.pathname === '/v1/webhooks/wh-1'), 'Last unsubscribe deletes the webhook');
+
+      await client.close();
+      await server.close();
+    });
+
+    it('should not advertise subscriptions without a manager', async () => {
+      const server = new McpServer({ name: 'subscriptions-test', version: '1.0.0' });
+      registerWebexResources(server);
+      const client = new Client({ name: 'subscriptions-client', version: '1.0.0' });
+      const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+      await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+
+      assert.ok(!client.getServerCapabilities().resources.subscribe);
+
+      await client.close();
+      await server.close();
+    });
+  });
+});
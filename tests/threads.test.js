@@ -0,0 +1,159 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { fetchThread, threadToMarkdown, threadParticipants } from '../lib/threads.js';
+import { discoverTools } from '../lib/tools.js';
+import { initializeAuth } from '../lib/webex-config.js';
+
+const BASE = 'https://webexapis.com/v1';
+
+const ROOT = { id: 'root', roomId: 'room-1', personId: 'p-alice', personEmail: 'alice@example.com', created: '2026-10-19T10:00:00.000Z', text: 'Should we ship today?' };
+
+// Listed newest first, as Webex does
+const REPLIES = [
+  { id: 'reply-3', roomId: 'room-1', parentId: 'root', personId: 'p-alice', personEmail: 'alice@example.com', created: '2026-10-19T10:09:00.000Z', text: 'Shipping.', files: ['https://webexapis.com/v1/contents/1'] },
+  { id: 'reply-2', roomId: 'room-1', parentId: 'root', personId: 'p-carol', personEmail: 'carol@example.com', created: '2026-10-19T10:07:00.000Z', text: 'Tests pass\non staging' },
+  { id: 'reply-1', roomId: 'room-1', parentId: 'root', personId: 'p-bob', personEmail: 'bob@example.com', created: '2026-10-19T10:05:00.000Z', text: 'Yes, after the tests.' }
+];
+
+const PEOPLE = [
+  { id: 'p-alice', displayName: 'Alice Smith' },
+  { id: 'p-bob', displayName: 'Bob Lee' }
+];
+
+describe('Threads', () => {
+  let originalEnv;
+  let originalFetch;
+  let requests;
+
+  beforeEach(async () => {
+    originalEnv = { ...process.env };
+    originalFetch = global.fetch;
+    process.env.WEBEX_PUBLIC_WORKSPACE_API_KEY = 'test-token-123';
+    process.env.WEBEX_API_BASE_URL = BASE;
+    await initializeAuth();
+
+    requests = [];
+    global.fetch = async (url) => {
+      const parsed = new URL(url);
+      requests.push({ path: parsed.pathname, params: Object.fromEntries(parsed.searchParams) });
+      const json = data => new Response(JSON.stringify(data), { status: 200 });
+
+      if (parsed.pathname === '/v1/messages') {
+        const max = Number(parsed.searchParams.get('max'));
+        return json({ items: REPLIES.slice(0, max) });
+      }
+      if (parsed.pathname.startsWith('/v1/messages/')) {
+        const id = decodeURIComponent(parsed.pathname.split('/').pop());
+        const message = [ROOT, ...REPLIES].find(msg => msg.id === id);
+        return message ? json(message) : new Response(JSON.stringify({ message: 'Not found' }), { status: 404 });
+      }
+      if (parsed.pathname === '/v1/people') {
+        const ids = parsed.searchParams.get('id').split(',');
+        return json({ items: PEOPLE.filter(person => ids.includes(person.id)) });
+      }
+      return new Response(JSON.stringify({ message: 'Not found' }), { status: 404 });
+    };
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    global.fetch = originalFetch;
+  });
+
+  describe('fetchThread', () => {
+    it('should fetch the root and replies in order from a reply', async () => {
+      const thread = await fetchThread('reply-2');
+
+      assert.strictEqual(thread.root.id, 'root');
+      assert.deepStrictEqual(thread.replies.map(msg => msg.id), ['reply-1', 'reply-2', 'reply-3']);
+      assert.deepStrictEqual(thread.replies.map(msg => msg.author), ['Bob Lee', 'carol@example.com', 'Alice Smith'], 'Falls back to the email');
+      assert.strictEqual(thread.truncated, false);
+
+      const list = requests.find(request => request.path === '/v1/messages');
+      assert.deepStrictEqual(list.params, { roomId: 'room-1', parentId: 'root', max: '100' });
+      assert.strictEqual(requests.filter(request => request.path === '/v1/people').length, 1, 'Authors are looked up together');
+    });
+
+    it('should keep the newest replies when limited', async () => {
+      const thread = await fetchThread('root', { maxReplies: 2 });
+
+      assert.deepStrictEqual(thread.replies.map(msg => msg.id), ['reply-2', 'reply-3']);
+    });
+
+    it('should still return the thread when authors cannot be looked up', async () => {
+      const fetch = global.fetch;
+      global.fetch = async (url, options) => (new URL(url).pathname === '/v1/people'
+        ? new Response(JSON.stringify({ message: 'Forbidden' }), { status: 403 })
+        : fetch(url, options));
+
+      const thread = await fetchThread('root');
+      assert.strictEqual(thread.root.author, 'alice@example.com');
+    });
+  });
+
+  describe('rendering', () => {
+    it('should render a transcript and a tree', async () => {
+      const thread = await fetchThread('root');
+
+      assert.strictEqual(threadToMarkdown(thread), [
+        '**Alice Smith** (2026-10-19 10:00 UTC):\nShould we ship today?',
+        '**Bob Lee** (2026-10-19 10:05 UTC):\nYes, after the tests.',
+        '**carol@example.com** (2026-10-19 10:07 UTC):\nTests pass\non staging',
+        '**Alice Smith** (2026-10-19 10:09 UTC):\nShipping. [1 file]'
+      ].join('\n\n'));
+
+      assert.strictEqual(threadToMarkdown(thread, 'tree'), [
+        '- **Alice Smith** (2026-10-19 10:00 UTC): Should we ship today?',
+        '  - **Bob Lee** (2026-10-19 10:05 UTC): Yes, after the tests.',
+        '  - **carol@example.com** (2026-10-19 10:07 UTC): Tests pass',
+        '    on staging',
+        '  - **Alice Smith** (2026-10-19 10:09 UTC): Shipping. [1 file]'
+      ].join('\n'));
+    });
+
+    it('should count messages per participant', async () => {
+      const participants = threadParticipants(await fetchThread('root'));
+
+      assert.deepStrictEqual(participants.map(({ displayName, messages }) => [displayName, messages]), [
+        ['Alice Smith', 2],
+        ['Bob Lee', 1],
+        ['carol@example.com', 1]
+      ]);
+    });
+  });
+
+  describe('get_thread tool', () => {
+    let tool;
+
+    beforeEach(async () => {
+      const tools = await discoverTools();
+      tool = tools.find(t => t.definition.function.name === 'get_thread');
+    });
+
+    it('should return a Markdown transcript by default', async () => {
+      const result = await tool.function({ messageId: 'reply-1' });
+
+      assert.strictEqual(result.rootId, 'root');
+      assert.strictEqual(result.messageCount, 4);
+      assert.strictEqual(result.participants.length, 3);
+      assert.match(result.markdown, /^\*\*Alice Smith\*\* \(2026-10-19 10:00 UTC\):/);
+      assert.strictEqual(result.truncated, undefined);
+    });
+
+    it('should return a JSON tree or transcript', async () => {
+      const tree = await tool.function({ messageId: 'root', format: 'json', layout: 'tree' });
+      assert.strictEqual(tree.thread.id, 'root');
+      assert.deepStrictEqual(tree.thread.replies.map(msg => msg.author), ['Bob Lee', 'carol@example.com', 'Alice Smith']);
+      assert.strictEqual(tree.thread.replies[2].files, 1);
+
+      const transcript = await tool.function({ messageId: 'root', format: 'json' });
+      assert.deepStrictEqual(transcript.messages.map(msg => msg.id), ['root', 'reply-1', 'reply-2', 'reply-3']);
+    });
+
+    it('should return an error for unknown messages', async () => {
+      const result = await tool.function({ messageId: 'missing' });
+
+      assert.strictEqual(result.error.message, 'Not found');
+    });
+  });
+});
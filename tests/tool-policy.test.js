@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { createToolPolicy, globToRegExp, parseList, loadToolsManifest } from '../lib/tool-policy.js';
+import { discoverTools } from '../lib/tools.js';
+
+describe('Tool Policy', () => {
+  describe('globToRegExp', () => {
+    it('should match * and ? wildcards and escape everything else', () => {
+      assert.ok(globToRegExp('delete_*').test('delete_room'));
+      assert.ok(!globToRegExp('delete_*').test('undelete_room'));
+      assert.ok(globToRegExp('get_?oom_details').test('get_room_details'));
+      assert.ok(!globToRegExp('list.rooms').test('list_rooms'));
+    });
+  });
+
+  describe('parseList', () => {
+    it('should split and trim comma-separated values', () => {
+      assert.deepStrictEqual(parseList(' delete_*, update_person ,'), ['delete_*', 'update_person']);
+      assert.deepStrictEqual(parseList(undefined), []);
+    });
+  });
+
+  describe('createToolPolicy', () => {
+    it('should enable every tool by default', async () => {
+      const tools = await discoverTools();
+      const policy = createToolPolicy();
+      assert.strictEqual(policy.filter(tools).length, tools.length);
+      assert.deepStrictEqual(policy.describe(tools).disabled, []);
+    });
+
+    it('should only register list, get and search tools in read-only mode', async () => {
+      const tools = await discoverTools();
+      const enabled = createToolPolicy({ readOnly: true }).filter(tools).map(t => t.definition.function.name);
+
+      assert.ok(enabled.length > 0);
+      assert.ok(enabled.every(name => /^(list|get|search)_/.test(name)));
+      for (const name of ['delete_room', 'delete_team', 'delete_person', 'update_person', 'mark_room_checked']) {
+        assert.ok(!enabled.includes(name), `${name} should be disabled`);
+      }
+      assert.ok(enabled.includes('get_all_unread'));
+      assert.ok(enabled.includes('search_messages') && enabled.includes('search_index'));
+    });
+
+    it('should apply allow and deny globs with deny winning', () => {
+      const policy = createToolPolicy({ allow: ['*_message', 'list_*'], deny: ['delete_*', 'list_people'] });
+
+      assert.strictEqual(policy.isEnabled('create_message'), true);
+      assert.strictEqual(policy.isEnabled('list_rooms'), true);
+      assert.strictEqual(policy.isEnabled('delete_message'), false);
+      assert.strictEqual(policy.disabledReason('delete_message'), 'deny list');
+      assert.strictEqual(policy.disabledReason('list_people'), 'deny list');
+      assert.strictEqual(policy.disabledReason('create_room'), 'allow list');
+    });
+
+    it('should filter by manifest categories', () => {
+      const manifest = loadToolsManifest();
+      const policy = createToolPolicy({ categories: ['messages', 'unread_tracking'], excludeCategories: [] });
+
+      for (const name of manifest.categories.messages.tools) {
+        assert.ok(policy.isEnabled(name), `${name} should be enabled`);
+      }
+      assert.strictEqual(policy.disabledReason('create_team'), 'category filter');
+    });
+
+    it('should exclude categories', () => {
+      const policy = createToolPolicy({ excludeCategories: ['people'] });
+      assert.strictEqual(policy.disabledReason('delete_person'), 'excluded category');
+      assert.strictEqual(policy.isEnabled('list_rooms'), true);
+    });
+
+    it('should reject unknown categories', () => {
+      assert.throws(() => createToolPolicy({ categories: ['mesages'] }), /Unknown tool categories: mesages/);
+    });
+
+    it('should summarize the active policy', async () => {
+      const tools = await discoverTools();
+      const summary = createToolPolicy({ readOnly: true, deny: ['get_event_details'] }).describe(tools);
+
+      assert.strictEqual(summary.readOnly, true);
+      assert.deepStrictEqual(summary.deny, ['get_event_details']);
+      assert.strictEqual(summary.enabledCount + summary.disabled.length, tools.length);
+      assert.ok(summary.disabled.includes('get_event_details'));
+    });
+  });
+});
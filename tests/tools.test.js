@@ -22,8 +22,8 @@ describe('Tools Discovery Module', () => {
     it('should discover all available tools', async () => {
       const tools = await discoverTools();
 
-      // Should have all 55 Webex tools (52 original + 3 unread tracking)
-      assert.strictEqual(tools.length, 55);
+      // Should have all 63 Webex tools (52 original + 3 unread tracking + sync_webhooks + get_message_attachment + send_adaptive_card + await_card_response + get_thread + search_messages + search_index + export_room_history)
+      assert.strictEqual(tools.length, 63);
       
       // Each tool should have the required structure
       tools.forEach(tool => {
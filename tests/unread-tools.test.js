@@ -82,11 +82,8 @@ describe('Unread Message Tools', () => {
     });
 
     it('should aggregate messages from multiple rooms', async () => {
-      // We need to mock the state manager. Since tools import the default singleton,
-      // we mock at the fetch level: rooms are returned, and messages are returned.
-      // The state manager will return null for unchecked rooms (skipping them).
-      // To test multi-room aggregation, we need rooms that have been checked.
-      // Since we can't easily inject state, we test the structure of the response.
+      // Tools use the default state manager singleton, so this tests the
+      // structure of the response; tests/unread.test.js injects state.
       const rooms = [
         { id: 'room-1', title: 'Room 1', type: 'group' },
         { id: 'room-2', title: 'Room 2', type: 'direct' }
@@ -100,7 +97,7 @@ describe('Unread Message Tools', () => {
             json: async () => ({ items: rooms })
           };
         }
-        // Messages endpoint — rooms without lastChecked will be skipped
+        // Messages endpoint — no messages in either room
         return {
           ok: true,
           status: 200,
@@ -109,18 +106,15 @@ describe('Unread Message Tools', () => {
       };
 
       const result = await tool.function({});
-      // Rooms without lastChecked are skipped, so totalRooms should be 0
+      // Rooms without new messages are left out
       assert.strictEqual(result.totalRooms, 0);
       assert.ok(result.checkedAt);
       assert.ok(Array.isArray(result.rooms));
     });
 
     it('should isolate per-room errors', async () => {
-      // Mock state manager having checked room-1 by using a real state file
-      // Since we can't inject state easily, we test the error structure
-      // by triggering a fetch error after rooms are listed.
-      // Rooms without lastChecked are skipped so we won't see the error.
-      // This validates the response structure is correct.
+      // The room has never been checked, so it is bootstrapped, and the
+      // messages fetch fails after the rooms are listed.
       global.fetch = async (url) => {
         if (url.includes('/rooms')) {
           return {
@@ -133,9 +127,16 @@ describe('Unread Message Tools', () => {
       };
 
       const result = await tool.function({});
-      // Room will be skipped since it has no lastChecked — no error propagated
       assert.ok(!result.error, 'Top-level error should not be set');
       assert.ok(result.checkedAt);
+      assert.strictEqual(result.rooms[0].roomId, 'room-err');
+      assert.ok(result.rooms[0].error, 'The room should carry its own error');
+      assert.strictEqual(result.bootstrapped, undefined, 'Rooms that fail are not registered');
+    });
+
+    it('should reject an invalid bootstrap', async () => {
+      const result = await tool.function({ bootstrap: 'weeks:2' });
+      assert.match(result.error.message, /Invalid unread bootstrap "weeks:2"/);
     });
 
     it('should handle rooms API error gracefully', async () => {
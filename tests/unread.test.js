@@ -0,0 +1,231 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { getAllUnread, parseBootstrap, loadUnreadSettings, decodeContinuation } from '../lib/unread.js';
+import { createStateManager } from '../lib/state.js';
+import { initializeAuth } from '../lib/webex-config.js';
+
+const HOUR = 60 * 60 * 1000;
+const ago = hours => new Date(Date.now() - hours * HOUR).toISOString();
+
+describe('Unread', () => {
+  let dir;
+  let originalEnv;
+  let originalFetch;
+  let stateManager;
+  let requests;
+  let rooms;
+  let messages;
+  let delayMs;
+  let inFlight;
+  let maxInFlight;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'webex-unread-'));
+    originalEnv = { ...process.env };
+    originalFetch = global.fetch;
+    process.env.WEBEX_PUBLIC_WORKSPACE_API_KEY = 'test-token-123';
+    process.env.WEBEX_API_BASE_URL = 'https://webexapis.com/v1';
+    await initializeAuth();
+    stateManager = createStateManager(join(dir, 'state.json'));
+
+    rooms = [
+      { id: 'room-known', title: 'Known', type: 'group', created: ago(1000) },
+      { id: 'room-new', title: 'Joined last week', type: 'group', created: ago(1000) }
+    ];
+    // Newest first, as Webex lists them
+    messages = {
+      'room-known': [
+        { id: 'k2', created: ago(1), text: 'New since checked' },
+        { id: 'k1', created: ago(10), text: 'Already seen' }
+      ],
+      'room-new': [
+        { id: 'n4', created: ago(2), text: 'Today' },
+        { id: 'n3', created: ago(30), text: 'Yesterday' },
+        { id: 'n2', created: ago(100), text: 'Days ago' },
+        { id: 'n1', created: ago(500), text: 'Before I joined' }
+      ]
+    };
+
+    requests = [];
+    delayMs = 0;
+    inFlight = 0;
+    maxInFlight = 0;
+    global.fetch = async (url) => {
+      const parsed = new URL(url);
+      const params = Object.fromEntries(parsed.searchParams);
+      requests.push({ path: parsed.pathname, params });
+      const json = (data, status = 200) => new Response(JSON.stringify(data), { status });
+
+      if (parsed.pathname === '/v1/rooms') return json({ items: rooms });
+      if (parsed.pathname === '/v1/people/me') return json({ id: 'p-me' });
+      if (parsed.pathname === '/v1/memberships') {
+        return json({ items: params.roomId === 'room-new' && params.personId === 'p-me' ? [{ created: ago(200) }] : [] });
+      }
+      if (parsed.pathname === '/v1/messages') {
+        if (params.roomId === 'room-broken') return json({ message: 'Forbidden' }, 403);
+        let items = messages[params.roomId] || [];
+        if (params.beforeMessage) items = items.slice(items.findIndex(msg => msg.id === params.beforeMessage) + 1);
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+        inFlight--;
+        return json({ items: items.slice(0, Number(params.max)) });
+      }
+      return json({ message: 'Not found' }, 404);
+    };
+
+    await stateManager.markChecked('room-known', ago(5));
+  });
+
+  afterEach(async () => {
+    process.env = originalEnv;
+    global.fetch = originalFetch;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  describe('settings', () => {
+    it('should parse bootstrap settings', () => {
+      assert.deepStrictEqual(parseBootstrap('hours:48'), { mode: 'hours', hours: 48 });
+      assert.deepStrictEqual(parseBootstrap(' Joined '), { mode: 'joined' });
+      assert.deepStrictEqual(parseBootstrap('messages:10'), { mode: 'messages', messages: 10 });
+      assert.deepStrictEqual(parseBootstrap('skip'), { mode: 'skip' });
+      for (const invalid of ['hours:0', 'messages:500', 'messages:2.5', 'joined:3', 'always']) {
+        assert.throws(() => parseBootstrap(invalid), /Invalid unread bootstrap/, invalid);
+      }
+    });
+
+    it('should default to the last 24 hours', () => {
+      delete process.env.WEBEX_UNREAD_BOOTSTRAP;
+      assert.deepStrictEqual(loadUnreadSettings(), { bootstrap: { mode: 'hours', hours: 24 } });
+    });
+  });
+
+  describe('getAllUnread', () => {
+    it('should bootstrap rooms never checked from N hours ago and register them', async () => {
+      const result = await getAllUnread({ bootstrap: { mode: 'hours', hours: 48 }, stateManager });
+
+      assert.deepStrictEqual(result.rooms.map(room => [room.roomId, room.messages.map(msg => msg.id), room.bootstrapped]), [
+        ['room-known', ['k2'], undefined],
+        ['room-new', ['n4', 'n3'], true]
+      ]);
+      assert.strictEqual(result.totalMessages, 3);
+      assert.strictEqual(result.bootstrapped.length, 1);
+      assert.strictEqual(result.bootstrapped[0].roomId, 'room-new');
+      assert.strictEqual(result.bootstrapped[0].messageCount, 2);
+      assert.strictEqual(await stateManager.getLastChecked('room-new'), result.bootstrapped[0].since);
+
+      // Registered rooms are read from the same point until marked checked
+      const again = await getAllUnread({ bootstrap: { mode: 'hours', hours: 1 }, stateManager });
+      assert.strictEqual(again.bootstrapped, undefined);
+      assert.deepStrictEqual(again.rooms[1].messages.map(msg => msg.id), ['n4', 'n3']);
+    });
+
+    it('should bootstrap from when you joined', async () => {
+      const result = await getAllUnread({ bootstrap: { mode: 'joined' }, stateManager });
+
+      assert.deepStrictEqual(result.rooms[1].messages.map(msg => msg.id), ['n4', 'n3', 'n2']);
+      assert.strictEqual(requests.filter(request => request.path === '/v1/people/me').length, 1);
+    });
+
+    it('should bootstrap with the last K messages', async () => {
+      const result = await getAllUnread({ bootstrap: { mode: 'messages', messages: 3 }, stateManager });
+      assert.deepStrictEqual(result.rooms[1].messages.map(msg => msg.id), ['n4', 'n3', 'n2']);
+      assert.strictEqual(result.bootstrapped[0].since, messages['room-new'][3].created);
+
+      messages['room-other'] = [{ id: 'o1', created: ago(3), text: 'Only one' }];
+      rooms.push({ id: 'room-other', title: 'Quiet', type: 'direct' });
+      const next = await getAllUnread({ bootstrap: { mode: 'messages', messages: 3 }, stateManager });
+      assert.deepStrictEqual(next.bootstrapped.map(room => [room.roomId, room.since]), [['room-other', new Date(0).toISOString()]]);
+    });
+
+    it('should skip rooms never checked when asked to', async () => {
+      const result = await getAllUnread({ bootstrap: { mode: 'skip' }, stateManager });
+
+      assert.deepStrictEqual(result.rooms.map(room => room.roomId), ['room-known']);
+      assert.strictEqual(result.bootstrapped, undefined);
+      assert.strictEqual(await stateManager.getLastChecked('room-new'), null);
+    });
+
+    it('should not register rooms that could not be read', async () => {
+      rooms.push({ id: 'room-broken', title: 'Broken', type: 'group' });
+      const result = await getAllUnread({ bootstrap: { mode: 'hours', hours: 24 }, stateManager });
+
+      assert.strictEqual(result.rooms[2].roomId, 'room-broken');
+      assert.ok(result.rooms[2].error);
+      assert.deepStrictEqual(result.bootstrapped.map(room => room.roomId), ['room-new']);
+      assert.strictEqual(await stateManager.getLastChecked('room-broken'), null);
+    });
+  });
+
+  describe('budgets', () => {
+    const messageRequests = () => requests.filter(request => request.path === '/v1/messages');
+
+    beforeEach(async () => {
+      // Three busy rooms, all checked 5 hours ago
+      rooms = ['a', 'b', 'c'].map(name => ({ id: `room-${name}`, title: `Room ${name}`, type: 'group', lastActivity: ago(0.5) }));
+      messages = {};
+      for (const room of rooms) {
+        messages[room.id] = Array.from({ length: 250 }, (_, i) => ({ id: `${room.id}-${i}`, created: ago(0.5 + i / 100), text: `Update ${i}` }));
+        await stateManager.markChecked(room.id, ago(5));
+      }
+    });
+
+    it('should not read rooms with no activity since they were checked', async () => {
+      rooms[1].lastActivity = ago(6);
+      const result = await getAllUnread({ bootstrap: { mode: 'skip' }, stateManager, maxMessagesPerRoom: 10 });
+
+      assert.strictEqual(result.unchangedRooms, 1);
+      assert.strictEqual(result.scannedRooms, 3);
+      assert.deepStrictEqual([...new Set(messageRequests().map(request => request.params.roomId))], ['room-a', 'room-c']);
+    });
+
+    it('should read a few rooms at a time', async () => {
+      delayMs = 20;
+      await getAllUnread({ bootstrap: { mode: 'skip' }, stateManager, concurrency: 2, maxMessagesPerRoom: 10 });
+      assert.strictEqual(maxInFlight, 2);
+    });
+
+    it('should cap messages per room and continue from where a room was cut', async () => {
+      const first = await getAllUnread({ bootstrap: { mode: 'skip' }, stateManager, maxMessagesPerRoom: 150 });
+
+      assert.deepStrictEqual(first.rooms.map(room => [room.roomId, room.messageCount, room.truncated]), [
+        ['room-a', 150, true], ['room-b', 150, true], ['room-c', 150, true]
+      ]);
+      assert.deepStrictEqual(first.truncatedRooms.map(room => room.reason), ['maxMessagesPerRoom', 'maxMessagesPerRoom', 'maxMessagesPerRoom']);
+      assert.strictEqual(first.pendingRooms, undefined);
+
+      requests.length = 0;
+      const second = await getAllUnread({ bootstrap: { mode: 'skip' }, stateManager, maxMessagesPerRoom: 150, continuation: first.continuation });
+      assert.strictEqual(second.checkedAt, first.checkedAt);
+      assert.deepStrictEqual(second.rooms.map(room => room.messages[0].id), ['room-a-150', 'room-b-150', 'room-c-150']);
+      assert.strictEqual(second.totalMessages, 300);
+      assert.strictEqual(second.continuation, undefined);
+      const cursors = messageRequests().map(request => request.params.beforeMessage.replace(`${request.params.roomId}-`, ''));
+      assert.deepStrictEqual(cursors.sort(), ['149', '149', '149', '249', '249', '249'], 'Each room is read on from its cursor');
+    });
+
+    it('should stop at the total cap and leave the other rooms for later', async () => {
+      const result = await getAllUnread({ bootstrap: { mode: 'skip' }, stateManager, concurrency: 1, maxMessages: 120 });
+
+      assert.deepStrictEqual(result.rooms.map(room => [room.roomId, room.messageCount]), [['room-a', 100], ['room-b', 20]]);
+      assert.deepStrictEqual(result.truncatedRooms.map(room => [room.roomId, room.reason]), [['room-a', 'maxMessagesPerRoom'], ['room-b', 'maxMessages']]);
+      assert.strictEqual(result.pendingRooms, 1);
+      assert.deepStrictEqual([...decodeContinuation(result.continuation).rooms], [['room-a', 'room-a-99'], ['room-b', 'room-b-19'], ['room-c', null]]);
+    });
+
+    it('should stop fetching when the time budget runs out', async () => {
+      const result = await getAllUnread({ bootstrap: { mode: 'skip' }, stateManager, timeBudgetMs: 0 });
+
+      assert.strictEqual(result.totalMessages, 0);
+      assert.strictEqual(result.pendingRooms, 3);
+      assert.strictEqual(messageRequests().length, 0);
+
+      const resumed = await getAllUnread({ bootstrap: { mode: 'skip' }, stateManager, maxMessagesPerRoom: 10, continuation: result.continuation });
+      assert.strictEqual(resumed.totalMessages, 30);
+      assert.throws(() => decodeContinuation('not-a-token'), /Invalid continuation token/);
+    });
+  });
+});
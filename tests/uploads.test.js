@@ -0,0 +1,183 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, mkdir, writeFile, symlink, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { createUploadPolicy, checkFileType, sniffMimeType, UploadError } from '../lib/uploads.js';
+import { discoverTools } from '../lib/tools.js';
+import { initializeAuth } from '../lib/webex-config.js';
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d]);
+
+describe('File Uploads', () => {
+  let dir;
+  let uploads;
+  let outside;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'webex-uploads-'));
+    uploads = join(dir, 'uploads');
+    outside = join(dir, 'outside');
+    await mkdir(join(uploads, '.ssh'), { recursive: true });
+    await mkdir(outside);
+
+    await writeFile(join(uploads, 'report.txt'), 'Quarterly numbers\n');
+    await writeFile(join(uploads, 'chart.png'), PNG);
+    await writeFile(join(uploads, 'fake.png'), 'not an image');
+    await writeFile(join(uploads, 'tool.txt'), Buffer.from([0x7f, 0x45, 0x4c, 0x46, 2, 1, 1]));
+    await writeFile(join(uploads, 'script.sh'), '#!/bin/sh\n');
+    await writeFile(join(uploads, 'empty.txt'), '');
+    await writeFile(join(uploads, 'big report.txt'), 'x'.repeat(2048));
+    await writeFile(join(uploads, '.ssh', 'id_rsa.txt'), 'private');
+    await writeFile(join(outside, 'secrets.txt'), 'do not share');
+    await symlink(join(outside, 'secrets.txt'), join(uploads, 'link.txt'));
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  describe('file types', () => {
+    it('should allow known types whose content matches', () => {
+      assert.strictEqual(checkFileType('chart.png', PNG), 'image/png');
+      assert.strictEqual(checkFileType('notes.md', Buffer.from('# Notes')), 'text/markdown');
+      assert.strictEqual(sniffMimeType(Buffer.from('%PDF-1.7')), 'application/pdf');
+    });
+
+    it('should reject unknown types and disguised content', () => {
+      assert.throws(() => checkFileType('run.exe', Buffer.from('MZ')), /"\.exe" cannot be uploaded/);
+      assert.throws(() => checkFileType('fake.png', Buffer.from('text')), /does not contain image\/png data/);
+      assert.throws(() => checkFileType('notes.txt', Buffer.from([0x4d, 0x5a, 0x90])), /looks like application\/x-msdownload/);
+    });
+  });
+
+  describe('local files', () => {
+    it('should read files inside the allowed directories', async () => {
+      const policy = createUploadPolicy({ allowedDirs: [uploads] });
+
+      const file = await policy.resolveFile(join(uploads, 'report.txt'));
+      assert.strictEqual(file.filename, 'report.txt');
+      assert.strictEqual(file.contentType, 'text/plain');
+      assert.strictEqual(file.content.toString(), 'Quarterly numbers\n');
+
+      const viaUrl = await policy.resolveFile(pathToFileURL(join(uploads, 'big report.txt')).href);
+      assert.strictEqual(viaUrl.filename, 'big report.txt');
+    });
+
+    it('should refuse files outside the allowed directories', async () => {
+      const policy = createUploadPolicy({ allowedDirs: [uploads] });
+      const refuse = (filePath, pattern) => assert.rejects(policy.resolveFile(filePath), (error) =>
+        error instanceof UploadError && pattern.test(error.message)
+      );
+
+      await refuse(join(outside, 'secrets.txt'), /outside the directories/);
+      await refuse(join(uploads, '..', 'outside', 'secrets.txt'), /outside the directories/);
+      await refuse(join(uploads, 'link.txt'), /outside the directories/);
+      await refuse(join(uploads, '.ssh', 'id_rsa.txt'), /hidden/);
+      await refuse('report.txt', /not an absolute path/);
+      await refuse(join(uploads, 'missing.txt'), /does not exist/);
+      await refuse(uploads, /not a regular file/);
+    });
+
+    it('should enforce size and type limits', async () => {
+      const policy = createUploadPolicy({ allowedDirs: [uploads], maxBytes: 1024 });
+
+      await assert.rejects(policy.resolveFile(join(uploads, 'big report.txt')), /2048 bytes; the upload limit is 1024 bytes/);
+      await assert.rejects(policy.resolveFile(join(uploads, 'empty.txt')), /is empty/);
+      await assert.rejects(policy.resolveFile(join(uploads, 'script.sh')), /cannot be uploaded/);
+      await assert.rejects(policy.resolveFile(join(uploads, 'fake.png')), /does not contain image\/png data/);
+      await assert.rejects(policy.resolveFile(join(uploads, 'tool.txt')), /looks like application\/x-executable/);
+    });
+
+    it('should disable local files without WEBEX_UPLOAD_DIRS', async () => {
+      await assert.rejects(createUploadPolicy().resolveFile(join(uploads, 'report.txt')), /Set WEBEX_UPLOAD_DIRS/);
+    });
+  });
+
+  describe('base64 content', () => {
+    it('should decode and check base64 content', () => {
+      const policy = createUploadPolicy({ maxBytes: 16 });
+
+      const file = policy.resolveContent({ filename: 'chart.png', content: PNG.toString('base64') });
+      assert.strictEqual(file.contentType, 'image/png');
+      assert.deepStrictEqual(file.content, PNG);
+
+      assert.throws(() => policy.resolveContent({ filename: 'a.txt', content: 'not base64!' }), /must be base64-encoded/);
+      assert.throws(() => policy.resolveContent({ filename: '../a.txt', content: 'aGk=' }), /plain file name/);
+      assert.throws(() => policy.resolveContent({ filename: 'a.txt', content: Buffer.alloc(32, 'a').toString('base64') }), /upload limit is 16 bytes/);
+    });
+  });
+
+  describe('create_message', () => {
+    let originalEnv;
+    let originalFetch;
+    let tool;
+    let captured;
+
+    beforeEach(async () => {
+      originalEnv = { ...process.env };
+      originalFetch = global.fetch;
+      process.env.WEBEX_PUBLIC_WORKSPACE_API_KEY = 'test-token-123';
+      process.env.WEBEX_API_BASE_URL = 'https://webexapis.com/v1';
+      process.env.WEBEX_UPLOAD_DIRS = uploads;
+      await initializeAuth();
+
+      const tools = await discoverTools();
+      tool = tools.find(t => t.definition.function.name === 'create_message');
+      captured = null;
+      global.fetch = async (url, options) => {
+        captured = { url, options };
+        return new Response(JSON.stringify({ id: 'msg-1', files: ['https://webexapis.com/v1/contents/1'] }), { status: 200 });
+      };
+    });
+
+    afterEach(() => {
+      process.env = originalEnv;
+      global.fetch = originalFetch;
+    });
+
+    it('should upload a local file as multipart/form-data', async () => {
+      const result = await tool.function({ roomId: 'room-1', text: 'Latest report', files: [join(uploads, 'report.txt')] });
+
+      assert.strictEqual(result.id, 'msg-1');
+      const { options } = captured;
+      assert.ok(options.body instanceof FormData);
+      assert.strictEqual(options.headers['Content-Type'], undefined, 'fetch sets the multipart boundary');
+      assert.strictEqual(options.headers.Authorization, 'Bearer test-token-123');
+      assert.strictEqual(options.body.get('roomId'), 'room-1');
+      assert.strictEqual(options.body.get('text'), 'Latest report');
+
+      const file = options.body.get('files');
+      assert.strictEqual(file.name, 'report.txt');
+      assert.strictEqual(file.type, 'text/plain');
+      assert.strictEqual(await file.text(), 'Quarterly numbers\n');
+    });
+
+    it('should upload base64 content', async () => {
+      await tool.function({ roomId: 'room-1', text: 'Chart', fileContent: { filename: 'chart.png', content: PNG.toString('base64') } });
+
+      const file = captured.options.body.get('files');
+      assert.strictEqual(file.name, 'chart.png');
+      assert.strictEqual(file.type, 'image/png');
+      assert.strictEqual(file.size, PNG.length);
+    });
+
+    it('should keep sending public URLs as JSON', async () => {
+      await tool.function({ roomId: 'room-1', text: 'Link', files: ['https://example.com/report.pdf'] });
+
+      assert.strictEqual(captured.options.headers['Content-Type'], 'application/json');
+      assert.deepStrictEqual(JSON.parse(captured.options.body).files, ['https://example.com/report.pdf']);
+    });
+
+    it('should refuse disallowed files without calling Webex', async () => {
+      const outsideResult = await tool.function({ roomId: 'room-1', text: 'x', files: [join(outside, 'secrets.txt')] });
+      assert.match(outsideResult.error.message, /outside the directories/);
+
+      const twoFiles = await tool.function({ roomId: 'room-1', text: 'x', files: [join(uploads, 'report.txt')], fileContent: { filename: 'a.txt', content: 'aGk=' } });
+      assert.match(twoFiles.error.message, /one uploaded file per message/);
+
+      assert.strictEqual(captured, null);
+    });
+  });
+});
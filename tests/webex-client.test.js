@@ -0,0 +1,235 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import http from 'node:http';
+import { createWebexClient, parseRetryAfter } from '../lib/webex-client.js';
+
+/**
+ * Start a local fake Webex server driven by a per-test handler
+ */
+async function startFakeServer(handler) {
+  const server = http.createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  return { server, url: `http://127.0.0.1:${port}` };
+}
+
+describe('Webex HTTP Client', () => {
+  let fake;
+  let sleeps;
+  let client;
+
+  beforeEach(() => {
+    sleeps = [];
+    client = createWebexClient({
+      maxRetries: 3,
+      maxConcurrency: 2,
+      baseDelayMs: 100,
+      sleep: async (ms) => { sleeps.push(ms); },
+      random: () => 0.5
+    });
+  });
+
+  afterEach(async () => {
+    if (fake) {
+      await new Promise(resolve => fake.server.close(resolve));
+      fake = null;
+    }
+  });
+
+  describe('parseRetryAfter', () => {
+    it('should parse delta-seconds', () => {
+      assert.strictEqual(parseRetryAfter('3'), 3000);
+    });
+
+    it('should parse HTTP-date relative to now', () => {
+      const now = Date.parse('2025-01-01T00:00:00Z');
+      assert.strictEqual(parseRetryAfter('Wed, 01 Jan 2025 00:00:05 GMT', now), 5000);
+    });
+
+    it('should return null for missing or invalid values', () => {
+      assert.strictEqual(parseRetryAfter(null), null);
+      assert.strictEqual(parseRetryAfter('soon'), null);
+    });
+  });
+
+  describe('429 handling', () => {
+    it('should honor Retry-After and then succeed', async () => {
+      let calls = 0;
+      fake = await startFakeServer((req, res) => {
+        calls++;
+        if (calls === 1) {
+          res.writeHead(429, { 'Retry-After': '2', 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ message: 'Too Many Requests' }));
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ items: [{ id: 'room-1' }] }));
+      });
+
+      const response = await client.fetch(`${fake.url}/rooms`, { headers: { Authorization: 'Bearer a' } });
+      assert.strictEqual(response.status, 200);
+      assert.deepStrictEqual(await response.json(), { items: [{ id: 'room-1' }] });
+      assert.strictEqual(calls, 2);
+      assert.deepStrictEqual(sleeps, [2000]);
+    });
+
+    it('should fall back to exponential backoff without Retry-After', async () => {
+      let calls = 0;
+      fake = await startFakeServer((req, res) => {
+        calls++;
+        res.writeHead(calls < 3 ? 429 : 200);
+        res.end('{}');
+      });
+
+      const response = await client.fetch(`${fake.url}/rooms`);
+      assert.strictEqual(response.status, 200);
+      assert.deepStrictEqual(sleeps, [100, 200]);
+    });
+
+    it('should retry 423 while a file is being scanned', async () => {
+      let calls = 0;
+      fake = await startFakeServer((req, res) => {
+        calls++;
+        if (calls === 1) {
+          res.writeHead(423, { 'Retry-After': '1' });
+          res.end('{"message":"File is being scanned"}');
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('file contents');
+      });
+
+      const response = await client.fetch(`${fake.url}/contents/abc`);
+      assert.strictEqual(await response.text(), 'file contents');
+      assert.deepStrictEqual(sleeps, [1000]);
+    });
+  });
+
+  describe('5xx handling', () => {
+    it('should retry 502/503/504 with jittered backoff', async () => {
+      const statuses = [503, 502, 504, 200];
+      fake = await startFakeServer((req, res) => {
+        res.writeHead(statuses.shift());
+        res.end('{}');
+      });
+
+      const response = await client.fetch(`${fake.url}/messages`);
+      assert.strictEqual(response.status, 200);
+      // random() = 0.5 → half of 100, 200, 400
+      assert.deepStrictEqual(sleeps, [50, 100, 200]);
+    });
+
+    it('should return the last response once retries are exhausted', async () => {
+      let calls = 0;
+      fake = await startFakeServer((req, res) => {
+        calls++;
+        res.writeHead(503);
+        res.end('{"message":"Service Unavailable"}');
+      });
+
+      const response = await client.fetch(`${fake.url}/messages`);
+      assert.strictEqual(response.status, 503);
+      assert.strictEqual(calls, 4, 'Should make 1 attempt plus 3 retries');
+    });
+
+    it('should not retry 500 or 4xx responses', async () => {
+      let calls = 0;
+      fake = await startFakeServer((req, res) => {
+        calls++;
+        res.writeHead(calls === 1 ? 500 : 404);
+        res.end('{}');
+      });
+
+      assert.strictEqual((await client.fetch(`${fake.url}/a`)).status, 500);
+      assert.strictEqual((await client.fetch(`${fake.url}/b`)).status, 404);
+      assert.strictEqual(calls, 2);
+      assert.deepStrictEqual(sleeps, []);
+    });
+
+    it('should resend the request body on retry', async () => {
+      const bodies = [];
+      fake = await startFakeServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          bodies.push(body);
+          res.writeHead(bodies.length === 1 ? 503 : 200);
+          res.end('{}');
+        });
+      });
+
+      await client.fetch(`${fake.url}/messages/msg-1`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text: 'hello' })
+      });
+      assert.deepStrictEqual(bodies, ['{"text":"hello"}', '{"text":"hello"}']);
+    });
+
+    it('should not resend a POST after a gateway error', async () => {
+      let calls = 0;
+      fake = await startFakeServer((req, res) => {
+        calls++;
+        res.writeHead(calls === 1 ? 504 : 200);
+        res.end('{}');
+      });
+
+      const response = await client.fetch(`${fake.url}/messages`, { method: 'POST', body: '{"text":"hello"}' });
+      assert.strictEqual(response.status, 504);
+      assert.strictEqual(calls, 1, 'The message may already have been posted');
+      assert.deepStrictEqual(sleeps, []);
+    });
+  });
+
+  describe('concurrency', () => {
+    it('should cap in-flight requests per token', async () => {
+      let inFlight = 0;
+      let peak = 0;
+      fake = await startFakeServer((req, res) => {
+        inFlight++;
+        peak = Math.max(peak, inFlight);
+        setTimeout(() => {
+          inFlight--;
+          res.writeHead(200);
+          res.end('{}');
+        }, 20);
+      });
+
+      const headers = { Authorization: 'Bearer same-token' };
+      await Promise.all(Array.from({ length: 6 }, () => client.fetch(`${fake.url}/rooms`, { headers })));
+      assert.strictEqual(peak, 2);
+    });
+
+    it('should not share the limit across different tokens', async () => {
+      let inFlight = 0;
+      let peak = 0;
+      fake = await startFakeServer((req, res) => {
+        inFlight++;
+        peak = Math.max(peak, inFlight);
+        setTimeout(() => {
+          inFlight--;
+          res.writeHead(200);
+          res.end('{}');
+        }, 20);
+      });
+
+      await Promise.all(['a', 'a', 'b', 'b'].map(token =>
+        client.fetch(`${fake.url}/rooms`, { headers: { Authorization: `Bearer ${token}` } })
+      ));
+      assert.strictEqual(peak, 4);
+    });
+  });
+
+  describe('mocked fetch compatibility', () => {
+    it('should accept responses without headers', async () => {
+      const mocked = createWebexClient({
+        maxRetries: 1,
+        sleep: async () => {},
+        fetch: async () => ({ ok: false, status: 429, json: async () => ({}) })
+      });
+
+      const response = await mocked.fetch('https://webexapis.com/v1/rooms');
+      assert.strictEqual(response.status, 429);
+    });
+  });
+});
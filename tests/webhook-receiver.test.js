@@ -0,0 +1,225 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { readFileSync } from 'fs';
+import { createWebhookReceiver, loadWebhookReceiver, signPayload, verifySignature } from '../lib/webhook-receiver.js';
+import { createEventBus } from '../lib/event-bus.js';
+import { initializeAuth, runWithWebexToken } from '../lib/webex-config.js';
+
+const BASE = 'https://webexapis.com/v1';
+const SECRET = 'fixture-secret';
+
+/**
+ * Load a webhook payload fixture as the raw bytes Webex would send
+ */
+function fixture(name) {
+  return readFileSync(new URL(`./fixtures/webhooks/${name}.json`, import.meta.url));
+}
+
+describe('Webhook Receiver', () => {
+  let originalEnv;
+  let originalFetch;
+  let requests;
+  let clock;
+  let bus;
+  let events;
+
+  function receiver(options = {}) {
+    return createWebhookReceiver({ secrets: [SECRET], bus, now: () => clock, ...options });
+  }
+
+  const signed = (body, secret = SECRET) => ({ body, signature: signPayload(body, secret) });
+
+  beforeEach(async () => {
+    originalEnv = { ...process.env };
+    originalFetch = global.fetch;
+    process.env.WEBEX_PUBLIC_WORKSPACE_API_KEY = 'test-token-123';
+    process.env.WEBEX_API_BASE_URL = BASE;
+    await initializeAuth();
+
+    requests = [];
+    global.fetch = async (url, options = {}) => {
+      const { pathname } = new URL(url);
+      requests.push({ pathname, authorization: options.headers?.Authorization });
+      if (pathname.startsWith('/v1/messages/')) {
+        return new Response(JSON.stringify({ id: 'msg-1', text: 'Launch at noon', personEmail: 'ada@example.com' }), { status: 200 });
+      }
+      if (pathname.startsWith('/v1/attachment/actions/')) {
+        return new Response(JSON.stringify({ id: 'action-1', type: 'submit', inputs: { approved: 'yes' } }), { status: 200 });
+      }
+      return new Response(JSON.stringify({ message: 'Not found' }), { status: 404 });
+    };
+
+    clock = Date.parse('2025-03-10T09:02:00.000Z');
+    bus = createEventBus();
+    events = [];
+    bus.subscribe(event => events.push(event));
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    global.fetch = originalFetch;
+  });
+
+  describe('signature verification', () => {
+    it('should verify X-Spark-Signature against the raw body', () => {
+      const body = fixture('message-created');
+      const signature = signPayload(body, SECRET);
+
+      assert.match(signature, /^[0-9a-f]{40}$/);
+      assert.strictEqual(verifySignature(body, signature, SECRET), true);
+      assert.strictEqual(verifySignature(body, signature.toUpperCase(), SECRET), true);
+      assert.strictEqual(verifySignature(body, signature, 'other-secret'), false);
+      assert.strictEqual(verifySignature(Buffer.concat([body, Buffer.from(' ')]), signature, SECRET), false, 'Any change to the body invalidates it');
+      assert.strictEqual(verifySignature(body, 'not-hex', SECRET), false);
+      assert.strictEqual(verifySignature(body, undefined, SECRET), false);
+    });
+
+    it('should reject unsigned, mis-signed and unknown webhooks', () => {
+      const body = fixture('message-created');
+
+      assert.strictEqual(receiver().receive({ body }).httpStatus, 401);
+      assert.strictEqual(receiver().receive(signed(body, 'wrong')).status, 'invalid_signature');
+      assert.strictEqual(receiver({ secrets: [] }).receive(signed(body)).status, 'unknown_webhook');
+      assert.strictEqual(events.length, 0);
+    });
+
+    it('should use the secret of webhooks the server registered itself', async () => {
+      const body = fixture('message-created');
+      const lookupWebhook = id => id === 'Y2lzY29zcGFyazovL3VzL1dFQkhPT0svd2gtbWVzc2FnZXM'
+        ? { secret: 'subscription-secret', run: fn => runWithWebexToken('owner-token', fn) }
+        : null;
+      const r = receiver({ secrets: [], lookupWebhook });
+
+      assert.strictEqual(r.receive(signed(body)).httpStatus, 401, 'Configured secrets do not apply');
+      const result = r.receive(signed(body, 'subscription-secret'));
+      assert.strictEqual(result.status, 'accepted');
+      await result.delivered;
+      assert.strictEqual(requests[0].authorization, 'Bearer owner-token', 'Hydrated with the webhook owner\'s token');
+    });
+
+    it('should reject payloads that are not Webex webhooks', () => {
+      const r = receiver();
+      assert.strictEqual(r.receive(signed(Buffer.from('not json'))).status, 'invalid_payload');
+      assert.strictEqual(r.receive(signed(Buffer.from('{"hello":"world"}'))).status, 'invalid_payload');
+      assert.strictEqual(r.receive({ body: undefined }).httpStatus, 400);
+    });
+  });
+
+  describe('replays and duplicates', () => {
+    it('should deliver each event once', async () => {
+      const r = receiver();
+      const body = fixture('message-created');
+
+      const first = r.receive(signed(body));
+      assert.strictEqual(first.status, 'accepted');
+      await first.delivered;
+
+      const second = r.receive(signed(body));
+      assert.strictEqual(second.httpStatus, 200, 'Duplicates are acknowledged so Webex stops retrying');
+      assert.strictEqual(second.status, 'duplicate');
+      assert.strictEqual(events.length, 1);
+      assert.deepStrictEqual(r.stats(), { accepted: 1, duplicate: 1, rejected: 0 });
+    });
+
+    it('should reject stale created events', () => {
+      clock = Date.parse('2025-03-10T10:00:00.000Z');
+      const result = receiver().receive(signed(fixture('message-created')));
+
+      assert.strictEqual(result.httpStatus, 400);
+      assert.strictEqual(result.status, 'stale_event');
+    });
+
+    it('should reject created events from the future', () => {
+      clock = Date.parse('2025-03-10T08:00:00.000Z');
+      assert.strictEqual(receiver().receive(signed(fixture('message-created'))).status, 'stale_event');
+    });
+
+    it('should forget events after the dedupe window', async () => {
+      const r = receiver({ maxAgeMs: Infinity, dedupeTtlMs: 1000 });
+      await r.receive(signed(fixture('message-deleted'))).delivered;
+
+      clock += 2000;
+      assert.strictEqual(r.receive(signed(fixture('message-deleted'))).status, 'accepted');
+    });
+  });
+
+  describe('hydration and publishing', () => {
+    it('should publish created messages with the full message', async () => {
+      const result = receiver().receive(signed(fixture('message-created')));
+      assert.strictEqual(await result.delivered, 1);
+
+      const [event] = events;
+      assert.strictEqual(event.resource, 'messages');
+      assert.strictEqual(event.event, 'created');
+      assert.strictEqual(event.webhookId, 'Y2lzY29zcGFyazovL3VzL1dFQkhPT0svd2gtbWVzc2FnZXM');
+      assert.strictEqual(event.roomId, 'Y2lzY29zcGFyazovL3VzL1JPT00vcGhvZW5peA');
+      assert.strictEqual(event.data.personEmail, 'ada@example.com');
+      assert.strictEqual(event.resourceData.text, 'Launch at noon');
+      assert.strictEqual(requests[0].pathname, '/v1/messages/Y2lzY29zcGFyazovL3VzL01FU1NBR0UvbXNnLTE');
+    });
+
+    it('should hydrate attachment actions', async () => {
+      await receiver().receive(signed(fixture('attachment-action-created'))).delivered;
+
+      assert.deepStrictEqual(events[0].resourceData.inputs, { approved: 'yes' });
+      assert.strictEqual(requests[0].pathname, '/v1/attachment/actions/Y2lzY29zcGFyazovL3VzL0FUVEFDSE1FTlRfQUNUSU9OL2FjdGlvbi0x');
+    });
+
+    it('should publish deleted messages without fetching them', async () => {
+      await receiver().receive(signed(fixture('message-deleted'))).delivered;
+
+      assert.strictEqual(events[0].event, 'deleted');
+      assert.strictEqual(events[0].resourceData, undefined);
+      assert.strictEqual(requests.length, 0);
+    });
+
+    it('should still publish when hydration fails', async () => {
+      global.fetch = async () => new Response(JSON.stringify({ message: 'Forbidden', trackingId: 'ROUTER_1' }), { status: 403 });
+      await receiver().receive(signed(fixture('message-created'))).delivered;
+
+      assert.strictEqual(events[0].hydrationError.status, 403);
+      assert.strictEqual(events[0].hydrationError.trackingId, 'ROUTER_1');
+    });
+
+    it('should let consumers filter events', async () => {
+      const cards = [];
+      bus.subscribe({ resource: 'attachmentActions' }, event => cards.push(event));
+      const r = receiver();
+
+      await r.receive(signed(fixture('message-created'))).delivered;
+      await r.receive(signed(fixture('attachment-action-created'))).delivered;
+
+      assert.strictEqual(events.length, 2);
+      assert.deepStrictEqual(cards.map(e => e.resource), ['attachmentActions']);
+    });
+  });
+
+  describe('loadWebhookReceiver', () => {
+    it('should read secrets from WEBEX_WEBHOOK_SECRETS', () => {
+      process.env.WEBEX_WEBHOOK_SECRETS = `old-secret, ${SECRET}`;
+      const r = loadWebhookReceiver({ bus });
+
+      assert.strictEqual(r.receive(signed(fixture('message-deleted'))).status, 'accepted');
+      assert.strictEqual(r.receive(signed(fixture('message-deleted'), 'old-secret')).status, 'duplicate', 'Any configured secret verifies');
+    });
+  });
+});
+
+describe('Event Bus', () => {
+  it('should isolate failing handlers and support unsubscribe', async () => {
+    const bus = createEventBus();
+    const received = [];
+    bus.subscribe(() => {
+      throw new Error('boom');
+    });
+    const unsubscribe = bus.subscribe({ event: ['created', 'updated'] }, event => received.push(event.event));
+
+    assert.strictEqual(await bus.publish({ resource: 'messages', event: 'created' }), 2);
+    await bus.publish({ resource: 'messages', event: 'deleted' });
+    unsubscribe();
+    await bus.publish({ resource: 'messages', event: 'updated' });
+
+    assert.deepStrictEqual(received, ['created']);
+    assert.strictEqual(bus.size(), 1);
+  });
+});
@@ -0,0 +1,204 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { normalizeWebhookSpec, planWebhookSync, syncWebhooks, summarizePlan } from '../lib/webhook-sync.js';
+import { WEBHOOK_NAME_PREFIX } from '../lib/subscriptions.js';
+import { discoverTools } from '../lib/tools.js';
+import { initializeAuth } from '../lib/webex-config.js';
+
+const BASE = 'https://webexapis.com/v1';
+const TARGET = 'https://bot.example.com/webhooks';
+
+const declared = (overrides = {}) => ({ name: 'alerts', targetUrl: TARGET, resource: 'messages', event: 'created', ...overrides });
+const registered = (id, overrides = {}) => ({ id, ...declared(), status: 'active', created: '2025-03-01T00:00:00.000Z', ...overrides });
+
+describe('Webhook Sync', () => {
+  describe('normalizeWebhookSpec', () => {
+    it('should accept an array or a { webhooks } object', () => {
+      assert.deepStrictEqual(normalizeWebhookSpec([declared()]), normalizeWebhookSpec({ webhooks: [declared()] }));
+      assert.throws(() => normalizeWebhookSpec({ hooks: [] }), /must be an array/);
+    });
+
+    it('should reject incomplete and repeated declarations', () => {
+      assert.throws(() => normalizeWebhookSpec([declared({ targetUrl: '' })]), /Webhook 1 \(alerts\) is missing targetUrl/);
+      assert.throws(() => normalizeWebhookSpec([declared(), declared()]), /"alerts" is declared more than once/);
+    });
+  });
+
+  describe('planWebhookSync', () => {
+    const plan = (desired, existing, options) => planWebhookSync(normalizeWebhookSpec(desired), existing, options);
+
+    it('should create missing webhooks and leave matching ones alone', () => {
+      const result = plan([declared(), declared({ name: 'cards', resource: 'attachmentActions' })], [registered('wh-1')]);
+
+      assert.deepStrictEqual(result.map(e => [e.action, e.name]), [['unchanged', 'alerts'], ['create', 'cards']]);
+    });
+
+    it('should update changed target URLs and secrets', () => {
+      const [entry] = plan([declared({ targetUrl: 'https://new.example.com/hooks', secret: 'rotated' })], [registered('wh-1', { secret: 'old' })]);
+
+      assert.strictEqual(entry.action, 'update');
+      assert.deepStrictEqual(entry.changes, ['targetUrl', 'secret']);
+      assert.ok(!JSON.stringify(entry.current).includes('old'), 'Secrets are not echoed in the plan');
+    });
+
+    it('should re-activate webhooks Webex disabled', () => {
+      const [entry] = plan([declared()], [registered('wh-1', { status: 'inactive' })]);
+
+      assert.strictEqual(entry.action, 'update');
+      assert.deepStrictEqual(entry.changes, ['status']);
+      assert.strictEqual(entry.reason, 'inactive in Webex');
+    });
+
+    it('should re-create webhooks whose resource, event or filter changed', () => {
+      const [entry] = plan([declared({ filter: 'roomId=room-1' })], [registered('wh-1')]);
+
+      assert.strictEqual(entry.action, 'replace');
+      assert.deepStrictEqual(entry.changes, ['filter']);
+    });
+
+    it('should keep the best duplicate and delete the rest', () => {
+      const result = plan([declared()], [
+        registered('wh-stale', { status: 'inactive' }),
+        registered('wh-wrong', { event: 'all' }),
+        registered('wh-good')
+      ]);
+
+      assert.deepStrictEqual(result.map(e => [e.action, e.webhookId]), [
+        ['delete', 'wh-stale'],
+        ['delete', 'wh-wrong'],
+        ['unchanged', 'wh-good']
+      ]);
+      assert.ok(result.slice(0, 2).every(e => e.reason === 'duplicate'));
+    });
+
+    it('should only delete undeclared webhooks when pruning, never subscription webhooks', () => {
+      const existing = [registered('wh-1', { name: 'old-ngrok' }), registered('wh-2', { name: `${WEBHOOK_NAME_PREFIX} session-1` })];
+
+      assert.deepStrictEqual(plan([], existing).map(e => e.action), ['unmanaged', 'unmanaged']);
+      const pruned = plan([], existing, { prune: true });
+      assert.deepStrictEqual(pruned.map(e => [e.action, e.webhookId]), [['delete', 'wh-1'], ['unmanaged', 'wh-2']]);
+      assert.deepStrictEqual(summarizePlan(pruned), { create: 0, update: 0, replace: 0, delete: 1, unchanged: 0, unmanaged: 1 });
+    });
+  });
+
+  describe('syncWebhooks', () => {
+    let originalEnv;
+    let originalFetch;
+    let requests;
+    let existing;
+
+    beforeEach(async () => {
+      originalEnv = { ...process.env };
+      originalFetch = global.fetch;
+      process.env.WEBEX_PUBLIC_WORKSPACE_API_KEY = 'test-token-123';
+      process.env.WEBEX_API_BASE_URL = BASE;
+      await initializeAuth();
+
+      existing = [
+        registered('wh-dead', { targetUrl: 'https://dead.ngrok.io/hooks', status: 'inactive' }),
+        registered('wh-dup', { targetUrl: 'https://dead.ngrok.io/hooks', status: 'inactive' }),
+        registered('wh-old', { name: 'cards', resource: 'attachmentActions', event: 'created', filter: 'roomId=room-1' })
+      ];
+      requests = [];
+      global.fetch = async (url, options = {}) => {
+        const { pathname, searchParams } = new URL(url);
+        const method = options.method || 'GET';
+        const body = options.body ? JSON.parse(options.body) : undefined;
+        requests.push({ method, pathname, searchParams, body });
+
+        if (method === 'GET' && pathname === '/v1/webhooks') {
+          return new Response(JSON.stringify({ items: existing }), { status: 200 });
+        }
+        if (method === 'POST') {
+          return new Response(JSON.stringify({ id: `wh-new-${requests.length}`, ...body, status: 'active' }), { status: 200 });
+        }
+        if (method === 'PUT') {
+          return new Response(JSON.stringify({ id: pathname.split('/').pop(), ...body }), { status: 200 });
+        }
+        return new Response(null, { status: 204 });
+      };
+    });
+
+    afterEach(() => {
+      process.env = originalEnv;
+      global.fetch = originalFetch;
+    });
+
+    const spec = [
+      declared(),
+      declared({ name: 'cards', resource: 'attachmentActions', event: 'created', filter: 'roomId=room-2' })
+    ];
+
+    it('should only plan unless apply is set', async () => {
+      const result = await syncWebhooks({ webhooks: spec });
+
+      assert.strictEqual(result.applied, false);
+      assert.deepStrictEqual(result.summary, { create: 0, update: 1, replace: 1, delete: 1, unchanged: 0, unmanaged: 0 });
+      assert.deepStrictEqual(requests.map(r => r.method), ['GET'], 'Planning only lists webhooks');
+      assert.strictEqual(requests[0].searchParams.has('ownedBy'), false, 'Lists the caller\'s own webhooks by default');
+    });
+
+    it('should leave list_webhooks listing organization-wide webhooks by default', async () => {
+      const tools = await discoverTools();
+      await tools.find(t => t.definition.function.name === 'list_webhooks').function({});
+
+      assert.strictEqual(requests[0].searchParams.get('ownedBy'), 'org');
+    });
+
+    it('should converge with create, update and delete', async () => {
+      const result = await syncWebhooks({ webhooks: spec, apply: true });
+
+      assert.deepStrictEqual(requests.slice(1).map(r => `${r.method} ${r.pathname}`), [
+        'DELETE /v1/webhooks/wh-dup',
+        'DELETE /v1/webhooks/wh-old',
+        'POST /v1/webhooks',
+        'PUT /v1/webhooks/wh-dead'
+      ], 'Deletions run first so nothing fires twice');
+
+      const put = requests.find(r => r.method === 'PUT');
+      assert.deepStrictEqual(put.body, { name: 'alerts', targetUrl: TARGET, status: 'active' });
+      const post = requests.find(r => r.method === 'POST');
+      assert.strictEqual(post.body.filter, 'roomId=room-2');
+
+      assert.strictEqual(result.applied, true);
+      assert.strictEqual(result.failed, undefined);
+      assert.ok(result.plan.every(e => e.outcome === 'applied'));
+      assert.strictEqual(result.plan.find(e => e.action === 'replace').webhookId, 'wh-new-4');
+    });
+
+    it('should report failed changes and carry on', async () => {
+      const fetchWebex = global.fetch;
+      global.fetch = async (url, options = {}) => (options.method === 'DELETE'
+        ? new Response(JSON.stringify({ message: 'Webhook not owned by you', trackingId: 'ROUTER_1' }), { status: 403 })
+        : fetchWebex(url, options));
+
+      const result = await syncWebhooks({ webhooks: spec, apply: true });
+
+      assert.strictEqual(result.failed, 2);
+      const replace = result.plan.find(e => e.action === 'replace');
+      assert.strictEqual(replace.outcome, 'failed');
+      assert.strictEqual(replace.error.trackingId, 'ROUTER_1');
+      assert.strictEqual(result.plan.find(e => e.action === 'update').outcome, 'applied');
+      assert.ok(!requests.some(r => r.method === 'POST'), 'A webhook is not re-created if the old one could not be deleted');
+    });
+
+    it('should sync organization-wide webhooks with ownedBy', async () => {
+      await syncWebhooks({ webhooks: [declared({ name: 'org-audit' })], apply: true, ownedBy: 'org' });
+
+      assert.strictEqual(requests[0].searchParams.get('ownedBy'), 'org');
+      assert.strictEqual(requests.find(r => r.method === 'POST').body.ownedBy, 'org');
+    });
+
+    it('should be available as the sync_webhooks tool', async () => {
+      const tools = await discoverTools();
+      const tool = tools.find(t => t.definition.function.name === 'sync_webhooks');
+
+      const invalid = await tool.function({ webhooks: [{ name: 'alerts' }] });
+      assert.match(invalid.error.message, /missing targetUrl, resource, event/);
+
+      global.fetch = async () => new Response(JSON.stringify({ message: 'Unauthorized' }), { status: 401 });
+      const failed = await tool.function({ webhooks: spec });
+      assert.strictEqual(failed.error.status, 401);
+    });
+  });
+});
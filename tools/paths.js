@@ -53,5 +53,13 @@ export const toolPaths = [
   'webex-public-workspace/webex-messaging/create-a-person.js',
   'webex-public-workspace/webex-messaging/get-all-unread.js',
   'webex-public-workspace/webex-messaging/mark-room-checked.js',
-  'webex-public-workspace/webex-messaging/mark-all-rooms-checked.js'
+  'webex-public-workspace/webex-messaging/mark-all-rooms-checked.js',
+  'webex-public-workspace/webex-messaging/sync-webhooks.js',
+  'webex-public-workspace/webex-messaging/get-message-attachment.js',
+  'webex-public-workspace/webex-messaging/send-adaptive-card.js',
+  'webex-public-workspace/webex-messaging/await-card-response.js',
+  'webex-public-workspace/webex-messaging/get-thread.js',
+  'webex-public-workspace/webex-messaging/search-messages.js',
+  'webex-public-workspace/webex-messaging/search-index.js',
+  'webex-public-workspace/webex-messaging/export-room-history.js'
 ];
\ No newline at end of file
@@ -0,0 +1,85 @@
+import { WebexApiError, toErrorResult, isErrorResult } from '../../../lib/errors.js';
+import { awaitCardResponses, DEFAULT_TIMEOUT_MS } from '../../../lib/card-responses.js';
+import { apiTool as getMessageDetails } from './get-message-details.js';
+
+// Longest wait a single call may block for
+const MAX_TIMEOUT_SECONDS = 900;
+
+/**
+ * Function to wait for people to submit an Adaptive Card.
+ *
+ * @param {Object} args - Arguments for the wait.
+ * @param {string} args.messageId - The ID of the message carrying the card.
+ * @param {number} [args.responses=1] - Return once this many people have responded.
+ * @param {number} [args.timeoutSeconds=60] - Return after this many seconds, with the responses so far.
+ * @returns {Promise<Object>} - Submitted inputs keyed by personId, and whether the wait completed or timed out.
+ */
+const executeFunction = async ({ messageId, responses = 1, timeoutSeconds = DEFAULT_TIMEOUT_MS / 1000 }) => {
+  try {
+    if (!messageId) {
+      throw new WebexApiError('messageId is required.', { retryable: false });
+    }
+
+    const message = await getMessageDetails.function({ messageId });
+    if (isErrorResult(message)) {
+      return message;
+    }
+    if (!message.attachments?.length) {
+      throw new WebexApiError('The message has no card to respond to.', { retryable: false });
+    }
+
+    const result = await awaitCardResponses({
+      messageId,
+      since: message.created,
+      count: responses,
+      timeoutMs: Math.min(timeoutSeconds, MAX_TIMEOUT_SECONDS) * 1000
+    });
+
+    const { eventsError, ...summary } = result;
+    if (result.received === 0 && result.eventsApi === 'unavailable') {
+      summary.note = 'No submissions were seen. This token cannot read the events API (it needs spark-compliance:events_read), so submissions only arrive through an attachmentActions webhook that points at this server\'s /webhooks/webex endpoint.';
+    }
+    return { messageId, roomId: message.roomId, ...summary };
+  } catch (error) {
+    console.error('Error awaiting card response:', error);
+    return toErrorResult(error, 'An error occurred while waiting for card responses.');
+  }
+};
+
+/**
+ * Tool configuration for waiting on Adaptive Card submissions in Webex.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'await_card_response',
+      description: 'Wait for people to submit an Adaptive Card (e.g. one sent with send_adaptive_card) and return the submitted inputs keyed by personId. Returns once the requested number of people have responded, or at the timeout with the responses so far. Submissions arrive through an attachmentActions webhook pointing at this server, or by polling the events API for compliance officers.',
+      parameters: {
+        type: 'object',
+        properties: {
+          messageId: {
+            type: 'string',
+            description: 'The ID of the message carrying the card.'
+          },
+          responses: {
+            type: 'integer',
+            minimum: 1,
+            description: 'Return once this many people have responded (default 1).'
+          },
+          timeoutSeconds: {
+            type: 'integer',
+            minimum: 1,
+            maximum: MAX_TIMEOUT_SECONDS,
+            description: 'Return after this many seconds with the responses so far (default 60, at most 900).'
+          }
+        },
+        required: ['messageId']
+      }
+    }
+  }
+};
+
+export { apiTool };
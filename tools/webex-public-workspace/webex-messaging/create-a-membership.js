@@ -1,4 +1,6 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to create a membership in a Webex room.
  *
@@ -30,22 +32,21 @@ const executeFunction = async ({ roomId, personId, personEmail, isModerator = fa
 
     const headers = await getWebexJsonHeaders();
 
-    const response = await fetch(url, {
+    const response = await webexFetch(url, {
       method: 'POST',
       headers,
       body
     });
 
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
+      throw await WebexApiError.fromResponse(response);
     }
 
     const data = await response.json();
     return data;
   } catch (error) {
     console.error('Error creating membership:', error);
-    return { error: 'An error occurred while creating the membership.' };
+    return toErrorResult(error, 'An error occurred while creating the membership.');
   }
 };
 
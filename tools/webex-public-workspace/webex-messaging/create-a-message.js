@@ -1,4 +1,45 @@
-import { getWebexUrl, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
+import { loadUploadPolicy, isRemoteFile, UploadError } from '../../../lib/uploads.js';
+import { composeMentions } from '../../../lib/mentions.js';
+import messageGroups, { splitMessage, fitsInMessage } from '../../../lib/message-chunks.js';
+
+/**
+ * Post a message, as multipart/form-data when a file is uploaded
+ * @private
+ */
+async function postMessage(payload, upload) {
+  const url = getWebexUrl('/messages');
+
+  let response;
+  if (upload) {
+    const form = new FormData();
+    for (const [key, value] of Object.entries(payload)) {
+      if (key !== 'files') form.append(key, value);
+    }
+    form.append('files', new Blob([upload.content], { type: upload.contentType }), upload.filename);
+
+    // fetch sets the multipart Content-Type (with its boundary)
+    response = await webexFetch(url, {
+      method: 'POST',
+      headers: await getWebexHeaders(),
+      body: form
+    });
+  } else {
+    response = await webexFetch(url, {
+      method: 'POST',
+      headers: await getWebexJsonHeaders(),
+      body: JSON.stringify(payload)
+    });
+  }
+
+  // Check if the response was successful
+  if (!response.ok) {
+    throw await WebexApiError.fromResponse(response);
+  }
+  return response.json();
+}
 
 /**
  * Function to create a message in a Webex room.
@@ -10,15 +51,19 @@ import { getWebexUrl, getWebexJsonHeaders } from '../../../lib/webex-config.js';
  * @param {string} [args.toPersonEmail] - The email of the person to whom the message is directed.
  * @param {string} args.text - The plain text message to send.
  * @param {string} [args.markdown] - The message in markdown format.
- * @param {Array<string>} [args.files] - An array of file URLs to attach to the message.
+ * @param {Array<string>} [args.files] - Public file URLs, or a local file path, to attach to the message.
+ * @param {Object} [args.fileContent] - A file to upload, given as { filename, content } with base64 content.
  * @param {Array<Object>} [args.attachments] - An array of attachment objects.
- * @returns {Promise<Object>} - The response from the Webex API after creating the message.
+ * @param {Array<string>} [args.mentions] - Emails, display names or "@all" to @mention.
+ * @param {boolean} [args.threadChunks=false] - Post the rest of a message that had to be split as replies to its first part.
+ * @returns {Promise<Object>} - The response from the Webex API after creating the message, with the resolved mentions,
+ *   and messageIds when the message was split.
  */
-const executeFunction = async ({ roomId, parentId, toPersonId, toPersonEmail, text, markdown, files = [], attachments = [] }) => {
+const executeFunction = async ({ roomId, parentId, toPersonId, toPersonEmail, text, markdown, files = [], fileContent, attachments = [], mentions = [], threadChunks = false }) => {
 
   try {
     // Debug: Log received parameters
-    console.error('[DEBUG] create-a-message received parameters:', { roomId, parentId, toPersonId, toPersonEmail, text, markdown, files, attachments });
+    console.error('[DEBUG] create-a-message received parameters:', { roomId, parentId, toPersonId, toPersonEmail, text, markdown, files, fileContent: fileContent && { filename: fileContent.filename }, attachments, mentions, threadChunks });
     // Construct the message payload (only include defined parameters)
     const payload = {};
 
@@ -31,39 +76,75 @@ const executeFunction = async ({ roomId, parentId, toPersonId, toPersonEmail, te
     if (files && files.length > 0) payload.files = files;
     if (attachments && attachments.length > 0) payload.attachments = attachments;
 
-    // Get the API URL and headers using the centralized config
-    const url = getWebexUrl('/messages');
-    const headers = await getWebexJsonHeaders();
+    // Mentions are resolved to people and written into the markdown
+    let mentioned;
+    if (mentions && mentions.length > 0) {
+      ({ markdown: payload.markdown, mentions: mentioned } = await composeMentions({ roomId, text, markdown, mentions }));
+    }
 
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(payload)
-    });
+    let upload;
+    if (fileContent || payload.files?.some(file => !isRemoteFile(file))) {
+      // Local files and base64 content are uploaded as multipart/form-data
+      if ((payload.files?.length || 0) + (fileContent ? 1 : 0) > 1) {
+        throw new UploadError('Webex accepts one uploaded file per message. Send the other files in separate messages.');
+      }
+      if (payload.attachments) {
+        throw new UploadError('Cards (attachments) cannot be sent with an uploaded file.');
+      }
+
+      const policy = loadUploadPolicy();
+      upload = fileContent ? policy.resolveContent(fileContent) : await policy.resolveFile(payload.files[0]);
+    }
+
+    // Next to markdown, text is only a plain-text fallback; Webex would reject the message over one too long
+    if (payload.markdown && payload.text && !fitsInMessage(payload.text)) {
+      delete payload.text;
+    }
 
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorText = await response.text();
-      let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
-      try {
-        const errorData = JSON.parse(errorText);
-        errorMessage = errorData.message || errorData.error || JSON.stringify(errorData);
-      } catch (e) {
-        errorMessage = errorText || errorMessage;
+    // Messages over the Webex size limit are split; files and cards go with the first part
+    const field = payload.markdown ? 'markdown' : 'text';
+    const chunks = payload[field] ? splitMessage(payload[field]) : [];
+    if (chunks.length <= 1) {
+      const data = await postMessage(payload, upload);
+      return mentioned ? { ...data, mentions: mentioned } : data;
+    }
+
+    // The plain-text fallback of split markdown would be over the limit too
+    delete payload.text;
+    const first = await postMessage({ ...payload, [field]: chunks[0] }, upload);
+    const messageIds = [first.id];
+    const target = first.roomId ? { roomId: first.roomId } : { ...(toPersonId && { toPersonId }), ...(toPersonEmail && { toPersonEmail }) };
+    // Webex threads are one level deep, so replies stay under the original parent
+    const continuationParent = parentId || (threadChunks ? first.id : undefined);
+
+    let failure;
+    try {
+      for (const chunk of chunks.slice(1)) {
+        const next = await postMessage({ ...target, ...(continuationParent && { parentId: continuationParent }), [field]: chunk });
+        messageIds.push(next.id);
       }
-      throw new Error(errorMessage);
+    } catch (error) {
+      failure = error;
+    }
+
+    // The parts are posted by now: a group that cannot be saved must not turn this into a failure (and a retry into a repost)
+    try {
+      await messageGroups.save({ roomId: first.roomId, messageIds, field, threaded: !!threadChunks && !parentId, ...(parentId && { parentId }) });
+    } catch (error) {
+      console.error('Error saving the message group:', error);
     }
 
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
+    if (failure) {
+      console.error('Error creating message:', failure);
+      const result = toErrorResult(failure, 'An error occurred while creating the message.');
+      result.error.message = `Sent ${messageIds.length} of ${chunks.length} parts of a long message: ${result.error.message}`;
+      result.error.messageIds = messageIds;
+      return result;
+    }
+    return { ...first, messageIds, ...(mentioned && { mentions: mentioned }) };
   } catch (error) {
     console.error('Error creating message:', error);
-    return {
-      error: error.message || 'An error occurred while creating the message.',
-      details: error.stack
-    };
+    return toErrorResult(error, 'An error occurred while creating the message.');
   }
 };
 
@@ -110,14 +191,40 @@ const apiTool = {
             items: {
               type: 'string'
             },
-            description: 'An array of file URLs to attach to the message.'
+            description: 'Files to attach: public URLs, or one absolute path to a local file inside WEBEX_UPLOAD_DIRS, which is uploaded.'
+          },
+          fileContent: {
+            type: 'object',
+            properties: {
+              filename: {
+                type: 'string',
+                description: 'File name shown in Webex, e.g. report.pdf. Its extension decides the file type.'
+              },
+              content: {
+                type: 'string',
+                description: 'The file content, base64-encoded.'
+              }
+            },
+            required: ['filename', 'content'],
+            description: 'A file to upload from base64 content, e.g. a generated report or screenshot. Only one file can be uploaded per message.'
           },
           attachments: {
             type: 'array',
             items: {
               type: 'object'
             },
-            description: 'An array of attachment objects.'
+            description: 'An array of attachment objects. Use send_adaptive_card to build and validate Adaptive Cards.'
+          },
+          mentions: {
+            type: 'array',
+            items: {
+              type: 'string'
+            },
+            description: 'People to @mention, by email or display name, or "@all" for everyone in a group space. Write "@Name" in the text to place a mention; others are added at the start. Names matching nobody or several people are reported and nothing is sent.'
+          },
+          threadChunks: {
+            type: 'boolean',
+            description: 'Messages over the Webex limit (7439 bytes) are split into several messages at paragraph, list and code block boundaries. Set true to post the later parts as threaded replies to the first.'
           }
         },
         required: ['text']
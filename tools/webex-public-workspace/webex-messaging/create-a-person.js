@@ -1,4 +1,6 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to create a new person in Webex.
  *
@@ -33,22 +35,21 @@ const executeFunction = async (personData) => {
       'Accept': 'application/json'
     };
 
-    const response = await fetch(url, {
+    const response = await webexFetch(url, {
       method: 'POST',
       headers,
       body: JSON.stringify(personData)
     });
 
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
+      throw await WebexApiError.fromResponse(response);
     }
 
     const data = await response.json();
     return data;
   } catch (error) {
     console.error('Error creating person:', error);
-    return { error: 'An error occurred while creating the person.' };
+    return toErrorResult(error, 'An error occurred while creating the person.');
   }
 };
 
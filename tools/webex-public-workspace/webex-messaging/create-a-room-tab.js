@@ -1,4 +1,6 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to create a room tab in Webex.
  *
@@ -25,7 +27,7 @@ const executeFunction = async ({ roomId, contentUrl, displayName }) => {
     });
 
     // Perform the fetch request
-    const response = await fetch(url, {
+    const response = await webexFetch(url, {
       method: 'POST',
       headers,
       body
@@ -33,8 +35,7 @@ const executeFunction = async ({ roomId, contentUrl, displayName }) => {
 
     // Check if the response was successful
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
+      throw await WebexApiError.fromResponse(response);
     }
 
     // Parse and return the response data
@@ -42,7 +43,7 @@ const executeFunction = async ({ roomId, contentUrl, displayName }) => {
     return data;
   } catch (error) {
     console.error('Error creating room tab:', error);
-    return { error: 'An error occurred while creating the room tab.' };
+    return toErrorResult(error, 'An error occurred while creating the room tab.');
   }
 };
 
@@ -1,4 +1,6 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to create a room in Webex.
  *
@@ -35,7 +37,7 @@ const executeFunction = async ({ title, teamId, classificationId, isLocked = fal
     const headers = await getWebexJsonHeaders();
 
     // Perform the fetch request
-    const response = await fetch(getWebexUrl('/rooms'), {
+    const response = await webexFetch(getWebexUrl('/rooms'), {
       method: 'POST',
       headers,
       body
@@ -43,8 +45,7 @@ const executeFunction = async ({ title, teamId, classificationId, isLocked = fal
 
     // Check if the response was successful
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(JSON.stringify(errorData));
+      throw await WebexApiError.fromResponse(response);
     }
 
     // Parse and return the response data
@@ -52,7 +53,7 @@ const executeFunction = async ({ title, teamId, classificationId, isLocked = fal
     return data;
   } catch (error) {
     console.error('Error creating room:', error);
-    return { error: 'An error occurred while creating the room.' };
+    return toErrorResult(error, 'An error occurred while creating the room.');
   }
 };
 
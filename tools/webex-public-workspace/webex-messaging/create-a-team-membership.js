@@ -1,4 +1,6 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to create a team membership in Webex.
  *
@@ -33,7 +35,7 @@ const executeFunction = async ({ teamId, personId, personEmail, isModerator = fa
     const headers = await getWebexJsonHeaders();
 
     // Perform the fetch request
-    const response = await fetch(url, {
+    const response = await webexFetch(url, {
       method: 'POST',
       headers,
       body
@@ -41,8 +43,7 @@ const executeFunction = async ({ teamId, personId, personEmail, isModerator = fa
 
     // Check if the response was successful
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
+      throw await WebexApiError.fromResponse(response);
     }
 
     // Parse and return the response data
@@ -50,7 +51,7 @@ const executeFunction = async ({ teamId, personId, personEmail, isModerator = fa
     return data;
   } catch (error) {
     console.error('Error creating team membership:', error);
-    return { error: 'An error occurred while creating the team membership.' };
+    return toErrorResult(error, 'An error occurred while creating the team membership.');
   }
 };
 
@@ -1,4 +1,6 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to create a team in Webex.
  *
@@ -20,7 +22,7 @@ const executeFunction = async ({ name, description }) => {
     const headers = await getWebexJsonHeaders();
 
     // Perform the fetch request
-    const response = await fetch(url, {
+    const response = await webexFetch(url, {
       method: 'POST',
       headers,
       body
@@ -28,8 +30,7 @@ const executeFunction = async ({ name, description }) => {
 
     // Check if the response was successful
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
+      throw await WebexApiError.fromResponse(response);
     }
 
     // Parse and return the response data
@@ -37,7 +38,7 @@ const executeFunction = async ({ name, description }) => {
     return data;
   } catch (error) {
     console.error('Error creating team:', error);
-    return { error: 'An error occurred while creating the team.' };
+    return toErrorResult(error, 'An error occurred while creating the team.');
   }
 };
 
@@ -1,4 +1,6 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to create a webhook in Webex.
  *
@@ -29,7 +31,7 @@ const executeFunction = async ({ name, targetUrl, resource, event, filter, secre
     const headers = await getWebexJsonHeaders();
 
     // Perform the fetch request
-    const response = await fetch(getWebexUrl('/webhooks'), {
+    const response = await webexFetch(getWebexUrl('/webhooks'), {
       method: 'POST',
       headers,
       body: JSON.stringify(data)
@@ -37,8 +39,7 @@ const executeFunction = async ({ name, targetUrl, resource, event, filter, secre
 
     // Check if the response was successful
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
+      throw await WebexApiError.fromResponse(response);
     }
 
     // Parse and return the response data
@@ -46,7 +47,7 @@ const executeFunction = async ({ name, targetUrl, resource, event, filter, secre
     return responseData;
   } catch (error) {
     console.error('Error creating webhook:', error);
-    return { error: 'An error occurred while creating the webhook.' };
+    return toErrorResult(error, 'An error occurred while creating the webhook.');
   }
 };
 
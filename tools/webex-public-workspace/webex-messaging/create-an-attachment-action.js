@@ -1,15 +1,17 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to create an attachment action in Webex.
  *
  * @param {Object} args - Arguments for creating the attachment action.
  * @param {string} args.type - The type of the action (e.g., "submit").
  * @param {string} args.messageId - The ID of the message to which the attachment is related.
- * @param {Object} args.inputs - The inputs for the attachment action.
- * @param {string} args.inputs.Name - The name associated with the action.
- * @param {string} args.inputs.Url - The URL associated with the action.
- * @param {string} args.inputs.Email - The email associated with the action.
- * @param {string} args.inputs.Tel - The telephone number associated with the action.
+ * @param {Object} args.inputs - The inputs for the attachment action, keyed by input ID.
+ * @param {string} [args.inputs.Name] - The name associated with the action.
+ * @param {string} [args.inputs.Url] - The URL associated with the action.
+ * @param {string} [args.inputs.Email] - The email associated with the action.
+ * @param {string} [args.inputs.Tel] - The telephone number associated with the action.
  * @returns {Promise<Object>} - The result of the attachment action creation.
  */
 const executeFunction = async ({ type, messageId, inputs }) => {
@@ -29,7 +31,7 @@ const executeFunction = async ({ type, messageId, inputs }) => {
     });
 
     // Perform the fetch request
-    const response = await fetch(url, {
+    const response = await webexFetch(url, {
       method: 'POST',
       headers,
       body
@@ -37,8 +39,7 @@ const executeFunction = async ({ type, messageId, inputs }) => {
 
     // Check if the response was successful
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
+      throw await WebexApiError.fromResponse(response);
     }
 
     // Parse and return the response data
@@ -46,7 +47,7 @@ const executeFunction = async ({ type, messageId, inputs }) => {
     return data;
   } catch (error) {
     console.error('Error creating attachment action:', error);
-    return { error: 'An error occurred while creating the attachment action.' };
+    return toErrorResult(error, 'An error occurred while creating the attachment action.');
   }
 };
 
@@ -74,6 +75,7 @@ const apiTool = {
           },
           inputs: {
             type: 'object',
+            description: 'The card input values keyed by input ID. Name, Url, Email and Tel are common examples; any other input IDs are passed through.',
             properties: {
               Name: {
                 type: 'string',
@@ -91,8 +93,7 @@ const apiTool = {
                 type: 'string',
                 description: 'The telephone number associated with the action.'
               }
-            },
-            required: ['Name', 'Url', 'Email', 'Tel']
+            }
           }
         },
         required: ['messageId', 'inputs']
@@ -1,40 +1,67 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
+import messageGroups from '../../../lib/message-chunks.js';
+
+/**
+ * Delete one message
+ * @private
+ */
+async function deleteOne(messageId) {
+  // Construct the URL for the delete request
+  const url = getWebexUrl(`/messages/${encodeURIComponent(messageId)}`);
+
+  // Set up headers for the request
+  const headers = await getWebexHeaders();
+
+  // Perform the fetch request
+  const response = await webexFetch(url, {
+    method: 'DELETE',
+    headers
+  });
+
+  // Check if the response was successful
+  if (!response.ok) {
+    throw await WebexApiError.fromResponse(response);
+  }
+  return response;
+}
+
 /**
  * Function to delete a message in Webex by message ID.
  *
  * @param {Object} args - Arguments for the delete operation.
  * @param {string} args.messageId - The unique identifier for the message to be deleted.
+ * @param {boolean} [args.allParts=true] - Delete every part of a message that was split because of its length.
  * @returns {Promise<Object>} - The result of the delete operation.
  */
-const executeFunction = async ({ messageId }) => {
+const executeFunction = async ({ messageId, allParts = true }) => {
 
   try {
-    // Construct the URL for the delete request
-    const url = getWebexUrl(`/messages/${encodeURIComponent(messageId)}`);
-
-    // Set up headers for the request
-    const headers = await getWebexHeaders();
-
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'DELETE',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(JSON.stringify(errorData));
+    const group = allParts ? await messageGroups.find(messageId) : null;
+    if (group) {
+      // Later parts first, so a failure never leaves parts without their start
+      const deletedMessageIds = [];
+      for (const id of [...group.messageIds].reverse()) {
+        try {
+          await deleteOne(id);
+        } catch (error) {
+          // Parts already deleted (e.g. by an earlier, interrupted call) are skipped
+          if (error.status !== 404) throw error;
+        }
+        deletedMessageIds.push(id);
+      }
+      await messageGroups.remove(group.id);
+      return { status: 204, message: `Message deleted successfully (${deletedMessageIds.length} parts).`, deletedMessageIds };
     }
 
+    const response = await deleteOne(messageId);
+
     // Return the response status
     return { status: response.status, message: 'Message deleted successfully.' };
   } catch (error) {
     console.error('Error deleting message:', error);
-    return {
-      error: error.message || 'An error occurred while deleting the message.',
-      details: error.stack
-    };
+    return toErrorResult(error, 'An error occurred while deleting the message.');
   }
 };
 
@@ -55,6 +82,10 @@ const apiTool = {
           messageId: {
             type: 'string',
             description: 'The unique identifier for the message to be deleted.'
+          },
+          allParts: {
+            type: 'boolean',
+            description: 'For a message that was split into several parts because of its length, delete every part (default true).'
           }
         },
         required: ['messageId']
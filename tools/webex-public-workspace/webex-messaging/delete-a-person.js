@@ -1,4 +1,6 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to delete a person from the system.
  *
@@ -19,22 +21,21 @@ const executeFunction = async ({ personId }) => {
     };
 
     // Perform the fetch request
-    const response = await fetch(url, {
+    const response = await webexFetch(url, {
       method: 'DELETE',
       headers
     });
 
     // Check if the response was successful
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
+      throw await WebexApiError.fromResponse(response);
     }
 
     // Return the response status
     return { status: response.status, message: 'Person deleted successfully.' };
   } catch (error) {
     console.error('Error deleting person:', error);
-    return { error: 'An error occurred while deleting the person.' };
+    return toErrorResult(error, 'An error occurred while deleting the person.');
   }
 };
 
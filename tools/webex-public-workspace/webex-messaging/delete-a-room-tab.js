@@ -1,4 +1,6 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to delete a Room Tab in Webex.
  *
@@ -16,22 +18,21 @@ const executeFunction = async ({ id }) => {
     const headers = await getWebexHeaders();
 
     // Perform the fetch request
-    const response = await fetch(url, {
+    const response = await webexFetch(url, {
       method: 'DELETE',
       headers
     });
 
     // Check if the response was successful
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
+      throw await WebexApiError.fromResponse(response);
     }
 
     // Parse and return the response data
     return await response.json();
   } catch (error) {
     console.error('Error deleting Room Tab:', error);
-    return { error: 'An error occurred while deleting the Room Tab.' };
+    return toErrorResult(error, 'An error occurred while deleting the Room Tab.');
   }
 };
 
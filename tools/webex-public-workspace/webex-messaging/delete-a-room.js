@@ -1,4 +1,6 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to delete a room in Webex by its ID.
  *
@@ -16,22 +18,14 @@ const executeFunction = async ({ roomId }) => {
     const headers = await getWebexHeaders();
 
     // Perform the fetch request
-    const response = await fetch(url, {
+    const response = await webexFetch(url, {
       method: 'DELETE',
       headers
     });
 
     // Check if the response was successful
     if (!response.ok) {
-      const errorText = await response.text();
-      let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
-      try {
-        const errorData = JSON.parse(errorText);
-        errorMessage = errorData.message || errorData.error || JSON.stringify(errorData);
-      } catch (e) {
-        errorMessage = errorText || errorMessage;
-      }
-      throw new Error(errorMessage);
+      throw await WebexApiError.fromResponse(response);
     }
 
     // For DELETE requests, return success message (204 No Content has no body)
@@ -48,7 +42,7 @@ const executeFunction = async ({ roomId }) => {
     }
   } catch (error) {
     console.error('Error deleting the room:', error);
-    return { error: 'An error occurred while deleting the room.' };
+    return toErrorResult(error, 'An error occurred while deleting the room.');
   }
 };
 
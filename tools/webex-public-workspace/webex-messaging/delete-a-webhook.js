@@ -1,4 +1,6 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to delete a webhook by its ID from the Webex Messaging API.
  *
@@ -10,28 +12,27 @@ const executeFunction = async ({ webhookId }) => {
 
   try {
     // Construct the URL for the delete request
-    const url = getWebexUrl('/webhooks/${webhookId}');
+    const url = getWebexUrl(`/webhooks/${encodeURIComponent(webhookId)}`);
 
     // Set up headers for the request
     const headers = await getWebexHeaders();
 
     // Perform the fetch request
-    const response = await fetch(url, {
+    const response = await webexFetch(url, {
       method: 'DELETE',
       headers
     });
 
     // Check if the response was successful
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
+      throw await WebexApiError.fromResponse(response);
     }
 
     // Return the response data
     return { status: response.status, message: 'Webhook deleted successfully.' };
   } catch (error) {
     console.error('Error deleting webhook:', error);
-    return { error: 'An error occurred while deleting the webhook.' };
+    return toErrorResult(error, 'An error occurred while deleting the webhook.');
   }
 };
 
@@ -1,4 +1,71 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { WebexApiError, toErrorResult, isErrorResult } from '../../../lib/errors.js';
+import { composeMentions } from '../../../lib/mentions.js';
+import messageGroups, { splitMessage, fitsInMessage } from '../../../lib/message-chunks.js';
+import { apiTool as createMessage } from './create-a-message.js';
+
+/**
+ * Send a PUT or DELETE for one message
+ * @private
+ */
+async function sendMessageRequest(method, messageId, payload) {
+  const response = await webexFetch(getWebexUrl(`/messages/${encodeURIComponent(messageId)}`), {
+    method,
+    headers: payload ? await getWebexJsonHeaders() : await getWebexHeaders(),
+    ...(payload && { body: JSON.stringify(payload) })
+  });
+  if (!response.ok) {
+    throw await WebexApiError.fromResponse(response);
+  }
+  return payload ? response.json() : null;
+}
+
+/**
+ * Spread new content over the messages of a split message
+ * Parts are edited in place; extra parts are posted and surplus parts deleted.
+ * @private
+ */
+async function editMessageGroup({ group, messageId, roomId, field, chunks }) {
+  const messageIds = group ? group.messageIds : [messageId];
+  const targetRoomId = roomId || group?.roomId;
+  if (!targetRoomId) {
+    throw new WebexApiError('roomId is required to edit a message that is split into several parts.', { retryable: false });
+  }
+
+  const edited = [];
+  for (const [index, chunk] of chunks.entries()) {
+    if (index < messageIds.length) {
+      edited.push(await sendMessageRequest('PUT', messageIds[index], { roomId: targetRoomId, [field]: chunk }));
+      continue;
+    }
+    const parentId = group?.parentId || (group?.threaded ? messageIds[0] : undefined);
+    const created = await createMessage.function({ roomId: targetRoomId, parentId, [field]: chunk });
+    if (isErrorResult(created)) {
+      throw new WebexApiError(`Could not post part ${index + 1} of ${chunks.length}: ${created.error.message}`, created.error);
+    }
+    edited.push(created);
+  }
+
+  const deletedMessageIds = messageIds.slice(chunks.length);
+  for (const id of [...deletedMessageIds].reverse()) {
+    await sendMessageRequest('DELETE', id);
+  }
+
+  const editedIds = edited.map(message => message.id);
+  if (editedIds.length > 1) {
+    await messageGroups.save({ ...group, roomId: targetRoomId, messageIds: editedIds, field, threaded: !!group?.threaded });
+  } else if (group) {
+    await messageGroups.remove(group.id);
+  }
+
+  return {
+    ...edited[0],
+    messageIds: editedIds,
+    ...(deletedMessageIds.length > 0 && { deletedMessageIds })
+  };
+}
+
 /**
  * Function to edit a message in Webex.
  *
@@ -7,18 +74,35 @@ import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/
  * @param {string} args.roomId - The ID of the room where the message is located.
  * @param {string} args.text - The new text for the message.
  * @param {string} [args.markdown] - The new markdown for the message (optional).
- * @returns {Promise<Object>} - The result of the edit message operation.
+ * @param {Array<string>} [args.mentions] - Emails, display names or "@all" to @mention.
+ * @returns {Promise<Object>} - The result of the edit message operation, with the resolved mentions,
+ *   and messageIds when the message is split into several parts.
  */
-const executeFunction = async ({ messageId, roomId, text, markdown }) => {
+const executeFunction = async ({ messageId, roomId, text, markdown, mentions = [] }) => {
 
   try {
+    // Mentions are resolved to people and written into the markdown
+    let mentioned;
+    if (mentions && mentions.length > 0) {
+      ({ markdown, mentions: mentioned } = await composeMentions({ roomId, text, markdown, mentions }));
+    }
+
+    // Messages that were split, or are now over the size limit, are edited part by part
+    const field = markdown ? 'markdown' : 'text';
+    const chunks = splitMessage((markdown || text) ?? '');
+    const group = await messageGroups.find(messageId);
+    if (group || chunks.length > 1) {
+      const result = await editMessageGroup({ group, messageId, roomId, field, chunks });
+      return mentioned ? { ...result, mentions: mentioned } : result;
+    }
+
     // Construct the URL for the PUT request
     const url = getWebexUrl(`/messages/${encodeURIComponent(messageId)}`);
 
-    // Prepare the request body
+    // Prepare the request body; a text fallback over the size limit is left out next to markdown
     const body = JSON.stringify({
       roomId,
-      text,
+      ...(!(markdown && !fitsInMessage(text ?? '')) && { text }),
       ...(markdown && { markdown }) // Include markdown only if provided
     });
 
@@ -26,7 +110,7 @@ const executeFunction = async ({ messageId, roomId, text, markdown }) => {
     const headers = await getWebexJsonHeaders();
 
     // Perform the fetch request
-    const response = await fetch(url, {
+    const response = await webexFetch(url, {
       method: 'PUT',
       headers,
       body
@@ -34,19 +118,15 @@ const executeFunction = async ({ messageId, roomId, text, markdown }) => {
 
     // Check if the response was successful
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(JSON.stringify(errorData));
+      throw await WebexApiError.fromResponse(response);
     }
 
     // Parse and return the response data
     const data = await response.json();
-    return data;
+    return mentioned ? { ...data, mentions: mentioned } : data;
   } catch (error) {
     console.error('Error editing the message:', error);
-    return {
-      error: error.message || 'An error occurred while editing the message.',
-      details: error.stack
-    };
+    return toErrorResult(error, 'An error occurred while editing the message.');
   }
 };
 
@@ -60,7 +140,7 @@ const apiTool = {
     type: 'function',
     function: {
       name: 'edit_message',
-      description: 'Edit a message in Webex.',
+      description: 'Edit a message in Webex. A message that was split into several parts because of its length is edited as a whole: pass the ID of any part, and the new content is spread over the parts, adding or deleting parts as needed.',
       parameters: {
         type: 'object',
         properties: {
@@ -79,6 +159,13 @@ const apiTool = {
           markdown: {
             type: 'string',
             description: 'The new markdown for the message (optional).'
+          },
+          mentions: {
+            type: 'array',
+            items: {
+              type: 'string'
+            },
+            description: 'People to @mention, by email or display name, or "@all" for everyone in a group space. Write "@Name" in the text to place a mention; others are added at the start. Names matching nobody or several people are reported and nothing is changed.'
           }
         },
         required: ['messageId', 'text']
@@ -0,0 +1,102 @@
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
+import { exportRoom, resolveExportDir, EXPORT_FORMATS } from '../../../lib/room-export.js';
+
+// Messages fetched per call unless maxMessages says otherwise
+const DEFAULT_MAX_MESSAGES = 5000;
+
+// Most messages a single call may fetch
+const MAX_MESSAGES = 20000;
+
+// Attachments downloaded per call
+const MAX_DOWNLOADS = 100;
+
+/**
+ * Function to export a room's history to files.
+ *
+ * @param {Object} args - Arguments for the export.
+ * @param {string} args.roomId - The ID of the room to export.
+ * @param {string[]} [args.formats] - Formats to write: markdown, html, jsonl, mbox (default all).
+ * @param {boolean} [args.attachments=false] - Download attachments into the export folder.
+ * @param {string} [args.folder] - Folder name under the export directory.
+ * @param {boolean} [args.restart=false] - Start over instead of resuming an earlier export.
+ * @param {number} [args.maxMessages=5000] - Messages to fetch in this call.
+ * @returns {Promise<Object>} - Progress, and the files written once the export is complete.
+ */
+const executeFunction = async ({ roomId, formats = EXPORT_FORMATS, attachments = false, folder, restart = false, maxMessages = DEFAULT_MAX_MESSAGES }) => {
+  try {
+    if (!roomId) {
+      throw new WebexApiError('roomId is required.', { retryable: false });
+    }
+
+    const result = await exportRoom({
+      roomId,
+      dir: await resolveExportDir(roomId, folder),
+      formats: formats.length > 0 ? formats : EXPORT_FORMATS,
+      attachments,
+      restart,
+      maxMessages: Math.min(Math.max(maxMessages, 1), MAX_MESSAGES),
+      maxDownloads: MAX_DOWNLOADS
+    });
+
+    if (!result.complete) {
+      result.next = `The export is not finished. Call export_room_history again with the same roomId${folder ? ' and folder' : ''} to continue.`;
+    }
+    return result;
+  } catch (error) {
+    console.error('Error exporting room history:', error);
+    return toErrorResult(error, 'An error occurred while exporting the room history.');
+  }
+};
+
+/**
+ * Tool configuration for exporting a room's history.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'export_room_history',
+      description: 'Export the whole history of a room to files on the server: a Markdown transcript, a standalone HTML page, JSON Lines and an mbox file, with author names and threads nested. Attachments can be downloaded alongside. Large rooms take several calls; each call resumes where the last one stopped until complete is true. Calling again on a complete export adds the messages posted since.',
+      parameters: {
+        type: 'object',
+        properties: {
+          roomId: {
+            type: 'string',
+            description: 'The ID of the room to export.'
+          },
+          formats: {
+            type: 'array',
+            items: {
+              type: 'string',
+              enum: EXPORT_FORMATS
+            },
+            description: 'Formats to write (default all): markdown (transcript.md), html (transcript.html), jsonl (messages.jsonl), mbox (room.mbox).'
+          },
+          attachments: {
+            type: 'boolean',
+            description: 'Download attachments into the export folder and link them from the transcripts (default false).'
+          },
+          folder: {
+            type: 'string',
+            description: 'Folder name under the export directory (default: the room title plus a short hash).'
+          },
+          restart: {
+            type: 'boolean',
+            description: 'Discard an earlier export in the folder and start over (default false, which resumes it).'
+          },
+          maxMessages: {
+            type: 'integer',
+            minimum: 1,
+            maximum: MAX_MESSAGES,
+            description: 'Messages to fetch in this call (default 5000).'
+          }
+        },
+        required: ['roomId']
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -1,139 +1,55 @@
-import { getWebexUrl, getWebexHeaders } from '../../../lib/webex-config.js';
-import stateManager from '../../../lib/state.js';
-
-/**
- * Extract essential fields from a message to reduce response size.
- * @private
- */
-const summarizeMessage = (msg) => ({
-  id: msg.id,
-  personEmail: msg.personEmail,
-  personId: msg.personId,
-  created: msg.created,
-  text: msg.text,
-  parentId: msg.parentId,
-  roomType: msg.roomType
-});
-
-/**
- * Fetch messages from a room since a given timestamp, paginating backward.
- * @private
- */
-const fetchMessagesSince = async (roomId, since, headers) => {
-  const messages = [];
-  const sinceDate = new Date(since);
-  let cursor = undefined;
-  const batchSize = 100;
-  const maxIterations = 20;
-  let iterations = 0;
-
-  while (iterations < maxIterations) {
-    iterations++;
-
-    const url = new URL(getWebexUrl('/messages'));
-    url.searchParams.append('roomId', roomId);
-    url.searchParams.append('max', batchSize.toString());
-    if (cursor) url.searchParams.append('beforeMessage', cursor);
-
-    const response = await fetch(url.toString(), { method: 'GET', headers });
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(JSON.stringify(errorData));
-    }
-
-    const data = await response.json();
-    if (!data.items || data.items.length === 0) break;
-
-    let foundOlder = false;
-    for (const msg of data.items) {
-      if (new Date(msg.created) > sinceDate) {
-        messages.push(msg);
-      } else {
-        foundOlder = true;
-        break;
-      }
-    }
-
-    if (foundOlder) break;
-    cursor = data.items[data.items.length - 1].id;
-    if (data.items.length < batchSize) break;
-  }
-
-  return messages;
-};
+import { toErrorResult } from '../../../lib/errors.js';
+import {
+  getAllUnread,
+  parseBootstrap,
+  loadUnreadSettings,
+  DEFAULT_CONCURRENCY,
+  DEFAULT_TIME_BUDGET_MS,
+  DEFAULT_MAX_MESSAGES_PER_ROOM,
+  DEFAULT_MAX_MESSAGES
+} from '../../../lib/unread.js';
+
+// Upper bounds on what a single call may ask for
+const MAX_CONCURRENCY = 10;
+const MAX_TIME_BUDGET_SECONDS = 300;
+const MAX_MESSAGES_PER_ROOM = 2000;
+const MAX_MESSAGES = 5000;
+
+const clamp = (value, max) => Math.min(Math.max(Math.floor(value), 1), max);
 
 /**
  * Fetch new messages from ALL rooms since last check.
  *
- * @returns {Promise<Object>} Structured result with rooms, totalRooms, totalMessages, checkedAt
+ * @param {Object} [args] - Arguments for the unread check.
+ * @param {string} [args.bootstrap] - How to read rooms never checked before (defaults to WEBEX_UNREAD_BOOTSTRAP).
+ * @param {number} [args.concurrency=4] - Rooms read at the same time.
+ * @param {number} [args.timeBudgetSeconds=30] - Time after which no more messages are fetched.
+ * @param {number} [args.maxMessagesPerRoom=100] - Messages returned per room.
+ * @param {number} [args.maxMessages=500] - Messages returned in all.
+ * @param {string} [args.continuation] - Token from a previous call, to read what it left over.
+ * @returns {Promise<Object>} Structured result with rooms, totalRooms, totalMessages, checkedAt,
+ *   bootstrapped and truncated rooms, and a continuation token if anything was left over
  */
-const executeFunction = async () => {
+const executeFunction = async ({
+  bootstrap,
+  concurrency = DEFAULT_CONCURRENCY,
+  timeBudgetSeconds = DEFAULT_TIME_BUDGET_MS / 1000,
+  maxMessagesPerRoom = DEFAULT_MAX_MESSAGES_PER_ROOM,
+  maxMessages = DEFAULT_MAX_MESSAGES,
+  continuation
+} = {}) => {
   try {
-    const headers = await getWebexHeaders();
-    const checkedAt = new Date().toISOString();
-
-    // List all rooms sorted by last activity
-    const roomsUrl = new URL(getWebexUrl('/rooms'));
-    roomsUrl.searchParams.append('max', '200');
-    roomsUrl.searchParams.append('sortBy', 'lastactivity');
-
-    const roomsResponse = await fetch(roomsUrl.toString(), { method: 'GET', headers });
-
-    if (!roomsResponse.ok) {
-      const errorData = await roomsResponse.json();
-      throw new Error(JSON.stringify(errorData));
-    }
-
-    const roomsData = await roomsResponse.json();
-    const allRooms = roomsData.items || [];
-
-    const rooms = [];
-    let totalMessages = 0;
-
-    for (const room of allRooms) {
-      try {
-        const lastChecked = await stateManager.getLastChecked(room.id);
-
-        // If never checked, skip (would return all messages ever)
-        if (!lastChecked) continue;
-
-        const messages = await fetchMessagesSince(room.id, lastChecked, headers);
-        if (messages.length === 0) continue;
-
-        const summarized = messages.map(summarizeMessage);
-        totalMessages += summarized.length;
-
-        rooms.push({
-          roomId: room.id,
-          title: room.title,
-          type: room.type,
-          messageCount: summarized.length,
-          messages: summarized
-        });
-      } catch (roomError) {
-        // Per-room error isolation: log and continue
-        rooms.push({
-          roomId: room.id,
-          title: room.title,
-          type: room.type,
-          error: roomError.message || 'Failed to fetch messages'
-        });
-      }
-    }
-
-    return {
-      rooms,
-      totalRooms: rooms.length,
-      totalMessages,
-      checkedAt
-    };
+    return await getAllUnread({
+      bootstrap: bootstrap ? parseBootstrap(bootstrap) : loadUnreadSettings().bootstrap,
+      concurrency: clamp(concurrency, MAX_CONCURRENCY),
+      timeBudgetMs: clamp(timeBudgetSeconds, MAX_TIME_BUDGET_SECONDS) * 1000,
+      maxMessagesPerRoom: clamp(maxMessagesPerRoom, MAX_MESSAGES_PER_ROOM),
+      maxMessages: clamp(maxMessages, MAX_MESSAGES),
+      continuation
+    });
   } catch (error) {
     console.error('Error fetching unread messages:', error);
-    return {
-      error: error.message || 'An error occurred while fetching unread messages.',
-      details: error.stack
-    };
+    return toErrorResult(error, 'An error occurred while fetching unread messages.');
   }
 };
 
@@ -143,10 +59,43 @@ const apiTool = {
     type: 'function',
     function: {
       name: 'get_all_unread',
-      description: 'Fetch new messages from ALL rooms since the last time each room was checked. Rooms that have never been marked as checked are skipped. Returns a structured summary with per-room message lists.',
+      description: 'Fetch new messages from ALL rooms since the last time each room was checked. Rooms never checked before are bootstrapped (by default with the last 24 hours of messages), registered for later calls, and listed in bootstrapped. Rooms with no activity since they were checked are not read. Rooms are read a few at a time within a time budget and message caps; rooms cut short are listed in truncatedRooms, and anything left over can be read by calling again with the returned continuation.',
       parameters: {
         type: 'object',
-        properties: {},
+        properties: {
+          bootstrap: {
+            type: 'string',
+            description: 'How to read rooms never checked before: "hours:N" (messages from the last N hours), "joined" (since you joined the room), "messages:K" (the last K messages, up to 99) or "skip". Defaults to WEBEX_UNREAD_BOOTSTRAP, or hours:24.'
+          },
+          concurrency: {
+            type: 'integer',
+            minimum: 1,
+            maximum: MAX_CONCURRENCY,
+            description: 'Rooms read at the same time (default 4).'
+          },
+          timeBudgetSeconds: {
+            type: 'integer',
+            minimum: 1,
+            maximum: MAX_TIME_BUDGET_SECONDS,
+            description: 'Stop fetching after this many seconds and return what was read, with a continuation (default 30).'
+          },
+          maxMessagesPerRoom: {
+            type: 'integer',
+            minimum: 1,
+            maximum: MAX_MESSAGES_PER_ROOM,
+            description: 'Newest messages returned per room (default 100).'
+          },
+          maxMessages: {
+            type: 'integer',
+            minimum: 1,
+            maximum: MAX_MESSAGES,
+            description: 'Messages returned in all (default 500).'
+          },
+          continuation: {
+            type: 'string',
+            description: 'The continuation from a previous result, to read the rooms and older messages it left over. The other limits still apply.'
+          }
+        },
         required: []
       }
     }
@@ -1,4 +1,6 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to get attachment action details from Webex.
  *
@@ -10,21 +12,20 @@ const executeFunction = async ({ id }) => {
 
   try {
     // Construct the URL with the provided ID
-    const url = getWebexUrl('/attachment/actions/${encodeURIComponent(id)}');
+    const url = getWebexUrl(`/attachment/actions/${encodeURIComponent(id)}`);
 
     // Set up headers for the request
     const headers = await getWebexHeaders();
 
     // Perform the fetch request
-    const response = await fetch(url, {
+    const response = await webexFetch(url, {
       method: 'GET',
       headers
     });
 
     // Check if the response was successful
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
+      throw await WebexApiError.fromResponse(response);
     }
 
     // Parse and return the response data
@@ -32,7 +33,7 @@ const executeFunction = async ({ id }) => {
     return data;
   } catch (error) {
     console.error('Error fetching attachment action details:', error);
-    return { error: 'An error occurred while fetching attachment action details.' };
+    return toErrorResult(error, 'An error occurred while fetching attachment action details.');
   }
 };
 
@@ -1,4 +1,6 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to get membership details from Webex.
  *
@@ -16,15 +18,14 @@ const executeFunction = async ({ membershipId }) => {
     const headers = await getWebexHeaders();
 
     // Perform the fetch request
-    const response = await fetch(url, {
+    const response = await webexFetch(url, {
       method: 'GET',
       headers
     });
 
     // Check if the response was successful
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
+      throw await WebexApiError.fromResponse(response);
     }
 
     // Parse and return the response data
@@ -32,7 +33,7 @@ const executeFunction = async ({ membershipId }) => {
     return data;
   } catch (error) {
     console.error('Error getting membership details:', error);
-    return { error: 'An error occurred while retrieving membership details.' };
+    return toErrorResult(error, 'An error occurred while retrieving membership details.');
   }
 };
 
@@ -0,0 +1,126 @@
+import { WebexApiError, toErrorResult, isErrorResult } from '../../../lib/errors.js';
+import { downloadAttachment, isTextContent, saveAttachment, loadAttachmentSettings } from '../../../lib/attachments.js';
+import { isReadOnlyMode } from '../../../lib/tool-policy.js';
+import { apiTool as getMessageDetails } from './get-message-details.js';
+
+// Text longer than this is truncated unless maxTextChars says otherwise
+const DEFAULT_MAX_TEXT_CHARS = 50000;
+
+/**
+ * Function to download a file attached to a Webex message.
+ *
+ * @param {Object} args - Arguments for the download.
+ * @param {string} [args.messageId] - The message the file is attached to.
+ * @param {number} [args.fileIndex=0] - Which of the message's files to download.
+ * @param {string} [args.contentUrl] - A content URL from a message's files array, instead of messageId.
+ * @param {boolean} [args.save=false] - Save the file to the download directory.
+ * @param {number} [args.maxTextChars=50000] - Maximum characters of text content to return.
+ * @returns {Promise<Object>} - File metadata, with text content for text files and the saved path if saved.
+ */
+const executeFunction = async ({ messageId, fileIndex = 0, contentUrl, save = false, maxTextChars = DEFAULT_MAX_TEXT_CHARS }) => {
+  try {
+    if (save && isReadOnlyMode()) {
+      throw new WebexApiError('save is not available in read-only mode (WEBEX_TOOLS_READ_ONLY). Call again without save.', { retryable: false });
+    }
+
+    let url = contentUrl;
+    if (!url) {
+      if (!messageId) {
+        throw new WebexApiError('Provide messageId (and optionally fileIndex) or contentUrl.', { retryable: false });
+      }
+      const message = await getMessageDetails.function({ messageId });
+      if (isErrorResult(message)) {
+        return message;
+      }
+      const files = message.files || [];
+      if (!files[fileIndex]) {
+        throw new WebexApiError(
+          files.length === 0 ? 'The message has no attached files.' : `fileIndex ${fileIndex} is out of range; the message has ${files.length} file${files.length === 1 ? '' : 's'}.`,
+          { retryable: false }
+        );
+      }
+      url = files[fileIndex];
+    }
+
+    const { maxBytes, downloadDir } = loadAttachmentSettings();
+    const file = await downloadAttachment(url, { maxBytes });
+    const result = {
+      filename: file.filename,
+      contentType: file.contentType,
+      size: file.size,
+      contentUrl: url
+    };
+
+    if (file.tooLarge) {
+      return {
+        ...result,
+        tooLarge: true,
+        note: `The file is larger than the ${maxBytes}-byte download limit (WEBEX_ATTACHMENT_MAX_BYTES) and was not downloaded.`
+      };
+    }
+
+    if (save) {
+      result.savedTo = await saveAttachment(file.filename, file.content, downloadDir);
+    }
+
+    if (isTextContent(file.contentType, file.filename)) {
+      const text = new TextDecoder('utf-8').decode(file.content);
+      result.text = text.length > maxTextChars ? text.slice(0, maxTextChars) : text;
+      if (text.length > maxTextChars) {
+        result.truncated = true;
+        result.totalChars = text.length;
+      }
+    } else if (!save && !isReadOnlyMode()) {
+      result.note = 'Binary content is not returned. Call again with save: true to save the file locally.';
+    }
+    return result;
+  } catch (error) {
+    console.error('Error downloading message attachment:', error);
+    return toErrorResult(error, 'An error occurred while downloading the attachment.');
+  }
+};
+
+/**
+ * Tool configuration for downloading message attachments from Webex.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'get_message_attachment',
+      description: 'Download a file attached to a Webex message. Text files (plain text, CSV, JSON, Markdown, XML, ...) are returned as text; for other files the name, type and size are returned, and save: true stores the file in the local download directory. Webex briefly locks new files while scanning them; this is retried automatically.',
+      parameters: {
+        type: 'object',
+        properties: {
+          messageId: {
+            type: 'string',
+            description: 'The ID of the message the file is attached to.'
+          },
+          fileIndex: {
+            type: 'integer',
+            minimum: 0,
+            description: 'Which of the message\'s files to download (default 0, the first).'
+          },
+          contentUrl: {
+            type: 'string',
+            description: 'A content URL from a message\'s files array, instead of messageId.'
+          },
+          save: {
+            type: 'boolean',
+            description: 'Save the file to the download directory (WEBEX_DOWNLOAD_DIR) and return its path. Not available in read-only mode.'
+          },
+          maxTextChars: {
+            type: 'integer',
+            minimum: 1,
+            description: 'Maximum characters of text content to return (default 50000).'
+          }
+        },
+        required: []
+      }
+    }
+  }
+};
+
+export { apiTool };
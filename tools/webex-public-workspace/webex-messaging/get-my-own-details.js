@@ -1,4 +1,6 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to get the authenticated user's profile details from Webex.
  *
@@ -17,15 +19,14 @@ const executeFunction = async ({ callingData = true }) => {
     const headers = await getWebexHeaders();
 
     // Perform the fetch request
-    const response = await fetch(url.toString(), {
+    const response = await webexFetch(url.toString(), {
       method: 'GET',
       headers
     });
 
     // Check if the response was successful
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
+      throw await WebexApiError.fromResponse(response);
     }
 
     // Parse and return the response data
@@ -33,7 +34,7 @@ const executeFunction = async ({ callingData = true }) => {
     return data;
   } catch (error) {
     console.error('Error fetching user details:', error);
-    return { error: 'An error occurred while fetching user details.' };
+    return toErrorResult(error, 'An error occurred while fetching user details.');
   }
 };
 
@@ -1,4 +1,6 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to get details of a person by their ID from the Webex Messaging API.
  *
@@ -18,15 +20,14 @@ const executeFunction = async ({ personId, callingData = true }) => {
     const headers = await getWebexHeaders();
 
     // Perform the fetch request
-    const response = await fetch(url.toString(), {
+    const response = await webexFetch(url.toString(), {
       method: 'GET',
       headers
     });
 
     // Check if the response was successful
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
+      throw await WebexApiError.fromResponse(response);
     }
 
     // Parse and return the response data
@@ -34,7 +35,7 @@ const executeFunction = async ({ personId, callingData = true }) => {
     return data;
   } catch (error) {
     console.error('Error fetching person details:', error);
-    return { error: 'An error occurred while fetching person details.' };
+    return toErrorResult(error, 'An error occurred while fetching person details.');
   }
 };
 
@@ -1,4 +1,6 @@
 import { getWebexUrl, getWebexHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to get room details from Webex.
  *
@@ -16,22 +18,14 @@ const executeFunction = async ({ roomId }) => {
     const headers = await getWebexHeaders();
 
     // Perform the fetch request
-    const response = await fetch(url, {
+    const response = await webexFetch(url, {
       method: 'GET',
       headers
     });
 
     // Check if the response was successful
     if (!response.ok) {
-      const errorText = await response.text();
-      let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
-      try {
-        const errorData = JSON.parse(errorText);
-        errorMessage = errorData.message || errorData.error || JSON.stringify(errorData);
-      } catch (e) {
-        errorMessage = errorText || errorMessage;
-      }
-      throw new Error(errorMessage);
+      throw await WebexApiError.fromResponse(response);
     }
 
     // Parse and return the response data
@@ -39,7 +33,7 @@ const executeFunction = async ({ roomId }) => {
     return data;
   } catch (error) {
     console.error('Error getting room details:', error);
-    return { error: 'An error occurred while getting room details.' };
+    return toErrorResult(error, 'An error occurred while getting room details.');
   }
 };
 
@@ -1,4 +1,6 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to get team details from Webex.
  *
@@ -20,15 +22,14 @@ const executeFunction = async ({ teamId, description }) => {
     const headers = await getWebexHeaders();
 
     // Perform the fetch request
-    const response = await fetch(url.toString(), {
+    const response = await webexFetch(url.toString(), {
       method: 'GET',
       headers
     });
 
     // Check if the response was successful
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(JSON.stringify(errorData));
+      throw await WebexApiError.fromResponse(response);
     }
 
     // Parse and return the response data
@@ -36,7 +37,7 @@ const executeFunction = async ({ teamId, description }) => {
     return data;
   } catch (error) {
     console.error('Error getting team details:', error);
-    return { error: 'An error occurred while getting team details.' };
+    return toErrorResult(error, 'An error occurred while getting team details.');
   }
 };
 
@@ -0,0 +1,92 @@
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
+import {
+  fetchThread,
+  threadParticipants,
+  threadToMarkdown,
+  threadToTree,
+  summarizeThreadMessage,
+  DEFAULT_MAX_REPLIES
+} from '../../../lib/threads.js';
+
+// Most replies a single call may fetch
+const MAX_REPLIES = 1000;
+
+/**
+ * Function to get a whole thread from Webex.
+ *
+ * @param {Object} args - Arguments for the thread retrieval.
+ * @param {string} args.messageId - The ID of the thread's root message or of any reply.
+ * @param {string} [args.format='markdown'] - 'markdown' or 'json'.
+ * @param {string} [args.layout='transcript'] - 'transcript' (chronological) or 'tree' (replies under the root).
+ * @param {number} [args.maxReplies=200] - Replies to fetch; the newest are kept.
+ * @returns {Promise<Object>} - The thread, with its participants and message count.
+ */
+const executeFunction = async ({ messageId, format = 'markdown', layout = 'transcript', maxReplies = DEFAULT_MAX_REPLIES }) => {
+  try {
+    if (!messageId) {
+      throw new WebexApiError('messageId is required.', { retryable: false });
+    }
+
+    const thread = await fetchThread(messageId, { maxReplies: Math.min(Math.max(maxReplies, 1), MAX_REPLIES) });
+    const result = {
+      roomId: thread.root.roomId,
+      rootId: thread.root.id,
+      messageCount: thread.replies.length + 1,
+      participants: threadParticipants(thread),
+      ...(thread.truncated && { truncated: true })
+    };
+
+    if (format === 'json') {
+      return layout === 'tree'
+        ? { ...result, thread: threadToTree(thread) }
+        : { ...result, messages: [thread.root, ...thread.replies].map(summarizeThreadMessage) };
+    }
+    return { ...result, markdown: threadToMarkdown(thread, layout) };
+  } catch (error) {
+    console.error('Error fetching thread:', error);
+    return toErrorResult(error, 'An error occurred while fetching the thread.');
+  }
+};
+
+/**
+ * Tool configuration for getting a thread from Webex.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'get_thread',
+      description: 'Get a whole Webex thread from any of its messages (the root or a reply): the root message and all replies in the order they were sent, with their authors\' display names. Returns a Markdown transcript by default, or JSON, as a flat transcript or a tree with the replies under the root.',
+      parameters: {
+        type: 'object',
+        properties: {
+          messageId: {
+            type: 'string',
+            description: 'The ID of the thread\'s root message or of any reply.'
+          },
+          format: {
+            type: 'string',
+            enum: ['markdown', 'json'],
+            description: 'Return the thread as Markdown (default) or JSON.'
+          },
+          layout: {
+            type: 'string',
+            enum: ['transcript', 'tree'],
+            description: 'A chronological transcript (default), or a tree with the replies nested under the root.'
+          },
+          maxReplies: {
+            type: 'integer',
+            minimum: 1,
+            maximum: MAX_REPLIES,
+            description: 'Replies to fetch (default 200, at most 1000). Longer threads keep the newest replies and are marked truncated.'
+          }
+        },
+        required: ['messageId']
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -1,4 +1,6 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to get details of a webhook by its ID from the Webex Messaging API.
  *
@@ -16,15 +18,14 @@ const executeFunction = async ({ webhookId }) => {
     const headers = await getWebexHeaders();
 
     // Perform the fetch request
-    const response = await fetch(url, {
+    const response = await webexFetch(url, {
       method: 'GET',
       headers
     });
 
     // Check if the response was successful
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
+      throw await WebexApiError.fromResponse(response);
     }
 
     // Parse and return the response data
@@ -32,7 +33,7 @@ const executeFunction = async ({ webhookId }) => {
     return data;
   } catch (error) {
     console.error('Error fetching webhook details:', error);
-    return { error: 'An error occurred while fetching webhook details.' };
+    return toErrorResult(error, 'An error occurred while fetching webhook details.');
   }
 };
 
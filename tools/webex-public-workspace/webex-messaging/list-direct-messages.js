@@ -1,4 +1,6 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to list direct messages in a 1:1 room using the Webex Messaging API.
  *
@@ -25,21 +27,15 @@ const executeFunction = async ({ parentId, personId, personEmail }) => {
     // Set up headers for the request
     const headers = await getWebexHeaders();
 
-    // Perform the fetch request
-    const response = await fetch(url.toString(), {
+    // Webex returns all messages in one response (no max or Link header), so there is nothing to page through
+    const response = await webexFetch(url.toString(), {
       method: 'GET',
       headers
     });
 
     // Check if the response was successful
     if (!response.ok) {
-      const errorData = await response.json();
-      console.error(`[list-direct-messages] HTTP ${response.status}: ${JSON.stringify(errorData)}`);
-      // No 1:1 conversation exists, return empty collection
-      if (response.status === 403 && errorData.message === 'Failed to get one on one conversation') {
-        return { items: [] };
-      }
-      throw new Error(`HTTP ${response.status}: ${JSON.stringify(errorData)}`);
+      throw await WebexApiError.fromResponse(response);
     }
 
     // Parse and return the response data
@@ -47,10 +43,7 @@ const executeFunction = async ({ parentId, personId, personEmail }) => {
     return data;
   } catch (error) {
     console.error('Error listing direct messages:', error);
-    return {
-      error: error.message || 'An error occurred while listing direct messages.',
-      details: error.stack
-    };
+    return toErrorResult(error, 'An error occurred while listing direct messages.');
   }
 };
 
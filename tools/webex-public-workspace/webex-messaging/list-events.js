@@ -1,4 +1,6 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { fetchPages, decodeCursor, paginationParameters } from '../../../lib/pagination.js';
+import { toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to list events in an organization using the Webex Messaging API.
  *
@@ -9,9 +11,12 @@ import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/
  * @param {string} args.from - The start date to filter events.
  * @param {string} args.to - The end date to filter events.
  * @param {number} args.max - The maximum number of events to return (default is 100).
+ * @param {boolean} [args.all=false] - Follow pagination links and return all results.
+ * @param {number} [args.maxItems] - Maximum total number of items to return.
+ * @param {string} [args.cursor] - Opaque cursor from a previous response to fetch the next page.
  * @returns {Promise<Object>} - The result of the event listing.
  */
-const executeFunction = async ({ resource = 'messages', type = 'created', actorId, from, to, max = 100 }) => {
+const executeFunction = async ({ resource = 'messages', type = 'created', actorId, from, to, max = 100, all = false, maxItems, cursor }) => {
 
   try {
     // Construct the URL with query parameters
@@ -26,24 +31,11 @@ const executeFunction = async ({ resource = 'messages', type = 'created', actorI
     // Set up headers for the request
     const headers = await getWebexHeaders();
 
-    // Perform the fetch request
-    const response = await fetch(url.toString(), {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
+    // Fetch the requested page(s), following Link headers when all is set
+    return await fetchPages(cursor ? decodeCursor(cursor) : url, { headers, all, maxItems });
   } catch (error) {
     console.error('Error listing events:', error);
-    return { error: 'An error occurred while listing events.' };
+    return toErrorResult(error, 'An error occurred while listing events.');
   }
 };
 
@@ -84,7 +76,8 @@ const apiTool = {
           max: {
             type: 'integer',
             description: 'The maximum number of events to return.'
-          }
+          },
+          ...paginationParameters
         },
         required: ['actorId', 'from', 'to']
       }
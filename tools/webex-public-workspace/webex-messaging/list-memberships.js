@@ -1,4 +1,6 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { fetchPages, decodeCursor, paginationParameters } from '../../../lib/pagination.js';
+import { toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to list memberships in a Webex room.
  *
@@ -7,9 +9,12 @@ import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/
  * @param {string} [args.personId] - The ID of the person to filter memberships by.
  * @param {string} [args.personEmail] - The email address of the person to filter memberships by.
  * @param {number} [args.max=100] - The maximum number of memberships to return.
+ * @param {boolean} [args.all=false] - Follow pagination links and return all results.
+ * @param {number} [args.maxItems] - Maximum total number of items to return.
+ * @param {string} [args.cursor] - Opaque cursor from a previous response to fetch the next page.
  * @returns {Promise<Object>} - The result of the memberships listing.
  */
-const executeFunction = async ({ roomId, personId, personEmail, max = 100 }) => {
+const executeFunction = async ({ roomId, personId, personEmail, max = 100, all = false, maxItems, cursor }) => {
 
   try {
     // Construct the URL with query parameters
@@ -22,24 +27,11 @@ const executeFunction = async ({ roomId, personId, personEmail, max = 100 }) =>
     // Set up headers for the request
     const headers = await getWebexHeaders();
 
-    // Perform the fetch request
-    const response = await fetch(url.toString(), {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
+    // Fetch the requested page(s), following Link headers when all is set
+    return await fetchPages(cursor ? decodeCursor(cursor) : url, { headers, all, maxItems });
   } catch (error) {
     console.error('Error listing memberships:', error);
-    return { error: 'An error occurred while listing memberships.' };
+    return toErrorResult(error, 'An error occurred while listing memberships.');
   }
 };
 
@@ -72,7 +64,8 @@ const apiTool = {
           max: {
             type: 'integer',
             description: 'The maximum number of memberships to return.'
-          }
+          },
+          ...paginationParameters
         },
         required: []
       }
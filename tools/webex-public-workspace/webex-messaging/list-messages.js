@@ -1,10 +1,13 @@
 import { getWebexUrl, getWebexHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { fetchPages, decodeCursor, paginationParameters } from '../../../lib/pagination.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
 
 /**
- * Fetch a single batch of messages from the Webex API.
+ * Build the URL of a page of messages.
  * @private
  */
-const fetchMessageBatch = async ({ roomId, parentId, mentionedPeople, before, beforeMessage, max, headers }) => {
+const messagesUrl = ({ roomId, parentId, mentionedPeople, before, beforeMessage, max }) => {
   const url = new URL(getWebexUrl('/messages'));
   url.searchParams.append('roomId', roomId);
   if (parentId) url.searchParams.append('parentId', parentId);
@@ -12,15 +15,23 @@ const fetchMessageBatch = async ({ roomId, parentId, mentionedPeople, before, be
   if (before) url.searchParams.append('before', before);
   if (beforeMessage) url.searchParams.append('beforeMessage', beforeMessage);
   url.searchParams.append('max', max.toString());
+  return url;
+};
+
+/**
+ * Fetch a single batch of messages from the Webex API.
+ * @private
+ */
+const fetchMessageBatch = async ({ headers, ...filters }) => {
+  const url = messagesUrl(filters);
 
-  const response = await fetch(url.toString(), {
+  const response = await webexFetch(url.toString(), {
     method: 'GET',
     headers
   });
 
   if (!response.ok) {
-    const errorData = await response.json();
-    throw new Error(JSON.stringify(errorData));
+    throw await WebexApiError.fromResponse(response);
   }
 
   return response.json();
@@ -52,17 +63,19 @@ const summarizeMessage = (msg) => ({
  * @param {string} [args.after] - List messages sent after a specific date and time (ISO 8601 format). Uses client-side filtering with pagination.
  * @param {number} [args.max=50] - Limit the maximum number of messages in the response.
  * @param {boolean} [args.summarize=true] - If true, return only essential fields (id, personEmail, created, text) to reduce response size.
+ * @param {boolean} [args.all=false] - Follow pagination links and return all results. Not used with after.
+ * @param {number} [args.maxItems] - Maximum total number of items to return.
+ * @param {string} [args.cursor] - Opaque cursor from a previous response to fetch the next page.
  * @returns {Promise<Object>} - The result of the message listing.
  */
-const executeFunction = async ({ roomId, parentId, mentionedPeople, before, beforeMessage, after, max = 50, summarize = true }) => {
+const executeFunction = async ({ roomId, parentId, mentionedPeople, before, beforeMessage, after, max = 50, summarize = true, all = false, maxItems, cursor }) => {
   try {
     const headers = await getWebexHeaders();
 
-    // If no 'after' filter, do a simple single fetch
-    if (!after) {
-      const data = await fetchMessageBatch({
-        roomId, parentId, mentionedPeople, before, beforeMessage, max, headers
-      });
+    // Without 'after' (or with a cursor from an earlier page), fetch the requested page(s), following Link headers when all is set
+    if (!after || cursor) {
+      const url = cursor ? decodeCursor(cursor) : messagesUrl({ roomId, parentId, mentionedPeople, before, beforeMessage, max });
+      const data = await fetchPages(url, { headers, all, maxItems });
 
       if (summarize && data.items) {
         data.items = data.items.map(summarizeMessage);
@@ -77,7 +90,7 @@ const executeFunction = async ({ roomId, parentId, mentionedPeople, before, befo
     }
 
     const collectedMessages = [];
-    let cursor = beforeMessage;
+    let batchCursor = beforeMessage;
     const batchSize = 100; // Max allowed by API
     const maxIterations = 20; // Safety limit to prevent infinite loops
     let iterations = 0;
@@ -86,7 +99,7 @@ const executeFunction = async ({ roomId, parentId, mentionedPeople, before, befo
       iterations++;
 
       const data = await fetchMessageBatch({
-        roomId, parentId, mentionedPeople, before, beforeMessage: cursor, max: batchSize, headers
+        roomId, parentId, mentionedPeople, before, beforeMessage: batchCursor, max: batchSize, headers
       });
 
       if (!data.items || data.items.length === 0) {
@@ -119,7 +132,7 @@ const executeFunction = async ({ roomId, parentId, mentionedPeople, before, befo
       }
 
       // Set cursor for next batch (oldest message ID from current batch)
-      cursor = data.items[data.items.length - 1].id;
+      batchCursor = data.items[data.items.length - 1].id;
 
       // If we got fewer messages than requested, we've reached the end
       if (data.items.length < batchSize) {
@@ -138,10 +151,7 @@ const executeFunction = async ({ roomId, parentId, mentionedPeople, before, befo
     };
   } catch (error) {
     console.error('Error listing messages:', error);
-    return {
-      error: error.message || 'An error occurred while listing messages.',
-      details: error.stack
-    };
+    return toErrorResult(error, 'An error occurred while listing messages.');
   }
 };
 
@@ -155,7 +165,7 @@ const apiTool = {
     type: 'function',
     function: {
       name: 'list_messages',
-      description: 'List messages in a Webex room. Supports filtering by time range using `after` parameter (client-side filtering with automatic pagination). Returns summarized messages by default to reduce response size.',
+      description: 'List messages in a Webex room. Supports filtering by time range using `after` parameter (client-side filtering with automatic pagination). Otherwise all, maxItems and cursor page through the results. Returns summarized messages by default to reduce response size.',
       parameters: {
         type: 'object',
         properties: {
@@ -190,7 +200,8 @@ const apiTool = {
           summarize: {
             type: 'boolean',
             description: 'If true (default), return only essential fields (id, personEmail, created, text) to reduce response size. Set to false to get full message objects.'
-          }
+          },
+          ...paginationParameters
         },
         required: ['roomId']
       }
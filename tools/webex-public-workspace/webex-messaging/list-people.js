@@ -1,4 +1,6 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { fetchPages, decodeCursor, paginationParameters } from '../../../lib/pagination.js';
+import { toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to list people in an organization using the Webex Messaging API.
  *
@@ -11,9 +13,12 @@ import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/
  * @param {boolean} [args.callingData] - Include Webex Calling user details in the response.
  * @param {string} [args.locationId] - List people present in this location.
  * @param {number} [args.max=100] - Limit the maximum number of people in the response.
+ * @param {boolean} [args.all=false] - Follow pagination links and return all results.
+ * @param {number} [args.maxItems] - Maximum total number of items to return.
+ * @param {string} [args.cursor] - Opaque cursor from a previous response to fetch the next page.
  * @returns {Promise<Object>} - The result of the people listing.
  */
-const executeFunction = async ({ email, displayName, id, orgId, roles, callingData = true, locationId, max = 100 }) => {
+const executeFunction = async ({ email, displayName, id, orgId, roles, callingData = true, locationId, max = 100, all = false, maxItems, cursor }) => {
 
   try {
     // Construct the URL with query parameters
@@ -30,24 +35,11 @@ const executeFunction = async ({ email, displayName, id, orgId, roles, callingDa
     // Set up headers for the request
     const headers = await getWebexHeaders();
 
-    // Perform the fetch request
-    const response = await fetch(url.toString(), {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
+    // Fetch the requested page(s), following Link headers when all is set
+    return await fetchPages(cursor ? decodeCursor(cursor) : url, { headers, all, maxItems });
   } catch (error) {
     console.error('Error listing people:', error);
-    return { error: 'An error occurred while listing people.' };
+    return toErrorResult(error, 'An error occurred while listing people.');
   }
 };
 
@@ -96,7 +88,8 @@ const apiTool = {
           max: {
             type: 'integer',
             description: 'Limit the maximum number of people in the response.'
-          }
+          },
+          ...paginationParameters
         },
         required: []
       }
@@ -1,4 +1,6 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to list room tabs for a specified room in Webex.
  *
@@ -16,16 +18,15 @@ const executeFunction = async ({ roomId }) => {
     // Set up headers for the request
     const headers = await getWebexHeaders();
 
-    // Perform the fetch request
-    const response = await fetch(url.toString(), {
+    // Webex returns all tabs in one response (no max or Link header), so there is nothing to page through
+    const response = await webexFetch(url.toString(), {
       method: 'GET',
       headers
     });
 
     // Check if the response was successful
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
+      throw await WebexApiError.fromResponse(response);
     }
 
     // Parse and return the response data
@@ -33,7 +34,7 @@ const executeFunction = async ({ roomId }) => {
     return data;
   } catch (error) {
     console.error('Error listing room tabs:', error);
-    return { error: 'An error occurred while listing room tabs.' };
+    return toErrorResult(error, 'An error occurred while listing room tabs.');
   }
 };
 
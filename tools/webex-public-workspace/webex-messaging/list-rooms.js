@@ -1,4 +1,6 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { fetchPages, decodeCursor, paginationParameters } from '../../../lib/pagination.js';
+import { toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to list rooms for the authenticated user in Webex.
  *
@@ -10,9 +12,12 @@ import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/
  * @param {string} [args.to] - Filters rooms made public before this time.
  * @param {string} [args.sortBy="id"] - The field to sort the results by.
  * @param {number} [args.max=100] - The maximum number of rooms to return.
+ * @param {boolean} [args.all=false] - Follow pagination links and return all results.
+ * @param {number} [args.maxItems] - Maximum total number of items to return.
+ * @param {string} [args.cursor] - Opaque cursor from a previous response to fetch the next page.
  * @returns {Promise<Object>} - The result of the room listing.
  */
-const executeFunction = async ({ teamId, type, orgPublicSpaces, from, to, sortBy = 'id', max = 100 }) => {
+const executeFunction = async ({ teamId, type, orgPublicSpaces, from, to, sortBy = 'id', max = 100, all = false, maxItems, cursor }) => {
 
   try {
     // Construct the URL with query parameters
@@ -34,31 +39,11 @@ const executeFunction = async ({ teamId, type, orgPublicSpaces, from, to, sortBy
     // Set up headers for the request
     const headers = await getWebexHeaders();
 
-    // Perform the fetch request
-    const response = await fetch(url.toString(), {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorText = await response.text();
-      let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
-      try {
-        const errorData = JSON.parse(errorText);
-        errorMessage = errorData.message || errorData.error || JSON.stringify(errorData);
-      } catch (e) {
-        errorMessage = errorText || errorMessage;
-      }
-      throw new Error(errorMessage);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
+    // Fetch the requested page(s), following Link headers when all is set
+    return await fetchPages(cursor ? decodeCursor(cursor) : url, { headers, all, maxItems });
   } catch (error) {
     console.error('Error listing rooms:', error);
-    return { error: 'An error occurred while listing rooms.' };
+    return toErrorResult(error, 'An error occurred while listing rooms.');
   }
 };
 
@@ -104,7 +89,8 @@ const apiTool = {
           max: {
             type: 'integer',
             description: 'The maximum number of rooms to return.'
-          }
+          },
+          ...paginationParameters
         },
         required: []
       }
@@ -1,13 +1,18 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { fetchPages, decodeCursor, paginationParameters } from '../../../lib/pagination.js';
+import { toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to list team memberships for a given team in Webex.
  *
  * @param {Object} args - Arguments for the request.
  * @param {string} args.teamId - The ID of the team to list memberships for.
  * @param {number} [args.max=100] - The maximum number of team memberships to return.
+ * @param {boolean} [args.all=false] - Follow pagination links and return all results.
+ * @param {number} [args.maxItems] - Maximum total number of items to return.
+ * @param {string} [args.cursor] - Opaque cursor from a previous response to fetch the next page.
  * @returns {Promise<Object>} - The result of the team memberships listing.
  */
-const executeFunction = async ({ teamId, max = 100 }) => {
+const executeFunction = async ({ teamId, max = 100, all = false, maxItems, cursor }) => {
 
   try {
     // Construct the URL with query parameters
@@ -18,24 +23,11 @@ const executeFunction = async ({ teamId, max = 100 }) => {
     // Set up headers for the request
     const headers = await getWebexHeaders();
 
-    // Perform the fetch request
-    const response = await fetch(url.toString(), {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
+    // Fetch the requested page(s), following Link headers when all is set
+    return await fetchPages(cursor ? decodeCursor(cursor) : url, { headers, all, maxItems });
   } catch (error) {
     console.error('Error listing team memberships:', error);
-    return { error: 'An error occurred while listing team memberships.' };
+    return toErrorResult(error, 'An error occurred while listing team memberships.');
   }
 };
 
@@ -60,7 +52,8 @@ const apiTool = {
           max: {
             type: 'integer',
             description: 'The maximum number of team memberships to return.'
-          }
+          },
+          ...paginationParameters
         },
         required: ['teamId']
       }
@@ -1,12 +1,17 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { fetchPages, decodeCursor, paginationParameters } from '../../../lib/pagination.js';
+import { toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to list teams for the authenticated user in Webex.
  *
  * @param {Object} args - Arguments for the team listing.
  * @param {number} [args.max=100] - The maximum number of teams to return.
+ * @param {boolean} [args.all=false] - Follow pagination links and return all results.
+ * @param {number} [args.maxItems] - Maximum total number of items to return.
+ * @param {string} [args.cursor] - Opaque cursor from a previous response to fetch the next page.
  * @returns {Promise<Object>} - The result of the team listing.
  */
-const executeFunction = async ({ max = 100 }) => {
+const executeFunction = async ({ max = 100, all = false, maxItems, cursor }) => {
 
   try {
     // Construct the URL with query parameters
@@ -16,24 +21,11 @@ const executeFunction = async ({ max = 100 }) => {
     // Set up headers for the request
     const headers = await getWebexHeaders();
 
-    // Perform the fetch request
-    const response = await fetch(url.toString(), {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(JSON.stringify(errorData));
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
+    // Fetch the requested page(s), following Link headers when all is set
+    return await fetchPages(cursor ? decodeCursor(cursor) : url, { headers, all, maxItems });
   } catch (error) {
     console.error('Error listing teams:', error);
-    return { error: 'An error occurred while listing teams.' };
+    return toErrorResult(error, 'An error occurred while listing teams.');
   }
 };
 
@@ -54,7 +46,8 @@ const apiTool = {
           max: {
             type: 'integer',
             description: 'The maximum number of teams to return.'
-          }
+          },
+          ...paginationParameters
         },
         required: []
       }
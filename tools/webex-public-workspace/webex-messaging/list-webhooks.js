@@ -1,41 +1,33 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { fetchPages, decodeCursor, paginationParameters } from '../../../lib/pagination.js';
+import { toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to list all webhooks for the organization.
  *
  * @param {Object} args - Arguments for the webhook listing.
  * @param {number} [args.max=100] - Limit the maximum number of webhooks in the response.
- * @param {string} [args.ownedBy='org'] - Limit the result list to organization-wide webhooks.
+ * @param {string|null} [args.ownedBy='org'] - Limit the result list to organization-wide webhooks; null lists your own instead.
+ * @param {boolean} [args.all=false] - Follow pagination links and return all results.
+ * @param {number} [args.maxItems] - Maximum total number of items to return.
+ * @param {string} [args.cursor] - Opaque cursor from a previous response to fetch the next page.
  * @returns {Promise<Object>} - The result of the webhook listing.
  */
-const executeFunction = async ({ max = 100, ownedBy = 'org' }) => {
+const executeFunction = async ({ max = 100, ownedBy = 'org', all = false, maxItems, cursor }) => {
 
   try {
     // Construct the URL with query parameters
     const url = new URL(getWebexUrl('/webhooks'));
     url.searchParams.append('max', max.toString());
-    url.searchParams.append('ownedBy', ownedBy);
+    if (ownedBy) url.searchParams.append('ownedBy', ownedBy);
 
     // Set up headers for the request
     const headers = await getWebexHeaders();
 
-    // Perform the fetch request
-    const response = await fetch(url.toString(), {
-      method: 'GET',
-      headers
-    });
-
-    // Check if the response was successful
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
+    // Fetch the requested page(s), following Link headers when all is set
+    return await fetchPages(cursor ? decodeCursor(cursor) : url, { headers, all, maxItems });
   } catch (error) {
     console.error('Error listing webhooks:', error);
-    return { error: 'An error occurred while listing webhooks.' };
+    return toErrorResult(error, 'An error occurred while listing webhooks.');
   }
 };
 
@@ -61,7 +53,8 @@ const apiTool = {
             type: 'string',
             enum: ['org'],
             description: 'Limit the result list to organization-wide webhooks.'
-          }
+          },
+          ...paginationParameters
         },
         required: []
       }
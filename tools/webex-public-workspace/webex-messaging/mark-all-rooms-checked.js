@@ -1,5 +1,7 @@
 import { getWebexUrl, getWebexHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
 import stateManager from '../../../lib/state.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
 
 /**
  * Mark all accessible rooms as checked.
@@ -16,11 +18,10 @@ const executeFunction = async () => {
     url.searchParams.append('max', '200');
     url.searchParams.append('sortBy', 'lastactivity');
 
-    const response = await fetch(url.toString(), { method: 'GET', headers });
+    const response = await webexFetch(url.toString(), { method: 'GET', headers });
 
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(JSON.stringify(errorData));
+      throw await WebexApiError.fromResponse(response);
     }
 
     const data = await response.json();
@@ -36,9 +37,7 @@ const executeFunction = async () => {
     };
   } catch (error) {
     console.error('Error marking all rooms as checked:', error);
-    return {
-      error: error.message || 'An error occurred while marking all rooms as checked.'
-    };
+    return toErrorResult(error, 'An error occurred while marking all rooms as checked.');
   }
 };
 
@@ -1,4 +1,5 @@
 import stateManager from '../../../lib/state.js';
+import { toErrorResult } from '../../../lib/errors.js';
 
 /**
  * Mark a specific room as checked (updates the "last checked" timestamp).
@@ -17,9 +18,7 @@ const executeFunction = async ({ roomId }) => {
     };
   } catch (error) {
     console.error('Error marking room as checked:', error);
-    return {
-      error: error.message || 'An error occurred while marking the room as checked.'
-    };
+    return toErrorResult(error, 'An error occurred while marking the room as checked.');
   }
 };
 
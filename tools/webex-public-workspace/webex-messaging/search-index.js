@@ -0,0 +1,105 @@
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
+import { loadMessageIndex } from '../../../lib/message-index.js';
+
+// Most hits a single call may return
+const MAX_RESULTS = 100;
+
+/**
+ * Function to search the local message index.
+ *
+ * @param {Object} args - Arguments for the search.
+ * @param {string} args.query - Terms to look for; "quoted phrases" must appear as written.
+ * @param {string} [args.roomId] - Only messages in this room.
+ * @param {string} [args.author] - Only messages by this person, by email or personId.
+ * @param {string} [args.after] - Only messages sent at or after this time (ISO 8601).
+ * @param {string} [args.before] - Only messages sent before this time (ISO 8601).
+ * @param {number} [args.maxResults=20] - Hits to return.
+ * @param {boolean} [args.sync=true] - Pull new messages into the index before searching.
+ * @returns {Promise<Object>} - BM25-ranked hits, and what the index holds.
+ */
+const executeFunction = async ({ query, roomId, author, after, before, maxResults = 20, sync = true }) => {
+  try {
+    const index = loadMessageIndex();
+    if (!index) {
+      throw new WebexApiError('The local message index is off. Set WEBEX_INDEX_ROOMS to the rooms to index (room IDs or title globs, * for all), or use search_messages.', { retryable: false });
+    }
+
+    // Syncing also checks that the index belongs to the caller
+    let synced = null;
+    if (sync) {
+      synced = await index.sync();
+    } else {
+      await index.verifyOwner();
+    }
+    const { hits, totalHits } = await index.search(query, {
+      roomId,
+      author,
+      after,
+      before,
+      limit: Math.min(Math.max(maxResults, 1), MAX_RESULTS)
+    });
+
+    return {
+      hits,
+      totalHits,
+      index: await index.stats(),
+      ...(synced && { sync: synced })
+    };
+  } catch (error) {
+    console.error('Error searching the message index:', error);
+    return toErrorResult(error, 'An error occurred while searching the message index.');
+  }
+};
+
+/**
+ * Tool configuration for searching the local message index.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'search_index',
+      description: 'Search the local full-text index of messages (opt-in, set up with WEBEX_INDEX_ROOMS) with BM25 ranking. Much faster than search_messages and not limited to recent history, but only covers the indexed rooms and retention period. New messages are pulled into the index before searching.',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: {
+            type: 'string',
+            description: 'Terms to look for; messages matching more, and rarer, terms rank higher. "Quoted phrases" must appear as written.'
+          },
+          roomId: {
+            type: 'string',
+            description: 'Only messages in this room.'
+          },
+          author: {
+            type: 'string',
+            description: 'Only messages sent by this person, by email or personId.'
+          },
+          after: {
+            type: 'string',
+            description: 'Only messages sent at or after this time (ISO 8601, e.g. 2024-01-27T18:00:00Z).'
+          },
+          before: {
+            type: 'string',
+            description: 'Only messages sent before this time (ISO 8601).'
+          },
+          maxResults: {
+            type: 'integer',
+            minimum: 1,
+            maximum: MAX_RESULTS,
+            description: 'Hits to return (default 20, at most 100).'
+          },
+          sync: {
+            type: 'boolean',
+            description: 'Pull new messages into the index before searching (default true).'
+          }
+        },
+        required: ['query']
+      }
+    }
+  }
+};
+
+export { apiTool };
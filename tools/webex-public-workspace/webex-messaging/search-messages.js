@@ -0,0 +1,132 @@
+import { toErrorResult } from '../../../lib/errors.js';
+import {
+  searchMessages,
+  DEFAULT_MAX_ROOMS,
+  DEFAULT_MESSAGES_PER_ROOM,
+  DEFAULT_MAX_RESULTS
+} from '../../../lib/message-search.js';
+
+// Upper bounds for a single call
+const MAX_ROOMS = 100;
+const MAX_MESSAGES_PER_ROOM = 1000;
+const MAX_RESULTS = 100;
+
+const clamp = (value, max) => Math.min(Math.max(value, 1), max);
+
+/**
+ * Function to search messages across Webex rooms.
+ *
+ * @param {Object} args - Arguments for the search.
+ * @param {string} args.query - Keywords, a phrase or a regular expression.
+ * @param {string} [args.mode='keyword'] - 'keyword', 'phrase' or 'regex'.
+ * @param {boolean} [args.caseSensitive=false] - Match case.
+ * @param {string} [args.roomIds] - Search only these rooms, by comma-separated IDs.
+ * @param {string} [args.roomType] - 'direct' or 'group'.
+ * @param {string} [args.teamId] - Search only the team's rooms.
+ * @param {string} [args.after] - Only messages sent at or after this time (ISO 8601).
+ * @param {string} [args.before] - Only messages sent before this time (ISO 8601).
+ * @param {string} [args.author] - Only messages by this person, by email or personId.
+ * @param {number} [args.maxRooms=20] - Most recently active rooms to scan.
+ * @param {number} [args.messagesPerRoom=200] - Messages read per room at most.
+ * @param {number} [args.maxResults=20] - Hits to return.
+ * @returns {Promise<Object>} - Ranked hits with room titles and snippets, and what was searched.
+ */
+const executeFunction = async ({
+  maxRooms = DEFAULT_MAX_ROOMS,
+  messagesPerRoom = DEFAULT_MESSAGES_PER_ROOM,
+  maxResults = DEFAULT_MAX_RESULTS,
+  roomIds,
+  ...options
+}) => {
+  try {
+    return await searchMessages({
+      ...options,
+      roomIds: roomIds ? roomIds.split(',').map(id => id.trim()).filter(Boolean) : undefined,
+      maxRooms: clamp(maxRooms, MAX_ROOMS),
+      messagesPerRoom: clamp(messagesPerRoom, MAX_MESSAGES_PER_ROOM),
+      maxResults: clamp(maxResults, MAX_RESULTS)
+    });
+  } catch (error) {
+    console.error('Error searching messages:', error);
+    return toErrorResult(error, 'An error occurred while searching messages.');
+  }
+};
+
+/**
+ * Tool configuration for searching messages across Webex rooms.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'search_messages',
+      description: 'Search recent messages across rooms by keyword, phrase or regular expression, e.g. to find where a topic was discussed. Scans the most recently active rooms (optionally filtered by room type, team, date range and author), reading up to messagesPerRoom messages from each. Returns hits ranked by relevance, then recency, with the room title, a snippet around the match and the messageId. Rooms whose budget ran out before the start of the date range are listed in incompleteRooms. When the local message index is on (WEBEX_INDEX_ROOMS), the rooms it covers are synced and searched in the index instead, without the per-room budget.',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: {
+            type: 'string',
+            description: 'What to look for. In keyword mode every word must appear ("quoted phrases" count as one word).'
+          },
+          mode: {
+            type: 'string',
+            enum: ['keyword', 'phrase', 'regex'],
+            description: 'keyword (default): all words, in any order; phrase: the words together, in order; regex: a JavaScript regular expression, without nested repeats such as (a+)+. A regex that runs over 2 seconds on one room\'s messages fails the search.'
+          },
+          caseSensitive: {
+            type: 'boolean',
+            description: 'Match case (default false).'
+          },
+          roomIds: {
+            type: 'string',
+            description: 'Search only these rooms, by comma-separated IDs.'
+          },
+          roomType: {
+            type: 'string',
+            enum: ['direct', 'group'],
+            description: 'Search only 1:1 (direct) or group rooms.'
+          },
+          teamId: {
+            type: 'string',
+            description: 'Search only the rooms of this team.'
+          },
+          after: {
+            type: 'string',
+            description: 'Only messages sent at or after this time (ISO 8601, e.g. 2024-01-27T18:00:00Z).'
+          },
+          before: {
+            type: 'string',
+            description: 'Only messages sent before this time (ISO 8601).'
+          },
+          author: {
+            type: 'string',
+            description: 'Only messages sent by this person, by email or personId.'
+          },
+          maxRooms: {
+            type: 'integer',
+            minimum: 1,
+            maximum: MAX_ROOMS,
+            description: 'Most recently active rooms to scan (default 20, at most 100).'
+          },
+          messagesPerRoom: {
+            type: 'integer',
+            minimum: 1,
+            maximum: MAX_MESSAGES_PER_ROOM,
+            description: 'Messages read per room at most (default 200, at most 1000).'
+          },
+          maxResults: {
+            type: 'integer',
+            minimum: 1,
+            maximum: MAX_RESULTS,
+            description: 'Hits to return (default 20, at most 100).'
+          }
+        },
+        required: ['query']
+      }
+    }
+  }
+};
+
+export { apiTool };
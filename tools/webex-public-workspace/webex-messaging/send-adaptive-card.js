@@ -0,0 +1,172 @@
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
+import { buildCard, validateCard, unwrapCard, toAttachment, cardFallbackText, CardValidationError } from '../../../lib/adaptive-cards.js';
+import { apiTool as createMessage } from './create-a-message.js';
+
+/**
+ * Function to send an Adaptive Card to a Webex room or person.
+ *
+ * @param {Object} args - Arguments for sending the card.
+ * @param {string} [args.roomId] - The ID of the room to send the card to.
+ * @param {string} [args.toPersonId] - The ID of the person to send the card to.
+ * @param {string} [args.toPersonEmail] - The email of the person to send the card to.
+ * @param {string} [args.parentId] - The ID of the parent message, to send the card in a thread.
+ * @param {Object} [args.card] - Adaptive Card JSON, or a card attachment, instead of the description below.
+ * @param {string} [args.title] - Card title.
+ * @param {string} [args.subtitle] - Line under the title.
+ * @param {Array<string>} [args.text] - Paragraphs of text (Markdown allowed).
+ * @param {Array<Object>} [args.facts] - Facts shown as a list of { title, value }.
+ * @param {string} [args.imageUrl] - Image shown after the text.
+ * @param {Array<Object>} [args.inputs] - Inputs the recipient fills in.
+ * @param {Array<Object>} [args.actions] - Buttons: submit the inputs or open a URL.
+ * @param {string} [args.fallbackText] - Text for clients that cannot show cards (derived from the card by default).
+ * @returns {Promise<Object>} - The created message, with warnings for properties Webex will ignore.
+ */
+const executeFunction = async ({ roomId, toPersonId, toPersonEmail, parentId, card, title, subtitle, text, facts, imageUrl, inputs, actions, fallbackText }) => {
+  try {
+    if (!roomId && !toPersonId && !toPersonEmail) {
+      throw new WebexApiError('Provide roomId, toPersonId or toPersonEmail.', { retryable: false });
+    }
+
+    const described = [title, subtitle, text, facts, imageUrl, inputs, actions].some(value => value !== undefined);
+    if (card && described) {
+      throw new WebexApiError('Provide either card or a card description (title, text, facts, inputs, actions), not both.', { retryable: false });
+    }
+    if (!card && !described) {
+      throw new WebexApiError('Provide card JSON or a card description (title, text, facts, inputs, actions).', { retryable: false });
+    }
+
+    const content = card ? unwrapCard(card) : buildCard({ title, subtitle, text, facts, imageUrl, inputs, actions });
+    const { valid, errors, warnings } = validateCard(content);
+    if (!valid) {
+      throw new CardValidationError(errors);
+    }
+
+    const message = await createMessage.function({
+      roomId,
+      toPersonId,
+      toPersonEmail,
+      parentId,
+      markdown: fallbackText || cardFallbackText(content),
+      attachments: [toAttachment(content)]
+    });
+    return warnings.length > 0 && !message.error ? { ...message, warnings } : message;
+  } catch (error) {
+    console.error('Error sending adaptive card:', error);
+    return toErrorResult(error, 'An error occurred while sending the card.');
+  }
+};
+
+/**
+ * Tool configuration for sending Adaptive Cards in Webex.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'send_adaptive_card',
+      description: 'Send an Adaptive Card (1.3, the version Webex supports) to a room or person. Describe the card with title, text, facts, inputs and actions, or pass raw card JSON in card. The card is validated before sending, and each problem is reported with its JSON path (e.g. $.body[2].size). Fallback text for clients that cannot show cards is derived from the card unless given.',
+      parameters: {
+        type: 'object',
+        properties: {
+          roomId: {
+            type: 'string',
+            description: 'The ID of the room to send the card to.'
+          },
+          toPersonId: {
+            type: 'string',
+            description: 'The ID of the person to send the card to directly.'
+          },
+          toPersonEmail: {
+            type: 'string',
+            description: 'The email of the person to send the card to directly.'
+          },
+          parentId: {
+            type: 'string',
+            description: 'The ID of the parent message, to send the card as a threaded reply.'
+          },
+          card: {
+            type: 'object',
+            description: 'Adaptive Card JSON ({ "type": "AdaptiveCard", "version": "1.3", "body": [...] }), or an attachment wrapping it. Use instead of the description parameters.'
+          },
+          title: {
+            type: 'string',
+            description: 'Card title, shown large and bold.'
+          },
+          subtitle: {
+            type: 'string',
+            description: 'A subtle line under the title.'
+          },
+          text: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Paragraphs of text. Markdown (bold, italics, links, lists) is allowed.'
+          },
+          facts: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                title: { type: 'string' },
+                value: { type: 'string' }
+              },
+              required: ['title', 'value']
+            },
+            description: 'Label/value pairs, e.g. [{ "title": "Status", "value": "Open" }].'
+          },
+          imageUrl: {
+            type: 'string',
+            description: 'Public URL of an image shown after the text.'
+          },
+          inputs: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                id: { type: 'string', description: 'Key of the value in the submitted data.' },
+                type: { type: 'string', enum: ['text', 'number', 'date', 'time', 'toggle', 'choice'], description: 'Input type (default text).' },
+                label: { type: 'string' },
+                placeholder: { type: 'string' },
+                required: { type: 'boolean' },
+                multiline: { type: 'boolean', description: 'Multi-line text input.' },
+                choices: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Options for a choice input.'
+                },
+                multiSelect: { type: 'boolean', description: 'Allow several choices.' },
+                expanded: { type: 'boolean', description: 'Show choices as radio buttons or checkboxes instead of a dropdown.' },
+                value: { type: 'string', description: 'Initial value.' }
+              },
+              required: ['id']
+            },
+            description: 'Inputs the recipient fills in. Their values are sent with Submit actions.'
+          },
+          actions: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                title: { type: 'string', description: 'Button label.' },
+                type: { type: 'string', enum: ['submit', 'openUrl'], description: 'submit sends the inputs (default); openUrl opens url.' },
+                url: { type: 'string' },
+                data: { type: 'object', description: 'Extra data sent with a submit.' },
+                style: { type: 'string', enum: ['default', 'positive', 'destructive'] }
+              },
+              required: ['title']
+            },
+            description: 'Buttons at the bottom of the card.'
+          },
+          fallbackText: {
+            type: 'string',
+            description: 'Markdown shown by clients that cannot render cards and in notifications. Derived from the card if omitted.'
+          }
+        },
+        required: []
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -0,0 +1,92 @@
+import { syncWebhooks } from '../../../lib/webhook-sync.js';
+import { toErrorResult } from '../../../lib/errors.js';
+
+/**
+ * Converge the registered webhooks with a declared list.
+ * Webhooks are matched by name. Without apply, only the plan is returned.
+ *
+ * @param {Object} args - Arguments for the sync.
+ * @param {Array<Object>} args.webhooks - Declared webhooks (name, targetUrl, resource, event, filter, secret).
+ * @param {boolean} [args.apply=false] - Create, update and delete webhooks to match the declaration.
+ * @param {boolean} [args.prune=false] - Also delete webhooks that are not declared.
+ * @param {string} [args.ownedBy] - Set to org to sync organization-wide webhooks.
+ * @returns {Promise<Object>} - The plan, a summary of actions, and their outcomes when applied.
+ */
+const executeFunction = async ({ webhooks, apply = false, prune = false, ownedBy }) => {
+  try {
+    return await syncWebhooks({ webhooks, apply, prune, ownedBy });
+  } catch (error) {
+    console.error('Error syncing webhooks:', error);
+    return toErrorResult(error, 'An error occurred while syncing webhooks.');
+  }
+};
+
+/**
+ * Tool configuration for syncing webhooks on Webex.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'sync_webhooks',
+      description: 'Converge Webex webhooks with a declared list, matched by name. Returns a plan of creates, updates, re-creations (for resource/event/filter changes), re-activations of disabled webhooks and deletions of duplicates. Nothing changes unless apply is true; call once to review the plan, then again with apply.',
+      parameters: {
+        type: 'object',
+        properties: {
+          webhooks: {
+            type: 'array',
+            description: 'The webhooks that should exist.',
+            items: {
+              type: 'object',
+              properties: {
+                name: {
+                  type: 'string',
+                  description: 'Unique name identifying the webhook.'
+                },
+                targetUrl: {
+                  type: 'string',
+                  description: 'The URL that receives the webhook POST requests.'
+                },
+                resource: {
+                  type: 'string',
+                  description: 'The resource to monitor (e.g., messages, memberships, attachmentActions).'
+                },
+                event: {
+                  type: 'string',
+                  description: 'The event to trigger the webhook (e.g., created, all).'
+                },
+                filter: {
+                  type: 'string',
+                  description: 'The filter for the webhook (e.g., roomId=...).'
+                },
+                secret: {
+                  type: 'string',
+                  description: 'The secret used to sign webhook payloads.'
+                }
+              },
+              required: ['name', 'targetUrl', 'resource', 'event']
+            }
+          },
+          apply: {
+            type: 'boolean',
+            description: 'Perform the plan. When false (default), only the plan is returned.'
+          },
+          prune: {
+            type: 'boolean',
+            description: 'Also delete webhooks whose names are not declared (resource subscription webhooks are never deleted).'
+          },
+          ownedBy: {
+            type: 'string',
+            enum: ['org'],
+            description: 'Set to org to sync organization-wide webhooks instead of your own.'
+          }
+        },
+        required: ['webhooks']
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -1,4 +1,6 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to unlink an ECM linked folder from a space in Webex.
  *
@@ -19,22 +21,21 @@ const executeFunction = async ({ id }) => {
     };
 
     // Perform the fetch request
-    const response = await fetch(url, {
+    const response = await webexFetch(url, {
       method: 'DELETE',
       headers
     });
 
     // Check if the response was successful
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
+      throw await WebexApiError.fromResponse(response);
     }
 
     // Parse and return the response data
     return { status: 'success', message: 'Folder unlinked successfully.' };
   } catch (error) {
     console.error('Error unlinking folder:', error);
-    return { error: 'An error occurred while unlinking the folder.' };
+    return toErrorResult(error, 'An error occurred while unlinking the folder.');
   }
 };
 
@@ -1,4 +1,6 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to update a membership in Webex.
  *
@@ -24,7 +26,7 @@ const executeFunction = async ({ membershipId, isModerator, isRoomHidden }) => {
     const headers = await getWebexJsonHeaders();
 
     // Perform the fetch request
-    const response = await fetch(url, {
+    const response = await webexFetch(url, {
       method: 'PUT',
       headers,
       body
@@ -32,8 +34,7 @@ const executeFunction = async ({ membershipId, isModerator, isRoomHidden }) => {
 
     // Check if the response was successful
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
+      throw await WebexApiError.fromResponse(response);
     }
 
     // Parse and return the response data
@@ -41,7 +42,7 @@ const executeFunction = async ({ membershipId, isModerator, isRoomHidden }) => {
     return data;
   } catch (error) {
     console.error('Error updating membership:', error);
-    return { error: 'An error occurred while updating the membership.' };
+    return toErrorResult(error, 'An error occurred while updating the membership.');
   }
 };
 
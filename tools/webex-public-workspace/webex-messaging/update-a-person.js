@@ -1,4 +1,6 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to update a person's details in Webex.
  *
@@ -23,7 +25,7 @@ const executeFunction = async ({ personId, personDetails }) => {
     }
 
     // Perform the fetch request
-    const response = await fetch(url, {
+    const response = await webexFetch(url, {
       method: 'PUT',
       headers,
       body: JSON.stringify(filteredPersonDetails)
@@ -31,8 +33,7 @@ const executeFunction = async ({ personId, personDetails }) => {
 
     // Check if the response was successful
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
+      throw await WebexApiError.fromResponse(response);
     }
 
     // Parse and return the response data
@@ -40,7 +41,7 @@ const executeFunction = async ({ personId, personDetails }) => {
     return data;
   } catch (error) {
     console.error('Error updating person details:', error);
-    return { error: 'An error occurred while updating person details.' };
+    return toErrorResult(error, 'An error occurred while updating person details.');
   }
 };
 
@@ -1,4 +1,6 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to update a Room Tab in Webex.
  *
@@ -26,7 +28,7 @@ const executeFunction = async ({ id, roomId, contentUrl, displayName }) => {
     const headers = await getWebexJsonHeaders();
 
     // Perform the fetch request
-    const response = await fetch(url, {
+    const response = await webexFetch(url, {
       method: 'PUT',
       headers,
       body
@@ -34,8 +36,7 @@ const executeFunction = async ({ id, roomId, contentUrl, displayName }) => {
 
     // Check if the response was successful
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
+      throw await WebexApiError.fromResponse(response);
     }
 
     // Parse and return the response data
@@ -43,7 +44,7 @@ const executeFunction = async ({ id, roomId, contentUrl, displayName }) => {
     return data;
   } catch (error) {
     console.error('Error updating Room Tab:', error);
-    return { error: 'An error occurred while updating the Room Tab.' };
+    return toErrorResult(error, 'An error occurred while updating the Room Tab.');
   }
 };
 
@@ -1,4 +1,6 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to update a room in Webex.
  *
@@ -36,7 +38,7 @@ const executeFunction = async ({ roomId, title, classificationId, teamId, isLock
     const headers = await getWebexJsonHeaders();
 
     // Perform the fetch request
-    const response = await fetch(url, {
+    const response = await webexFetch(url, {
       method: 'PUT',
       headers,
       body
@@ -44,8 +46,7 @@ const executeFunction = async ({ roomId, title, classificationId, teamId, isLock
 
     // Check if the response was successful
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
+      throw await WebexApiError.fromResponse(response);
     }
 
     // Parse and return the response data
@@ -53,7 +54,7 @@ const executeFunction = async ({ roomId, title, classificationId, teamId, isLock
     return data;
   } catch (error) {
     console.error('Error updating the room:', error);
-    return { error: 'An error occurred while updating the room.' };
+    return toErrorResult(error, 'An error occurred while updating the room.');
   }
 };
 
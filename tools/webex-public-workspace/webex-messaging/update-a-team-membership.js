@@ -1,4 +1,6 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to update a team membership in Webex.
  *
@@ -20,7 +22,7 @@ const executeFunction = async ({ membershipId, isModerator }) => {
     const body = JSON.stringify({ isModerator });
 
     // Perform the fetch request
-    const response = await fetch(url, {
+    const response = await webexFetch(url, {
       method: 'PUT',
       headers,
       body
@@ -28,8 +30,7 @@ const executeFunction = async ({ membershipId, isModerator }) => {
 
     // Check if the response was successful
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
+      throw await WebexApiError.fromResponse(response);
     }
 
     // Parse and return the response data
@@ -37,7 +38,7 @@ const executeFunction = async ({ membershipId, isModerator }) => {
     return data;
   } catch (error) {
     console.error('Error updating team membership:', error);
-    return { error: 'An error occurred while updating the team membership.' };
+    return toErrorResult(error, 'An error occurred while updating the team membership.');
   }
 };
 
@@ -1,4 +1,6 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to update a team in Webex.
  *
@@ -21,7 +23,7 @@ const executeFunction = async ({ teamId, name, description }) => {
     const body = JSON.stringify({ name, description });
 
     // Perform the fetch request
-    const response = await fetch(url, {
+    const response = await webexFetch(url, {
       method: 'PUT',
       headers,
       body
@@ -29,8 +31,7 @@ const executeFunction = async ({ teamId, name, description }) => {
 
     // Check if the response was successful
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
+      throw await WebexApiError.fromResponse(response);
     }
 
     // Parse and return the response data
@@ -38,7 +39,7 @@ const executeFunction = async ({ teamId, name, description }) => {
     return data;
   } catch (error) {
     console.error('Error updating the team:', error);
-    return { error: 'An error occurred while updating the team.' };
+    return toErrorResult(error, 'An error occurred while updating the team.');
   }
 };
 
@@ -1,4 +1,6 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to update a webhook in Webex.
  *
@@ -8,36 +10,29 @@ import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/
  * @param {string} args.targetUrl - The target URL for the webhook.
  * @param {string} args.secret - The secret for the webhook.
  * @param {string} args.status - The status of the webhook (e.g., active).
+ * @param {string} [args.ownedBy] - Set to org for organization-wide webhooks.
  * @returns {Promise<Object>} - The result of the webhook update.
  */
-const executeFunction = async ({ webhookId, name, targetUrl, secret, status }) => {
+const executeFunction = async ({ webhookId, name, targetUrl, secret, status, ownedBy }) => {
 
   try {
     // Construct the URL with the webhook ID
-    const url = getWebexUrl('/webhooks/${webhookId}');
+    const url = getWebexUrl(`/webhooks/${encodeURIComponent(webhookId)}`);
 
     // Prepare the request body
     const body = JSON.stringify({
       name,
       targetUrl,
       secret,
-      ownedBy: 'org',
+      ownedBy,
       status
     });
 
     // Set up headers for the request
-    const headers = {
-      'Content-Type': 'application/json',
-      'Accept': 'application/json'
-    };
-
-    // If a token is provided, add it to the Authorization header
-    if (token) {
-      headers['Authorization'] = `Bearer ${token}`;
-    }
+    const headers = await getWebexJsonHeaders();
 
     // Perform the fetch request
-    const response = await fetch(url, {
+    const response = await webexFetch(url, {
       method: 'PUT',
       headers,
       body
@@ -45,8 +40,7 @@ const executeFunction = async ({ webhookId, name, targetUrl, secret, status }) =
 
     // Check if the response was successful
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
+      throw await WebexApiError.fromResponse(response);
     }
 
     // Parse and return the response data
@@ -54,7 +48,7 @@ const executeFunction = async ({ webhookId, name, targetUrl, secret, status }) =
     return data;
   } catch (error) {
     console.error('Error updating webhook:', error);
-    return { error: 'An error occurred while updating the webhook.' };
+    return toErrorResult(error, 'An error occurred while updating the webhook.');
   }
 };
 
@@ -91,9 +85,14 @@ const apiTool = {
           status: {
             type: 'string',
             description: 'The status of the webhook (e.g., active).'
+          },
+          ownedBy: {
+            type: 'string',
+            enum: ['org'],
+            description: 'Set to org for organization-wide webhooks.'
           }
         },
-        required: ['webhookId', 'name', 'event']
+        required: ['webhookId', 'name', 'targetUrl']
       }
     }
   }
@@ -1,4 +1,6 @@
 import { getWebexUrl, getWebexHeaders, getWebexJsonHeaders } from '../../../lib/webex-config.js';
+import { webexFetch } from '../../../lib/webex-client.js';
+import { WebexApiError, toErrorResult } from '../../../lib/errors.js';
 /**
  * Function to update an ECM linked folder in Webex.
  *
@@ -27,22 +29,21 @@ const executeFunction = async ({ id, roomId, contentUrl, displayName, driveId, i
 
     const headers = await getWebexJsonHeaders();
 
-    const response = await fetch(url, {
+    const response = await webexFetch(url, {
       method: 'PUT',
       headers,
       body
     });
 
     if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(errorData);
+      throw await WebexApiError.fromResponse(response);
     }
 
     const data = await response.json();
     return data;
   } catch (error) {
     console.error('Error updating linked folder:', error);
-    return { error: 'An error occurred while updating the linked folder.' };
+    return toErrorResult(error, 'An error occurred while updating the linked folder.');
   }
 };
 